@@ -3,17 +3,29 @@ const express = require("express");
 const bodyParser = require("body-parser");
 const {
   whatsappQueue,
-  scheduleHealthCheckup,
+  inboundQueue,
   scheduleDailyCheckup,
   cancelHealthCheckups,
-  updateMonitoringFrequency,
 } = require("./queue");
 
-// Import MedGemma-only analysis (no legacy heuristics)
-const { analyzeSymptoms } = require("./utils/medgemmaAnalysis");
+const messageLedger = require("./services/messageLedger");
+const monitoringEpisodes = require("./services/monitoringEpisodes");
+const monitoringJobLog = require("./services/monitoringJobs");
+const scheduleReconciler = require("./services/scheduleReconciler");
+const medicationReminders = require("./services/medicationReminders");
+const weatherCache = require("./services/weatherCache");
+const familyEscalation = require("./services/familyEscalation");
+const providerNotifications = require("./services/providerNotifications");
+const { getTimezoneForZip } = require("./utils/zipTimezone");
+const { isValidZip } = require("./utils/zipDatabase");
+const { toDialysisColumns } = require("./utils/dialysisSchedule");
+const {
+  verifyTwilioSignature,
+  isSignatureBypassEnabled,
+} = require("./middleware/twilioSignature");
 const {
   getPrismaClient,
-  getTwilioClient,
+  getMessagingTransport,
   getWhatsAppConfig,
   initializeServices,
 } = require("./services");
@@ -25,331 +37,6 @@ const whatsappConfig = getWhatsAppConfig();
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
-// Function to detect poll responses - STRICT matching for actual poll replies only
-const detectPollResponse = (messageText) => {
-  const text = messageText.toLowerCase().trim();
-
-  // Check for numbered responses (1-5) - EXACT match only
-  if (/^[1-5]$/.test(text)) {
-    const responseMap = {
-      1: "much_better",
-      2: "slightly_better",
-      3: "same_symptoms",
-      4: "worse_condition",
-      5: "emergency_help",
-    };
-    return responseMap[text];
-  }
-
-  // Check for EXACT button IDs (from interactive messages)
-  const buttonIds = [
-    "much_better",
-    "slightly_better",
-    "same_symptoms",
-    "worse_condition",
-    "emergency_help",
-  ];
-  if (buttonIds.includes(text)) {
-    return text;
-  }
-
-  // Check for VERY SPECIFIC poll response patterns only (not general health messages)
-  // Only match if it's clearly a status update response, not a symptom description
-
-  // "Better" responses - must be short and direct
-  if (
-    /^(much )?better$/i.test(text) ||
-    /^feeling (much )?better$/i.test(text)
-  ) {
-    return "much_better";
-  }
-  if (
-    /^slightly better$/i.test(text) ||
-    /^a (little|bit) better$/i.test(text)
-  ) {
-    return "slightly_better";
-  }
-
-  // "Same" responses - must be clearly about status, not describing symptoms
-  if (
-    /^(the )?same$/i.test(text) ||
-    /^no change$/i.test(text) ||
-    /^unchanged$/i.test(text)
-  ) {
-    return "same_symptoms";
-  }
-
-  // "Worse" responses - must be short status updates, not symptom descriptions
-  if (
-    /^worse$/i.test(text) ||
-    /^getting worse$/i.test(text) ||
-    /^feeling worse$/i.test(text)
-  ) {
-    return "worse_condition";
-  }
-
-  // Emergency - only for clear emergency requests
-  if (
-    /^(call )?911$/i.test(text) ||
-    /^emergency$/i.test(text) ||
-    /^need help now$/i.test(text)
-  ) {
-    return "emergency_help";
-  }
-
-  // If none of the strict patterns match, it's NOT a poll response
-  return null;
-};
-
-// Note: Risk level determination is now handled by MedGemma AI
-
-// Function to handle poll responses from health checkups
-const handlePollResponse = async (
-  phoneNumber,
-  userExists = false,
-  pollResponse,
-  originalMessage
-) => {
-  // Get or create patient data for AI analysis
-  let patientData = null;
-  try {
-    patientData = await prisma.patient.findUnique({
-      where: { phoneNumber: phoneNumber },
-    });
-
-    // If user doesn't exist, create a new patient record
-    if (!patientData) {
-      console.log(
-        `🆕 Creating new patient record for ${phoneNumber} via poll response`
-      );
-
-      patientData = await prisma.patient.create({
-        data: {
-          phone: phoneNumber,
-          firstName: "User", // Default name until they provide it
-          zipcode: "00000", // Default zipcode
-          age: 35, // Default age for moderate risk assessment
-          preferredLanguage: "en",
-          registrationComplete: false, // Mark as incomplete
-          consentGiven: true,
-          monitoringEnabled: true, // Enable monitoring since they're responding to health polls
-        },
-      });
-
-      console.log(`✅ Created new patient record: ${patientData.id}`);
-      userExists = true; // Update flag for rest of function
-
-      // Send onboarding link for new users responding to health polls
-      const onboardingUrl = process.env.BASE_URL
-        ? `${process.env.BASE_URL}/onboarding.html`
-        : `https://24a3ffeedf11.ngrok-free.app/onboarding.html`;
-
-      await whatsappQueue.add("send-whatsapp", {
-        to: phoneNumber,
-        message: `🌡️ *Welcome to HeatCare!*\n\nI noticed you responded to a health message. To provide personalized care and monitoring, please complete your health profile:\n\n📋 *Complete Registration:*\n${onboardingUrl}\n\n⚠️ *Important*: This is not medical advice. For emergencies, call 911.\n\nLet me address your current health concern first...`,
-      });
-
-      console.log(
-        `📱 Sent onboarding link to new poll responder: ${phoneNumber}`
-      );
-
-      // Don't schedule checkups until they complete registration
-    }
-  } catch (error) {
-    console.error("Error with patient data:", error);
-    // Create minimal patient data for AI analysis if database fails
-    patientData = {
-      phone: phoneNumber,
-      firstName: "User",
-      age: 35,
-      zipcode: "00000",
-      preferredLanguage: "en",
-    };
-  }
-
-  // Direct MedGemma analysis for conversational responses
-  let aiAnalysis = null;
-
-  if (patientData && originalMessage) {
-    try {
-      console.log(
-        `💬 [Poll] Sending raw poll context to MedGemma with guard rails: "${originalMessage}"`
-      );
-
-      const weatherData = {
-        feelsLike: 95 + (parseInt(patientData.zipcode || "00000") % 10), // Simple temp estimation
-        humidity: 65,
-        heatWarning: false, // Let MedGemma determine urgency from conversation
-      };
-
-      console.log(
-        `🤖 [Poll] Running MedGemma-only analysis for poll response...`
-      );
-      aiAnalysis = await analyzeSymptoms(
-        originalMessage,
-        patientData,
-        weatherData
-      );
-
-      // Guard rail: Validate MedGemma response for poll handling
-      if (!aiAnalysis || (!aiAnalysis.smsMessage && !aiAnalysis.advice)) {
-        throw new Error("MedGemma returned invalid poll response");
-      }
-
-      // Log AI analysis to database
-      await prisma.healthAnalysis.create({
-        data: {
-          patientId: patientData.id,
-          userInput: originalMessage,
-          riskLevel: aiAnalysis.risk.level.toUpperCase(),
-          riskScore: aiAnalysis.risk.score,
-          confidence: aiAnalysis.symptoms.confidence,
-          symptomsDetected: JSON.stringify(aiAnalysis.symptoms.categories),
-          reasoning: JSON.stringify([
-            `Risk: ${aiAnalysis.risk.band}`,
-            `Symptoms: ${aiAnalysis.symptoms.categories.join(", ")}`,
-          ]),
-          immediateActions: JSON.stringify([aiAnalysis.advice]),
-          monitoringPattern: aiAnalysis.risk.level.toUpperCase(),
-          monitoringIntervals: JSON.stringify([aiAnalysis.monitoringInterval]),
-          monitoringDuration: aiAnalysis.monitoringInterval,
-          responseMessage: aiAnalysis.advice,
-          monitoringScheduled: true,
-        },
-      });
-
-      console.log(`🧠 AI Analysis for ${phoneNumber}:`, {
-        risk: aiAnalysis.risk.level,
-        symptoms: aiAnalysis.symptoms.categories,
-        emergency: aiAnalysis.recommendations.emergency,
-      });
-    } catch (error) {
-      console.error("❌ AI Analysis error:", error);
-    }
-  }
-
-  // Handle invalid poll responses
-  const validResponses = [
-    "much_better",
-    "slightly_better",
-    "same_symptoms",
-    "worse_condition",
-    "emergency_help",
-  ];
-  if (!validResponses.includes(pollResponse)) {
-    await whatsappQueue.add("send-whatsapp", {
-      to: phoneNumber,
-      message:
-        "❓ I didn't understand your response to the health poll.\n\n*Please try one of these:*\n✅ 'better' - Much better\n🟡 'slightly' - Slightly better\n⚪ 'same' - No change\n🟠 'worse' - Getting worse\n🚨 'emergency' - Need help now",
-    });
-    return;
-  }
-
-  // MedGemma-only response - no fallbacks
-  if (!aiAnalysis || (!aiAnalysis.smsMessage && !aiAnalysis.advice)) {
-    // If MedGemma failed, we should have thrown an error already
-    // This is a guard rail - emergency detection for poll responses
-    const isEmergency =
-      pollResponse === "emergency_help" ||
-      originalMessage.toLowerCase().includes("911");
-
-    if (isEmergency) {
-      finalMessage =
-        "🚨 EMERGENCY: Call 911 immediately. This requires urgent medical care.";
-    } else {
-      // Let the error bubble up - no static fallbacks in MedGemma-only system
-      throw new Error(
-        "MedGemma analysis required for poll responses - no fallback available"
-      );
-    }
-  } else {
-    // MedGemma provides the intelligent response
-    finalMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
-  }
-
-  // Send the AI-generated response message
-  await whatsappQueue.add("send-whatsapp", {
-    to: phoneNumber,
-    message: finalMessage,
-  });
-
-  // Determine monitoring action based on poll response and AI analysis
-  let monitoringAction = "continue";
-
-  // Use AI escalation level if available, otherwise determine from poll response
-  if (aiAnalysis?.recommendations?.emergency || aiAnalysis?.emergencyAlert) {
-    monitoringAction = "emergency";
-  } else if (
-    aiAnalysis?.recommendations?.escalate ||
-    pollResponse === "worse_condition"
-  ) {
-    monitoringAction = "escalate";
-  } else if (pollResponse === "much_better") {
-    monitoringAction = "reduce";
-  } else if (pollResponse === "emergency_help") {
-    monitoringAction = "emergency";
-  }
-
-  // Execute monitoring actions
-  switch (monitoringAction) {
-    case "reduce":
-      await cancelHealthCheckups(phoneNumber, "symptom"); // Cancel symptom monitoring, keep daily
-      console.log(
-        `[Health Monitor] ${phoneNumber} - Reduced monitoring (feeling better)`
-      );
-      break;
-
-    case "escalate":
-      // Use AI-determined escalation level or default to urgent
-      const escalationLevel =
-        aiAnalysis?.escalationLevel ||
-        (aiAnalysis?.risk?.level === "high" ? "urgent" : "urgent");
-
-      await updateMonitoringFrequency(phoneNumber, escalationLevel, "symptom");
-      console.log(
-        `[Health Monitor] ${phoneNumber} - Escalated to ${escalationLevel} monitoring`
-      );
-      break;
-
-    case "emergency":
-      await cancelHealthCheckups(phoneNumber, "symptom"); // Clear symptom monitoring
-
-      // Schedule emergency follow-up
-      await whatsappQueue.add(
-        "send-whatsapp",
-        {
-          to: phoneNumber,
-          message:
-            "🚨 *Emergency Follow-up in 5 minutes*\nDid you call 911? Reply: 'called' / 'need help' / 'resolved'",
-        },
-        { delay: 5 * 60 * 1000 }
-      );
-
-      console.log(
-        `[Health Monitor] ${phoneNumber} - Emergency protocol activated`
-      );
-      break;
-
-    case "continue":
-    default:
-      console.log(
-        `[Health Monitor] ${phoneNumber} - Continuing current monitoring`
-      );
-      break;
-  }
-
-  // Log the poll response to database
-  await prisma.message.create({
-    data: {
-      from: `whatsapp:${phoneNumber}`,
-      to: whatsappConfig.sandboxNumber,
-      body: `Poll response: ${pollResponse} - Original: "${originalMessage}"`,
-      direction: "incoming",
-      messageType: "whatsapp",
-    },
-  });
-};
-
 // Serve static files from public directory
 app.use(express.static("public"));
 
@@ -998,7 +685,7 @@ app.get("/weather-success", (req, res) => {
 });
 
 // Twilio message status webhook: receive delivery status updates
-app.post("/twilio/status-webhook", async (req, res) => {
+app.post("/twilio/status-webhook", verifyTwilioSignature, async (req, res) => {
   const { MessageSid, MessageStatus, ErrorCode, ErrorMessage, From, To, Body } =
     req.body;
 
@@ -1011,39 +698,29 @@ app.post("/twilio/status-webhook", async (req, res) => {
     });
 
     if (existingMessage) {
-      // Update the message status
-      await prisma.message.update({
-        where: { id: existingMessage.id },
-        data: {
-          status: MessageStatus,
-          errorMessage: ErrorCode ? `${ErrorCode}: ${ErrorMessage}` : null,
-        },
+      // Update the status and resend over the next channel if delivery failed
+      await messageLedger.applyStatusUpdate(existingMessage, {
+        MessageStatus,
+        ErrorCode,
+        ErrorMessage,
       });
 
-      console.log(
-        `[Status Webhook] Updated message ${MessageSid} status to: ${MessageStatus}`
-      );
-
-      // Handle failed messages for retry logic (optional)
-      if (MessageStatus === "failed" || MessageStatus === "undelivered") {
-        console.warn(
-          `[Status Webhook] Message failed: ${MessageSid} - ${ErrorCode}: ${ErrorMessage}`
-        );
-
-        // You could implement retry logic here
-        // Or alert admins about delivery failures
-      }
-
       // Handle successful delivery
       if (MessageStatus === "delivered") {
         console.log(
           `[Status Webhook] Message successfully delivered: ${MessageSid}`
         );
       }
-    } else {
-      console.warn(
-        `[Status Webhook] Message not found in database: ${MessageSid}`
-      );
+    } else if (MessageSid) {
+      // The worker logs outbound rows after Twilio answers, so a fast callback
+      // can arrive first - hold it until the row exists (applied right away
+      // if the worker wrote it in the meantime)
+      await messageLedger.deferStatusUpdate({
+        MessageSid,
+        MessageStatus,
+        ErrorCode,
+        ErrorMessage,
+      });
     }
 
     // Always respond with 200 OK to acknowledge receipt
@@ -1054,441 +731,60 @@ app.post("/twilio/status-webhook", async (req, res) => {
   }
 });
 
-// Update patient risk data after each analysis
-async function updatePatientRiskData(
-  phoneNumber,
-  aiAnalysis,
-  symptomText,
-  weatherData
-) {
-  try {
-    const riskData = {
-      lastRiskLevel: aiAnalysis.riskLevel || "unknown",
-      lastUrgency: aiAnalysis.urgency || "routine",
-      lastEscalationLevel: aiAnalysis.escalationLevel || "none",
-      lastMonitoringInterval: aiAnalysis.monitoringInterval || 1440, // minutes
-      lastSymptomText: symptomText,
-      lastAnalysisTimestamp: new Date(),
-      lastWeatherTemp: weatherData.feelsLike || null,
-      lastWeatherHumidity: weatherData.humidity || null,
-      confidenceScore: aiAnalysis.confidence || 0.8,
-      emergencyAlerted: aiAnalysis.emergencyAlert || false,
-    };
-
-    await prisma.patient.update({
-      where: { phoneNumber: phoneNumber },
-      data: riskData,
-    });
-
-    console.log(
-      `📊 Updated risk data for ${phoneNumber}: Risk=${riskData.lastRiskLevel}, Urgency=${riskData.lastUrgency}`
-    );
-
-    // Also log to HealthAnalysis table for history tracking
-    await prisma.healthAnalysis.create({
-      data: {
-        patientId: (
-          await prisma.patient.findUnique({
-            where: { phoneNumber: phoneNumber },
-            select: { id: true },
-          })
-        ).id,
-        symptoms: symptomText,
-        riskLevel: aiAnalysis.riskLevel || "unknown",
-        urgency: aiAnalysis.urgency || "routine",
-        aiResponse: aiAnalysis.smsMessage || aiAnalysis.advice || "",
-        weatherContext: JSON.stringify(weatherData),
-        escalationLevel: aiAnalysis.escalationLevel || "none",
-        monitoringInterval: aiAnalysis.monitoringInterval || 1440,
-        confidence: aiAnalysis.confidence || 0.8,
-        emergencyAlert: aiAnalysis.emergencyAlert || false,
-        analysisMethod: "hybrid_ai", // Gemini + HeatCare
-        timestamp: new Date(),
-      },
-    });
-  } catch (error) {
-    console.error(
-      `❌ Failed to update risk data for ${phoneNumber}:`,
-      error.message
-    );
-    // Don't throw - this shouldn't break the main flow
-  }
-}
-
 // Twilio WhatsApp webhook: receive WhatsApp messages
-app.post("/twilio/whatsapp-webhook", async (req, res) => {
-  const { From, Body, MediaUrl0, MediaContentType0, NumMedia } = req.body;
+// Persists the raw message, queues it for the inbound worker and acknowledges
+// right away so Twilio never times out waiting on database or LLM work
+app.post("/twilio/whatsapp-webhook", verifyTwilioSignature, async (req, res) => {
+  const {
+    MessageSid,
+    From,
+    Body,
+    ButtonPayload,
+    ListId,
+    MediaUrl0,
+    MediaContentType0,
+    NumMedia,
+  } = req.body;
 
   console.log(`[WhatsApp Webhook] From: ${From}, Body: ${Body}`);
 
   try {
-    // Save incoming message to database
-    await prisma.message.create({
-      data: {
-        from: From,
-        to: whatsappConfig.from,
-        body: Body || "",
-        direction: "incoming",
-        messageType: "whatsapp",
-        mediaUrl: MediaUrl0 || null,
-        mediaType: MediaContentType0 || null,
-        numMedia: parseInt(NumMedia) || 0,
-      },
-    });
-
-    // Extract phone number from WhatsApp format (whatsapp:+1234567890)
-    const phoneNumber = whatsappConfig.extractPhoneNumber(From);
-
-    // Registration flow - get or create user
-    let user = await prisma.patient.findUnique({
-      where: { phoneNumber: phoneNumber },
-    });
-
-    const isNewUser = !user;
-    if (!user) {
-      const firstName = Body ? Body.split(" ")[0] : "User";
-      user = await prisma.patient.create({
-        data: {
-          phoneNumber: phoneNumber,
-          firstName,
-          zipcode: "00000",
-          age: 0,
-          isPregnant: false,
-          smoker: false,
-        },
-      });
-    }
-
-    // Check for various registration/update patterns
-    const nameZipAgePattern = /^([A-Za-z\-\'\s]{2,}),\s*(\d{5}),\s*(\d{1,3})$/;
-    const registrationMatch = Body?.match(nameZipAgePattern);
-
-    // Check for zipcode-only updates (for existing users)
-    const zipcodeUpdatePattern =
-      /^(?:update|change|new)\s*(?:zip|zipcode|location)?\s*(?:to|is)?\s*(\d{5})$/i;
-    const zipcodeMatch = Body?.match(zipcodeUpdatePattern);
-
-    // Check for simple zipcode patterns (just the number)
-    const simpleZipcodePattern = /^(\d{5})$/;
-    const simpleZipcodeMatch = Body?.match(simpleZipcodePattern);
-
-    if (registrationMatch && (user.zipcode === "00000" || user.age === 0)) {
-      const [, fullName, zipcode, ageStr] = registrationMatch;
-      const age = parseInt(ageStr);
-
-      if (age >= 1 && age <= 120) {
-        // Update user with complete registration
-        await prisma.patient.update({
-          where: { phoneNumber: phoneNumber },
-          data: {
-            firstName: fullName.trim(),
-            zipcode: zipcode,
-            age: age,
-          },
-        });
-
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message: `✅ *Registration Complete!*\n\nThanks ${fullName}! I've updated your profile:\n📍 ZIP: ${zipcode}\n🎂 Age: ${age}\n\nYou'll now receive personalized health monitoring based on your location and age. I've also enrolled you in daily checkups at 9:00 AM.\n\nReply 'help' for commands or just tell me how you're feeling anytime!`,
-        });
-
-        console.log(
-          `✅ Completed registration for ${phoneNumber}: ${fullName}, ${zipcode}, ${age}`
-        );
-        return;
-      } else {
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message: `❌ Age must be between 1 and 120. Please try again:\n\nExample: "John Smith, 10001, 45"`,
-        });
-        return;
-      }
-    }
-
-    // Handle zipcode updates for existing users
-    if (zipcodeMatch && user.zipcode !== "00000" && user.age > 0) {
-      const newZipcode = zipcodeMatch[1];
-
-      await prisma.patient.update({
-        where: { phoneNumber: phoneNumber },
-        data: { zipcode: newZipcode },
-      });
-
-      await whatsappQueue.add("send-whatsapp", {
-        to: phoneNumber,
-        message: `✅ *Location Updated!*\n\n📍 Your ZIP code has been updated to: ${newZipcode}\n\nI'll now provide weather alerts and health monitoring based on your new location. Stay safe! 🌡️`,
-      });
-
-      console.log(`✅ Updated zipcode for ${phoneNumber}: ${newZipcode}`);
-      return;
-    }
-
-    // Handle simple zipcode updates (just numbers) for incomplete registrations
-    if (
-      simpleZipcodeMatch &&
-      (user.zipcode === "00000" || user.age === 0) &&
-      user.firstName !== "User"
-    ) {
-      const newZipcode = simpleZipcodeMatch[1];
-
-      await prisma.patient.update({
-        where: { phoneNumber: phoneNumber },
-        data: { zipcode: newZipcode },
-      });
-
-      await whatsappQueue.add("send-whatsapp", {
-        to: phoneNumber,
-        message: `✅ *ZIP Code Saved!*\n\n📍 Location: ${newZipcode}\n\nNow please tell me your age to complete registration:\nExample: "25" or "${user.firstName}, ${newZipcode}, 25"`,
-      });
+    // Save incoming message to database (Twilio retries reuse the MessageSid)
+    const { message: inboundMessage, isReplay } =
+      await messageLedger.recordInbound(req.body);
 
+    if (isReplay && !messageLedger.needsRouting(inboundMessage)) {
       console.log(
-        `✅ Updated zipcode for incomplete registration ${phoneNumber}: ${newZipcode}`
+        `[WhatsApp Webhook] Duplicate delivery of ${MessageSid} (${inboundMessage.processingStatus}), not routing again`,
+        inboundMessage.processingOutcome || ""
       );
+      res.set("Content-Type", "text/xml");
+      res.send("<Response></Response>");
       return;
     }
 
-    // Send onboarding link to brand new users
-    if (isNewUser) {
-      const onboardingUrl = process.env.BASE_URL
-        ? `${process.env.BASE_URL}/onboarding.html`
-        : `https://24a3ffeedf11.ngrok-free.app/onboarding.html`;
-
-      await whatsappQueue.add("send-whatsapp", {
-        to: phoneNumber,
-        message: `🌡️ *Welcome to HeatCare!*\n\nI'm your personal heat health assistant. To get started with personalized alerts and monitoring, please complete your health profile:\n\n📋 *Complete Registration:*\n${onboardingUrl}\n\n⚠️ *Important*: This is not medical advice. For emergencies, call 911.\n\n💬 After registration, I'll provide personalized health tips based on your profile and local weather conditions.`,
-      });
-
-      console.log(`📱 Sent onboarding link to new user: ${phoneNumber}`);
-
-      // Don't schedule checkups until they complete registration
-    }
-
-    // Process message content for health symptoms
-    if (Body) {
-      const messageText = Body.toLowerCase();
-
-      // Check for poll responses (numbers, keywords, or button IDs)
-      const pollResponse = detectPollResponse(messageText);
-      if (pollResponse) {
-        await handlePollResponse(phoneNumber, pollResponse, messageText);
-        return;
-      }
-
-      // Check for health-related symptoms using AI analysis
-      const healthSymptoms = [
-        "dizzy",
-        "dizziness",
-        "headache",
-        "nausea",
-        "vomiting",
-        "chest pain",
-        "difficulty breathing",
-        "confused",
-        "weak",
-        "faint",
-        "tired",
-        "hot",
-        "fever",
-        "sick",
-        "pain",
-        "hurt",
-        "sweating",
-        "thirsty",
-      ];
-
-      const hasHealthSymptoms = healthSymptoms.some((symptom) =>
-        messageText.includes(symptom)
-      );
-
-      if (hasHealthSymptoms) {
-        // Direct MedGemma analysis - no NLP preprocessing needed
-        console.log(
-          `💬 [Health] Sending raw message directly to MedGemma: "${Body}"`
-        );
-
-        try {
-          const weatherData = {
-            feelsLike: 95 + (parseInt(user.zipcode || "00000") % 10), // Simple temp estimation
-            humidity: 65,
-            heatWarning: false, // Let MedGemma determine urgency from raw text
-          };
-
-          console.log(
-            `🤖 [Health] Running MedGemma-only analysis with guard rails...`
-          );
-          const aiAnalysis = await analyzeSymptoms(Body, user, weatherData);
-
-          // Guard rail: Ensure we have a valid response
-          if (!aiAnalysis.smsMessage && !aiAnalysis.advice) {
-            throw new Error("MedGemma returned empty response");
-          }
-
-          // Update patient's risk calculation in database
-          await updatePatientRiskData(
-            phoneNumber,
-            aiAnalysis,
-            Body,
-            weatherData
-          );
-
-          // Send AI-generated response
-          const responseMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
-
-          await whatsappQueue.add("send-whatsapp", {
-            to: phoneNumber,
-            message: responseMessage,
-          });
-
-          // Schedule symptom-based monitoring using AI-determined escalation
-          const escalationLevel =
-            aiAnalysis.escalationLevel ||
-            (aiAnalysis.emergencyAlert ? "emergency" : "medium");
-
-          await scheduleHealthCheckup(
-            phoneNumber,
-            Body,
-            escalationLevel,
-            "symptom"
-          );
-
-          console.log(
-            `[Health Monitor] MedGemma analysis for ${phoneNumber}:`,
-            {
-              risk: aiAnalysis.risk?.level,
-              escalation: escalationLevel,
-              urgency: aiAnalysis.urgency,
-              guardRailsActive: true,
-            }
-          );
-        } catch (error) {
-          console.error("❌ MedGemma service unavailable:", error);
-
-          // Guard rail: Emergency safety message when MedGemma fails
-          const emergencyKeywords = [
-            "911",
-            "emergency",
-            "chest pain",
-            "can't breathe",
-            "fainting",
-          ];
-          const isEmergency = emergencyKeywords.some((keyword) =>
-            Body.toLowerCase().includes(keyword)
-          );
-
-          if (isEmergency) {
-            await whatsappQueue.add("send-whatsapp", {
-              to: phoneNumber,
-              message:
-                "🚨 EMERGENCY DETECTED: Call 911 immediately if you're having chest pain, trouble breathing, or fainting. Get medical help now!",
-            });
-          } else {
-            await whatsappQueue.add("send-whatsapp", {
-              to: phoneNumber,
-              message:
-                "⚠️ Health service temporarily unavailable. If this is urgent, call 911. For non-urgent symptoms, please try again in a few minutes.",
-            });
-          }
-
-          // No fallback processing - system requires MedGemma to function
-
-          // Schedule basic monitoring
-          await scheduleHealthCheckup(phoneNumber, Body, "medium", "symptom");
-        }
-
-        // Alert family/emergency contact if configured
-        // This could be implemented based on user preferences
-      } else if (messageText.includes("help") || messageText.includes("info")) {
-        // Help/info response
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message:
-            "🌡️ *Climate Health Alerts Help* 📱\n\nAvailable commands:\n• Send symptoms for health guidance\n• 'status' - Check your health status\n• 'stop' - Pause all alerts\n• 'stop daily' - Disable daily checkups\n• 'start' - Resume alerts\n• 'start daily' - Enable daily checkups\n\n🆘 Emergency: Call 911\n💡 Tips: Stay hydrated, seek shade, avoid heavy activity during heat waves.",
-        });
-      } else if (messageText.includes("stop daily")) {
-        // Stop daily checkups only
-        await cancelHealthCheckups(phoneNumber, "daily");
-
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message:
-            "⏸️ Daily checkups disabled.\n\n💡 You'll still receive symptom-based monitoring if needed.\n\nSend 'start daily' to re-enable daily checkups.",
-        });
-      } else if (messageText.includes("start daily")) {
-        // Resume daily checkups
-        await scheduleDailyCheckup(phoneNumber);
-
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message:
-            "✅ Daily checkups enabled!\n\n🌅 You'll receive a daily health check at 9:00 AM.\n\nThis is separate from any symptom monitoring.",
-        });
-      } else if (messageText.includes("stop")) {
-        // Pause all alerts
-        await prisma.patient.update({
-          where: { phoneNumber: phoneNumber },
-          data: { monitoringEnabled: false },
-        });
-
-        await cancelHealthCheckups(phoneNumber, "all");
-
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message:
-            "⏸️ All health alerts paused.\n\nSend 'start' to resume alerts anytime.\n\n⚠️ Remember: This doesn't affect emergency services. Call 911 for emergencies.",
-        });
-      } else if (messageText.includes("start")) {
-        // Resume alerts
-        await prisma.patient.update({
-          where: { phoneNumber: phoneNumber },
-          data: { monitoringEnabled: true },
-        });
-
-        await scheduleDailyCheckup(phoneNumber);
-
-        await whatsappQueue.add("send-whatsapp", {
-          to: phoneNumber,
-          message:
-            "✅ Health alerts resumed!\n\n🌅 Daily checkups enabled at 9:00 AM\n💡 Symptom monitoring will activate as needed\n\nStay safe! 🌡️💙",
-        });
-      } else {
-        // General response - MedGemma-only with guard rails
-        try {
-          console.log(
-            `💬 [General] Sending raw message to MedGemma with guard rails: "${Body}"`
-          );
-
-          const weatherData = {
-            feelsLike: 95 + (parseInt(user.zipcode || "00000") % 10),
-            humidity: 65,
-            heatWarning: false, // Let MedGemma determine context from conversation
-          };
-
-          console.log(`🤖 [General] Running MedGemma-only analysis...`);
-          const aiAnalysis = await analyzeSymptoms(Body, user, weatherData);
-
-          // Guard rail: Ensure valid response
-          if (!aiAnalysis.smsMessage && !aiAnalysis.advice) {
-            throw new Error("MedGemma returned empty response");
-          }
-
-          const responseMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
-
-          await whatsappQueue.add("send-whatsapp", {
-            to: phoneNumber,
-            message: responseMessage,
-          });
-        } catch (error) {
-          console.error("❌ [General] MedGemma service unavailable:", error);
-
-          // Guard rail: Minimal safe response when MedGemma fails
-          await whatsappQueue.add("send-whatsapp", {
-            to: phoneNumber,
-            message:
-              "⚠️ Service temporarily unavailable. For health emergencies, call 911. Please try again in a few minutes.",
-          });
-        }
+    // Hand routing (registration, polls, commands, symptoms) to the inbound worker
+    await inboundQueue.add(
+      "process-inbound",
+      {
+        messageId: inboundMessage.id,
+        messageSid: MessageSid || null,
+        from: From,
+        body: Body || "",
+        // Id of the tapped quick-reply button or list-picker item
+        buttonPayload: ButtonPayload || ListId || null,
+        mediaUrl: MediaUrl0 || null,
+        mediaType: MediaContentType0 || null,
+        numMedia: parseInt(NumMedia) || 0,
+        receivedAt: inboundMessage.createdAt,
+      },
+      {
+        jobId: MessageSid
+          ? `inbound-${MessageSid}`
+          : `inbound-message-${inboundMessage.id}`,
       }
-    }
+    );
+    await messageLedger.markQueued(inboundMessage.id);
 
     // Send TwiML response
     res.set("Content-Type", "text/xml");
@@ -1502,7 +798,7 @@ app.post("/twilio/whatsapp-webhook", async (req, res) => {
 // Manual WhatsApp send endpoint
 app.post("/send-whatsapp", async (req, res) => {
   try {
-    const { to, message, mediaUrl, delay = 0 } = req.body;
+    const { to, message, mediaUrl, delay = 0, tier } = req.body;
 
     if (!to || !message) {
       return res.status(400).json({
@@ -1517,6 +813,7 @@ app.post("/send-whatsapp", async (req, res) => {
         to,
         message,
         mediaUrl,
+        tier,
       },
       {
         delay: parseInt(delay),
@@ -1528,6 +825,7 @@ app.post("/send-whatsapp", async (req, res) => {
       jobId: job.id,
       to,
       message,
+      tier: job.data.tier,
       delay,
       timestamp: new Date().toISOString(),
     });
@@ -1543,7 +841,7 @@ app.post("/send-whatsapp", async (req, res) => {
 // Manual health checkup scheduler (for testing)
 app.post("/schedule-checkup", async (req, res) => {
   try {
-    const { phoneNumber, symptom, intervals } = req.body;
+    const { phoneNumber, symptom, riskLevel = "medium" } = req.body;
 
     if (!phoneNumber || !symptom) {
       return res
@@ -1551,18 +849,26 @@ app.post("/schedule-checkup", async (req, res) => {
         .json({ error: "phoneNumber and symptom are required" });
     }
 
-    const checkupIntervals = intervals || [1, 5, 15, 60]; // Default intervals in minutes
-
-    await scheduleHealthCheckup(phoneNumber, symptom, checkupIntervals);
+    // Interval schedule and duration come from the risk level's episode plan
+    const episode = await monitoringEpisodes.start(phoneNumber, {
+      symptom,
+      riskLevel,
+    });
+    if (!episode) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
 
     res.json({
       status: "scheduled",
       phoneNumber,
       symptom,
-      intervals: checkupIntervals,
-      message: `Health checkups scheduled for ${phoneNumber} at ${checkupIntervals.join(
+      episodeId: episode.id,
+      riskLevel: episode.riskLevel,
+      intervals: episode.intervals,
+      expiresAt: episode.expiresAt,
+      message: `Health checkups scheduled for ${phoneNumber} at ${episode.intervals.join(
         ", "
-      )} minute intervals`,
+      )} minute intervals until ${episode.expiresAt.toISOString()}`,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -1583,6 +889,10 @@ app.post("/cancel-checkups", async (req, res) => {
       return res.status(400).json({ error: "phoneNumber is required" });
     }
 
+    await monitoringEpisodes.close(phoneNumber, {
+      tag: symptom && symptom !== "all" ? symptom : null,
+      reason: "cancelled",
+    });
     await cancelHealthCheckups(phoneNumber, symptom || "all");
 
     res.json({
@@ -1601,10 +911,102 @@ app.post("/cancel-checkups", async (req, res) => {
   }
 });
 
+// Rebuild BullMQ schedules from the database (after a Redis flush or migration)
+// Body: {dryRun: true} reports the diff without changing anything
+app.post("/reconcile-schedules", async (req, res) => {
+  try {
+    const report = await scheduleReconciler.reconcile({
+      dryRun: Boolean(req.body?.dryRun),
+    });
+    res.json(report);
+  } catch (error) {
+    console.error("[Reconcile Schedules Error]:", error);
+    res.status(500).json({
+      error: "Failed to reconcile schedules",
+      details: error.message,
+    });
+  }
+});
+
+// A patient's active schedules and recent health-cron jobs, from MonitoringJob
+// Query: ?since=<ISO date> (default 7 days ago), ?limit=<history rows> (default 200)
+app.get("/patients/:phone/monitoring", async (req, res) => {
+  try {
+    const cleanPhone = req.params.phone.replace(/\D/g, "");
+    const phoneNumber = cleanPhone.startsWith("1")
+      ? `+${cleanPhone}`
+      : `+1${cleanPhone}`;
+
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    if (since && isNaN(since.getTime())) {
+      return res.status(400).json({ error: "since must be a valid date" });
+    }
+    const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+    if (limit !== undefined && !(limit > 0)) {
+      return res.status(400).json({ error: "limit must be a positive number" });
+    }
+
+    const monitoring = await monitoringJobLog.getPatientMonitoring(
+      phoneNumber,
+      { since, limit }
+    );
+    if (!monitoring) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    res.json(monitoring);
+  } catch (error) {
+    console.error("[Patient Monitoring Error]:", error);
+    res.status(500).json({
+      error: "Failed to load patient monitoring",
+      details: error.message,
+    });
+  }
+});
+
+// A patient's medication reminders and how many doses they confirmed taking
+app.get("/patients/:phone/medications", async (req, res) => {
+  try {
+    const cleanPhone = req.params.phone.replace(/\D/g, "");
+    const phoneNumber = cleanPhone.startsWith("1")
+      ? `+${cleanPhone}`
+      : `+1${cleanPhone}`;
+
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    if (days !== undefined && !(days > 0)) {
+      return res.status(400).json({ error: "days must be a positive number" });
+    }
+
+    const patient = await prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) {
+      return res.status(404).json({ error: "Patient not found" });
+    }
+
+    res.json({
+      patient: {
+        id: patient.id,
+        firstName: patient.firstName,
+        phoneNumber: patient.phoneNumber,
+        timezone: patient.timezone,
+      },
+      reminders: await medicationReminders.getReminders(patient.id),
+      adherence: await medicationReminders.getAdherence(patient.id, { days }),
+    });
+  } catch (error) {
+    console.error("[Patient Medications Error]:", error);
+    res.status(500).json({
+      error: "Failed to load patient medications",
+      details: error.message,
+    });
+  }
+});
+
 // Broadcast message to all users
 app.post("/broadcast", async (req, res) => {
   try {
-    const { message, mediaUrl } = req.body;
+    const { message, mediaUrl, emergency = false } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: "Message is required" });
@@ -1622,6 +1024,9 @@ app.post("/broadcast", async (req, res) => {
         to: user.phone,
         message: `Hi ${user.firstName}! 📢\n\n${message}`,
         mediaUrl,
+        messageType: "broadcast",
+        // Only emergency broadcasts go out during patients' quiet hours
+        tier: emergency ? "emergency" : "bulk",
       });
       queuedJobs++;
     }
@@ -1642,6 +1047,60 @@ app.post("/broadcast", async (req, res) => {
   }
 });
 
+// Fake transport outbox (only when MESSAGING_TRANSPORT=fake)
+app.get("/dev/fake-transport/messages", async (req, res) => {
+  const transport = getMessagingTransport();
+  if (!transport.isFake) {
+    return res.status(404).json({ error: "Fake transport is not enabled" });
+  }
+
+  try {
+    const messages = await transport.getSentMessages({ to: req.query.to });
+    res.json({ count: messages.length, messages });
+  } catch (error) {
+    console.error("[Fake Transport Error]:", error);
+    res.status(500).json({
+      error: "Failed to read fake transport outbox",
+      details: error.message,
+    });
+  }
+});
+
+// Simulate an inbound patient reply or a delivery status through the fake transport
+app.post("/dev/fake-transport/simulate", async (req, res) => {
+  const transport = getMessagingTransport();
+  if (!transport.isFake) {
+    return res.status(404).json({ error: "Fake transport is not enabled" });
+  }
+
+  try {
+    const { type = "inbound", from, body, messageSid, status, extra } =
+      req.body;
+
+    if (type === "status") {
+      if (!messageSid || !status) {
+        return res
+          .status(400)
+          .json({ error: "messageSid and status are required" });
+      }
+      const result = await transport.simulateStatus(messageSid, status, extra);
+      return res.json({ simulated: "status", payload: result.payload });
+    }
+
+    if (!from || !body) {
+      return res.status(400).json({ error: "from and body are required" });
+    }
+    const result = await transport.simulateInbound(from, body, extra);
+    res.json({ simulated: "inbound", payload: result.payload });
+  } catch (error) {
+    console.error("[Fake Transport Error]:", error);
+    res.status(500).json({
+      error: "Failed to simulate webhook",
+      details: error.message,
+    });
+  }
+});
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
@@ -1653,6 +1112,33 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Shared weather cache hit/miss counts per data type, across all processes
+app.get("/weather/cache-stats", async (req, res) => {
+  try {
+    res.json(await weatherCache.getStats());
+  } catch (error) {
+    console.error("[Weather Cache Stats Error]:", error);
+    res.status(500).json({
+      error: "Failed to load weather cache stats",
+      details: error.message,
+    });
+  }
+});
+
+// Start counting weather cache hits and misses from zero
+app.delete("/weather/cache-stats", async (req, res) => {
+  try {
+    await weatherCache.resetStats();
+    res.json({ success: true });
+  } catch (error) {
+    console.error("[Weather Cache Stats Error]:", error);
+    res.status(500).json({
+      error: "Failed to reset weather cache stats",
+      details: error.message,
+    });
+  }
+});
+
 // API endpoint to send weather alerts (for demo)
 app.post("/api/send-weather-alert", async (req, res) => {
   try {
@@ -1666,7 +1152,6 @@ app.post("/api/send-weather-alert", async (req, res) => {
 
     // Import weather service
     const weatherService = require("./services/weatherService");
-    const { getTwilioClient } = require("./services");
 
     // Create demo patient data
     const demoPatient = {
@@ -1736,12 +1221,9 @@ app.post("/api/send-weather-alert", async (req, res) => {
 
       // Send via WhatsApp
       console.log(`📤 Sending WhatsApp message to ${phoneNumber}...`);
-      const twilio = getTwilioClient();
-
-      const message = await twilio.messages.create({
+      const message = await getMessagingTransport().send({
+        to: phoneNumber,
         body: alert.message,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: `whatsapp:${phoneNumber}`,
       });
 
       console.log(`✅ Weather alert sent! Message SID: ${message.sid}`);
@@ -1789,6 +1271,96 @@ app.post("/api/send-weather-alert", async (req, res) => {
   }
 });
 
+// Save the onboarding form's medication reminders ("Lasix 8am" per line) -
+// a failure here must not fail the registration
+const saveFormReminders = async (phoneNumber, lines) => {
+  if (!lines || lines.length === 0) return null;
+  try {
+    return await medicationReminders.setFromForm(phoneNumber, lines);
+  } catch (error) {
+    console.error(
+      `❌ Failed to save medication reminders for ${phoneNumber}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+// Family contact columns from the onboarding form. The contact keeps their
+// consent while the number and the patient's permission are unchanged; a new
+// number has to accept again
+const toFamilyContactColumns = (body, existingPatient) => {
+  const phone = body.familyContactPhone?.trim() || null;
+  const sameContact =
+    phone &&
+    familyEscalation.normalizePhone(phone) ===
+      familyEscalation.normalizePhone(existingPatient?.familyContactPhone);
+
+  return {
+    familyContactName: body.familyContactName?.trim() || null,
+    familyContactRelation: body.familyContactRelation?.trim() || null,
+    familyContactPhone: phone,
+    familyContactConsent: Boolean(
+      sameContact &&
+        body.notifyFamilyContact &&
+        existingPatient.familyContactConsent
+    ),
+  };
+};
+
+// Healthcare provider columns from the onboarding form. The digest setting
+// belongs to the provider, so it is only kept for the same number
+const toProviderColumns = (body, existingPatient) => {
+  const phone = body.healthcareProviderPhone?.trim() || null;
+  const sameProvider =
+    phone &&
+    familyEscalation.normalizePhone(phone) ===
+      familyEscalation.normalizePhone(existingPatient?.healthcareProviderPhone);
+
+  return {
+    healthcareProviderName: body.healthcareProviderName?.trim() || null,
+    healthcareProviderHospital: body.healthcareProviderHospital?.trim() || null,
+    healthcareProviderPhone: phone,
+    healthcareProviderConsent: Boolean(phone && body.shareWithProvider),
+    healthcareProviderDigest: Boolean(
+      sameProvider && existingPatient.healthcareProviderDigest
+    ),
+  };
+};
+
+// Tell a newly consented provider about the patient - a failure here must
+// not fail the registration
+const introduceProvider = async (patient, existingPatient) => {
+  const alreadyIntroduced =
+    existingPatient?.healthcareProviderConsent &&
+    familyEscalation.normalizePhone(existingPatient.healthcareProviderPhone) ===
+      familyEscalation.normalizePhone(patient.healthcareProviderPhone);
+  if (alreadyIntroduced) return;
+
+  try {
+    await providerNotifications.introduceToProvider(patient);
+  } catch (error) {
+    console.error(
+      `❌ Failed to contact the provider of ${patient.phoneNumber}:`,
+      error.message
+    );
+  }
+};
+
+// Ask the form's family contact to accept alerts, when the patient allowed
+// it - a failure here must not fail the registration
+const askFamilyContact = async (patient, notifyFamilyContact) => {
+  if (!notifyFamilyContact) return;
+  try {
+    await familyEscalation.requestContactConsent(patient);
+  } catch (error) {
+    console.error(
+      `❌ Failed to ask family contact of ${patient.phoneNumber} for consent:`,
+      error.message
+    );
+  }
+};
+
 // Patient onboarding API endpoint
 app.post("/api/onboarding", async (req, res) => {
   try {
@@ -1804,6 +1376,8 @@ app.post("/api/onboarding", async (req, res) => {
       isPregnant,
       activityLevel,
       dialysisSchedule,
+      medicationReminders: reminderLines,
+      notifyFamilyContact,
     } = req.body;
 
     // Validate required fields
@@ -1814,6 +1388,12 @@ app.post("/api/onboarding", async (req, res) => {
       });
     }
 
+    if (!isValidZip(zipcode)) {
+      return res.status(400).json({
+        error: `${zipcode} is not a valid US ZIP code`,
+      });
+    }
+
     // Clean up phone number format
     const cleanPhone = phoneNumber.replace(/\D/g, "");
     const formattedPhone = cleanPhone.startsWith("1")
@@ -1825,6 +1405,9 @@ app.post("/api/onboarding", async (req, res) => {
       where: { phoneNumber: formattedPhone },
     });
 
+    // Resolved offline so daily checkups run at the patient's local time
+    const timezone = getTimezoneForZip(zipcode);
+
     if (existingPatient) {
       // Update existing patient
       const updatedPatient = await prisma.patient.update({
@@ -1832,6 +1415,7 @@ app.post("/api/onboarding", async (req, res) => {
         data: {
           firstName,
           zipcode,
+          timezone,
           age: parseInt(age),
           optOutCustomMessages: Boolean(optOut),
           medications: medications ? JSON.stringify(medications) : null,
@@ -1840,7 +1424,9 @@ app.post("/api/onboarding", async (req, res) => {
           smoker: Boolean(smoker),
           isPregnant: Boolean(isPregnant),
           activityLevel: activityLevel || "moderate",
-          dialysisSchedule: dialysisSchedule || null,
+          ...toDialysisColumns(dialysisSchedule),
+          ...toFamilyContactColumns(req.body, existingPatient),
+          ...toProviderColumns(req.body, existingPatient),
           updatedAt: new Date(),
         },
       });
@@ -1849,10 +1435,35 @@ app.post("/api/onboarding", async (req, res) => {
         `✅ Updated patient profile for ${formattedPhone}: ${firstName}`
       );
 
+      // A new ZIP can move the daily checkup to another timezone
+      if (
+        updatedPatient.timezone !== existingPatient.timezone &&
+        updatedPatient.monitoringEnabled &&
+        !updatedPatient.optOutCustomMessages
+      ) {
+        try {
+          await scheduleDailyCheckup(formattedPhone, {
+            timezone: updatedPatient.timezone,
+            checkinTime: updatedPatient.checkinTime,
+          });
+          await medicationReminders.rescheduleAll(formattedPhone);
+        } catch (error) {
+          console.error(
+            `❌ Failed to reschedule checkups for ${formattedPhone}:`,
+            error.message
+          );
+        }
+      }
+
+      const reminders = await saveFormReminders(formattedPhone, reminderLines);
+      await askFamilyContact(updatedPatient, notifyFamilyContact);
+      await introduceProvider(updatedPatient, existingPatient);
+
       return res.json({
         success: true,
         message: "Profile updated successfully",
         patient: { id: updatedPatient.id, firstName: updatedPatient.firstName },
+        medicationReminders: reminders,
       });
     } else {
       // Create new patient
@@ -1861,6 +1472,7 @@ app.post("/api/onboarding", async (req, res) => {
           firstName,
           phoneNumber: formattedPhone,
           zipcode,
+          timezone,
           age: parseInt(age),
           optOutCustomMessages: Boolean(optOut),
           medications: medications ? JSON.stringify(medications) : null,
@@ -1869,7 +1481,9 @@ app.post("/api/onboarding", async (req, res) => {
           smoker: Boolean(smoker),
           isPregnant: Boolean(isPregnant),
           activityLevel: activityLevel || "moderate",
-          dialysisSchedule: dialysisSchedule || null,
+          ...toDialysisColumns(dialysisSchedule),
+          ...toFamilyContactColumns(req.body, null),
+          ...toProviderColumns(req.body, null),
         },
       });
 
@@ -1878,7 +1492,7 @@ app.post("/api/onboarding", async (req, res) => {
       // Schedule daily checkups for new patients
       if (!Boolean(optOut)) {
         try {
-          await scheduleDailyCheckup(formattedPhone);
+          await scheduleDailyCheckup(formattedPhone, { timezone });
           console.log(
             `✅ Scheduled daily checkups for new patient: ${formattedPhone}`
           );
@@ -1890,10 +1504,15 @@ app.post("/api/onboarding", async (req, res) => {
         }
       }
 
+      const reminders = await saveFormReminders(formattedPhone, reminderLines);
+      await askFamilyContact(newPatient, notifyFamilyContact);
+      await introduceProvider(newPatient, null);
+
       return res.json({
         success: true,
         message: "Registration successful",
         patient: { id: newPatient.id, firstName: newPatient.firstName },
+        medicationReminders: reminders,
       });
     }
   } catch (error) {
@@ -1936,6 +1555,11 @@ const startServer = async () => {
         "  POST /schedule-checkup         - Schedule health checkups"
       );
       console.log("  POST /cancel-checkups          - Cancel health checkups");
+      if (isSignatureBypassEnabled()) {
+        console.warn(
+          "⚠️  Twilio signature verification is BYPASSED (TWILIO_SIGNATURE_BYPASS=true)"
+        );
+      }
       console.log("\n🔗 Set your Twilio webhook URLs to:");
       console.log(
         `     WhatsApp: https://24a3ffeedf11.ngrok-free.app/twilio/whatsapp-webhook`
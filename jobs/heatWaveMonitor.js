@@ -1,14 +1,31 @@
 // Heat Wave Monitoring Cron Job
-// Focuses on senior citizens (65+) with ZIP-based heat alerts
+// Focuses on senior citizens (65+) with ZIP-based heat alerts, plus cold
+// weather alerts for everyone at risk in winter
 
 const weatherService = require("../services/weatherService");
 const seniorHeatAlerts = require("../services/seniorHeatAlerts");
-const { getPrismaClient, getTwilioClient } = require("../services");
+const heatWavePhases = require("../services/heatWavePhases");
+const { getPrismaClient, getRedisConnection } = require("../services");
+const { whatsappQueue, scheduleWeatherAlertCheckin } = require("../queue");
+const { getDialysisSchedule } = require("../utils/dialysisSchedule");
+const { assessColdRiskFactors } = require("../utils/coldWeather");
+const { toDateKey } = require("../utils/heatWaveEvents");
+const { getTimezoneForZip } = require("../utils/zipTimezone");
+const {
+  groupPatientsByCounty,
+  describeGroup,
+} = require("../utils/zipDatabase");
+
+// Senior heat and cold alerts sent per patient, level and local day. Kept in
+// Redis because the worker builds a new monitor for every run
+const SENIOR_HEAT_ALERT_KEY_PREFIX = "senior-heat-alert-sent:";
+const COLD_ALERT_KEY_PREFIX = "cold-alert-sent:";
+const ALERT_SENT_TTL_SECONDS = 2 * 24 * 60 * 60;
 
 class HeatWaveMonitor {
   constructor() {
     this.prisma = getPrismaClient();
-    this.twilio = getTwilioClient();
+    this.redis = getRedisConnection();
     this.sentAlerts = new Map(); // Track sent alerts to avoid duplicates
   }
 
@@ -41,33 +58,55 @@ class HeatWaveMonitor {
           age: true,
           isPregnant: true,
           smoker: true,
+          activityLevel: true,
           chronicConditions: true,
           preExistingConditions: true,
           medications: true,
+          timezone: true,
+          dialysisSchedule: true,
+          dialysisDays: true,
+          dialysisTime: true,
+          dialysisShift: true,
         },
       });
 
       console.log(`📋 Checking weather for ${users.length} users...`);
 
       let alertsSent = 0;
+      let coldAlertsSent = 0;
+      let phaseMessagesSent = 0;
       let errorsCount = 0;
 
-      // Group users by zipcode to reduce API calls
-      const usersByZip = this.groupUsersByZipcode(users);
+      // Group users by county to reduce API calls - the county's most common
+      // ZIP stands in for its weather
+      const countyGroups = groupPatientsByCounty(users);
 
-      for (const [zipcode, zipUsers] of Object.entries(usersByZip)) {
+      for (const group of countyGroups) {
+        const { zipcode, patients: zipUsers } = group;
         try {
-          // Check for heat wave in this zipcode
+          // Check for heat wave and dangerous cold in this county
           const heatWaveData = await weatherService.detectHeatWave(zipcode);
+          const coldWaveData = await weatherService.detectColdWave(zipcode);
 
           console.log(
-            `📍 ${zipcode} (${zipUsers.length} users): ${heatWaveData.description}`
+            `📍 ${describeGroup(group)} (${zipUsers.length} users): ${
+              coldWaveData.isColdWave
+                ? coldWaveData.description
+                : heatWaveData.description
+            }`
           );
 
           // Send senior-focused alerts for heat conditions
-          // Seniors get alerts at lower thresholds (90°F vs 95°F)
-          const seniorUsers = zipUsers.filter((user) => user.age >= 65);
-          const otherUsers = zipUsers.filter((user) => user.age < 65);
+          // Seniors get alerts at lower thresholds (90°F vs 95°F); dialysis
+          // patients of any age get them too in heat, for the fluid-limit
+          // and session-day advice
+          const needsSeniorAlert = (user) =>
+            user.age >= 65 || Boolean(getDialysisSchedule(user));
+          // During a cold wave the cold alert replaces their heat reminder
+          const seniorUsers = coldWaveData.isColdWave
+            ? []
+            : zipUsers.filter(needsSeniorAlert);
+          const otherUsers = zipUsers.filter((user) => !needsSeniorAlert(user));
 
           // Priority 1: Send senior-specific alerts
           for (const senior of seniorUsers) {
@@ -112,11 +151,39 @@ class HeatWaveMonitor {
             }
           }
 
-          // Small delay between zipcodes to be nice to the API
+          // Priority 3: Cold weather alerts - everyone for cold warnings and
+          // emergencies, patients with cold risk factors for freezing weather
+          if (coldWaveData.isColdWave) {
+            for (const user of zipUsers) {
+              try {
+                const alertSent = await this.sendColdWeatherAlert(
+                  user,
+                  coldWaveData
+                );
+                if (alertSent) {
+                  coldAlertsSent++;
+                }
+              } catch (error) {
+                console.error(
+                  `Error sending cold alert to user ${user.id}:`,
+                  error.message
+                );
+                errorsCount++;
+              }
+            }
+          }
+
+          // Priority 4: Heat-wave preparation / during / recovery messages
+          // for forecast events, whatever today's conditions
+          const phaseResults = await this.sendPhaseMessages(group);
+          phaseMessagesSent += phaseResults.sent;
+          errorsCount += phaseResults.errors;
+
+          // Small delay between counties to be nice to the API
           await this.delay(1000);
         } catch (error) {
           console.error(
-            `Error checking weather for zipcode ${zipcode}:`,
+            `Error checking weather for ${describeGroup(group)}:`,
             error.message
           );
           errorsCount++;
@@ -125,13 +192,17 @@ class HeatWaveMonitor {
 
       console.log(`✅ Heat wave monitoring complete:`);
       console.log(`   📨 Alerts sent: ${alertsSent}`);
+      console.log(`   🥶 Cold weather alerts sent: ${coldAlertsSent}`);
+      console.log(`   🗓️ Heat-wave phase messages sent: ${phaseMessagesSent}`);
       console.log(`   ❌ Errors: ${errorsCount}`);
-      console.log(`   📍 Zipcodes checked: ${Object.keys(usersByZip).length}`);
+      console.log(`   📍 Counties checked: ${countyGroups.length}`);
 
       return {
         alertsSent,
+        coldAlertsSent,
+        phaseMessagesSent,
         errorsCount,
-        zipcodesChecked: Object.keys(usersByZip).length,
+        countiesChecked: countyGroups.length,
       };
     } catch (error) {
       console.error("❌ Heat wave monitoring job failed:", error.message);
@@ -140,34 +211,204 @@ class HeatWaveMonitor {
   }
 
   /**
-   * Send senior-specific heat wave alert (lower thresholds, health-focused)
+   * Send a cold weather alert (wind chill, winter storm or freeze) and, for
+   * extreme cold or at-risk patients in a cold warning, start hypothermia
+   * check-ins. Each level goes to a patient once per local day, so the
+   * check-ins aren't restarted by every monitoring run
    */
-  async sendSeniorHeatAlert(senior, heatWaveData) {
+  async sendColdWeatherAlert(user, coldWaveData) {
+    const riskFactors = assessColdRiskFactors(user);
+    const { alertLevel } = coldWaveData;
+
+    // Freezing weather alone is only worth a message for at-risk patients
+    if (alertLevel === "watch" && riskFactors.length === 0) {
+      return false;
+    }
+
+    const alertKey = this.getAlertKey(COLD_ALERT_KEY_PREFIX, user, alertLevel);
+    let claimed = false;
     try {
-      // Check for duplicate alerts
-      const alertKey = `senior-${senior.zipcode}-${new Date().toDateString()}`;
-      if (this.sentAlerts.has(alertKey)) {
-        console.log(
-          `⏭️ Skipping duplicate senior alert for ${senior.firstName}`
-        );
+      claimed = await this.claimAlert(alertKey);
+      if (!claimed) {
+        console.log(`⏭️ Skipping duplicate cold alert for user ${user.id}`);
         return false;
       }
 
+      const alert = weatherService.generateColdWeatherAlert(
+        coldWaveData,
+        user
+      );
+
+      // Queue WhatsApp message (held during quiet hours unless it's an emergency)
+      await this.queueAlert(
+        user,
+        alert.message,
+        alert.urgency,
+        "cold_weather_alert"
+      );
+
+      console.log(
+        `🥶 Cold weather alert sent to ${user.firstName}: ${alertLevel} level (risks: ${
+          riskFactors.join(", ") || "none"
+        })`
+      );
+
+      if (
+        alertLevel === "emergency" ||
+        (alertLevel === "warning" && riskFactors.length > 0)
+      ) {
+        const extreme = alertLevel === "emergency";
+        await scheduleWeatherAlertCheckin(
+          user.phoneNumber,
+          {
+            type: extreme ? "extreme_cold" : "cold_wave",
+            level: extreme ? "emergency" : "warning",
+            message: extreme
+              ? "🧊 EXTREME COLD EMERGENCY"
+              : "❄️ COLD WAVE WARNING",
+            description: coldWaveData.description,
+            urgency: extreme ? "emergency" : "high",
+          },
+          user
+        );
+      }
+
+      return true;
+    } catch (error) {
+      console.error(
+        `Failed to send cold weather alert to ${user.firstName}:`,
+        error.message
+      );
+      // Let the next run retry
+      if (claimed) {
+        await this.redis.del(alertKey).catch(() => null);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Dedupe key for a daily alert: patient, level and the patient's local day
+   */
+  getAlertKey(prefix, user, level) {
+    const timezone = user.timezone || getTimezoneForZip(user.zipcode);
+    return `${prefix}${user.id}:${level}:${toDateKey(new Date(), timezone)}`;
+  }
+
+  /**
+   * Reserve a daily alert
+   * @returns {boolean} - false when it was already sent today
+   */
+  async claimAlert(alertKey) {
+    const result = await this.redis.set(
+      alertKey,
+      new Date().toISOString(),
+      "EX",
+      ALERT_SENT_TTL_SECONDS,
+      "NX"
+    );
+    return result === "OK";
+  }
+
+  /**
+   * Send the heat-wave phase messages due today (T-3, T-1, during, T+1) to a
+   * county's patients, each phase once per patient per event
+   * @returns {Object} - {sent, errors}
+   */
+  async sendPhaseMessages(group) {
+    const { zipcode, patients } = group;
+    const results = { sent: 0, errors: 0 };
+
+    const { due } = await heatWavePhases.getDuePhases(zipcode);
+    for (const duePhase of due) {
+      const { event, phaseKey } = duePhase;
+      console.log(
+        `🗓️ ${describeGroup(group)}: heat wave ${event.startDate} to ${event.endDate} (${event.peakFeelsLike}°F) - ${phaseKey}`
+      );
+
+      for (const patient of patients) {
+        let claimed = false;
+        try {
+          claimed = await heatWavePhases.claimPhase(
+            patient.id,
+            event,
+            phaseKey
+          );
+          if (!claimed) continue;
+
+          const phaseMessage = heatWavePhases.generatePhaseMessage(
+            duePhase,
+            patient
+          );
+          if (!phaseMessage) continue;
+
+          await this.queueAlert(
+            patient,
+            phaseMessage.message,
+            phaseMessage.urgency,
+            "heat_wave_phase",
+            phaseMessage.pollType
+          );
+          results.sent++;
+          console.log(
+            `📱 Heat-wave ${phaseKey} message sent to ${patient.firstName}`
+          );
+        } catch (error) {
+          console.error(
+            `Error sending heat-wave phase message to ${patient.firstName}:`,
+            error.message
+          );
+          if (claimed) {
+            await heatWavePhases
+              .releasePhase(patient.id, event, phaseKey)
+              .catch(() => null);
+          }
+          results.errors++;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send senior-specific heat wave alert (lower thresholds, health-focused),
+   * once per patient, urgency and local day. Dialysis patients under 65 get
+   * it only when there is heat to warn about, not the routine weather check
+   */
+  async sendSeniorHeatAlert(senior, heatWaveData) {
+    let alertKey = null;
+    try {
       // Use senior-specific alert system
       const seniorAlert = await seniorHeatAlerts.generateSeniorHeatAlert(
         senior.zipcode,
         senior
       );
 
-      // Send WhatsApp message
-      const message = await this.twilio.messages.create({
-        body: seniorAlert.message,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: `whatsapp:${senior.phoneNumber}`,
-        statusCallback: process.env.BASE_URL
-          ? `${process.env.BASE_URL}/webhook/status`
-          : undefined,
-      });
+      if (!(senior.age >= 65) && seniorAlert.urgency === "routine") {
+        return false;
+      }
+
+      const key = this.getAlertKey(
+        SENIOR_HEAT_ALERT_KEY_PREFIX,
+        senior,
+        seniorAlert.urgency
+      );
+      if (!(await this.claimAlert(key))) {
+        console.log(
+          `⏭️ Skipping duplicate senior alert for ${senior.firstName}`
+        );
+        return false;
+      }
+      alertKey = key;
+
+      // Queue WhatsApp message (held during quiet hours unless it's an emergency)
+      await this.queueAlert(
+        senior,
+        seniorAlert.message,
+        seniorAlert.urgency,
+        "senior_heat_alert"
+      );
 
       console.log(
         `📱 Senior heat alert sent to ${senior.firstName} (age ${senior.age}): ${seniorAlert.urgency} level`
@@ -185,23 +426,16 @@ class HeatWaveMonitor {
         );
       }
 
-      // Log the senior alert
-      await this.logHeatWaveAlert(
-        message.sid,
-        senior,
-        seniorAlert,
-        "senior_heat_alert"
-      );
-
-      // Mark as sent
-      this.sentAlerts.add(alertKey);
-
       return true;
     } catch (error) {
       console.error(
         `Failed to send senior heat alert to ${senior.firstName}:`,
         error.message
       );
+      // Let the next run retry
+      if (alertKey) {
+        await this.redis.del(alertKey).catch(() => null);
+      }
       return false;
     }
   }
@@ -226,15 +460,8 @@ class HeatWaveMonitor {
       // Generate personalized alert message
       const alert = weatherService.generateHeatWaveAlert(heatWaveData, user);
 
-      // Send WhatsApp message
-      const message = await this.twilio.messages.create({
-        body: alert.message,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: `whatsapp:${user.phoneNumber}`,
-        statusCallback: process.env.BASE_URL
-          ? `${process.env.BASE_URL}/webhook/status`
-          : undefined,
-      });
+      // Queue WhatsApp message (held during quiet hours unless it's an emergency)
+      await this.queueAlert(user, alert.message, alert.urgency, "heat_wave_alert");
 
       console.log(
         `📱 Heat wave alert sent to ${user.firstName} (${
@@ -242,9 +469,6 @@ class HeatWaveMonitor {
         }): ${alert.message.substring(0, 50)}...`
       );
 
-      // Log the alert in database
-      await this.logHeatWaveAlert(user, heatWaveData, alert, message.sid);
-
       // Mark as sent to avoid duplicates
       this.sentAlerts.set(alertKey, true);
 
@@ -276,29 +500,18 @@ class HeatWaveMonitor {
         user
       );
 
-      // Send WhatsApp message
-      const message = await this.twilio.messages.create({
-        body: aiAlert.message,
-        from: process.env.TWILIO_WHATSAPP_NUMBER,
-        to: `whatsapp:${user.phoneNumber}`,
-        statusCallback: process.env.BASE_URL
-          ? `${process.env.BASE_URL}/webhook/status`
-          : undefined,
-      });
+      // Queue WhatsApp message (held during quiet hours unless it's an emergency)
+      await this.queueAlert(
+        user,
+        aiAlert.message,
+        aiAlert.urgency,
+        aiAlert.aiGenerated ? "ai_weather_alert" : "weather_alert"
+      );
 
       console.log(
         `🤖📱 AI weather alert sent to ${user.firstName}: ${aiAlert.urgency} level (AI: ${aiAlert.aiGenerated})`
       );
 
-      // Log the alert with AI flag
-      await this.logHeatWaveAlert(
-        user,
-        heatWaveData,
-        aiAlert,
-        message.sid,
-        aiAlert.aiGenerated ? "ai_weather_alert" : "weather_alert"
-      );
-
       // Mark as sent
       this.sentAlerts.set(alertKey, true);
 
@@ -314,58 +527,18 @@ class HeatWaveMonitor {
   }
 
   /**
-   * Log heat wave alert in database
-   */
-  async logHeatWaveAlert(
-    user,
-    heatWaveData,
-    alert,
-    messageSid,
-    alertType = "heat_wave_alert"
-  ) {
-    try {
-      await this.prisma.message.create({
-        data: {
-          patientId: user.id,
-          phoneNumber: user.phoneNumber,
-          direction: "outbound",
-          body: alert.message,
-          messageSid: messageSid,
-          messageType: alertType,
-          metadata: JSON.stringify({
-            alertLevel: heatWaveData.alertLevel,
-            maxFeelsLike: heatWaveData.maxFeelsLike,
-            daysAffected: heatWaveData.daysAffected,
-            city: heatWaveData.city,
-            urgency: alert.urgency,
-            riskFactors: alert.riskFactors,
-            aiGenerated: alert.aiGenerated || false,
-            weatherContext: alert.weatherContext || {},
-          }),
-        },
-      });
-    } catch (error) {
-      console.error("Failed to log heat wave alert:", error.message);
-    }
-  }
-
-  /**
-   * Group users by zipcode to optimize API calls
+   * Queue an alert on whatsapp-queue; the worker logs it once sent (and
+   * opens the poll, when the alert asks one)
    */
-  groupUsersByZipcode(users) {
-    const grouped = {};
-
-    for (const user of users) {
-      if (!user.zipcode) continue;
-
-      if (!grouped[user.zipcode]) {
-        grouped[user.zipcode] = [];
-      }
-
-      grouped[user.zipcode].push(user);
-    }
-
-    return grouped;
+  async queueAlert(user, message, urgency, alertType, pollType = null) {
+    return whatsappQueue.add("send-whatsapp", {
+      to: user.phoneNumber,
+      message,
+      messageType: alertType,
+      pollType,
+      tier: urgency === "emergency" ? "emergency" : "alert",
+      collapseKey: `${alertType}-${user.phoneNumber}`,
+    });
   }
 
   /**
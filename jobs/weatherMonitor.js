@@ -3,6 +3,10 @@ const { whatsappQueue } = require("../queue");
 const weatherService = require("../services/weatherService");
 const medgemmaService = require("../services/medgemmaService");
 const { getPrismaClient } = require("../services");
+const {
+  groupPatientsByCounty,
+  describeGroup,
+} = require("../utils/zipDatabase");
 
 class WeatherMonitor {
   constructor() {
@@ -60,14 +64,19 @@ class WeatherMonitor {
         return;
       }
 
-      // Group patients by ZIP code to minimize API calls
-      const zipGroups = this.groupPatientsByZip(patients);
-      const uniqueZips = Object.keys(zipGroups);
+      // Group patients by county to minimize API calls - each county's most
+      // common ZIP stands in for its weather
+      const countyGroups = groupPatientsByCounty(patients);
+      const groupsByZip = Object.fromEntries(
+        countyGroups.map((group) => [group.zipcode, group])
+      );
 
-      console.log(`🗺️  Monitoring ${uniqueZips.length} unique ZIP codes`);
+      console.log(`🗺️  Monitoring ${countyGroups.length} counties`);
 
-      // Get weather data for all ZIP codes
-      const weatherResults = await weatherService.getBulkWeather(uniqueZips);
+      // Get weather data for all counties
+      const weatherResults = await weatherService.getBulkWeather(
+        Object.keys(groupsByZip)
+      );
 
       let alertsSent = 0;
       let errorsCount = 0;
@@ -82,8 +91,14 @@ class WeatherMonitor {
           continue;
         }
 
-        const patientsInZip = zipGroups[weatherData.zipCode];
-        const alerts = await this.processZipWeather(weatherData, patientsInZip);
+        const group = groupsByZip[weatherData.zipCode];
+        console.log(
+          `📍 ${describeGroup(group)}: ${group.patients.length} patients`
+        );
+        const alerts = await this.processZipWeather(
+          weatherData,
+          group.patients
+        );
         alertsSent += alerts;
       }
 
@@ -91,7 +106,7 @@ class WeatherMonitor {
       console.log(`✅ Weather monitoring completed in ${duration}s`);
       console.log(`📤 Sent ${alertsSent} weather alerts`);
       if (errorsCount > 0) {
-        console.log(`⚠️  ${errorsCount} ZIP codes had errors`);
+        console.log(`⚠️  ${errorsCount} counties had errors`);
       }
 
       this.lastRun = new Date();
@@ -103,14 +118,16 @@ class WeatherMonitor {
   }
 
   /**
-   * Process weather data for a specific ZIP code and its patients
+   * Process weather data for a county (its most common ZIP) and its
+   * patients
    */
   async processZipWeather(weatherData, patients) {
     let alertsSent = 0;
 
     const { weather, heatwave } = weatherData;
 
-    // Check if any alerts are needed
+    // Check if any heat alerts are needed (cold alerts come from the heat
+    // wave monitor)
     const shouldAlert = this.shouldSendWeatherAlert(weather, heatwave);
 
     if (!shouldAlert.alert) {
@@ -328,22 +345,6 @@ class WeatherMonitor {
     }
   }
 
-  /**
-   * Group patients by ZIP code for efficient processing
-   */
-  groupPatientsByZip(patients) {
-    const groups = {};
-
-    patients.forEach((patient) => {
-      if (!groups[patient.zipcode]) {
-        groups[patient.zipcode] = [];
-      }
-      groups[patient.zipcode].push(patient);
-    });
-
-    return groups;
-  }
-
   /**
    * Utilities
    */
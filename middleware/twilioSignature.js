@@ -0,0 +1,83 @@
+// Twilio webhook signature verification
+// Rejects any webhook POST whose X-Twilio-Signature does not match TWILIO_AUTH_TOKEN
+const twilio = require("twilio");
+
+/**
+ * Whether signature checks are bypassed (local development only)
+ * TWILIO_SIGNATURE_BYPASS=true is ignored when NODE_ENV=production
+ */
+const isSignatureBypassEnabled = () => {
+  if (process.env.TWILIO_SIGNATURE_BYPASS !== "true") return false;
+
+  if (process.env.NODE_ENV === "production") {
+    console.warn(
+      "⚠️  TWILIO_SIGNATURE_BYPASS is ignored in production - webhook signatures are enforced"
+    );
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Public URL Twilio signed the request against
+ */
+const getWebhookUrl = (req) => {
+  const baseUrl =
+    process.env.BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl.replace(/\/$/, "")}${req.originalUrl}`;
+};
+
+/**
+ * Log a rejected webhook attempt without echoing message content
+ */
+const logRejectedWebhook = (req, reason) => {
+  console.warn(
+    `🚫 [Webhook Security] Rejected ${req.method} ${req.originalUrl} from ${
+      req.ip
+    }: ${reason} (From: ${req.body?.From || "unknown"}, MessageSid: ${
+      req.body?.MessageSid || "unknown"
+    })`
+  );
+};
+
+/**
+ * Express middleware that validates the X-Twilio-Signature header
+ */
+const verifyTwilioSignature = (req, res, next) => {
+  if (isSignatureBypassEnabled()) {
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    logRejectedWebhook(req, "TWILIO_AUTH_TOKEN is not configured");
+    return res.status(403).send("Forbidden");
+  }
+
+  const signature = req.get("X-Twilio-Signature");
+  if (!signature) {
+    logRejectedWebhook(req, "missing X-Twilio-Signature header");
+    return res.status(403).send("Forbidden");
+  }
+
+  const url = getWebhookUrl(req);
+  const isValid = twilio.validateRequest(
+    authToken,
+    signature,
+    url,
+    req.body || {}
+  );
+
+  if (!isValid) {
+    logRejectedWebhook(req, `invalid signature for ${url}`);
+    return res.status(403).send("Forbidden");
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyTwilioSignature,
+  isSignatureBypassEnabled,
+};
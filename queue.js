@@ -9,8 +9,37 @@ const connection = new IORedis({
   maxRetriesPerRequest: null,
 });
 
+// Message priority tiers (BullMQ priority: lower number = sent first)
+// emergency - 911 prompts, emergency/critical monitoring, extreme weather
+// checkin   - health check-ins and replies to the patient
+// alert     - routine weather and heat alerts
+// bulk      - broadcasts
+const MESSAGE_TIERS = {
+  emergency: 1,
+  checkin: 2,
+  alert: 3,
+  bulk: 4,
+};
+const DEFAULT_MESSAGE_TIER = "checkin";
+
+const normalizeMessageTier = (tier) =>
+  MESSAGE_TIERS[tier] ? tier : DEFAULT_MESSAGE_TIER;
+
+// Every message job gets a priority - BullMQ serves un-prioritized jobs before
+// prioritized ones, so a job without one would jump ahead of emergencies
+class WhatsAppQueue extends Queue {
+  add(name, data = {}, opts = {}) {
+    const tier = normalizeMessageTier(data.tier);
+    return super.add(
+      name,
+      { ...data, tier },
+      { ...opts, priority: MESSAGE_TIERS[tier] }
+    );
+  }
+}
+
 // WhatsApp queue for handling WhatsApp messages
-const whatsappQueue = new Queue("whatsapp-queue", {
+const whatsappQueue = new WhatsAppQueue("whatsapp-queue", {
   connection,
   defaultJobOptions: {
     removeOnComplete: 100,
@@ -23,8 +52,79 @@ const whatsappQueue = new Queue("whatsapp-queue", {
   },
 });
 
+// Inbound queue for routing patient messages after the webhook acknowledges Twilio
+const inboundQueue = new Queue("inbound-queue", {
+  connection,
+  defaultJobOptions: {
+    removeOnComplete: 100,
+    removeOnFail: 50,
+    attempts: 3,
+    backoff: {
+      type: "exponential",
+      delay: 2000,
+    },
+  },
+});
+
+// Loaded on first use - services require this module, so requiring the
+// service up front would be circular
+const getMonitoringJobLog = () => require("./services/monitoringJobs");
+
+// Every patient health-cron job is mirrored into MonitoringJob as it is
+// scheduled and cancelled (the worker records completed and failed runs)
+class HealthCronQueue extends Queue {
+  async add(name, data = {}, opts = {}) {
+    const job = await super.add(name, data, opts);
+    await getMonitoringJobLog().recordScheduled(job);
+    return job;
+  }
+
+  async upsertJobScheduler(schedulerId, repeatOpts, template) {
+    const job = await super.upsertJobScheduler(
+      schedulerId,
+      repeatOpts,
+      template
+    );
+
+    const monitoringJobLog = getMonitoringJobLog();
+    await monitoringJobLog.recordSchedule(schedulerId, {
+      name: template?.name,
+      phoneNumber: template?.data?.phoneNumber,
+      tag: template?.data?.tag,
+      nextRunAt: job ? new Date(job.timestamp + (job.delay || 0)) : null,
+    });
+    if (job) {
+      await monitoringJobLog.recordScheduled(job);
+    }
+    return job;
+  }
+
+  async removeJobScheduler(schedulerId) {
+    const scheduler = await this.getJobScheduler(schedulerId);
+    const removed = await super.removeJobScheduler(schedulerId);
+
+    if (removed) {
+      const monitoringJobLog = getMonitoringJobLog();
+      await monitoringJobLog.recordCancelled(schedulerId);
+      // The scheduler's next run goes with it
+      if (scheduler?.next) {
+        await monitoringJobLog.recordCancelled(
+          `repeat:${schedulerId}:${scheduler.next}`
+        );
+      }
+    }
+    return removed;
+  }
+
+  // Remove a pending job and record it as cancelled
+  async cancelJob(job) {
+    await job.remove();
+    await getMonitoringJobLog().recordCancelled(job.id);
+  }
+}
+
 // Health monitoring cron queue for scheduled check-ups
-const healthCronQueue = new Queue("health-cron-queue", {
+const healthCronQueue = new HealthCronQueue("health-cron-queue", {
   connection,
   defaultJobOptions: {
     removeOnComplete: 50,
@@ -80,93 +180,197 @@ const scheduleWeatherAlertCheckin = async (
   }
 };
 
-// Helper function to schedule recurring health monitoring based on symptom severity
+// Fallback minutes until the next check when the caller doesn't pass one
+const MONITORING_INTERVALS = {
+  critical: 2, // Every 2 minutes for critical symptoms
+  high: 5, // Every 5 minutes for high-risk symptoms
+  medium: 15, // Every 15 minutes for medium symptoms
+  low: 60, // Every 60 minutes for low-risk symptoms
+  emergency: 1, // Every 1 minute for emergencies
+};
+
+// Job ID of one check of a monitoring episode - deterministic, so a closing
+// episode can look its pending check up instead of scanning the queue
+const getMonitoringCheckJobId = (phoneNumber, tag, episodeId, checkNumber) =>
+  `recurring-monitor-${phoneNumber}-${tag}-${episodeId}-${checkNumber}`;
+
+// Helper function to queue the next check of a monitoring episode
+// The episode (services/monitoringEpisodes.js) decides the interval and when
+// to stop - each check has its own job ID so the running check can queue the next
 const scheduleHealthCheckup = async (
   phoneNumber,
   symptom,
   riskLevel = "medium",
-  tag = "symptom"
+  tag = "symptom",
+  { episodeId = null, checkNumber = 1, delayMinutes = null } = {}
 ) => {
-  // Cancel any existing monitoring for this user with the same tag
-  await cancelHealthCheckups(phoneNumber, tag);
-
-  // Determine monitoring interval based on symptom/risk level
-  const monitoringIntervals = {
-    critical: 2, // Every 2 minutes for critical symptoms
-    high: 5, // Every 5 minutes for high-risk symptoms
-    medium: 15, // Every 15 minutes for medium symptoms
-    low: 60, // Every 60 minutes for low-risk symptoms
-    emergency: 1, // Every 1 minute for emergencies
-  };
-
   const intervalMinutes =
-    monitoringIntervals[riskLevel] || monitoringIntervals.medium;
+    delayMinutes ??
+    (MONITORING_INTERVALS[riskLevel] || MONITORING_INTERVALS.medium);
 
-  // Schedule the first checkup
-  await healthCronQueue.add(
+  const job = await healthCronQueue.add(
     "recurring-health-monitor",
     {
       phoneNumber,
       symptom,
       riskLevel,
       intervalMinutes,
-      checkNumber: 1,
+      checkNumber,
+      episodeId,
       startTime: new Date().toISOString(),
       tag, // Add tag to job data
     },
     {
-      delay: intervalMinutes * 60 * 1000, // First check after interval
-      jobId: `recurring-monitor-${phoneNumber}-${tag}`, // Tag-specific job ID
+      delay: Math.round(intervalMinutes * 60 * 1000),
+      jobId: getMonitoringCheckJobId(
+        phoneNumber,
+        tag,
+        episodeId || Date.now(),
+        checkNumber
+      ),
     }
   );
 
   console.log(
-    `✅ Scheduled recurring ${riskLevel} monitoring [${tag}] for ${phoneNumber} every ${intervalMinutes} minutes`
+    `✅ Scheduled ${riskLevel} check #${checkNumber} [${tag}] for ${phoneNumber} in ${intervalMinutes} minutes`
+  );
+  return job;
+};
+
+// Helper function to cancel the pending check of a monitoring episode. A check
+// that is running right now may still queue the next one; it stops itself
+// because the episode is already closed
+const cancelMonitoringCheck = async (
+  phoneNumber,
+  { tag = "symptom", episodeId, checkNumber }
+) => {
+  const jobId = getMonitoringCheckJobId(
+    phoneNumber,
+    tag,
+    episodeId,
+    checkNumber
   );
+  const job = await healthCronQueue.getJob(jobId);
+  if (!job) return false;
+
+  await healthCronQueue.cancelJob(job);
+  console.log(`✅ Cancelled ${tag} monitoring: ${jobId}`);
+  return true;
+};
+
+// Daily check-ups run at the patient's local time ("HH:MM" in their IANA timezone)
+const DEFAULT_CHECKIN_TIME = "09:00";
+const DEFAULT_TIMEZONE =
+  process.env.DEFAULT_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const DAILY_CHECKUP_SCHEDULER_PREFIX = "daily-checkup-";
+
+const getDailyCheckupSchedulerId = (phoneNumber) =>
+  `${DAILY_CHECKUP_SCHEDULER_PREFIX}${phoneNumber}`;
+
+// Cron repeat options for a patient's daily checkup
+const getDailyCheckupRepeat = ({
+  timezone = null,
+  checkinTime = null,
+} = {}) => {
+  const tz = timezone || DEFAULT_TIMEZONE;
+  const time = checkinTime || DEFAULT_CHECKIN_TIME;
+  const [hours, minutes] = time.split(":").map((part) => parseInt(part));
+
+  return { pattern: `${minutes} ${hours} * * *`, tz, time };
 };
 
 // Helper function to schedule daily routine checkups
-const scheduleDailyCheckup = async (phoneNumber) => {
+// Runs as a timezone-aware cron repeat, so DST never moves the local time
+const scheduleDailyCheckup = async (
+  phoneNumber,
+  { timezone = null, checkinTime = null } = {}
+) => {
   // Cancel any existing daily checkup
   await cancelHealthCheckups(phoneNumber, "daily");
 
-  // Schedule daily checkup at 9 AM every day
-  const now = new Date();
-  const next9AM = new Date();
-  next9AM.setHours(9, 0, 0, 0);
+  const { pattern, tz, time } = getDailyCheckupRepeat({
+    timezone,
+    checkinTime,
+  });
 
-  // If it's already past 9 AM today, schedule for tomorrow
-  if (now >= next9AM) {
-    next9AM.setDate(next9AM.getDate() + 1);
-  }
+  const scheduler = await healthCronQueue.upsertJobScheduler(
+    getDailyCheckupSchedulerId(phoneNumber),
+    { pattern, tz },
+    {
+      name: "daily-health-checkup",
+      data: {
+        phoneNumber,
+        checkinTime: time,
+        timezone: tz,
+        tag: "daily",
+      },
+    }
+  );
 
-  const delay = next9AM.getTime() - now.getTime();
+  const nextRun = scheduler?.opts?.delay
+    ? new Date(Date.now() + scheduler.opts.delay)
+    : null;
 
-  await healthCronQueue.add(
-    "daily-health-checkup",
-    {
-      phoneNumber,
-      checkTime: next9AM.toISOString(),
-      tag: "daily",
-    },
+  console.log(
+    `✅ Scheduled daily checkup for ${phoneNumber} at ${time} ${tz}${
+      nextRun ? ` (next: ${nextRun.toISOString()})` : ""
+    }`
+  );
+};
+
+// Medication reminders - one cron scheduler per reminder time in the
+// patient's timezone (services/medicationReminders.js keeps the reminders)
+const MEDICATION_REMINDER_SCHEDULER_PREFIX = "medication-reminder-";
+
+const getMedicationReminderSchedulerId = (phoneNumber, reminderId) =>
+  `${MEDICATION_REMINDER_SCHEDULER_PREFIX}${phoneNumber}-${reminderId}`;
+
+// Helper function to schedule one medication reminder at its local time
+const scheduleMedicationReminder = async (
+  phoneNumber,
+  reminder,
+  { timezone = null } = {}
+) => {
+  const { pattern, tz, time } = getDailyCheckupRepeat({
+    timezone,
+    checkinTime: reminder.time,
+  });
+
+  await healthCronQueue.upsertJobScheduler(
+    getMedicationReminderSchedulerId(phoneNumber, reminder.id),
+    { pattern, tz },
     {
-      delay,
-      jobId: `daily-checkup-${phoneNumber}`,
-      repeat: { every: 24 * 60 * 60 * 1000 }, // Repeat every 24 hours
+      name: "medication-reminder",
+      data: {
+        phoneNumber,
+        reminderId: reminder.id,
+        medication: reminder.medication,
+        time,
+        timezone: tz,
+        tag: "medication",
+      },
     }
   );
 
   console.log(
-    `✅ Scheduled daily checkup for ${phoneNumber} at 9:00 AM (next: ${next9AM.toLocaleDateString()})`
+    `💊 Scheduled ${reminder.medication} reminder for ${phoneNumber} at ${time} ${tz}`
   );
 };
 
+// Helper function to cancel one medication reminder
+const cancelMedicationReminder = (phoneNumber, reminderId) =>
+  healthCronQueue.removeJobScheduler(
+    getMedicationReminderSchedulerId(phoneNumber, reminderId)
+  );
+
 // Helper function to cancel health monitoring for a user
 const cancelHealthCheckups = async (phoneNumber, tag = "all") => {
   try {
     if (tag === "all") {
       // Cancel all types of monitoring
-      const jobTypes = ["symptom", "daily", "weather-alert"];
+      const jobTypes = ["symptom", "daily", "weather-alert", "medication"];
       for (const jobTag of jobTypes) {
         await cancelHealthCheckups(phoneNumber, jobTag);
       }
@@ -174,36 +378,45 @@ const cancelHealthCheckups = async (phoneNumber, tag = "all") => {
     }
 
     if (tag === "daily") {
-      // Cancel daily checkup
-      const dailyJobId = `daily-checkup-${phoneNumber}`;
+      // Cancel daily checkup (the scheduler and its next delayed run)
+      const dailyJobId = getDailyCheckupSchedulerId(phoneNumber);
+      if (await healthCronQueue.removeJobScheduler(dailyJobId)) {
+        console.log(`✅ Cancelled daily checkup: ${dailyJobId}`);
+      }
+
+      // Checkups scheduled before the move to job schedulers
       const dailyJob = await healthCronQueue.getJob(dailyJobId);
       if (dailyJob) {
-        await dailyJob.remove();
-        console.log(`✅ Cancelled daily checkup: ${dailyJobId}`);
+        await healthCronQueue.cancelJob(dailyJob);
       }
-    } else if (tag === "symptom") {
-      // Cancel symptom-based monitoring
-      const symptomJobId = `recurring-monitor-${phoneNumber}-symptom`;
-      const symptomJob = await healthCronQueue.getJob(symptomJobId);
-      if (symptomJob) {
-        await symptomJob.remove();
-        console.log(`✅ Cancelled symptom monitoring: ${symptomJobId}`);
+    } else if (tag === "medication") {
+      // Cancel every medication reminder scheduler of the patient
+      const prefix = getMedicationReminderSchedulerId(phoneNumber, "");
+      const schedulers = await healthCronQueue.getJobSchedulers(0, -1);
+      for (const scheduler of schedulers) {
+        if (scheduler.key.startsWith(prefix)) {
+          await healthCronQueue.removeJobScheduler(scheduler.key);
+          console.log(`✅ Cancelled medication reminder: ${scheduler.key}`);
+        }
       }
+      return;
     } else if (tag === "weather-alert") {
       // Cancel weather alert monitoring
       const weatherJobId = `weather-alert-${phoneNumber}`;
       const weatherJob = await healthCronQueue.getJob(weatherJobId);
       if (weatherJob) {
-        await weatherJob.remove();
+        await healthCronQueue.cancelJob(weatherJob);
         console.log(`✅ Cancelled weather alert monitoring: ${weatherJobId}`);
       }
     } else {
-      // Cancel specific tag
-      const taggedJobId = `recurring-monitor-${phoneNumber}-${tag}`;
-      const taggedJob = await healthCronQueue.getJob(taggedJobId);
+      // Cancel symptom-based (or other tagged) monitoring - the single job of
+      // the old recurring loop. Episode checks are cancelled by ID when their
+      // episode closes (cancelMonitoringCheck)
+      const taggedJob = await healthCronQueue.getJob(
+        `recurring-monitor-${phoneNumber}-${tag}`
+      );
       if (taggedJob) {
-        await taggedJob.remove();
-        console.log(`✅ Cancelled ${tag} monitoring: ${taggedJobId}`);
+        await healthCronQueue.cancelJob(taggedJob);
       }
     }
 
@@ -214,7 +427,7 @@ const cancelHealthCheckups = async (phoneNumber, tag = "all") => {
         const legacyJobId = `health-checkup-${phoneNumber}-${tag}-${interval}min`;
         const legacyJob = await healthCronQueue.getJob(legacyJobId);
         if (legacyJob) {
-          await legacyJob.remove();
+          await healthCronQueue.cancelJob(legacyJob);
           console.log(`✅ Cancelled legacy job: ${legacyJobId}`);
         }
       } catch (error) {
@@ -229,37 +442,27 @@ const cancelHealthCheckups = async (phoneNumber, tag = "all") => {
   }
 };
 
-// Helper function to change monitoring frequency
-const updateMonitoringFrequency = async (
-  phoneNumber,
-  newRiskLevel,
-  tag = "symptom"
-) => {
-  try {
-    // Cancel current monitoring for this specific tag
-    await cancelHealthCheckups(phoneNumber, tag);
-
-    // Start new monitoring with updated frequency (only for symptom-based monitoring)
-    if (tag === "symptom") {
-      await scheduleHealthCheckup(phoneNumber, "updated", newRiskLevel, tag);
-    }
-
-    console.log(
-      `✅ Updated ${tag} monitoring frequency for ${phoneNumber} to ${newRiskLevel}`
-    );
-  } catch (error) {
-    console.error(`❌ Error updating monitoring frequency:`, error);
-  }
-};
-
 module.exports = {
+  MESSAGE_TIERS,
+  normalizeMessageTier,
   whatsappQueue,
+  inboundQueue,
   healthCronQueue,
   scheduleHealthCheckup,
+  getMonitoringCheckJobId,
+  cancelMonitoringCheck,
+  DEFAULT_CHECKIN_TIME,
+  DEFAULT_TIMEZONE,
+  DAILY_CHECKUP_SCHEDULER_PREFIX,
+  getDailyCheckupSchedulerId,
+  getDailyCheckupRepeat,
   scheduleDailyCheckup,
+  MEDICATION_REMINDER_SCHEDULER_PREFIX,
+  getMedicationReminderSchedulerId,
+  scheduleMedicationReminder,
+  cancelMedicationReminder,
   scheduleWeatherAlertCheckin,
   cancelHealthCheckups,
-  updateMonitoringFrequency,
   get weatherMonitor() {
     return require("./jobs/weatherMonitor");
   },
@@ -289,6 +492,16 @@ setImmediate(() => {
     }
   );
 
+  // Provider daily digest (opt-in per provider, server local time)
+  healthCronQueue.add(
+    "provider-daily-digest",
+    {},
+    {
+      repeat: { pattern: process.env.PROVIDER_DIGEST_CRON || "0 7 * * *" },
+      jobId: "provider-digest-job",
+    }
+  );
+
   console.log(
     "✅ Weather monitoring job scheduled (every 60 seconds - DEMO MODE)"
   );
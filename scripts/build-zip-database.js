@@ -0,0 +1,123 @@
+// Build data/zcta.tsv, the offline ZIP database (utils/zipDatabase.js), from
+// the GeoNames US postal code file: https://download.geonames.org/export/zip/US.zip
+//
+// The same file ships in the zipcodes-us npm package (data/US.txt).
+//
+// Usage: node scripts/build-zip-database.js US.txt [data/zcta.tsv]
+const fs = require("fs");
+const path = require("path");
+const { COLUMNS } = require("../utils/zipDatabase");
+const { getTimezoneForZipPrefix } = require("../utils/zipTimezone");
+
+// State FIPS codes, for 5-digit county FIPS (state + GeoNames county code)
+const STATE_FIPS = {
+  AL: "01",
+  AK: "02",
+  AZ: "04",
+  AR: "05",
+  CA: "06",
+  CO: "08",
+  CT: "09",
+  DE: "10",
+  DC: "11",
+  FL: "12",
+  GA: "13",
+  HI: "15",
+  ID: "16",
+  IL: "17",
+  IN: "18",
+  IA: "19",
+  KS: "20",
+  KY: "21",
+  LA: "22",
+  ME: "23",
+  MD: "24",
+  MA: "25",
+  MI: "26",
+  MN: "27",
+  MS: "28",
+  MO: "29",
+  MT: "30",
+  NE: "31",
+  NV: "32",
+  NH: "33",
+  NJ: "34",
+  NM: "35",
+  NY: "36",
+  NC: "37",
+  ND: "38",
+  OH: "39",
+  OK: "40",
+  OR: "41",
+  PA: "42",
+  RI: "44",
+  SC: "45",
+  SD: "46",
+  TN: "47",
+  TX: "48",
+  UT: "49",
+  VT: "50",
+  VA: "51",
+  WA: "53",
+  WV: "54",
+  WI: "55",
+  WY: "56",
+  AS: "60",
+  GU: "66",
+  MP: "69",
+  PR: "72",
+  VI: "78",
+};
+
+const [input, output = path.join(__dirname, "..", "data", "zcta.tsv")] =
+  process.argv.slice(2);
+
+if (!input) {
+  console.error(
+    "Usage: node scripts/build-zip-database.js US.txt [data/zcta.tsv]"
+  );
+  process.exit(1);
+}
+
+// GeoNames columns: country, postal code, place name, state name, state
+// code, county name, county code, community name, community code, latitude,
+// longitude, accuracy
+const rows = fs
+  .readFileSync(input, "utf8")
+  .split("\n")
+  .filter((line) => line.trim())
+  .map((line) => {
+    const [, zip, city, , state, county, countyCode, , , lat, lon] =
+      line.split("\t");
+    const countyFips =
+      STATE_FIPS[state] && /^\d+$/.test(countyCode || "")
+        ? `${STATE_FIPS[state]}${countyCode.padStart(3, "0")}`
+        : "";
+    // Military APO/FPO ZIPs are listed at 0,0
+    const hasCentroid = Number(lat) !== 0 || Number(lon) !== 0;
+
+    return [
+      zip,
+      hasCentroid ? lat : "",
+      hasCentroid ? lon : "",
+      city,
+      state,
+      countyFips,
+      county || "",
+      getTimezoneForZipPrefix(zip) || "",
+    ];
+  })
+  .filter(([zip]) => /^\d{5}$/.test(zip))
+  .sort(([a], [b]) => a.localeCompare(b))
+  // A few ZIPs are listed twice under two place names - keep the first
+  .filter(
+    ([zip], index, sorted) => index === 0 || sorted[index - 1][0] !== zip
+  );
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(
+  output,
+  [COLUMNS, ...rows].map((row) => row.join("\t")).join("\n") + "\n"
+);
+
+console.log(`✅ Wrote ${rows.length} ZIP codes to ${output}`);
@@ -0,0 +1,150 @@
+// Delivery fallback service - resends failed WhatsApp messages over the
+// next channel in the patient's preference list (SMS by default)
+const {
+  getPrismaClient,
+  getWhatsAppConfig,
+  getSmsConfig,
+} = require("./index");
+const { whatsappQueue } = require("../queue");
+
+// Channels the whatsapp-queue worker knows how to send on
+const SUPPORTED_CHANNELS = ["whatsapp", "sms"];
+const DEFAULT_CHANNEL_ORDER = ["whatsapp", "sms"];
+
+// Twilio statuses that mean the message never reached the patient
+const FAILED_STATUSES = ["failed", "undelivered"];
+
+class DeliveryFallbackService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.whatsappConfig = getWhatsAppConfig();
+    this.smsConfig = getSmsConfig();
+  }
+
+  /**
+   * Check whether a Twilio status means delivery failed
+   */
+  isFailedStatus(status) {
+    return FAILED_STATUSES.includes(status);
+  }
+
+  /**
+   * Get the patient's ordered channel list, falling back to WhatsApp then SMS
+   * @param {Object|null} patient - Patient record
+   * @returns {Array<string>} - Ordered, de-duplicated list of channels
+   */
+  getChannelOrder(patient) {
+    const preferences = this.parseJsonField(patient?.channelPreferences)
+      .map((channel) => String(channel).toLowerCase())
+      .filter((channel) => SUPPORTED_CHANNELS.includes(channel));
+
+    const order = preferences.length > 0 ? preferences : DEFAULT_CHANNEL_ORDER;
+    return [...new Set(order)];
+  }
+
+  /**
+   * Get the channel to try after the one that failed
+   * @returns {string|null} - Next channel, or null when the list is exhausted
+   */
+  getNextChannel(patient, failedChannel) {
+    const order = this.getChannelOrder(patient);
+    const index = order.indexOf(failedChannel || "whatsapp");
+
+    // A channel outside the patient's list restarts at their first preference
+    const candidates = index === -1 ? order : order.slice(index + 1);
+    const next = candidates.find((channel) => channel !== failedChannel);
+
+    if (next === "sms" && !this.smsConfig.enabled) {
+      console.warn(
+        "[Delivery Fallback] SMS fallback skipped: TWILIO_SMS_NUMBER is not set"
+      );
+      return null;
+    }
+
+    return next || null;
+  }
+
+  /**
+   * Queue a resend of a failed outgoing message on the next channel
+   * @param {Object} failedMessage - Message row for the failed attempt
+   * @returns {Object|null} - Queued job, or null if no fallback applies
+   */
+  async scheduleFallback(failedMessage) {
+    try {
+      if (!failedMessage || failedMessage.direction !== "outgoing") {
+        return null;
+      }
+
+      // Only one fallback per attempt, even if Twilio reports failed + undelivered
+      const existingFallback = await this.prisma.message.findFirst({
+        where: { fallbackForId: failedMessage.id },
+      });
+      if (existingFallback) {
+        console.log(
+          `[Delivery Fallback] Message ${failedMessage.id} already has fallback ${existingFallback.id}`
+        );
+        return null;
+      }
+
+      const phoneNumber = this.whatsappConfig.extractPhoneNumber(
+        failedMessage.to
+      );
+      const patient = await this.prisma.patient.findUnique({
+        where: { phoneNumber },
+      });
+
+      const nextChannel = this.getNextChannel(
+        patient,
+        failedMessage.channel || "whatsapp"
+      );
+      if (!nextChannel) {
+        console.warn(
+          `[Delivery Fallback] No fallback channel left for ${phoneNumber} (message ${failedMessage.id})`
+        );
+        return null;
+      }
+
+      const job = await whatsappQueue.add(
+        "send-whatsapp",
+        {
+          to: phoneNumber,
+          message: failedMessage.body,
+          mediaUrl: nextChannel === "whatsapp" ? failedMessage.mediaUrl : null,
+          channel: nextChannel,
+          fallbackForId: failedMessage.id,
+        },
+        {
+          jobId: `fallback-${failedMessage.id}`,
+        }
+      );
+
+      console.log(
+        `📨 [Delivery Fallback] Resending message ${failedMessage.id} to ${phoneNumber} via ${nextChannel}`
+      );
+
+      return job;
+    } catch (error) {
+      console.error(
+        `❌ [Delivery Fallback] Error scheduling fallback for message ${failedMessage?.id}:`,
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Parse JSON string fields from database
+   */
+  parseJsonField(jsonField) {
+    if (!jsonField) return [];
+    if (Array.isArray(jsonField)) return jsonField;
+    try {
+      const parsed = JSON.parse(jsonField);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+}
+
+module.exports = new DeliveryFallbackService();
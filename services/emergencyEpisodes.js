@@ -0,0 +1,298 @@
+// Emergency episode service - tracks a patient's emergency from the moment it
+// is flagged until they say it is resolved, and understands the replies to the
+// "Did you call 911?" follow-up ('called' / 'need help' / 'resolved').
+// Every state change is stored as an EmergencyEpisodeTransition
+const { getPrismaClient } = require("./index");
+const { whatsappQueue } = require("../queue");
+const familyEscalation = require("./familyEscalation");
+const monitoringEpisodes = require("./monitoringEpisodes");
+
+// Episodes nobody has touched in this long are treated as over
+const EPISODE_MAX_AGE_HOURS = 24;
+
+// Follow-ups sent while an episode is in each state, in minutes from the change
+const FOLLOW_UP_SCHEDULE = {
+  awaiting_reply: [5],
+  help_requested: [10],
+  ems_called: [30, 120],
+};
+
+const FOLLOW_UP_MESSAGES = {
+  awaiting_reply:
+    "🚨 *Emergency Follow-up*\nDid you call 911? Reply: 'called' / 'need help' / 'resolved'",
+  help_requested:
+    "🚨 *Checking on you*\nIs help with you now? Reply: 'called' / 'need help' / 'resolved'",
+  ems_called:
+    "🚑 *Post-Emergency Check*\nHow are you feeling since help arrived? Reply: 'need help' / 'resolved'",
+};
+
+const FIRST_AID_MESSAGE =
+  `🆘 *Call 911 now* if you have chest pain, confusion, fainting or trouble breathing.\n\n` +
+  `*While you wait for help:*\n` +
+  `• Move to a cool, shaded or air-conditioned place\n` +
+  `• Sip cool water if you can swallow safely\n` +
+  `• Loosen tight clothing and put cool, wet cloths on your neck, armpits and groin\n` +
+  `• Lie down and raise your legs if you feel faint\n` +
+  `• Unlock your door so help can get in`;
+
+// Reply wording, checked against lowercased text without punctuation
+const REPLY_PATTERNS = {
+  called: [
+    /^(i )?(called|have called|just called)( 911| ems| an ambulance)?$/,
+    /^ambulance (is )?(coming|on the way)$/,
+  ],
+  need_help: [/^(i )?(still )?need help$/, /^help( me)?$/, /^not ok$/],
+  resolved: [
+    /^resolved$/,
+    /^(i'?m|i am) (ok|okay|fine|better)( now)?$/,
+    /^(all good|false alarm)$/,
+  ],
+};
+
+class EmergencyEpisodeService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  /**
+   * Read a reply to the emergency follow-up
+   * @returns {string|null} - "called" | "need_help" | "resolved", or null
+   */
+  parseReply(text) {
+    const normalized = String(text || "")
+      .toLowerCase()
+      .replace(/[’]/g, "'")
+      .replace(/[^a-z0-9'\s]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return (
+      Object.keys(REPLY_PATTERNS).find((reply) =>
+        REPLY_PATTERNS[reply].some((pattern) => pattern.test(normalized))
+      ) || null
+    );
+  }
+
+  /**
+   * The patient's open episode, or null
+   */
+  async getOpenEpisode(patientId) {
+    return this.prisma.emergencyEpisode.findFirst({
+      where: {
+        patientId,
+        status: { not: "resolved" },
+        updatedAt: {
+          gte: new Date(Date.now() - EPISODE_MAX_AGE_HOURS * 60 * 60 * 1000),
+        },
+      },
+      orderBy: { openedAt: "desc" },
+    });
+  }
+
+  /**
+   * Open an episode (or keep the one already open) and queue the 911 follow-up
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} options - {trigger: "emergency_poll"|"emergency_symptoms"}
+   * @returns {Object|null} - Episode, or null for an unknown patient
+   */
+  async open(phoneNumber, { trigger }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    const existing = await this.getOpenEpisode(patient.id);
+    if (existing) {
+      console.log(
+        `🚨 [Emergency Episode] ${phoneNumber} already has open episode ${existing.id} (${existing.status})`
+      );
+      return existing;
+    }
+
+    const episode = await this.prisma.emergencyEpisode.create({
+      data: { patientId: patient.id, status: "awaiting_reply", trigger },
+    });
+
+    const followUpJobIds = await this.scheduleFollowUps(
+      phoneNumber,
+      episode,
+      "awaiting_reply"
+    );
+    await this.logTransition(episode, null, "awaiting_reply", "opened", {
+      source: trigger,
+      followUpJobIds,
+    });
+
+    return episode;
+  }
+
+  /**
+   * Handle a 'called' / 'need help' / 'resolved' reply
+   * @param {Object} patient - Patient record
+   * @param {string} reply - Result of parseReply
+   * @param {string} replyText - What the patient actually wrote
+   * @returns {Object|null} - Updated episode, or null when no episode is open
+   */
+  async handleReply(patient, reply, replyText) {
+    const episode = await this.getOpenEpisode(patient.id);
+    if (!episode) return null;
+
+    const phoneNumber = patient.phoneNumber;
+    await this.cancelFollowUps(episode);
+
+    if (reply === "need_help") {
+      const escalation = await familyEscalation
+        .escalate(phoneNumber, {
+          reason: "help_requested",
+          lastReply: replyText,
+        })
+        .catch((error) => {
+          console.error(
+            `❌ [Emergency Episode] Family escalation failed for ${phoneNumber}:`,
+            error.message
+          );
+          return { status: "failed" };
+        });
+
+      const contactNote =
+        escalation.status === "notified" ||
+        escalation.reason === "recently_notified"
+          ? `\n\n👪 We've alerted ${escalation.escalation?.contactName}.`
+          : "";
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: FIRST_AID_MESSAGE + contactNote,
+        tier: "emergency",
+        messageType: "emergency_first_aid",
+      });
+
+      const followUpJobIds = await this.scheduleFollowUps(
+        phoneNumber,
+        episode,
+        "help_requested"
+      );
+      return this.transition(episode, "help_requested", reply, {
+        replyText,
+        escalation: escalation.status,
+        followUpJobIds,
+      });
+    }
+
+    if (reply === "called") {
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message:
+          "🚑 Thank you for calling for help. Stay where responders can reach you and keep your phone nearby.\n\nI'll check on you again in 30 minutes. Reply 'need help' anytime.",
+        tier: "emergency",
+        messageType: "emergency_episode",
+      });
+
+      const followUpJobIds = await this.scheduleFollowUps(
+        phoneNumber,
+        episode,
+        "ems_called"
+      );
+      return this.transition(episode, "ems_called", reply, {
+        replyText,
+        followUpJobIds,
+      });
+    }
+
+    // Resolved - stop every pending emergency message and emergency monitoring
+    await monitoringEpisodes.close(phoneNumber, {
+      tag: "symptom",
+      reason: "emergency_resolved",
+    });
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message:
+        "💙 I'm glad you're OK. I've stopped the emergency check-ins.\n\nIf anything changes, just tell me how you feel - or call 911 in an emergency.",
+      tier: "emergency",
+      messageType: "emergency_episode",
+    });
+
+    return this.transition(episode, "resolved", reply, { replyText });
+  }
+
+  async transition(episode, toStatus, trigger, detail) {
+    const updated = await this.prisma.emergencyEpisode.update({
+      where: { id: episode.id },
+      data: {
+        status: toStatus,
+        closedAt: toStatus === "resolved" ? new Date() : null,
+      },
+    });
+
+    await this.logTransition(episode, episode.status, toStatus, trigger, detail);
+    return updated;
+  }
+
+  async logTransition(episode, fromStatus, toStatus, trigger, detail) {
+    await this.prisma.emergencyEpisodeTransition.create({
+      data: {
+        episodeId: episode.id,
+        fromStatus,
+        toStatus,
+        trigger,
+        detail: detail || undefined,
+      },
+    });
+
+    console.log(
+      `🚨 [Emergency Episode] Episode ${episode.id}: ${
+        fromStatus || "new"
+      } → ${toStatus} (${trigger})`
+    );
+  }
+
+  /**
+   * Queue the follow-ups for a state
+   * @returns {Array<string>} - Job ids
+   */
+  async scheduleFollowUps(phoneNumber, episode, status) {
+    const jobIds = [];
+    const scheduledAt = Date.now();
+
+    for (const [index, minutes] of FOLLOW_UP_SCHEDULE[status].entries()) {
+      const job = await whatsappQueue.add(
+        "send-whatsapp",
+        {
+          to: phoneNumber,
+          message: FOLLOW_UP_MESSAGES[status],
+          tier: "emergency",
+          messageType: "emergency_followup",
+        },
+        {
+          delay: minutes * 60 * 1000,
+          jobId: `emergency-followup-${episode.id}-${scheduledAt}-${index}`,
+        }
+      );
+      jobIds.push(job.id);
+    }
+
+    return jobIds;
+  }
+
+  /**
+   * Remove the episode's follow-ups that have not gone out yet
+   */
+  async cancelFollowUps(episode) {
+    const transitions = await this.prisma.emergencyEpisodeTransition.findMany({
+      where: { episodeId: episode.id },
+    });
+    const jobIds = transitions.flatMap(
+      (transition) => transition.detail?.followUpJobIds || []
+    );
+
+    for (const jobId of jobIds) {
+      const job = await whatsappQueue.getJob(jobId);
+      if (job && (await job.isDelayed())) {
+        await job.remove();
+        console.log(`🚨 [Emergency Episode] Cancelled follow-up ${jobId}`);
+      }
+    }
+  }
+}
+
+module.exports = new EmergencyEpisodeService();
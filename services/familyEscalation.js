@@ -0,0 +1,392 @@
+// Family escalation service - tells a patient's consented family contact when
+// the patient reports an emergency or stops answering critical check-ins, and
+// lets the contact acknowledge ("I'm on my way") from WhatsApp
+const { getPrismaClient, getRedisConnection } = require("./index");
+const { whatsappQueue } = require("../queue");
+
+// Open escalation per patient, and the patient a contact's reply belongs to
+const PATIENT_KEY_PREFIX = "family-escalation:patient:";
+const CONTACT_KEY_PREFIX = "family-escalation:contact:";
+const ESCALATION_TTL_SECONDS = 24 * 60 * 60;
+
+// Patients waiting for a contact to accept being their emergency contact
+const CONSENT_KEY_PREFIX = "family-escalation:consent:";
+const CONSENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Don't message the family again for the same patient within this window
+const ESCALATION_COOLDOWN_MINUTES = 30;
+
+// Short reason shown to the contact, keyed by escalation reason
+const REASON_TEXT = {
+  emergency_symptoms: "reported symptoms that may be a medical emergency",
+  emergency_poll: "asked for help during a health check-in",
+  help_requested: "said they still need help after an emergency alert",
+  missed_checkins: "has not answered their recent health check-ins",
+};
+
+// Contact replies to the request to be an emergency contact
+const CONSENT_ACCEPT_PATTERN = /^(yes|y|accept|i accept|agree|i agree)$/;
+const CONSENT_DECLINE_PATTERN = /^(no|n|decline|i decline)$/;
+
+// Contact replies that mean "I'm handling it". Only explicit wording - a
+// contact who is also a patient answers their own check-ins with "1", "yes"
+// or "ok", and those must reach the poll
+const ACKNOWLEDGE_PATTERNS = [
+  /on\s*(my|the)\s*way/,
+  /^omw$/,
+  /^(on it|coming|i'?m coming|going now|i'?ll go|i'?ll check)$/,
+];
+
+class FamilyEscalationService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.redis = getRedisConnection();
+  }
+
+  /**
+   * Normalize a stored contact number ("(555) 123-4567") to +15551234567
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || "").replace(/\D/g, "");
+    if (!digits) return null;
+    if (digits.length === 10) return `+1${digits}`;
+    return `+${digits}`;
+  }
+
+  /**
+   * The patient's family contact, or null when none is stored or consented
+   */
+  getConsentedContact(patient) {
+    if (!patient?.familyContactConsent) return null;
+
+    const phone = this.normalizePhone(patient.familyContactPhone);
+    if (!phone) return null;
+
+    return {
+      name: patient.familyContactName || "there",
+      relation: patient.familyContactRelation || null,
+      phone,
+    };
+  }
+
+  async getPatientEscalation(phoneNumber) {
+    const raw = await this.redis.get(`${PATIENT_KEY_PREFIX}${phoneNumber}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveEscalation(escalation) {
+    await this.redis.set(
+      `${PATIENT_KEY_PREFIX}${escalation.patientPhone}`,
+      JSON.stringify(escalation),
+      "EX",
+      ESCALATION_TTL_SECONDS
+    );
+    await this.redis.set(
+      `${CONTACT_KEY_PREFIX}${escalation.contactPhone}`,
+      escalation.patientPhone,
+      "EX",
+      ESCALATION_TTL_SECONDS
+    );
+  }
+
+  /**
+   * Open escalation a family contact's reply refers to, or null
+   */
+  async getEscalationForContact(contactPhone) {
+    const patientPhone = await this.redis.get(
+      `${CONTACT_KEY_PREFIX}${contactPhone}`
+    );
+    if (!patientPhone) return null;
+
+    const escalation = await this.getPatientEscalation(patientPhone);
+    return escalation?.contactPhone === contactPhone ? escalation : null;
+  }
+
+  /**
+   * Notify the patient's consented family contact
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} details - {reason, summary, lastReply}
+   *   reason: emergency_symptoms | emergency_poll | help_requested | missed_checkins
+   * @returns {Object} - {status: "notified"|"skipped", reason?, escalation?}
+   */
+  async escalate(phoneNumber, { reason, summary = null, lastReply = null }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+
+    const contact = this.getConsentedContact(patient);
+    if (!contact) {
+      const skipReason = patient?.familyContactPhone
+        ? "contact_not_confirmed"
+        : "no_consented_contact";
+      console.log(
+        `👪 [Family Escalation] No consented family contact for ${phoneNumber} (${skipReason}), not escalating ${reason}`
+      );
+      return { status: "skipped", reason: skipReason };
+    }
+
+    const existing = await this.getPatientEscalation(phoneNumber);
+    if (
+      existing &&
+      Date.now() - new Date(existing.createdAt).getTime() <
+        ESCALATION_COOLDOWN_MINUTES * 60 * 1000
+    ) {
+      console.log(
+        `👪 [Family Escalation] ${contact.phone} was already notified about ${phoneNumber} at ${existing.createdAt}, skipping ${reason}`
+      );
+      return {
+        status: "skipped",
+        reason: "recently_notified",
+        escalation: existing,
+      };
+    }
+
+    const escalation = {
+      patientPhone: phoneNumber,
+      patientName: patient.firstName,
+      contactPhone: contact.phone,
+      contactName: contact.name,
+      reason,
+      summary,
+      lastReply,
+      status: "notified",
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.saveEscalation(escalation);
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: contact.phone,
+      message: this.buildContactMessage(escalation, contact),
+      tier: "emergency",
+      messageType: "family_escalation",
+    });
+
+    console.log(
+      `👪 [Family Escalation] Notified ${contact.phone} (${
+        contact.relation || "family contact"
+      }) about ${phoneNumber}: ${reason}`
+    );
+
+    return { status: "notified", escalation };
+  }
+
+  /**
+   * Patients waiting for this contact to accept: [{patientPhone, patientName}]
+   */
+  async getPendingConsent(contactPhone) {
+    const raw = await this.redis.get(`${CONSENT_KEY_PREFIX}${contactPhone}`);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  /**
+   * Ask a patient's family contact on WhatsApp whether they'll take alerts
+   * about the patient. familyContactConsent is only set when they reply YES
+   * @returns {boolean} - false when there is nothing to ask
+   */
+  async requestContactConsent(patient) {
+    const contactPhone = this.normalizePhone(patient?.familyContactPhone);
+    if (!contactPhone || patient.familyContactConsent) return false;
+
+    // One contact can be listed by several patients (both parents)
+    const pending = (await this.getPendingConsent(contactPhone)).filter(
+      (entry) => entry.patientPhone !== patient.phoneNumber
+    );
+    pending.push({
+      patientPhone: patient.phoneNumber,
+      patientName: patient.firstName,
+    });
+    await this.redis.set(
+      `${CONSENT_KEY_PREFIX}${contactPhone}`,
+      JSON.stringify(pending),
+      "EX",
+      CONSENT_TTL_SECONDS
+    );
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: contactPhone,
+      message: this.buildConsentRequest(
+        patient.firstName,
+        patient.familyContactName
+      ),
+      messageType: "family_contact_consent",
+    });
+
+    console.log(
+      `👪 [Family Escalation] Asked ${contactPhone} to confirm as emergency contact for ${patient.phoneNumber}`
+    );
+    return true;
+  }
+
+  buildConsentRequest(patientName, contactName = null) {
+    return (
+      `👋 Hi${contactName ? ` ${contactName}` : ""}, ${patientName} added you as their emergency contact on HeatCare, a heat and weather health service.\n\n` +
+      `If ${patientName} reports an emergency or stops answering their health check-ins, we'd send you a WhatsApp message so you can check on them.\n\n` +
+      `Reply *YES* to agree or *NO* to decline.`
+    );
+  }
+
+  /**
+   * Read a contact's answer to the consent request
+   * @returns {boolean|null} - true for yes, false for no, null otherwise
+   */
+  parseConsentReply(text) {
+    const normalized = String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (CONSENT_ACCEPT_PATTERN.test(normalized)) return true;
+    if (CONSENT_DECLINE_PATTERN.test(normalized)) return false;
+    return null;
+  }
+
+  /**
+   * Save a contact's answer for every patient waiting on it and tell both
+   * sides. Patients who have since changed their contact are left alone
+   * @returns {Object|null} - {accepted, patientPhones}, or null if nothing
+   *   was pending
+   */
+  async recordContactConsent(contactPhone, accepted) {
+    const pending = await this.getPendingConsent(contactPhone);
+    if (pending.length === 0) return null;
+    await this.redis.del(`${CONSENT_KEY_PREFIX}${contactPhone}`);
+
+    const patientPhones = [];
+    for (const { patientPhone } of pending) {
+      const patient = await this.prisma.patient.findUnique({
+        where: { phoneNumber: patientPhone },
+      });
+      if (this.normalizePhone(patient?.familyContactPhone) !== contactPhone) {
+        continue;
+      }
+
+      await this.prisma.patient.update({
+        where: { phoneNumber: patientPhone },
+        data: { familyContactConsent: accepted },
+      });
+      patientPhones.push(patientPhone);
+
+      const contactName = patient.familyContactName || "Your contact";
+      await whatsappQueue.add("send-whatsapp", {
+        to: patientPhone,
+        message: accepted
+          ? `✅ ${contactName} agreed to be your emergency contact. We'll message them if you may need help.`
+          : `${contactName} declined to be your emergency contact, so we won't message them.\n\nReply "REGISTER" to add someone else.`,
+        messageType: "family_contact_consent",
+      });
+    }
+
+    const names = pending.map((entry) => entry.patientName).join(" and ");
+    await whatsappQueue.add("send-whatsapp", {
+      to: contactPhone,
+      message: accepted
+        ? `✅ Thank you! We'll only message you if ${names} may need help.\n\n🆘 In an emergency, always call 911.`
+        : `Got it - we won't contact you about ${names}.`,
+      messageType: "family_contact_consent",
+    });
+
+    console.log(
+      `👪 [Family Escalation] ${contactPhone} ${
+        accepted ? "accepted" : "declined"
+      } emergency contact for ${patientPhones.join(", ") || "no patients"}`
+    );
+
+    return { accepted, patientPhones };
+  }
+
+  /**
+   * Repeat the consent question to a contact who replied something else
+   */
+  async sendConsentReminder(contactPhone, pending) {
+    const names = pending.map((entry) => entry.patientName).join(" and ");
+    await whatsappQueue.add("send-whatsapp", {
+      to: contactPhone,
+      message: `${names} asked us to add you as their emergency contact on HeatCare. Reply *YES* to agree or *NO* to decline.`,
+      messageType: "family_contact_consent",
+    });
+  }
+
+  buildContactMessage(escalation, contact) {
+    let message =
+      `🚨 *HeatCare Alert for ${escalation.patientName}*\n\n` +
+      `Hi ${contact.name}, ${escalation.patientName} ${
+        REASON_TEXT[escalation.reason] || "may need help"
+      }.`;
+
+    if (escalation.summary) {
+      message += `\n\n📋 ${escalation.summary}`;
+    }
+    if (escalation.lastReply) {
+      message += `\n\n💬 Their last reply: "${escalation.lastReply}"`;
+    }
+
+    return (
+      message +
+      `\n\nPlease check on them now. Reply *"I'm on my way"* so we know you're responding.\n\n🆘 If you can't reach them, call 911.`
+    );
+  }
+
+  /**
+   * Whether a family contact's reply acknowledges the alert
+   */
+  isAcknowledgement(text) {
+    const normalized = String(text || "")
+      .toLowerCase()
+      .replace(/[’]/g, "'")
+      .replace(/[^a-z0-9'\s]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return ACKNOWLEDGE_PATTERNS.some((pattern) => pattern.test(normalized));
+  }
+
+  /**
+   * Record a family contact's acknowledgement and tell both sides
+   * @returns {Object|null} - Updated escalation, or null if none is open
+   */
+  async acknowledge(contactPhone, replyText) {
+    const escalation = await this.getEscalationForContact(contactPhone);
+    if (!escalation) return null;
+
+    if (escalation.status !== "acknowledged") {
+      escalation.status = "acknowledged";
+      escalation.acknowledgedAt = new Date().toISOString();
+      escalation.acknowledgement = replyText;
+      await this.saveEscalation(escalation);
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: escalation.patientPhone,
+        message: `💙 ${escalation.contactName} knows you may need help and is on the way.\n\n🆘 If things get worse before they arrive, call 911.`,
+        tier: "emergency",
+        messageType: "family_escalation_ack",
+      });
+    }
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: contactPhone,
+      message: `✅ Thank you, ${escalation.contactName}. We've let ${escalation.patientName} know you're on the way.\n\n🆘 Call 911 if they are confused, unconscious or have trouble breathing.`,
+      tier: "emergency",
+      messageType: "family_escalation_ack",
+    });
+
+    console.log(
+      `👪 [Family Escalation] ${contactPhone} acknowledged alert for ${escalation.patientPhone}: "${replyText}"`
+    );
+
+    return escalation;
+  }
+
+  /**
+   * Remind a contact how to acknowledge an open alert
+   */
+  async sendAcknowledgeReminder(escalation) {
+    await whatsappQueue.add("send-whatsapp", {
+      to: escalation.contactPhone,
+      message: `We're still trying to reach ${escalation.patientName}. Reply *"I'm on my way"* if you're going to check on them.\n\n🆘 If you can't reach them, call 911.`,
+      tier: "emergency",
+      messageType: "family_escalation",
+    });
+  }
+}
+
+module.exports = new FamilyEscalationService();
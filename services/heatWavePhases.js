@@ -0,0 +1,163 @@
+// Heat-wave phase messages - proactive outreach around forecast heat waves:
+// preparation advice 3 days and 1 day before, a daily note during the event
+// and a recovery note the day after (proactive_message in
+// gpt_v2_visualize.py). Events per ZIP are kept in Redis so an event keeps
+// its ID once its first days leave the forecast, and each phase is sent to a
+// patient once per event
+const { getRedisConnection } = require("./index");
+const weatherService = require("./weatherService");
+const { getDialysisSchedule } = require("../utils/dialysisSchedule");
+const { getTimezoneForZip } = require("../utils/zipTimezone");
+const {
+  toDateKey,
+  updateHeatWaveEvents,
+  getRelativePhase,
+  getPhaseKey,
+} = require("../utils/heatWaveEvents");
+
+const EVENTS_KEY_PREFIX = "heat-wave-events:";
+const SENT_KEY_PREFIX = "heat-wave-phase-sent:";
+
+// Long enough to outlast an event seen 7 days out, plus the day after
+const EVENTS_TTL_SECONDS = 14 * 24 * 60 * 60;
+const SENT_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+// Forecast days searched for events - T-3 needs at least 4
+const FORECAST_DAYS = 7;
+
+class HeatWavePhaseService {
+  constructor() {
+    this.redis = getRedisConnection();
+  }
+
+  /**
+   * Heat-wave events for a ZIP, updated from today's forecast
+   * @param {string} zipcode
+   * @param {string} today - Date key in the ZIP's timezone
+   * @returns {Object[]} - [{eventId, zipcode, startDate, endDate,
+   *   peakFeelsLike}]
+   */
+  async getEvents(zipcode, today) {
+    const key = `${EVENTS_KEY_PREFIX}${zipcode}`;
+    const raw = await this.redis.get(key);
+    const known = raw ? JSON.parse(raw) : [];
+
+    const { forecast } = await weatherService.getWeatherForecast(
+      zipcode,
+      FORECAST_DAYS
+    );
+    const events = updateHeatWaveEvents(zipcode, forecast, known, today);
+
+    if (events.length > 0) {
+      await this.redis.set(
+        key,
+        JSON.stringify(events),
+        "EX",
+        EVENTS_TTL_SECONDS
+      );
+    } else if (raw) {
+      await this.redis.del(key);
+    }
+    return events;
+  }
+
+  /**
+   * Phases due today for a ZIP's events
+   * @returns {Object} - {today, due: [{event, phase, days, phaseKey}]}
+   */
+  async getDuePhases(zipcode, date = new Date()) {
+    const today = toDateKey(date, getTimezoneForZip(zipcode));
+    const events = await this.getEvents(zipcode, today);
+
+    const due = [];
+    for (const event of events) {
+      const relative = getRelativePhase(today, event);
+      if (relative) {
+        const phaseKey = getPhaseKey(relative, today);
+        due.push({ event, ...relative, phaseKey });
+      }
+    }
+    return { today, due };
+  }
+
+  /**
+   * Reserve a phase message for a patient
+   * @returns {boolean} - false when it was already sent for this event
+   */
+  async claimPhase(patientId, event, phaseKey) {
+    const result = await this.redis.set(
+      `${SENT_KEY_PREFIX}${event.eventId}:${phaseKey}:${patientId}`,
+      new Date().toISOString(),
+      "EX",
+      SENT_TTL_SECONDS,
+      "NX"
+    );
+    return result === "OK";
+  }
+
+  /**
+   * Release a claimed phase so the next check retries it (the send failed)
+   */
+  async releasePhase(patientId, event, phaseKey) {
+    await this.redis.del(
+      `${SENT_KEY_PREFIX}${event.eventId}:${phaseKey}:${patientId}`
+    );
+  }
+
+  /**
+   * Phase message for a patient. Dialysis patients get fluid-limit-aware
+   * hydration advice instead of "store electrolytes" / "sip water often"
+   * @returns {Object|null} - {message, urgency, pollType}
+   */
+  generatePhaseMessage({ event, phase, days }, patient = {}) {
+    const feelsLike = event.peakFeelsLike;
+    const dialysis = Boolean(getDialysisSchedule(patient));
+    const greeting = patient.firstName ? `Hi ${patient.firstName}! ` : "";
+
+    if (phase === "before" && days === 3) {
+      // Electrolyte drinks are high in potassium, which dialysis patients
+      // have to limit
+      const supplies = dialysis
+        ? "stock ice chips (stay in your fluid limit)"
+        : "refill water and store electrolytes";
+      return {
+        message: `${greeting}🌡️ Heat wave expected in ~3 days (feels-like ~${feelsLike}°F). Check AC/fans, ${supplies}, find your nearest cooling center and plan rides.`,
+        urgency: "routine",
+        pollType: null,
+      };
+    }
+
+    if (phase === "before" && days === 1) {
+      const water = dialysis ? "Freeze ice chips" : "Freeze water bottles";
+      return {
+        message: `${greeting}🌡️ Heat wave tomorrow (feels-like ~${feelsLike}°F). ${water}, pre-cool your rooms, charge your phone and move errands to morning or evening.`,
+        urgency: "moderate",
+        pollType: null,
+      };
+    }
+
+    if (phase === "during") {
+      const water = dialysis
+        ? "stay in your fluid limit (ice chips, not extra water)"
+        : "sip water often";
+      return {
+        message: `${greeting}🔥 High heat today (feels-like ~${feelsLike}°F). Limit outdoor activity 11am-6pm, ${water}, and take AC breaks.\n\nHow are you feeling?\n1 - Fine, staying cool\n2 - A little warm but OK\n3 - Not feeling well`,
+        urgency: "high",
+        pollType: "weather_checkin",
+      };
+    }
+
+    if (phase === "after") {
+      const water = dialysis ? "Stay in your fluid limit" : "Keep hydrating";
+      return {
+        message: `${greeting}🌤️ Heat easing (was ~${feelsLike}°F). ${water} and rest. If you had symptoms, keep cooling off and avoid heavy activity today.`,
+        urgency: "routine",
+        pollType: null,
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new HeatWavePhaseService();
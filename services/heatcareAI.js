@@ -1,5 +1,6 @@
 // HeatCare AI Service - JavaScript port of the Python AI system
 // Based on gpt_v2_visualize.py
+const { calculateWindChill, getColdLevel } = require("../utils/coldWeather");
 
 class HeatCareAI {
   constructor() {
@@ -12,14 +13,12 @@ class HeatCareAI {
     this.weatherService = require("./weatherService");
 
     // Real-time weather monitoring
-    this.lastWeatherUpdate = new Map(); // zipcode -> timestamp
     this.WEATHER_UPDATE_INTERVAL = 1 * 60 * 1000; // 1 minute in milliseconds
 
     // Temperature thresholds for wave detection
     this.HEAT_WAVE_THRESHOLD = 95; // °F feels like
     this.EXTREME_HEAT_THRESHOLD = 105; // °F feels like
-    this.COLD_WAVE_THRESHOLD = 32; // °F actual temp
-    this.EXTREME_COLD_THRESHOLD = 10; // °F actual temp
+    // Cold levels come from utils/coldWeather.js COLD_THRESHOLDS (wind chill)
 
     // HeatCare constants from Python
     this.WELCOME_EN =
@@ -350,6 +349,8 @@ class HeatCareAI {
       return {
         temperature: weather.temperature,
         feelsLike: weather.feelsLike,
+        windChill: weather.windChill,
+        windSpeed: weather.windSpeed,
         humidity: weather.humidity,
         description: weather.description,
         city: weather.city,
@@ -597,33 +598,17 @@ class HeatCareAI {
   }
 
   /**
-   * Get real-time weather with minutely updates
+   * Get real-time weather with wave status. Observations are cached in Redis
+   * by the weather service, so every process shares one fetch per ZIP
    */
   async getRealtimeWeather(zipcode) {
     try {
-      const now = Date.now();
-      const lastUpdate = this.lastWeatherUpdate.get(zipcode) || 0;
-
-      // Check if we need to update (every minute)
-      if (
-        now - lastUpdate < this.WEATHER_UPDATE_INTERVAL &&
-        this.weatherCache.has(zipcode)
-      ) {
-        console.log(`🌤️ Using cached weather for ${zipcode}`);
-        return this.weatherCache.get(zipcode);
-      }
-
-      console.log(`🌤️ Fetching fresh weather for ${zipcode}...`);
       const weather = await this.getCurrentWeather(zipcode);
 
       // Add wave status
       const waveStatus = this.detectWeatherWave(weather);
       weather.waveStatus = waveStatus;
 
-      // Cache the result
-      this.weatherCache.set(zipcode, weather);
-      this.lastWeatherUpdate.set(zipcode, now);
-
       return weather;
     } catch (error) {
       console.error(`Weather update error for ${zipcode}:`, error);
@@ -635,7 +620,10 @@ class HeatCareAI {
    * Detect heat wave, cold wave, or normal conditions
    */
   detectWeatherWave(weatherData) {
-    const { temp, feelsLike } = weatherData;
+    const { temperature, feelsLike } = weatherData;
+    const windChill =
+      weatherData.windChill ??
+      calculateWindChill(temperature, weatherData.windSpeed);
 
     // Heat wave detection (based on feels-like temperature)
     if (feelsLike >= this.EXTREME_HEAT_THRESHOLD) {
@@ -656,23 +644,34 @@ class HeatCareAI {
       };
     }
 
-    // Cold wave detection (based on actual temperature)
-    if (temp <= this.EXTREME_COLD_THRESHOLD) {
+    // Cold wave detection (based on wind chill - wind makes cold air
+    // dangerous well above the thermometer reading), with the same levels
+    // as the heat wave monitor's cold alerts
+    const coldLevel = getColdLevel(windChill);
+    if (coldLevel === "emergency") {
       return {
         type: "extreme_cold",
         level: "emergency",
         message: "🧊 EXTREME COLD EMERGENCY",
-        description: `${temp}°F - hypothermia risk`,
+        description: `Wind chill ${windChill}°F - hypothermia risk`,
         urgency: "emergency",
       };
-    } else if (temp <= this.COLD_WAVE_THRESHOLD) {
+    } else if (coldLevel === "warning") {
       return {
         type: "cold_wave",
         level: "warning",
         message: "❄️ COLD WAVE WARNING",
-        description: `${temp}°F - freezing conditions`,
+        description: `Wind chill ${windChill}°F - severe cold`,
         urgency: "high",
       };
+    } else if (coldLevel === "watch") {
+      return {
+        type: "cold_wave",
+        level: "watch",
+        message: "❄️ FREEZING WEATHER",
+        description: `Wind chill ${windChill}°F - freezing conditions`,
+        urgency: "routine",
+      };
     }
 
     // Normal conditions
@@ -680,7 +679,7 @@ class HeatCareAI {
       type: "normal",
       level: "safe",
       message: "🌤️ Normal weather conditions",
-      description: `${temp}°F, feels like ${feelsLike}°F`,
+      description: `${temperature}°F, feels like ${feelsLike}°F`,
       urgency: "routine",
     };
   }
@@ -766,16 +765,13 @@ class HeatCareAI {
           : "⚠️ Quick heat check - how are you doing? Reply 1=Fine / 2=Warm / 3=Struggling";
         break;
 
+      // Hypothermia check - shivering and numbness come first, confusion
+      // and drowsiness mean it's an emergency
       case "extreme_cold":
-        message += isVulnerable
-          ? "🚨 URGENT: Are you warm indoors? Reply 1=Yes warm / 2=Cold inside / 3=Need help"
-          : "🚨 How are you staying warm? Reply 1=Fine & warm / 2=A bit cold / 3=Need help";
-        break;
-
       case "cold_wave":
         message += isVulnerable
-          ? "❄️ How are you handling the cold? Reply 1=Warm inside / 2=Chilly / 3=Too cold"
-          : "❄️ Quick cold check - staying warm? Reply 1=Fine / 2=Cool / 3=Cold";
+          ? "🧣 Warm indoors? Reply 1=Warm / 2=Chilly / 3=Shivering or numb / 4=Confused, sleepy or no heat"
+          : "🧣 Staying warm? Reply 1=Warm / 2=Chilly / 3=Shivering or numb / 4=Need help";
         break;
 
       default:
@@ -786,6 +782,24 @@ class HeatCareAI {
     return this.formatForSMS(message);
   }
 
+  /**
+   * Poll type matching generateCheckInMessage's answer menu
+   * (3 means "Need help" for extreme heat, "Not well" otherwise; cold
+   * check-ins use the 4-point hypothermia menu)
+   */
+  getCheckInPollType(waveStatus) {
+    if (this.isColdWave(waveStatus)) return "hypothermia_checkin";
+    return waveStatus.type === "extreme_heat"
+      ? "weather_checkin_urgent"
+      : "weather_checkin";
+  }
+
+  isColdWave(waveStatus) {
+    return (
+      waveStatus?.type === "extreme_cold" || waveStatus?.type === "cold_wave"
+    );
+  }
+
   /**
    * Start minutely weather monitoring for a zipcode with patient reminders
    */
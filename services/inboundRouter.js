@@ -0,0 +1,1433 @@
+// Inbound message router - runs registration, poll, command and symptom
+// handling for WhatsApp messages queued by /twilio/whatsapp-webhook
+const {
+  whatsappQueue,
+  scheduleDailyCheckup,
+  DEFAULT_CHECKIN_TIME,
+  cancelHealthCheckups,
+} = require("../queue");
+
+// Import MedGemma-only analysis (no legacy heuristics)
+const { analyzeSymptoms } = require("../utils/medgemmaAnalysis");
+const {
+  getPrismaClient,
+  getRedisConnection,
+  getWhatsAppConfig,
+} = require("./index");
+const quietHours = require("./quietHours");
+const pollSessions = require("./pollSessions");
+const familyEscalation = require("./familyEscalation");
+const emergencyEpisodes = require("./emergencyEpisodes");
+const providerNotifications = require("./providerNotifications");
+const monitoringEpisodes = require("./monitoringEpisodes");
+const medicationReminders = require("./medicationReminders");
+const { PatientRegistrationFlow } = require("./patientRegistration");
+const { getTimezoneForZip } = require("../utils/zipTimezone");
+const { isValidZip } = require("../utils/zipDatabase");
+
+const prisma = getPrismaClient();
+const whatsappConfig = getWhatsAppConfig();
+const registrationFlow = new PatientRegistrationFlow({
+  redis: getRedisConnection(),
+});
+
+// Replies that start the WhatsApp registration flow
+const REGISTER_COMMAND_PATTERN = /^\s*(register|sign\s*up|signup)\s*$/i;
+
+// Words that send a message to symptom analysis
+const HEALTH_SYMPTOMS = [
+  "dizzy",
+  "dizziness",
+  "headache",
+  "nausea",
+  "vomiting",
+  "chest pain",
+  "difficulty breathing",
+  "can't breathe",
+  "cannot breathe",
+  "confused",
+  "weak",
+  "faint",
+  "tired",
+  "hot",
+  "fever",
+  "sick",
+  "pain",
+  "hurt",
+  "sweating",
+  "thirsty",
+];
+
+// STOP and HELP work everywhere, including in the middle of registration
+const STOP_HELP_PATTERN = /^\s*(stop|help|info)(\s+daily)?\s*[.!]?\s*$/i;
+
+const hasHealthSymptoms = (messageText) =>
+  HEALTH_SYMPTOMS.some((symptom) => messageText.includes(symptom));
+
+// Drop emoji and punctuation so typed or tapped answers like "1️⃣",
+// "✅ Much Better" or "better!" match the same patterns
+const normalizePollText = (messageText) =>
+  messageText
+    .toLowerCase()
+    .replace(/[^a-z0-9_\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Function to detect poll responses - STRICT matching for actual poll replies only
+// Numbers use the symptom poll menu; replies to other polls are read against
+// the patient's open poll session first (see routeInboundMessage)
+const detectPollResponse = (messageText) => {
+  const text = normalizePollText(messageText);
+
+  // Check for numbered responses (1-5) - EXACT match only
+  if (/^[1-5]$/.test(text)) {
+    const responseMap = {
+      1: "much_better",
+      2: "slightly_better",
+      3: "same_symptoms",
+      4: "worse_condition",
+      5: "emergency_help",
+    };
+    return responseMap[text];
+  }
+
+  // Check for EXACT button IDs (from interactive messages)
+  const buttonIds = [
+    "much_better",
+    "slightly_better",
+    "same_symptoms",
+    "worse_condition",
+    "emergency_help",
+  ];
+  if (buttonIds.includes(text)) {
+    return text;
+  }
+
+  // Check for VERY SPECIFIC poll response patterns only (not general health messages)
+  // Only match if it's clearly a status update response, not a symptom description
+
+  // "Better" responses - must be short and direct
+  if (
+    /^(much )?better$/i.test(text) ||
+    /^feeling (much )?better$/i.test(text)
+  ) {
+    return "much_better";
+  }
+  if (
+    /^slightly( better)?$/i.test(text) ||
+    /^a (little|bit) better$/i.test(text)
+  ) {
+    return "slightly_better";
+  }
+
+  // "Same" responses - must be clearly about status, not describing symptoms
+  if (
+    /^(the )?same$/i.test(text) ||
+    /^no change$/i.test(text) ||
+    /^unchanged$/i.test(text)
+  ) {
+    return "same_symptoms";
+  }
+
+  // "Worse" responses - must be short status updates, not symptom descriptions
+  if (
+    /^worse$/i.test(text) ||
+    /^getting worse$/i.test(text) ||
+    /^feeling worse$/i.test(text)
+  ) {
+    return "worse_condition";
+  }
+
+  // Emergency - only for clear emergency requests
+  if (
+    /^(call )?911$/i.test(text) ||
+    /^emergency$/i.test(text) ||
+    /^need help now$/i.test(text)
+  ) {
+    return "emergency_help";
+  }
+
+  // If none of the strict patterns match, it's NOT a poll response
+  return null;
+};
+
+// Note: Risk level determination is now handled by MedGemma AI
+
+// Function to alert the patient's family contact - a failure here must not
+// stop the patient's own reply from going out
+const escalateToFamily = async (phoneNumber, details) => {
+  try {
+    return await familyEscalation.escalate(phoneNumber, details);
+  } catch (error) {
+    console.error(
+      `❌ Family escalation failed for ${phoneNumber}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+// Function to tell a consented provider about a HIGH/CRITICAL assessment
+const notifyProviderOfRisk = async (phoneNumber, aiAnalysis, symptomText) => {
+  try {
+    return await providerNotifications.notifyRiskFlag(phoneNumber, {
+      riskLevel: aiAnalysis?.risk?.level,
+      symptomText,
+      summary: summarizeAnalysis(aiAnalysis),
+    });
+  } catch (error) {
+    console.error(
+      `❌ Provider notification failed for ${phoneNumber}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+// Short summary of a MedGemma analysis for the family contact or provider
+const summarizeAnalysis = (aiAnalysis) =>
+  aiAnalysis?.risk?.band
+    ? `Health check assessed ${aiAnalysis.risk.band} risk${
+        aiAnalysis.urgency ? ` (${aiAnalysis.urgency})` : ""
+      }.`
+    : null;
+
+// Function to handle poll responses from health checkups
+const handlePollResponse = async (
+  phoneNumber,
+  userExists = false,
+  pollResponse,
+  originalMessage
+) => {
+  // Get or create patient data for AI analysis
+  let patientData = null;
+  try {
+    patientData = await prisma.patient.findUnique({
+      where: { phoneNumber: phoneNumber },
+    });
+
+    // If user doesn't exist, create a new patient record
+    if (!patientData) {
+      console.log(
+        `🆕 Creating new patient record for ${phoneNumber} via poll response`
+      );
+
+      patientData = await prisma.patient.create({
+        data: {
+          phone: phoneNumber,
+          firstName: "User", // Default name until they provide it
+          zipcode: "00000", // Default zipcode
+          age: 35, // Default age for moderate risk assessment
+          preferredLanguage: "en",
+          registrationComplete: false, // Mark as incomplete
+          consentGiven: true,
+          monitoringEnabled: true, // Enable monitoring since they're responding to health polls
+        },
+      });
+
+      console.log(`✅ Created new patient record: ${patientData.id}`);
+      userExists = true; // Update flag for rest of function
+
+      // Send onboarding link for new users responding to health polls
+      const onboardingUrl = process.env.BASE_URL
+        ? `${process.env.BASE_URL}/onboarding.html`
+        : `https://24a3ffeedf11.ngrok-free.app/onboarding.html`;
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `🌡️ *Welcome to HeatCare!*\n\nI noticed you responded to a health message. To provide personalized care and monitoring, please complete your health profile:\n\n📋 *Complete Registration:*\n${onboardingUrl}\n\n💬 No browser? Reply *REGISTER* to sign up right here in WhatsApp.\n\n⚠️ *Important*: This is not medical advice. For emergencies, call 911.\n\nLet me address your current health concern first...`,
+      });
+
+      console.log(
+        `📱 Sent onboarding link to new poll responder: ${phoneNumber}`
+      );
+
+      // Don't schedule checkups until they complete registration
+    }
+  } catch (error) {
+    console.error("Error with patient data:", error);
+    // Create minimal patient data for AI analysis if database fails
+    patientData = {
+      phone: phoneNumber,
+      firstName: "User",
+      age: 35,
+      zipcode: "00000",
+      preferredLanguage: "en",
+    };
+  }
+
+  // Direct MedGemma analysis for conversational responses
+  let aiAnalysis = null;
+
+  if (patientData && originalMessage) {
+    try {
+      console.log(
+        `💬 [Poll] Sending raw poll context to MedGemma with guard rails: "${originalMessage}"`
+      );
+
+      const weatherData = {
+        feelsLike: 95 + (parseInt(patientData.zipcode || "00000") % 10), // Simple temp estimation
+        humidity: 65,
+        heatWarning: false, // Let MedGemma determine urgency from conversation
+      };
+
+      console.log(
+        `🤖 [Poll] Running MedGemma-only analysis for poll response...`
+      );
+      aiAnalysis = await analyzeSymptoms(
+        originalMessage,
+        patientData,
+        weatherData
+      );
+
+      // Guard rail: Validate MedGemma response for poll handling
+      if (!aiAnalysis || (!aiAnalysis.smsMessage && !aiAnalysis.advice)) {
+        throw new Error("MedGemma returned invalid poll response");
+      }
+
+      await notifyProviderOfRisk(phoneNumber, aiAnalysis, originalMessage);
+
+      // Log AI analysis to database
+      await prisma.healthAnalysis.create({
+        data: {
+          patientId: patientData.id,
+          userInput: originalMessage,
+          riskLevel: aiAnalysis.risk.level.toUpperCase(),
+          riskScore: aiAnalysis.risk.score,
+          confidence: aiAnalysis.symptoms.confidence,
+          symptomsDetected: JSON.stringify(aiAnalysis.symptoms.categories),
+          reasoning: JSON.stringify([
+            `Risk: ${aiAnalysis.risk.band}`,
+            `Symptoms: ${aiAnalysis.symptoms.categories.join(", ")}`,
+          ]),
+          immediateActions: JSON.stringify([aiAnalysis.advice]),
+          monitoringPattern: aiAnalysis.risk.level.toUpperCase(),
+          monitoringIntervals: JSON.stringify([aiAnalysis.monitoringInterval]),
+          monitoringDuration: aiAnalysis.monitoringInterval,
+          responseMessage: aiAnalysis.advice,
+          monitoringScheduled: true,
+        },
+      });
+
+      console.log(`🧠 AI Analysis for ${phoneNumber}:`, {
+        risk: aiAnalysis.risk.level,
+        symptoms: aiAnalysis.symptoms.categories,
+        emergency: aiAnalysis.recommendations.emergency,
+      });
+    } catch (error) {
+      console.error("❌ AI Analysis error:", error);
+    }
+  }
+
+  // Handle invalid poll responses
+  const validResponses = [
+    "much_better",
+    "slightly_better",
+    "same_symptoms",
+    "worse_condition",
+    "emergency_help",
+  ];
+  if (!validResponses.includes(pollResponse)) {
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message:
+        "❓ I didn't understand your response to the health poll.\n\n*Please try one of these:*\n✅ 'better' - Much better\n🟡 'slightly' - Slightly better\n⚪ 'same' - No change\n🟠 'worse' - Getting worse\n🚨 'emergency' - Need help now",
+    });
+    return;
+  }
+
+  // MedGemma-only response - no fallbacks
+  let finalMessage;
+  if (!aiAnalysis || (!aiAnalysis.smsMessage && !aiAnalysis.advice)) {
+    // If MedGemma failed, we should have thrown an error already
+    // This is a guard rail - emergency detection for poll responses
+    const isEmergency =
+      pollResponse === "emergency_help" ||
+      originalMessage.toLowerCase().includes("911");
+
+    if (isEmergency) {
+      finalMessage =
+        "🚨 EMERGENCY: Call 911 immediately. This requires urgent medical care.";
+    } else {
+      // Let the error bubble up - no static fallbacks in MedGemma-only system
+      throw new Error(
+        "MedGemma analysis required for poll responses - no fallback available"
+      );
+    }
+  } else {
+    // MedGemma provides the intelligent response
+    finalMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
+  }
+
+  // Send the AI-generated response message
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message: finalMessage,
+    tier:
+      pollResponse === "emergency_help" || aiAnalysis?.emergencyAlert
+        ? "emergency"
+        : "checkin",
+  });
+
+  // Determine monitoring action based on poll response and AI analysis
+  let monitoringAction = "continue";
+
+  // Use AI escalation level if available, otherwise determine from poll response
+  if (aiAnalysis?.recommendations?.emergency || aiAnalysis?.emergencyAlert) {
+    monitoringAction = "emergency";
+  } else if (
+    aiAnalysis?.recommendations?.escalate ||
+    pollResponse === "worse_condition"
+  ) {
+    monitoringAction = "escalate";
+  } else if (pollResponse === "much_better") {
+    monitoringAction = "reduce";
+  } else if (pollResponse === "slightly_better") {
+    monitoringAction = "de_escalate";
+  } else if (pollResponse === "emergency_help") {
+    monitoringAction = "emergency";
+  }
+
+  // Execute monitoring actions
+  switch (monitoringAction) {
+    case "reduce":
+      // Close the symptom monitoring episode, keep daily
+      await monitoringEpisodes.close(phoneNumber, {
+        tag: "symptom",
+        reason: "patient_better",
+      });
+      console.log(
+        `[Health Monitor] ${phoneNumber} - Closed monitoring (feeling better)`
+      );
+      break;
+
+    case "de_escalate": {
+      const episode = await monitoringEpisodes.deEscalate(phoneNumber);
+      console.log(
+        `[Health Monitor] ${phoneNumber} - Monitoring now ${
+          episode?.riskLevel || "not running"
+        } (slightly better)`
+      );
+      break;
+    }
+
+    case "escalate": {
+      // Step up one level, or straight to the AI-assessed level if higher
+      const episode = await monitoringEpisodes.escalate(phoneNumber, {
+        riskLevel: aiAnalysis?.escalationLevel || aiAnalysis?.risk?.level,
+        symptom: originalMessage,
+      });
+      console.log(
+        `[Health Monitor] ${phoneNumber} - Escalated to ${episode?.riskLevel} monitoring`
+      );
+      break;
+    }
+
+    case "emergency":
+      // Clear symptom monitoring - the emergency episode takes over
+      await monitoringEpisodes.close(phoneNumber, {
+        tag: "symptom",
+        reason: "emergency",
+      });
+
+      // Let the family contact know right away
+      await escalateToFamily(phoneNumber, {
+        reason:
+          pollResponse === "emergency_help"
+            ? "emergency_poll"
+            : "emergency_symptoms",
+        summary: summarizeAnalysis(aiAnalysis),
+        lastReply: originalMessage,
+      });
+
+      // Open an emergency episode - it queues the 5-minute "Did you call
+      // 911?" follow-up and reads the 'called' / 'need help' / 'resolved' replies
+      await emergencyEpisodes.open(phoneNumber, {
+        trigger:
+          pollResponse === "emergency_help"
+            ? "emergency_poll"
+            : "emergency_symptoms",
+      });
+
+      console.log(
+        `[Health Monitor] ${phoneNumber} - Emergency protocol activated`
+      );
+      break;
+
+    case "continue":
+    default:
+      console.log(
+        `[Health Monitor] ${phoneNumber} - Continuing current monitoring`
+      );
+      break;
+  }
+
+  // Log the poll response to database
+  await prisma.message.create({
+    data: {
+      from: `whatsapp:${phoneNumber}`,
+      to: whatsappConfig.sandboxNumber,
+      body: `Poll response: ${pollResponse} - Original: "${originalMessage}"`,
+      direction: "incoming",
+      messageType: "whatsapp",
+    },
+  });
+};
+
+// Update patient risk data after each analysis
+async function updatePatientRiskData(
+  phoneNumber,
+  aiAnalysis,
+  symptomText,
+  weatherData
+) {
+  try {
+    const riskData = {
+      lastRiskLevel: aiAnalysis.riskLevel || "unknown",
+      lastUrgency: aiAnalysis.urgency || "routine",
+      lastEscalationLevel: aiAnalysis.escalationLevel || "none",
+      lastMonitoringInterval: aiAnalysis.monitoringInterval || 1440, // minutes
+      lastSymptomText: symptomText,
+      lastAnalysisTimestamp: new Date(),
+      lastWeatherTemp: weatherData.feelsLike || null,
+      lastWeatherHumidity: weatherData.humidity || null,
+      confidenceScore: aiAnalysis.confidence || 0.8,
+      emergencyAlerted: aiAnalysis.emergencyAlert || false,
+    };
+
+    await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: riskData,
+    });
+
+    console.log(
+      `📊 Updated risk data for ${phoneNumber}: Risk=${riskData.lastRiskLevel}, Urgency=${riskData.lastUrgency}`
+    );
+
+    // Also log to HealthAnalysis table for history tracking
+    await prisma.healthAnalysis.create({
+      data: {
+        patientId: (
+          await prisma.patient.findUnique({
+            where: { phoneNumber: phoneNumber },
+            select: { id: true },
+          })
+        ).id,
+        symptoms: symptomText,
+        riskLevel: aiAnalysis.riskLevel || "unknown",
+        urgency: aiAnalysis.urgency || "routine",
+        aiResponse: aiAnalysis.smsMessage || aiAnalysis.advice || "",
+        weatherContext: JSON.stringify(weatherData),
+        escalationLevel: aiAnalysis.escalationLevel || "none",
+        monitoringInterval: aiAnalysis.monitoringInterval || 1440,
+        confidence: aiAnalysis.confidence || 0.8,
+        emergencyAlert: aiAnalysis.emergencyAlert || false,
+        analysisMethod: "hybrid_ai", // Gemini + HeatCare
+        timestamp: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error(
+      `❌ Failed to update risk data for ${phoneNumber}:`,
+      error.message
+    );
+    // Don't throw - this shouldn't break the main flow
+  }
+}
+
+// Function to set, clear or show a patient's quiet hours
+const handleQuietHoursCommand = async (phoneNumber, user, command) => {
+  let message;
+
+  if (command.action === "set") {
+    await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: { quietHoursStart: command.start, quietHoursEnd: command.end },
+    });
+
+    message = `🌙 *Quiet Hours Set*\n\nI'll hold routine check-ins and alerts from ${quietHours.formatTime(
+      command.start
+    )} to ${quietHours.formatTime(
+      command.end
+    )}.\n\n🚨 Emergency alerts will still reach you right away.\n\nSend 'quiet off' to turn quiet hours off.`;
+  } else if (command.action === "off") {
+    await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: { quietHoursStart: null, quietHoursEnd: null },
+    });
+
+    message =
+      "🔔 Quiet hours turned off. You'll receive messages at any time of day.";
+  } else if (command.action === "show") {
+    message = quietHours.hasWindow(user)
+      ? `🌙 Your quiet hours are ${quietHours.formatTime(
+          user.quietHoursStart
+        )} to ${quietHours.formatTime(
+          user.quietHoursEnd
+        )}.\n\nSend 'quiet off' to turn them off.`
+      : "🔔 You don't have quiet hours set.\n\nExample: 'quiet 10pm-7am'";
+  } else {
+    message =
+      "❓ I couldn't read those times.\n\nPlease try something like:\n• 'quiet 10pm-7am'\n• 'quiet 22:00-06:30'\n• 'quiet off'";
+  }
+
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message,
+  });
+
+  console.log(
+    `🌙 Quiet hours ${command.action} for ${phoneNumber}${
+      command.start ? `: ${command.start}-${command.end}` : ""
+    }`
+  );
+};
+
+// "checkin 8am" | "check-in time 7:30" | "checkin" to show the current time
+// (the argument must start with a digit so "check in with me" stays a message)
+const CHECKIN_COMMAND_PATTERN =
+  /^check-?\s?in(?:\s+(?:time|at))?(?:\s+(\d.*))?$/;
+
+// Daily check-up time in the patient's timezone, e.g. "9:00 AM"
+const describeCheckinTime = (user) =>
+  quietHours.formatTime(user.checkinTime || DEFAULT_CHECKIN_TIME);
+
+// Function to schedule a patient's daily check-up at their chosen local time
+const scheduleUserDailyCheckup = (user) =>
+  scheduleDailyCheckup(user.phoneNumber, {
+    timezone: user.timezone,
+    checkinTime: user.checkinTime,
+  });
+
+// Function to set or show the time of a patient's daily check-up
+const handleCheckinTimeCommand = async (phoneNumber, user, timeText) => {
+  let message;
+  let action;
+
+  if (!timeText) {
+    action = "show";
+    message = `🌅 Your daily check-up is at ${describeCheckinTime(user)}${
+      user.timezone ? ` (${user.timezone})` : ""
+    }.\n\nTo change it, send something like 'checkin 8am'.`;
+  } else {
+    const checkinTime = quietHours.parseTime(timeText);
+
+    if (!checkinTime) {
+      action = "invalid";
+      message =
+        "❓ I couldn't read that time.\n\nPlease try something like:\n• 'checkin 8am'\n• 'checkin 7:30am'\n• 'checkin 18:00'";
+    } else {
+      action = "set";
+      const updated = await prisma.patient.update({
+        where: { phoneNumber: phoneNumber },
+        data: { checkinTime },
+      });
+
+      if (updated.monitoringEnabled) {
+        await scheduleUserDailyCheckup(updated);
+      }
+
+      message = `✅ *Check-up Time Updated*\n\n🌅 I'll check in with you every day at ${quietHours.formatTime(
+        checkinTime
+      )}${updated.timezone ? ` (${updated.timezone})` : ""}.${
+        updated.monitoringEnabled
+          ? ""
+          : "\n\nAlerts are paused - send 'start' to turn them back on."
+      }`;
+    }
+  }
+
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message,
+  });
+
+  console.log(
+    `🌅 Check-in time ${action} for ${phoneNumber}${
+      action === "set" ? `: ${timeText}` : ""
+    }`
+  );
+  return action;
+};
+
+// Function to set, remove or list a patient's medication reminders
+const handleMedicationCommand = async (phoneNumber, user, command) => {
+  let message;
+
+  if (command.action === "set") {
+    const reminders = await medicationReminders.setReminders(phoneNumber, {
+      medication: command.medication,
+      times: command.times,
+    });
+
+    message = `💊 *Medication Reminder Set*\n\nI'll remind you to take ${
+      command.medication
+    } at ${command.times
+      .map((time) => quietHours.formatTime(time))
+      .join(" and ")} every day${
+      user.timezone ? ` (${user.timezone})` : ""
+    }.\n\nReply 'taken' after each dose. Send 'med ${
+      command.medication
+    } off' to stop.`;
+    if (reminders?.[0]?.drugClass) {
+      message += `\n\n🌡️ On hot days I'll add heat tips for this medicine.`;
+    }
+    if (!user.monitoringEnabled) {
+      message += `\n\nAlerts are paused - send 'start' to turn them back on.`;
+    }
+  } else if (command.action === "off") {
+    const removed = await medicationReminders.removeReminders(
+      phoneNumber,
+      command.medication
+    );
+
+    message =
+      removed.length > 0
+        ? `⏸️ Stopped ${removed.length} medication reminder(s)${
+            command.medication ? ` for ${removed[0].medication}` : ""
+          }.`
+        : `❓ I couldn't find a reminder${
+            command.medication ? ` for ${command.medication}` : ""
+          }. Send 'meds' to see your reminders.`;
+  } else if (command.action === "list") {
+    const reminders = await medicationReminders.getReminders(user.id);
+
+    if (reminders.length === 0) {
+      message =
+        "💊 You don't have medication reminders yet.\n\nExample: 'med lasix 8am' or 'med metformin 8am 8pm'";
+    } else {
+      const adherence = await medicationReminders.getAdherence(user.id);
+      message = `💊 *Your Medication Reminders*\n\n${medicationReminders.formatReminderList(
+        reminders
+      )}`;
+      if (adherence.overall.due > 0) {
+        message += `\n\n📊 Last 7 days: ${adherence.overall.taken} of ${adherence.overall.due} doses taken`;
+      }
+      message += `\n\nSend 'med <name> off' to stop one.`;
+    }
+  } else {
+    message =
+      "❓ I couldn't read that reminder.\n\nPlease try something like:\n• 'med lasix 8am'\n• 'med metformin 8am 8pm'\n• 'med lasix off'";
+  }
+
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message,
+  });
+
+  console.log(
+    `💊 Medication ${command.action} for ${phoneNumber}${
+      command.medication ? `: ${command.medication}` : ""
+    }`
+  );
+};
+
+// Function to record a "taken" reply against the latest medication reminder
+// @returns {boolean} - false when a named medication had no reminder waiting,
+//   so the message is handled as a normal one
+const handleTakenReply = async (phoneNumber, user, reply) => {
+  const dose = await medicationReminders.recordTaken(
+    phoneNumber,
+    reply.medication
+  );
+  if (!dose && reply.medication) return false;
+
+  let message;
+  if (dose) {
+    const adherence = await medicationReminders.getAdherence(user.id);
+    const counts = adherence.medications.find(
+      (entry) => entry.medication === dose.reminder.medication
+    );
+    message = `✅ Got it - ${dose.reminder.medication} marked as taken.${
+      counts ? `\n\n📊 Last 7 days: ${counts.taken} taken` : ""
+    }${counts?.missed ? `, ${counts.missed} missed` : ""}`;
+  } else {
+    message =
+      "💊 I don't have a medication reminder waiting for you right now.\n\nSend 'meds' to see your reminders.";
+  }
+
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message,
+  });
+  return true;
+};
+
+// Function to turn away a ZIP code that doesn't exist (00000, unassigned)
+// before it is saved
+const rejectInvalidZip = async (phoneNumber, zipcode, example) => {
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message: `❌ ${zipcode} isn't a US ZIP code we recognize. Please check it and try again:\n\nExample: "${example}"`,
+  });
+};
+
+// Function to run one step of the WhatsApp registration flow and save the
+// finished profile to the patient record
+const handleRegistrationStep = async (phoneNumber, input) => {
+  const result = await registrationFlow.processStep(phoneNumber, input);
+
+  if (result.isComplete) {
+    const patientData = registrationFlow.toPatientData(result.patientData);
+
+    const updated = await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: patientData,
+    });
+
+    // The contact has to accept before escalations reach them; the provider
+    // only needs the patient's consent
+    try {
+      await familyEscalation.requestContactConsent(updated);
+      await providerNotifications.introduceToProvider(updated);
+    } catch (error) {
+      console.error(
+        `❌ Failed to contact the family contact or provider of ${phoneNumber}:`,
+        error.message
+      );
+    }
+
+    if (!patientData.optOutCustomMessages) {
+      try {
+        await scheduleUserDailyCheckup(updated);
+      } catch (error) {
+        console.error(
+          `❌ Failed to schedule checkups for ${phoneNumber}:`,
+          error.message
+        );
+      }
+    }
+
+    console.log(
+      `✅ Completed WhatsApp registration for ${phoneNumber}: ${patientData.firstName}, ${patientData.zipcode}, ${patientData.age} (risk ${patientData.riskLevel})`
+    );
+  } else {
+    console.log(
+      `📋 Registration ${result.command || "step"} for ${phoneNumber}: ${
+        result.step || "cancelled"
+      }`
+    );
+  }
+
+  await whatsappQueue.add("send-whatsapp", {
+    to: phoneNumber,
+    message: result.message,
+  });
+
+  return result;
+};
+
+/**
+ * Route one inbound WhatsApp message that the webhook already persisted
+ * @param {Object} inbound - {messageId, from, body, buttonPayload, mediaUrl, mediaType, numMedia}
+ * @returns {Object} - Outcome of the routing ({action, phoneNumber, ...})
+ */
+const routeInboundMessage = async ({
+  from: From,
+  body: Body,
+  buttonPayload = null,
+}) => {
+  // Extract phone number from WhatsApp format (whatsapp:+1234567890)
+  const phoneNumber = whatsappConfig.extractPhoneNumber(From);
+
+  // Registration flow - get or create user
+  let user = await prisma.patient.findUnique({
+    where: { phoneNumber: phoneNumber },
+  });
+
+  // Family contact answering an escalation alert ("I'm on my way")
+  const openEscalation = await familyEscalation.getEscalationForContact(
+    phoneNumber
+  );
+  if (openEscalation) {
+    if (familyEscalation.isAcknowledgement(buttonPayload || Body)) {
+      await familyEscalation.acknowledge(phoneNumber, Body || buttonPayload);
+      return {
+        action: "family_escalation_acknowledged",
+        phoneNumber,
+        isNewUser: false,
+        patientPhone: openEscalation.patientPhone,
+      };
+    }
+
+    // Contacts who aren't patients themselves shouldn't get onboarding
+    if (!user) {
+      await familyEscalation.sendAcknowledgeReminder(openEscalation);
+      return {
+        action: "family_escalation_reminder",
+        phoneNumber,
+        isNewUser: false,
+        patientPhone: openEscalation.patientPhone,
+      };
+    }
+  }
+
+  // Family contact answering the request to be an emergency contact
+  const pendingConsent = await familyEscalation.getPendingConsent(phoneNumber);
+  if (pendingConsent.length > 0) {
+    const accepted = familyEscalation.parseConsentReply(buttonPayload || Body);
+    if (accepted !== null) {
+      const consent = await familyEscalation.recordContactConsent(
+        phoneNumber,
+        accepted
+      );
+      return {
+        action: accepted
+          ? "family_contact_consented"
+          : "family_contact_declined",
+        phoneNumber,
+        isNewUser: false,
+        patientPhones: consent?.patientPhones || [],
+      };
+    }
+
+    if (!user) {
+      await familyEscalation.sendConsentReminder(phoneNumber, pendingConsent);
+      return {
+        action: "family_contact_consent_reminder",
+        phoneNumber,
+        isNewUser: false,
+      };
+    }
+  }
+
+  // Provider turning their daily digest on or off ("digest on")
+  const digestCommand = providerNotifications.parseDigestCommand(Body);
+  if (digestCommand !== null) {
+    const updatedPatients = await providerNotifications.setDigest(
+      phoneNumber,
+      digestCommand
+    );
+    if (updatedPatients > 0) {
+      return {
+        action: digestCommand ? "provider_digest_on" : "provider_digest_off",
+        phoneNumber,
+        isNewUser: false,
+        patientCount: updatedPatients,
+      };
+    }
+  }
+
+  const isNewUser = !user;
+  if (!user) {
+    const firstName = Body ? Body.split(" ")[0] : "User";
+    user = await prisma.patient.create({
+      data: {
+        phoneNumber: phoneNumber,
+        firstName,
+        zipcode: "00000",
+        age: 0,
+        isPregnant: false,
+        smoker: false,
+      },
+    });
+  }
+
+  // Replies to an open emergency episode come before everything else
+  const episodeReply = emergencyEpisodes.parseReply(Body);
+  if (episodeReply) {
+    const episode = await emergencyEpisodes.handleReply(
+      user,
+      episodeReply,
+      Body
+    );
+    if (episode) {
+      return {
+        action: `emergency_${episodeReply}`,
+        phoneNumber,
+        isNewUser,
+        episodeId: episode.id,
+        episodeStatus: episode.status,
+      };
+    }
+  }
+
+  const messageText = (Body || "").toLowerCase();
+  const inRegistration = await registrationFlow.isInRegistration(phoneNumber);
+
+  // Poll answers and commands come before registration, so a patient
+  // half-way through sign-up can still answer a check-in or set a reminder
+  if (Body || buttonPayload) {
+    // Check for poll responses - a tapped button or list item carries its id
+    // as the payload, typed numbers are read against the poll the patient was
+    // actually sent, and keywords are matched strictly. During sign-up a
+    // typed number answers the registration question (an age, a condition),
+    // so only a tapped button still counts as a poll answer
+    const pollText = normalizePollText(buttonPayload || messageText);
+    const sessionAnswer =
+      !inRegistration || buttonPayload
+        ? await pollSessions.interpret(phoneNumber, pollText)
+        : null;
+
+    if (sessionAnswer?.invalidOption) {
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `❓ "${pollText}" isn't one of the choices. Please reply with one of these numbers:\n\n${pollSessions.formatOptions(
+          sessionAnswer.session
+        )}\n\n🆘 Emergency: Call 911`,
+      });
+      return {
+        action: "poll_invalid_option",
+        phoneNumber,
+        isNewUser,
+        pollType: sessionAnswer.session.pollType,
+      };
+    }
+
+    const pollResponse =
+      sessionAnswer?.pollResponse ||
+      (!inRegistration && detectPollResponse(pollText));
+    if (pollResponse) {
+      await pollSessions.close(phoneNumber);
+
+      // Give MedGemma the wording the patient picked, not just the number
+      const pollContext = sessionAnswer
+        ? `${Body} (${sessionAnswer.option.label})`
+        : Body || buttonPayload;
+
+      await handlePollResponse(
+        phoneNumber,
+        !isNewUser,
+        pollResponse,
+        pollContext
+      );
+      return {
+        action: "poll_response",
+        phoneNumber,
+        isNewUser,
+        pollResponse,
+        pollType: sessionAnswer?.session.pollType || null,
+      };
+    }
+
+    // Quiet hours: "quiet 10pm-7am", "quiet off", or "quiet" to check
+    const quietCommand = quietHours.parseCommand(messageText);
+    if (quietCommand) {
+      await handleQuietHoursCommand(phoneNumber, user, quietCommand);
+      return {
+        action: `quiet_hours_${quietCommand.action}`,
+        phoneNumber,
+        isNewUser,
+      };
+    }
+
+    // Daily check-up time: "checkin 8am", or "checkin" to check
+    const checkinMatch = messageText.trim().match(CHECKIN_COMMAND_PATTERN);
+    if (checkinMatch) {
+      const checkinAction = await handleCheckinTimeCommand(
+        phoneNumber,
+        user,
+        checkinMatch[1]?.trim() || null
+      );
+      return {
+        action: `checkin_time_${checkinAction}`,
+        phoneNumber,
+        isNewUser,
+      };
+    }
+
+    // Medication reminders: "med lasix 8am", "med lasix off", or "meds"
+    const medicationCommand = medicationReminders.parseCommand(Body);
+    if (medicationCommand) {
+      await handleMedicationCommand(phoneNumber, user, medicationCommand);
+      return {
+        action: `medication_${medicationCommand.action}`,
+        phoneNumber,
+        isNewUser,
+      };
+    }
+
+    // "taken" after a medication reminder
+    const takenReply = medicationReminders.parseTakenReply(Body);
+    if (takenReply && (await handleTakenReply(phoneNumber, user, takenReply))) {
+      return { action: "medication_taken", phoneNumber, isNewUser };
+    }
+  }
+
+  // Conversational registration - replies go to the flow until it completes,
+  // is cancelled or gets a reply that doesn't fit the question. Symptoms and
+  // STOP/HELP skip it
+  if (
+    (Body && REGISTER_COMMAND_PATTERN.test(Body)) ||
+    (inRegistration &&
+      !hasHealthSymptoms(messageText) &&
+      !STOP_HELP_PATTERN.test(messageText))
+  ) {
+    const result = await handleRegistrationStep(phoneNumber, Body || "");
+    if (!result.exited) {
+      return {
+        action: result.isComplete
+          ? "registration_completed"
+          : `registration_${result.command || "step"}`,
+        phoneNumber,
+        isNewUser,
+        registrationStep: result.step,
+      };
+    }
+  }
+
+  // Check for various registration/update patterns
+  const nameZipAgePattern = /^([A-Za-z\-\'\s]{2,}),\s*(\d{5}),\s*(\d{1,3})$/;
+  const registrationMatch = Body?.match(nameZipAgePattern);
+
+  // Check for zipcode-only updates (for existing users)
+  const zipcodeUpdatePattern =
+    /^(?:update|change|new)\s*(?:zip|zipcode|location)?\s*(?:to|is)?\s*(\d{5})$/i;
+  const zipcodeMatch = Body?.match(zipcodeUpdatePattern);
+
+  // Check for simple zipcode patterns (just the number)
+  const simpleZipcodePattern = /^(\d{5})$/;
+  const simpleZipcodeMatch = Body?.match(simpleZipcodePattern);
+
+  if (registrationMatch && (user.zipcode === "00000" || user.age === 0)) {
+    const [, fullName, zipcode, ageStr] = registrationMatch;
+    const age = parseInt(ageStr);
+
+    if (!isValidZip(zipcode)) {
+      await rejectInvalidZip(phoneNumber, zipcode, "John Smith, 10001, 45");
+      return { action: "registration_invalid_zipcode", phoneNumber, isNewUser };
+    }
+
+    if (age >= 1 && age <= 120) {
+      // Update user with complete registration
+      await prisma.patient.update({
+        where: { phoneNumber: phoneNumber },
+        data: {
+          firstName: fullName.trim(),
+          zipcode: zipcode,
+          timezone: getTimezoneForZip(zipcode),
+          age: age,
+        },
+      });
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `✅ *Registration Complete!*\n\nThanks ${fullName}! I've updated your profile:\n📍 ZIP: ${zipcode}\n🎂 Age: ${age}\n\nYou'll now receive personalized health monitoring based on your location and age. I've also enrolled you in daily checkups at ${describeCheckinTime(
+          user
+        )} (send 'checkin 8am' to change it).\n\nReply 'help' for commands or just tell me how you're feeling anytime!`,
+      });
+
+      console.log(
+        `✅ Completed registration for ${phoneNumber}: ${fullName}, ${zipcode}, ${age}`
+      );
+      return { action: "registration_complete", phoneNumber, isNewUser };
+    } else {
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `❌ Age must be between 1 and 120. Please try again:\n\nExample: "John Smith, 10001, 45"`,
+      });
+      return { action: "registration_invalid_age", phoneNumber, isNewUser };
+    }
+  }
+
+  // Handle zipcode updates for existing users
+  if (zipcodeMatch && user.zipcode !== "00000" && user.age > 0) {
+    const newZipcode = zipcodeMatch[1];
+
+    if (!isValidZip(newZipcode)) {
+      await rejectInvalidZip(phoneNumber, newZipcode, "update zip 10001");
+      return { action: "invalid_zipcode", phoneNumber, isNewUser };
+    }
+
+    const updated = await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: { zipcode: newZipcode, timezone: getTimezoneForZip(newZipcode) },
+    });
+
+    // Keep the daily check-up and medication reminders at the same local
+    // time in the new timezone
+    if (updated.monitoringEnabled && updated.timezone !== user.timezone) {
+      await scheduleUserDailyCheckup(updated);
+      await medicationReminders.rescheduleAll(phoneNumber);
+    }
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: `✅ *Location Updated!*\n\n📍 Your ZIP code has been updated to: ${newZipcode}\n\nI'll now provide weather alerts and health monitoring based on your new location. Stay safe! 🌡️`,
+    });
+
+    console.log(`✅ Updated zipcode for ${phoneNumber}: ${newZipcode}`);
+    return { action: "zipcode_updated", phoneNumber, isNewUser };
+  }
+
+  // Handle simple zipcode updates (just numbers) for incomplete registrations
+  if (
+    simpleZipcodeMatch &&
+    (user.zipcode === "00000" || user.age === 0) &&
+    user.firstName !== "User"
+  ) {
+    const newZipcode = simpleZipcodeMatch[1];
+
+    if (!isValidZip(newZipcode)) {
+      await rejectInvalidZip(phoneNumber, newZipcode, "10001");
+      return { action: "registration_invalid_zipcode", phoneNumber, isNewUser };
+    }
+
+    await prisma.patient.update({
+      where: { phoneNumber: phoneNumber },
+      data: { zipcode: newZipcode, timezone: getTimezoneForZip(newZipcode) },
+    });
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: `✅ *ZIP Code Saved!*\n\n📍 Location: ${newZipcode}\n\nNow please tell me your age to complete registration:\nExample: "25" or "${user.firstName}, ${newZipcode}, 25"`,
+    });
+
+    console.log(
+      `✅ Updated zipcode for incomplete registration ${phoneNumber}: ${newZipcode}`
+    );
+    return { action: "registration_zipcode_saved", phoneNumber, isNewUser };
+  }
+
+  // Send onboarding link to brand new users
+  if (isNewUser) {
+    const onboardingUrl = process.env.BASE_URL
+      ? `${process.env.BASE_URL}/onboarding.html`
+      : `https://24a3ffeedf11.ngrok-free.app/onboarding.html`;
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: `🌡️ *Welcome to HeatCare!*\n\nI'm your personal heat health assistant. To get started with personalized alerts and monitoring, please complete your health profile:\n\n📋 *Complete Registration:*\n${onboardingUrl}\n\n💬 No browser? Reply *REGISTER* to sign up right here in WhatsApp.\n\n⚠️ *Important*: This is not medical advice. For emergencies, call 911.\n\n💬 After registration, I'll provide personalized health tips based on your profile and local weather conditions.`,
+    });
+
+    console.log(`📱 Sent onboarding link to new user: ${phoneNumber}`);
+
+    // Don't schedule checkups until they complete registration
+  }
+
+  let action = isNewUser ? "onboarding" : "no_content";
+
+  // Process message content for health symptoms
+  if (Body || buttonPayload) {
+    // Check for health-related symptoms using AI analysis
+    if (hasHealthSymptoms(messageText)) {
+      action = "symptom_analysis";
+      // Direct MedGemma analysis - no NLP preprocessing needed
+      console.log(
+        `💬 [Health] Sending raw message directly to MedGemma: "${Body}"`
+      );
+
+      try {
+        const weatherData = {
+          feelsLike: 95 + (parseInt(user.zipcode || "00000") % 10), // Simple temp estimation
+          humidity: 65,
+          heatWarning: false, // Let MedGemma determine urgency from raw text
+        };
+
+        console.log(
+          `🤖 [Health] Running MedGemma-only analysis with guard rails...`
+        );
+        const aiAnalysis = await analyzeSymptoms(Body, user, weatherData);
+
+        // Guard rail: Ensure we have a valid response
+        if (!aiAnalysis.smsMessage && !aiAnalysis.advice) {
+          throw new Error("MedGemma returned empty response");
+        }
+
+        // Update patient's risk calculation in database
+        await updatePatientRiskData(
+          phoneNumber,
+          aiAnalysis,
+          Body,
+          weatherData
+        );
+
+        // Send AI-generated response
+        const responseMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
+
+        await whatsappQueue.add("send-whatsapp", {
+          to: phoneNumber,
+          message: responseMessage,
+          tier: aiAnalysis.emergencyAlert ? "emergency" : "checkin",
+        });
+
+        await notifyProviderOfRisk(phoneNumber, aiAnalysis, Body);
+
+        // Alert family/emergency contact if configured
+        if (aiAnalysis.emergencyAlert) {
+          await escalateToFamily(phoneNumber, {
+            reason: "emergency_symptoms",
+            summary: summarizeAnalysis(aiAnalysis),
+            lastReply: Body,
+          });
+        }
+
+        // Schedule symptom-based monitoring using AI-determined escalation
+        const escalationLevel =
+          aiAnalysis.escalationLevel ||
+          (aiAnalysis.emergencyAlert ? "emergency" : "medium");
+
+        await monitoringEpisodes.start(phoneNumber, {
+          symptom: Body,
+          riskLevel: escalationLevel,
+        });
+
+        console.log(
+          `[Health Monitor] MedGemma analysis for ${phoneNumber}:`,
+          {
+            risk: aiAnalysis.risk?.level,
+            escalation: escalationLevel,
+            urgency: aiAnalysis.urgency,
+            guardRailsActive: true,
+          }
+        );
+      } catch (error) {
+        console.error("❌ MedGemma service unavailable:", error);
+
+        // Guard rail: Emergency safety message when MedGemma fails
+        const emergencyKeywords = [
+          "911",
+          "emergency",
+          "chest pain",
+          "can't breathe",
+          "fainting",
+        ];
+        const isEmergency = emergencyKeywords.some((keyword) =>
+          Body.toLowerCase().includes(keyword)
+        );
+
+        if (isEmergency) {
+          await whatsappQueue.add("send-whatsapp", {
+            to: phoneNumber,
+            message:
+              "🚨 EMERGENCY DETECTED: Call 911 immediately if you're having chest pain, trouble breathing, or fainting. Get medical help now!",
+            tier: "emergency",
+          });
+        } else {
+          await whatsappQueue.add("send-whatsapp", {
+            to: phoneNumber,
+            message:
+              "⚠️ Health service temporarily unavailable. If this is urgent, call 911. For non-urgent symptoms, please try again in a few minutes.",
+          });
+        }
+
+        // No fallback processing - system requires MedGemma to function
+
+        // Schedule basic monitoring
+        await monitoringEpisodes.start(phoneNumber, {
+          symptom: Body,
+          riskLevel: "medium",
+        });
+      }
+    } else if (messageText.includes("help") || messageText.includes("info")) {
+      // Help/info response
+      action = "help";
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message:
+          "🌡️ *Climate Health Alerts Help* 📱\n\nAvailable commands:\n• Send symptoms for health guidance\n• 'status' - Check your health status\n• 'stop' - Pause all alerts\n• 'stop daily' - Disable daily checkups\n• 'start' - Resume alerts\n• 'start daily' - Enable daily checkups\n• 'quiet 10pm-7am' - Hold non-urgent messages overnight\n• 'quiet off' - Turn quiet hours off\n• 'checkin 8am' - Choose your daily checkup time\n• 'med lasix 8am' - Medication reminder ('meds' to list, 'taken' after a dose)\n• 'register' - Set up or update your health profile\n\n🆘 Emergency: Call 911\n💡 Tips: Stay hydrated, seek shade, avoid heavy activity during heat waves.",
+      });
+    } else if (messageText.includes("stop daily")) {
+      // Stop daily checkups only
+      action = "stop_daily";
+      await cancelHealthCheckups(phoneNumber, "daily");
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message:
+          "⏸️ Daily checkups disabled.\n\n💡 You'll still receive symptom-based monitoring if needed.\n\nSend 'start daily' to re-enable daily checkups.",
+      });
+    } else if (messageText.includes("start daily")) {
+      // Resume daily checkups
+      action = "start_daily";
+      await scheduleUserDailyCheckup(user);
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `✅ Daily checkups enabled!\n\n🌅 You'll receive a daily health check at ${describeCheckinTime(
+          user
+        )}.\n\nThis is separate from any symptom monitoring. Send 'checkin 8am' to change the time.`,
+      });
+    } else if (messageText.includes("stop")) {
+      // Pause all alerts
+      action = "stop";
+      await prisma.patient.update({
+        where: { phoneNumber: phoneNumber },
+        data: { monitoringEnabled: false },
+      });
+
+      await monitoringEpisodes.close(phoneNumber, { reason: "stopped" });
+      await cancelHealthCheckups(phoneNumber, "all");
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message:
+          "⏸️ All health alerts paused.\n\nSend 'start' to resume alerts anytime.\n\n⚠️ Remember: This doesn't affect emergency services. Call 911 for emergencies.",
+      });
+    } else if (messageText.includes("start")) {
+      // Resume alerts
+      action = "start";
+      await prisma.patient.update({
+        where: { phoneNumber: phoneNumber },
+        data: { monitoringEnabled: true },
+      });
+
+      await scheduleUserDailyCheckup(user);
+      await medicationReminders.rescheduleAll(phoneNumber);
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `✅ Health alerts resumed!\n\n🌅 Daily checkups enabled at ${describeCheckinTime(
+          user
+        )}\n💡 Symptom monitoring will activate as needed\n\nStay safe! 🌡️💙`,
+      });
+    } else {
+      // General response - MedGemma-only with guard rails
+      action = "general_response";
+      try {
+        console.log(
+          `💬 [General] Sending raw message to MedGemma with guard rails: "${Body}"`
+        );
+
+        const weatherData = {
+          feelsLike: 95 + (parseInt(user.zipcode || "00000") % 10),
+          humidity: 65,
+          heatWarning: false, // Let MedGemma determine context from conversation
+        };
+
+        console.log(`🤖 [General] Running MedGemma-only analysis...`);
+        const aiAnalysis = await analyzeSymptoms(Body, user, weatherData);
+
+        // Guard rail: Ensure valid response
+        if (!aiAnalysis.smsMessage && !aiAnalysis.advice) {
+          throw new Error("MedGemma returned empty response");
+        }
+
+        const responseMessage = aiAnalysis.smsMessage || aiAnalysis.advice;
+
+        await whatsappQueue.add("send-whatsapp", {
+          to: phoneNumber,
+          message: responseMessage,
+          tier: aiAnalysis.emergencyAlert ? "emergency" : "checkin",
+        });
+
+        await notifyProviderOfRisk(phoneNumber, aiAnalysis, Body);
+
+        if (aiAnalysis.emergencyAlert) {
+          await escalateToFamily(phoneNumber, {
+            reason: "emergency_symptoms",
+            summary: summarizeAnalysis(aiAnalysis),
+            lastReply: Body,
+          });
+        }
+      } catch (error) {
+        console.error("❌ [General] MedGemma service unavailable:", error);
+
+        // Guard rail: Minimal safe response when MedGemma fails
+        await whatsappQueue.add("send-whatsapp", {
+          to: phoneNumber,
+          message:
+            "⚠️ Service temporarily unavailable. For health emergencies, call 911. Please try again in a few minutes.",
+        });
+      }
+    }
+  }
+
+  return { action, phoneNumber, isNewUser };
+};
+
+module.exports = {
+  routeInboundMessage,
+  detectPollResponse,
+  handlePollResponse,
+};
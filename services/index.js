@@ -8,6 +8,8 @@ require("dotenv").config();
 let prismaInstance = null;
 let twilioInstance = null;
 let redisInstance = null;
+let transportInstance = null;
+let weatherProviderInstance = null;
 
 /**
  * Get shared Prisma client instance
@@ -111,18 +113,98 @@ const getWhatsAppConfig = () => {
   };
 };
 
+/**
+ * SMS configuration object (used as a delivery fallback channel)
+ */
+const getSmsConfig = () => {
+  const smsNumber = process.env.TWILIO_SMS_NUMBER;
+
+  return {
+    from: smsNumber || null,
+    enabled: Boolean(smsNumber),
+
+    // SMS recipients are plain E.164 numbers without the whatsapp: prefix
+    formatPhoneNumber: (phoneNumber) => {
+      return phoneNumber.replace("whatsapp:", "");
+    },
+  };
+};
+
+/**
+ * Get shared messaging transport instance
+ * MESSAGING_TRANSPORT=fake records messages instead of sending them
+ * @returns {MessagingTransport}
+ */
+const getMessagingTransport = () => {
+  if (!transportInstance) {
+    const { createMessagingTransport } = require("./messagingTransport");
+    const transportName = getMessagingTransportName();
+
+    const dependencies = {
+      whatsappConfig: getWhatsAppConfig(),
+      smsConfig: getSmsConfig(),
+    };
+
+    if (transportName === "fake") {
+      dependencies.redis = getRedisConnection();
+      dependencies.webhookBaseUrl = process.env.FAKE_TRANSPORT_WEBHOOK_URL;
+      dependencies.authToken = process.env.TWILIO_AUTH_TOKEN;
+    } else {
+      dependencies.client = getTwilioClient();
+    }
+
+    transportInstance = createMessagingTransport(transportName, dependencies);
+  }
+  return transportInstance;
+};
+
+/**
+ * Name of the configured messaging transport
+ */
+const getMessagingTransportName = () => {
+  return (process.env.MESSAGING_TRANSPORT || "twilio").toLowerCase();
+};
+
+/**
+ * Get shared weather provider instance
+ * WEATHER_PROVIDER=fixture replays recorded weather instead of calling an API
+ * @returns {WeatherProvider}
+ */
+const getWeatherProvider = () => {
+  if (!weatherProviderInstance) {
+    const { createWeatherProvider } = require("./weatherProviders");
+    const providerName = getWeatherProviderName();
+
+    // Fixtures are local files - only API providers share the Redis cache
+    weatherProviderInstance = createWeatherProvider(providerName, {
+      apiKey: process.env.OPENWEATHER_API_KEY,
+      fixtureDir: process.env.WEATHER_FIXTURE_DIR || undefined,
+      cache: providerName === "fixture" ? null : require("./weatherCache"),
+    });
+  }
+  return weatherProviderInstance;
+};
+
+/**
+ * Name of the configured weather provider
+ */
+const getWeatherProviderName = () => {
+  return (process.env.WEATHER_PROVIDER || "nws").toLowerCase();
+};
+
 /**
  * Validate all required environment variables
  */
 const validateEnvironment = () => {
-  const required = [
-    "TWILIO_SID",
-    "TWILIO_AUTH_TOKEN",
-    "TWILIO_WHATSAPP_SANDBOX_NUMBER",
-  ];
+  // The fake transport never talks to Twilio, so credentials are optional
+  const required =
+    getMessagingTransportName() === "fake"
+      ? ["TWILIO_WHATSAPP_SANDBOX_NUMBER"]
+      : ["TWILIO_SID", "TWILIO_AUTH_TOKEN", "TWILIO_WHATSAPP_SANDBOX_NUMBER"];
 
   const recommended = [
     "BASE_URL", // For status webhook callbacks
+    "TWILIO_SMS_NUMBER", // For SMS fallback when WhatsApp delivery fails
   ];
 
   const missing = required.filter((key) => !process.env[key]);
@@ -140,7 +222,9 @@ const validateEnvironment = () => {
         ", "
       )}`
     );
-    console.warn("   Status webhook delivery tracking may not work properly");
+    console.warn(
+      "   Status webhook delivery tracking and SMS fallback may not work properly"
+    );
   }
 
   console.log("✅ Environment validation passed");
@@ -166,18 +250,25 @@ const initializeServices = async () => {
     await redis.ping();
     console.log("✅ Redis connected");
 
-    // Test Twilio client
-    const twilio = getTwilioClient();
+    // Set up messaging transport
+    const transport = getMessagingTransport();
     const whatsapp = getWhatsAppConfig();
-    console.log(`✅ Twilio configured (WhatsApp: ${whatsapp.sandboxNumber})`);
+    console.log(
+      `✅ Messaging transport configured: ${transport.name} (WhatsApp: ${whatsapp.sandboxNumber})`
+    );
+
+    // Set up weather provider
+    const weatherProvider = getWeatherProvider();
+    console.log(`✅ Weather provider configured: ${weatherProvider.name}`);
 
     console.log("🚀 All services initialized successfully");
 
     return {
       prisma,
-      twilio,
+      transport,
       redis,
       whatsapp,
+      weatherProvider,
     };
   } catch (error) {
     console.error("❌ Service initialization failed:", error);
@@ -214,6 +305,9 @@ module.exports = {
   getTwilioClient,
   getRedisConnection,
   getWhatsAppConfig,
+  getSmsConfig,
+  getMessagingTransport,
+  getWeatherProvider,
 
   // Initialization
   initializeServices,
@@ -0,0 +1,175 @@
+// Interactive messages service - native WhatsApp quick-reply buttons and list
+// pickers for health polls, sent as Twilio Content templates
+// Every poll also carries a numbered text version, used for SMS and whenever
+// the template can't be resolved, so replies like "2" or "worse" keep working
+const { getMessagingTransport, getRedisConnection } = require("./index");
+
+const CONTENT_SID_KEY_PREFIX = "content-template:";
+
+// Health poll answers - ids match detectPollResponse / handlePollResponse
+// (WhatsApp limits: button titles 20 chars, list items 24, descriptions 72)
+const HEALTH_POLL_OPTIONS = [
+  {
+    id: "much_better",
+    title: "✅ Much Better",
+    description: "My symptoms are mostly gone",
+    keyword: "better",
+  },
+  {
+    id: "slightly_better",
+    title: "🟡 Slightly Better",
+    description: "Improving, but not there yet",
+    keyword: "slightly",
+  },
+  {
+    id: "same_symptoms",
+    title: "⚪ Same",
+    description: "No change since the last check",
+    keyword: "same",
+  },
+  {
+    id: "worse_condition",
+    title: "🟠 Getting Worse",
+    description: "My symptoms are getting worse",
+    keyword: "worse",
+  },
+  {
+    id: "emergency_help",
+    title: "🚨 Need Help Now",
+    description: "I need medical help right away",
+    keyword: "emergency",
+  },
+];
+
+// Quick replies allow 3 buttons: better / same / worse
+const HEALTH_POLL_BUTTON_IDS = [
+  "much_better",
+  "same_symptoms",
+  "worse_condition",
+];
+
+// Content templates, keyed by the name jobs refer to them with
+// Each can be pinned to an existing Content SID with its env var; otherwise
+// it is created through the Content API on first use and cached in Redis
+const CONTENT_TEMPLATES = {
+  health_poll_buttons: {
+    envVar: "TWILIO_CONTENT_SID_HEALTH_BUTTONS",
+    definition: {
+      friendlyName: "heatcare_health_poll_buttons",
+      language: "en",
+      variables: { 1: "How are you feeling?" },
+      types: {
+        "twilio/quick-reply": {
+          body: "{{1}}",
+          actions: HEALTH_POLL_OPTIONS.filter((option) =>
+            HEALTH_POLL_BUTTON_IDS.includes(option.id)
+          ).map((option) => ({ id: option.id, title: option.title })),
+        },
+        "twilio/text": { body: "{{1}}" },
+      },
+    },
+  },
+  health_poll_list: {
+    envVar: "TWILIO_CONTENT_SID_HEALTH_LIST",
+    definition: {
+      friendlyName: "heatcare_health_poll_list",
+      language: "en",
+      variables: { 1: "How are you feeling?" },
+      types: {
+        "twilio/list-picker": {
+          body: "{{1}}",
+          button: "Select Status",
+          items: HEALTH_POLL_OPTIONS.map((option) => ({
+            id: option.id,
+            item: option.title,
+            description: option.description,
+          })),
+        },
+        "twilio/text": { body: "{{1}}" },
+      },
+    },
+  },
+};
+
+class InteractiveMessageService {
+  constructor() {
+    this.redis = getRedisConnection();
+    this.contentSids = new Map();
+  }
+
+  /**
+   * Numbered text version of the health poll
+   */
+  formatHealthPollOptions() {
+    const lines = HEALTH_POLL_OPTIONS.map(
+      (option, index) =>
+        `${index + 1}️⃣ ${option.title.replace(/^\S+\s/, "")} - reply "${
+          option.keyword
+        }" or "${index + 1}"`
+    );
+    return `*Tap a button or reply:*\n${lines.join("\n")}`;
+  }
+
+  /**
+   * Build a health poll job payload for whatsapp-queue
+   * @param {string} body - Question text shown above the buttons
+   * @param {Object} options - {urgent: true} shows all five answers in a list picker
+   * @returns {Object} - {message, contentTemplate, contentVariables, pollType}
+   */
+  buildHealthPoll(body, { urgent = false } = {}) {
+    return {
+      message: `${body}\n\n${this.formatHealthPollOptions()}`,
+      contentTemplate: urgent ? "health_poll_list" : "health_poll_buttons",
+      contentVariables: { 1: body },
+      pollType: "health_symptom",
+    };
+  }
+
+  /**
+   * Resolve a template name to its Twilio Content SID, creating it if needed
+   * @returns {string|null} - Content SID, or null to fall back to plain text
+   */
+  async resolveContentSid(templateName) {
+    const template = CONTENT_TEMPLATES[templateName];
+    if (!template) {
+      console.warn(`[Interactive] Unknown content template: ${templateName}`);
+      return null;
+    }
+
+    if (process.env[template.envVar]) {
+      return process.env[template.envVar];
+    }
+
+    if (this.contentSids.has(templateName)) {
+      return this.contentSids.get(templateName);
+    }
+
+    try {
+      // Keyed per transport so fake SIDs never reach Twilio
+      const transport = getMessagingTransport();
+      const cacheKey = `${CONTENT_SID_KEY_PREFIX}${transport.name}:${templateName}`;
+      let contentSid = await this.redis.get(cacheKey);
+
+      if (!contentSid) {
+        contentSid = await transport.createContentTemplate(
+          template.definition
+        );
+        await this.redis.set(cacheKey, contentSid);
+        console.log(
+          `🧩 [Interactive] Created content template ${templateName}: ${contentSid}`
+        );
+      }
+
+      this.contentSids.set(templateName, contentSid);
+      return contentSid;
+    } catch (error) {
+      console.error(
+        `❌ [Interactive] Could not resolve content template ${templateName}, sending plain text:`,
+        error.message
+      );
+      return null;
+    }
+  }
+}
+
+module.exports = new InteractiveMessageService();
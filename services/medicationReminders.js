@@ -0,0 +1,449 @@
+// Medication reminder service - patients set reminder times per medication
+// over WhatsApp ('med lasix 8am') or the onboarding form. Each time runs as a
+// health-cron-queue job scheduler in the patient's timezone; on hot days the
+// reminder carries a drug-class heat note, and "taken" replies are recorded
+// per dose (MedicationDose) for adherence
+const { getPrismaClient } = require("./index");
+const {
+  whatsappQueue,
+  scheduleMedicationReminder,
+  cancelMedicationReminder,
+} = require("../queue");
+const weatherService = require("./weatherService");
+const quietHours = require("./quietHours");
+const {
+  classifyMedication,
+  getHeatNote,
+  getDrugClassLabel,
+} = require("../utils/medicationHeat");
+
+// Feels-like °F that makes a reminder carry its heat note (the senior heat
+// alert threshold)
+const HOT_DAY_FEELS_LIKE = 90;
+
+// A bare "taken" counts for a dose sent this recently
+const TAKEN_WINDOW_HOURS = 12;
+
+const MAX_TIMES_PER_MEDICATION = 4;
+const DEFAULT_ADHERENCE_DAYS = 7;
+
+// "8am", "8:30 pm", "7 a.m.", "20:00"
+const TIME_PATTERN =
+  /\b\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)|\b\d{1,2}:\d{2}\b/gi;
+
+// "taken", "took it", "took my meds", or "taken lasix" / "took my lasix"
+const TAKEN_PATTERN =
+  /^(?:taken|took|took it|took them|took my (?:meds|medicine|medication|pills?))$/i;
+const TAKEN_NAMED_PATTERN = /^(?:taken|took)\s+(?:my\s+)?(.+)$/i;
+
+class MedicationReminderService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  /**
+   * Parse "Lasix 8am" or "Metformin 500mg 8am and 8pm"
+   * @returns {Object|null} - {medication, times: ["08:00", "20:00"]}
+   */
+  parseReminderText(text) {
+    const value = String(text || "").trim();
+    const matches = [...value.matchAll(TIME_PATTERN)];
+    if (matches.length === 0) return null;
+
+    const medication = value
+      .slice(0, matches[0].index)
+      .replace(/[\s,@-]+$/, "")
+      .replace(/\s+at$/i, "")
+      .trim();
+    if (!medication) return null;
+
+    const times = [
+      ...new Set(
+        matches
+          .map((match) => quietHours.parseTime(match[0].replace(/\s+/g, "")))
+          .filter(Boolean)
+      ),
+    ].sort();
+    if (times.length === 0 || times.length > MAX_TIMES_PER_MEDICATION) {
+      return null;
+    }
+
+    return { medication, times };
+  }
+
+  /**
+   * Parse a WhatsApp medication command
+   * "med lasix 8am" | "med metformin 8am 8pm" | "med lasix off" | "meds off" |
+   * "meds" to list them
+   * @returns {Object|null} - {action: "set", medication, times} |
+   *   {action: "off", medication|null} | {action: "list"} | {action: "invalid"},
+   *   or null if not a medication command
+   */
+  parseCommand(messageText) {
+    const match = String(messageText || "")
+      .trim()
+      .match(/^meds?(?:\s+(.*))?$/i);
+    if (!match) return null;
+
+    const args = (match[1] || "").trim();
+    if (!args || /^(list|show)$/i.test(args)) return { action: "list" };
+    if (/^(off|stop|none)$/i.test(args)) {
+      return { action: "off", medication: null };
+    }
+
+    const off =
+      args.match(/^(?:off|stop|remove)\s+(.+)$/i) ||
+      args.match(/^(.+?)\s+(?:off|stop|remove)$/i);
+    if (off) return { action: "off", medication: off[1].trim() };
+
+    // "meds make me dizzy" is a message, not a command
+    if (!/\d/.test(args)) return null;
+
+    const reminder = this.parseReminderText(args);
+    return reminder ? { action: "set", ...reminder } : { action: "invalid" };
+  }
+
+  /**
+   * Parse a "taken" reply
+   * @returns {Object|null} - {medication: name|null}, or null if not one
+   */
+  parseTakenReply(messageText) {
+    const text = String(messageText || "")
+      .trim()
+      .replace(/[.!✅]+$/u, "")
+      .trim();
+    if (TAKEN_PATTERN.test(text)) return { medication: null };
+
+    const named = text.match(TAKEN_NAMED_PATTERN);
+    return named ? { medication: named[1].trim() } : null;
+  }
+
+  matchesMedication(medication, text) {
+    const name = medication.toLowerCase();
+    const query = text.toLowerCase();
+    return name.includes(query) || query.includes(name.split(/\s+/)[0]);
+  }
+
+  async getReminders(patientId) {
+    return this.prisma.medicationReminder.findMany({
+      where: { patientId, enabled: true },
+      orderBy: [{ medication: "asc" }, { time: "asc" }],
+    });
+  }
+
+  /**
+   * Set a medication's reminder times, replacing the ones it had
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} reminder - {medication, times: ["08:00"]}
+   * @returns {Object[]|null} - Enabled reminders for the medication, or null
+   *   for an unknown patient
+   */
+  async setReminders(phoneNumber, { medication, times }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    const existing = (
+      await this.prisma.medicationReminder.findMany({
+        where: { patientId: patient.id },
+      })
+    ).filter(
+      (reminder) =>
+        reminder.medication.toLowerCase() === medication.toLowerCase()
+    );
+
+    // Times that were dropped stop; kept ones keep their dose history
+    for (const reminder of existing) {
+      if (reminder.enabled && !times.includes(reminder.time)) {
+        await this.disable(phoneNumber, reminder);
+      }
+    }
+
+    const drugClass = classifyMedication(medication);
+    const reminders = [];
+    for (const time of times) {
+      const current = existing.find((reminder) => reminder.time === time);
+      const reminder = current
+        ? await this.prisma.medicationReminder.update({
+            where: { id: current.id },
+            data: { medication, drugClass, enabled: true },
+          })
+        : await this.prisma.medicationReminder.create({
+            data: { patientId: patient.id, medication, drugClass, time },
+          });
+
+      if (patient.monitoringEnabled) {
+        await scheduleMedicationReminder(phoneNumber, reminder, {
+          timezone: patient.timezone,
+        });
+      }
+      reminders.push(reminder);
+    }
+
+    return reminders;
+  }
+
+  /**
+   * Stop a medication's reminders, or all of them
+   * @returns {Object[]} - Reminders that were removed
+   */
+  async removeReminders(phoneNumber, medication = null) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return [];
+
+    const reminders = (await this.getReminders(patient.id)).filter(
+      (reminder) =>
+        !medication || this.matchesMedication(reminder.medication, medication)
+    );
+    for (const reminder of reminders) {
+      await this.disable(phoneNumber, reminder);
+    }
+    return reminders;
+  }
+
+  async disable(phoneNumber, reminder) {
+    await this.prisma.medicationReminder.update({
+      where: { id: reminder.id },
+      data: { enabled: false },
+    });
+    await cancelMedicationReminder(phoneNumber, reminder.id);
+  }
+
+  /**
+   * Re-create the schedulers of every enabled reminder (alerts resumed, or
+   * the patient's timezone changed)
+   * @returns {number} - Reminders scheduled
+   */
+  async rescheduleAll(phoneNumber) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return 0;
+
+    const reminders = await this.getReminders(patient.id);
+    for (const reminder of reminders) {
+      await scheduleMedicationReminder(phoneNumber, reminder, {
+        timezone: patient.timezone,
+      });
+    }
+    return reminders.length;
+  }
+
+  /**
+   * Reminders typed into the onboarding form, one medication per line
+   * ("Lasix 8am", "Metformin 8am, 8pm")
+   * @returns {Object} - {saved, invalid: [lines that couldn't be read]}
+   */
+  async setFromForm(phoneNumber, lines = []) {
+    const entries = Array.isArray(lines)
+      ? lines
+      : String(lines || "").split("\n");
+    const result = { saved: 0, invalid: [] };
+
+    for (const line of entries.map((entry) => String(entry).trim())) {
+      if (!line) continue;
+
+      const reminder = this.parseReminderText(line);
+      if (!reminder) {
+        result.invalid.push(line);
+        continue;
+      }
+      const saved = await this.setReminders(phoneNumber, reminder);
+      result.saved += saved ? saved.length : 0;
+    }
+    return result;
+  }
+
+  /**
+   * Today's peak feels-like for the patient's ZIP
+   * @returns {Object} - {hot, feelsLike}
+   */
+  async getHeatContext(patient) {
+    if (!patient.zipcode || patient.zipcode === "00000") {
+      return { hot: false, feelsLike: null };
+    }
+
+    const heatWaveData = await weatherService.detectHeatWave(patient.zipcode);
+    return {
+      hot: heatWaveData.maxFeelsLike >= HOT_DAY_FEELS_LIKE,
+      feelsLike: heatWaveData.maxFeelsLike,
+    };
+  }
+
+  /**
+   * Send one reminder (health-cron-queue "medication-reminder" job)
+   * @returns {Object} - {status: "sent", doseId, heatNote} |
+   *   {status: "skipped", reason}
+   */
+  async sendReminder({ phoneNumber, reminderId }) {
+    const reminder = await this.prisma.medicationReminder.findUnique({
+      where: { id: reminderId },
+      include: { patient: true },
+    });
+    if (!reminder || !reminder.enabled) {
+      return { status: "skipped", reason: "reminder_removed" };
+    }
+    if (!reminder.patient.monitoringEnabled) {
+      return { status: "skipped", reason: "monitoring_disabled" };
+    }
+
+    // The last dose was never confirmed before this one came due
+    await this.prisma.medicationDose.updateMany({
+      where: { reminderId: reminder.id, status: "sent" },
+      data: { status: "missed" },
+    });
+
+    const heat = await this.getHeatContext(reminder.patient);
+    const heatNote =
+      heat.hot && reminder.drugClass ? getHeatNote(reminder.drugClass) : null;
+
+    let message =
+      `💊 *Medication Reminder*\n\n` +
+      `Hi ${reminder.patient.firstName}, it's time for your *${reminder.medication}*.`;
+
+    if (heatNote) {
+      message += `\n\n🌡️ *Hot day (${heat.feelsLike}°F)* - your ${getDrugClassLabel(
+        reminder.drugClass
+      )}:\n${heatNote}`;
+    } else if (heat.hot) {
+      message += `\n\n🌡️ Hot day (${heat.feelsLike}°F) - keep your medicines somewhere cool.`;
+    }
+    message += `\n\nReply *TAKEN* once you've taken it.`;
+
+    const dose = await this.prisma.medicationDose.create({
+      data: {
+        reminderId: reminder.id,
+        patientId: reminder.patientId,
+        feelsLike: heat.feelsLike,
+        heatNote,
+      },
+    });
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message,
+      tier: "checkin",
+      messageType: "medication_reminder",
+      collapseKey: `medication-reminder-${reminder.id}`,
+    });
+
+    console.log(
+      `💊 [Medication] Reminded ${phoneNumber} to take ${reminder.medication}${
+        heatNote ? ` with ${reminder.drugClass} heat note` : ""
+      }`
+    );
+    return { status: "sent", doseId: dose.id, heatNote: Boolean(heatNote) };
+  }
+
+  /**
+   * Mark the latest unconfirmed dose as taken
+   * @param {string} phoneNumber - Patient phone number
+   * @param {string|null} medication - Name from "taken lasix", if given
+   * @returns {Object|null} - Updated dose with its reminder, or null when no
+   *   reminder is waiting
+   */
+  async recordTaken(phoneNumber, medication = null) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    const doses = await this.prisma.medicationDose.findMany({
+      where: {
+        patientId: patient.id,
+        status: "sent",
+        sentAt: {
+          gte: new Date(Date.now() - TAKEN_WINDOW_HOURS * 60 * 60 * 1000),
+        },
+      },
+      include: { reminder: true },
+      orderBy: { sentAt: "desc" },
+    });
+
+    const dose = medication
+      ? doses.find((candidate) =>
+          this.matchesMedication(candidate.reminder.medication, medication)
+        )
+      : doses[0];
+    if (!dose) return null;
+
+    const updated = await this.prisma.medicationDose.update({
+      where: { id: dose.id },
+      data: { status: "taken", takenAt: new Date() },
+      include: { reminder: true },
+    });
+
+    console.log(
+      `💊 [Medication] ${phoneNumber} took ${dose.reminder.medication}`
+    );
+    return updated;
+  }
+
+  /**
+   * Doses taken, missed and still open per medication
+   * @returns {Object} - {since, medications: [{medication, taken, missed,
+   *   pending, rate}], overall: {taken, due, rate}}
+   */
+  async getAdherence(patientId, { days = DEFAULT_ADHERENCE_DAYS } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const doses = await this.prisma.medicationDose.findMany({
+      where: { patientId, sentAt: { gte: since } },
+      include: { reminder: true },
+    });
+
+    const byMedication = new Map();
+    for (const dose of doses) {
+      const name = dose.reminder.medication;
+      if (!byMedication.has(name)) {
+        byMedication.set(name, {
+          medication: name,
+          taken: 0,
+          missed: 0,
+          pending: 0,
+        });
+      }
+      const counts = byMedication.get(name);
+      if (dose.status === "taken") counts.taken += 1;
+      else if (dose.status === "missed") counts.missed += 1;
+      else counts.pending += 1;
+    }
+
+    // Open doses aren't counted against the patient yet
+    const rate = ({ taken, missed }) =>
+      taken + missed > 0 ? Math.round((taken / (taken + missed)) * 100) : null;
+
+    const medications = [...byMedication.values()].map((counts) => ({
+      ...counts,
+      rate: rate(counts),
+    }));
+    const taken = medications.reduce((sum, entry) => sum + entry.taken, 0);
+    const missed = medications.reduce((sum, entry) => sum + entry.missed, 0);
+
+    return {
+      since: since.toISOString(),
+      medications,
+      overall: { taken, due: taken + missed, rate: rate({ taken, missed }) },
+    };
+  }
+
+  formatReminderList(reminders) {
+    const byMedication = new Map();
+    for (const reminder of reminders) {
+      if (!byMedication.has(reminder.medication)) {
+        byMedication.set(reminder.medication, []);
+      }
+      byMedication
+        .get(reminder.medication)
+        .push(quietHours.formatTime(reminder.time));
+    }
+
+    return [...byMedication.entries()]
+      .map(([medication, times]) => `• ${medication} - ${times.join(", ")}`)
+      .join("\n");
+  }
+}
+
+module.exports = new MedicationReminderService();
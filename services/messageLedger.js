@@ -0,0 +1,247 @@
+// Message ledger - keeps webhook handling idempotent on Twilio's MessageSid
+// Inbound retries are recognised and not routed twice, and status callbacks
+// that beat the outbound Message row are held until the worker writes it
+const {
+  getPrismaClient,
+  getRedisConnection,
+  getWhatsAppConfig,
+} = require("./index");
+const deliveryFallback = require("./deliveryFallback");
+
+// Status callbacks for messages we have not logged yet (worker still writing)
+const PENDING_STATUS_PREFIX = "message-status:pending:";
+const PENDING_STATUS_TTL_SECONDS = 24 * 60 * 60;
+
+// Twilio delivers status callbacks out of order; never move a message backwards
+const STATUS_RANK = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  failed: 4,
+  undelivered: 4,
+  delivered: 5,
+  read: 6,
+};
+
+class MessageLedgerService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.redis = getRedisConnection();
+    this.whatsappConfig = getWhatsAppConfig();
+  }
+
+  /**
+   * Store an inbound webhook message, or find the row a previous delivery stored
+   * @param {Object} payload - Twilio webhook body (MessageSid, From, Body, MediaUrl0...)
+   * @returns {Object} - {message, isReplay}
+   */
+  async recordInbound(payload) {
+    const { MessageSid, From, Body, MediaUrl0, MediaContentType0, NumMedia } =
+      payload;
+
+    if (MessageSid) {
+      const existing = await this.prisma.message.findUnique({
+        where: { messageSid: MessageSid },
+      });
+      if (existing) {
+        return { message: existing, isReplay: true };
+      }
+    }
+
+    try {
+      const message = await this.prisma.message.create({
+        data: {
+          from: From,
+          to: this.whatsappConfig.from,
+          body: Body || "",
+          direction: "incoming",
+          messageType: "whatsapp",
+          messageSid: MessageSid || null,
+          mediaUrl: MediaUrl0 || null,
+          mediaType: MediaContentType0 || null,
+          numMedia: parseInt(NumMedia) || 0,
+          processingStatus: "received",
+        },
+      });
+
+      return { message, isReplay: false };
+    } catch (error) {
+      // A concurrent retry of the same webhook won the insert
+      if (error.code === "P2002" && MessageSid) {
+        const existing = await this.prisma.message.findUnique({
+          where: { messageSid: MessageSid },
+        });
+        return { message: existing, isReplay: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a stored inbound message still has to be handed to the worker
+   * (a previous delivery saved it but failed before queueing)
+   */
+  needsRouting(message) {
+    return !message.processingStatus || message.processingStatus === "received";
+  }
+
+  async markQueued(messageId) {
+    await this.prisma.message.update({
+      where: { id: messageId },
+      data: { processingStatus: "queued" },
+    });
+  }
+
+  /**
+   * Outcome of an inbound message that was already routed, or null
+   */
+  async getProcessedOutcome(messageId) {
+    if (!messageId) return null;
+
+    const message = await this.prisma.message.findUnique({
+      where: { id: messageId },
+    });
+
+    if (message?.processingStatus !== "processed") return null;
+    return message.processingOutcome || {};
+  }
+
+  async markProcessed(messageId, outcome) {
+    if (!messageId) return;
+
+    await this.prisma.message.update({
+      where: { id: messageId },
+      data: {
+        processingStatus: "processed",
+        processingOutcome: outcome || {},
+        processedAt: new Date(),
+      },
+    });
+  }
+
+  async markFailed(messageId, error) {
+    if (!messageId) return;
+
+    await this.prisma.message.update({
+      where: { id: messageId },
+      data: {
+        processingStatus: "failed",
+        errorMessage: error?.message || String(error),
+      },
+    });
+  }
+
+  /**
+   * Apply a Twilio status callback to a logged message and trigger the
+   * channel fallback when delivery failed
+   * @param {Object} message - Message row
+   * @param {Object} update - {MessageStatus, ErrorCode, ErrorMessage}
+   * @returns {Object} - Updated message row
+   */
+  async applyStatusUpdate(message, { MessageStatus, ErrorCode, ErrorMessage }) {
+    const currentRank = STATUS_RANK[message.status] ?? -1;
+    const newRank = STATUS_RANK[MessageStatus] ?? currentRank;
+
+    if (newRank < currentRank) {
+      console.log(
+        `[Message Ledger] Ignoring stale status ${MessageStatus} for ${message.messageSid} (already ${message.status})`
+      );
+      return message;
+    }
+
+    const updated = await this.prisma.message.update({
+      where: { id: message.id },
+      data: {
+        status: MessageStatus,
+        errorMessage: ErrorCode ? `${ErrorCode}: ${ErrorMessage}` : null,
+      },
+    });
+
+    console.log(
+      `[Message Ledger] Updated message ${message.messageSid} status to: ${MessageStatus}`
+    );
+
+    if (deliveryFallback.isFailedStatus(MessageStatus)) {
+      console.warn(
+        `[Message Ledger] Message failed: ${message.messageSid} - ${ErrorCode}: ${ErrorMessage}`
+      );
+
+      // Resend over SMS (or the patient's next preferred channel)
+      await deliveryFallback.scheduleFallback(updated);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Hold a status callback whose Message row does not exist yet
+   * @param {Object} update - {MessageSid, MessageStatus, ErrorCode, ErrorMessage}
+   * @returns {Object|null} - Message row, when the worker wrote it meanwhile
+   *   and the held status was applied here
+   */
+  async deferStatusUpdate(update) {
+    const key = `${PENDING_STATUS_PREFIX}${update.MessageSid}`;
+
+    await this.redis.rpush(
+      key,
+      JSON.stringify({
+        MessageSid: update.MessageSid,
+        MessageStatus: update.MessageStatus,
+        ErrorCode: update.ErrorCode || null,
+        ErrorMessage: update.ErrorMessage || null,
+        receivedAt: new Date().toISOString(),
+      })
+    );
+    await this.redis.expire(key, PENDING_STATUS_TTL_SECONDS);
+
+    console.log(
+      `[Message Ledger] Deferred status ${update.MessageStatus} for ${update.MessageSid} until the message is logged`
+    );
+
+    // The worker may have written the row (and found nothing pending) between
+    // our lookup and the push - look again so the status isn't held forever
+    const message = await this.prisma.message.findFirst({
+      where: { messageSid: update.MessageSid },
+    });
+    return message ? this.applyPendingStatus(message) : null;
+  }
+
+  /**
+   * Apply status callbacks that arrived before this outbound row was written
+   * @param {Object} message - Freshly created Message row
+   * @returns {Object} - Message row with the most advanced pending status applied
+   */
+  async applyPendingStatus(message) {
+    if (!message?.messageSid) return message;
+
+    // Read and clear in one step, so the worker and a late status webhook
+    // never both apply (and resend) the same held statuses
+    const key = `${PENDING_STATUS_PREFIX}${message.messageSid}`;
+    const [[error, pending]] = await this.redis
+      .multi()
+      .lrange(key, 0, -1)
+      .del(key)
+      .exec();
+    if (error) throw error;
+    if (pending.length === 0) return message;
+
+    const latest = pending
+      .map((entry) => JSON.parse(entry))
+      .reduce((best, update) =>
+        (STATUS_RANK[update.MessageStatus] ?? -1) >=
+        (STATUS_RANK[best.MessageStatus] ?? -1)
+          ? update
+          : best
+      );
+
+    console.log(
+      `[Message Ledger] Reconciling ${pending.length} early status callback(s) for ${message.messageSid}`
+    );
+
+    return this.applyStatusUpdate(message, latest);
+  }
+}
+
+module.exports = new MessageLedgerService();
@@ -0,0 +1,353 @@
+// Messaging transport - the single path every outbound message goes through
+// Ships with a Twilio transport and an in-memory fake for offline runs
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const axios = require("axios");
+const twilio = require("twilio");
+
+const FAKE_OUTBOX_KEY = "fake-transport:outbox";
+const FAKE_OUTBOX_LIMIT = 1000;
+
+/**
+ * Base transport with the addressing rules shared by every provider
+ */
+class MessagingTransport extends EventEmitter {
+  constructor({ whatsappConfig, smsConfig }) {
+    super();
+    this.whatsappConfig = whatsappConfig;
+    this.smsConfig = smsConfig;
+    this.name = "base";
+    this.isFake = false;
+  }
+
+  /**
+   * Sender address for a channel
+   */
+  getSender(channel = "whatsapp") {
+    return channel === "sms" ? this.smsConfig.from : this.whatsappConfig.from;
+  }
+
+  /**
+   * Recipient address for a channel (whatsapp:+1... or plain +1...)
+   */
+  formatRecipient(to, channel = "whatsapp") {
+    return channel === "sms"
+      ? this.smsConfig.formatPhoneNumber(to)
+      : this.whatsappConfig.formatPhoneNumber(to);
+  }
+
+  /**
+   * Status callback URL Twilio posts delivery updates to
+   */
+  getStatusCallbackUrl() {
+    return `${
+      process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
+    }/twilio/status-webhook`;
+  }
+
+  /**
+   * Build provider-neutral message options
+   * @param {Object} options - {to, body, channel, mediaUrl, contentSid, contentVariables}
+   */
+  buildMessage({
+    to,
+    body,
+    channel = "whatsapp",
+    mediaUrl = null,
+    contentSid = null,
+    contentVariables = null,
+  }) {
+    if (!to) {
+      throw new Error("Messaging transport requires a recipient");
+    }
+
+    if (channel === "sms" && !this.smsConfig.enabled) {
+      throw new Error("SMS channel requires TWILIO_SMS_NUMBER");
+    }
+
+    return {
+      channel,
+      from: this.getSender(channel),
+      to: this.formatRecipient(to, channel),
+      body,
+      mediaUrl,
+      contentSid,
+      contentVariables,
+      statusCallback: this.getStatusCallbackUrl(),
+    };
+  }
+
+  /**
+   * Send a message
+   * @returns {Object} - {sid, status, from, to, channel}
+   */
+  async send() {
+    throw new Error(`${this.name} transport does not implement send()`);
+  }
+
+  /**
+   * Register a Content template (quick-reply, list-picker...)
+   * @param {Object} definition - Content API body {friendlyName, language, variables, types}
+   * @returns {string} - Content SID (HX...)
+   */
+  async createContentTemplate() {
+    throw new Error(
+      `${this.name} transport does not implement createContentTemplate()`
+    );
+  }
+}
+
+/**
+ * Twilio transport - sends WhatsApp and SMS through the Twilio REST API
+ */
+class TwilioTransport extends MessagingTransport {
+  constructor({ client, ...configs }) {
+    super(configs);
+    this.client = client;
+    this.name = "twilio";
+  }
+
+  async send(options) {
+    const message = this.buildMessage(options);
+
+    const twilioOptions = {
+      from: message.from,
+      to: message.to,
+      statusCallback: message.statusCallback,
+    };
+
+    if (message.contentSid) {
+      twilioOptions.contentSid = message.contentSid;
+      if (message.contentVariables) {
+        twilioOptions.contentVariables =
+          typeof message.contentVariables === "string"
+            ? message.contentVariables
+            : JSON.stringify(message.contentVariables);
+      }
+    } else {
+      twilioOptions.body = message.body;
+    }
+
+    if (message.mediaUrl) {
+      twilioOptions.mediaUrl = [message.mediaUrl];
+    }
+
+    const twilioMessage = await this.client.messages.create(twilioOptions);
+
+    const result = {
+      sid: twilioMessage.sid,
+      status: twilioMessage.status,
+      from: message.from,
+      to: message.to,
+      channel: message.channel,
+    };
+
+    this.emit("sent", result);
+    return result;
+  }
+
+  async createContentTemplate(definition) {
+    const content = await this.client.content.v1.contents.create(definition);
+    return content.sid;
+  }
+}
+
+/**
+ * Fake transport - records outbound messages instead of sending them and can
+ * post simulated inbound replies and delivery statuses to our own webhooks.
+ *
+ * Messages are kept in memory and, when a Redis connection is given, mirrored
+ * to a Redis list so the server and worker processes share one outbox.
+ */
+class FakeTransport extends MessagingTransport {
+  constructor({
+    redis = null,
+    webhookBaseUrl = null,
+    authToken = null,
+    ...configs
+  }) {
+    super(configs);
+    this.name = "fake";
+    this.isFake = true;
+    this.redis = redis;
+    this.authToken = authToken;
+    this.webhookBaseUrl =
+      webhookBaseUrl || `http://localhost:${process.env.PORT || 3000}`;
+    this.sent = [];
+  }
+
+  generateSid(prefix = "SM") {
+    return `${prefix}${crypto.randomBytes(16).toString("hex")}`;
+  }
+
+  async send(options) {
+    const message = this.buildMessage(options);
+
+    const record = {
+      ...message,
+      sid: this.generateSid(),
+      status: "queued",
+      createdAt: new Date().toISOString(),
+    };
+
+    this.sent.push(record);
+
+    if (this.redis) {
+      await this.redis.lpush(FAKE_OUTBOX_KEY, JSON.stringify(record));
+      await this.redis.ltrim(FAKE_OUTBOX_KEY, 0, FAKE_OUTBOX_LIMIT - 1);
+    }
+
+    console.log(
+      `🧪 [Fake Transport] Recorded ${record.channel} message to ${record.to}: ${record.body}`
+    );
+
+    const result = {
+      sid: record.sid,
+      status: record.status,
+      from: record.from,
+      to: record.to,
+      channel: record.channel,
+    };
+
+    this.emit("sent", result);
+    return result;
+  }
+
+  async createContentTemplate(definition) {
+    const contentSid = this.generateSid("HX");
+    console.log(
+      `🧪 [Fake Transport] Registered content template ${definition.friendlyName}: ${contentSid}`
+    );
+    return contentSid;
+  }
+
+  /**
+   * Get recorded messages, newest last
+   * @param {Object} filter - {to} to only return messages for one patient
+   */
+  async getSentMessages({ to } = {}) {
+    let messages = this.sent;
+
+    if (this.redis) {
+      const raw = await this.redis.lrange(FAKE_OUTBOX_KEY, 0, -1);
+      messages = raw.map((entry) => JSON.parse(entry)).reverse();
+    }
+
+    if (!to) return messages;
+
+    const phoneNumber = this.whatsappConfig.extractPhoneNumber(to);
+    return messages.filter(
+      (message) =>
+        this.whatsappConfig.extractPhoneNumber(message.to) === phoneNumber
+    );
+  }
+
+  /**
+   * Forget every recorded message
+   */
+  async clear() {
+    this.sent = [];
+    if (this.redis) {
+      await this.redis.del(FAKE_OUTBOX_KEY);
+    }
+  }
+
+  /**
+   * Simulate a patient reply by posting a Twilio-shaped body to the WhatsApp webhook
+   * @param {string} from - Patient phone number
+   * @param {string} body - Message text
+   * @param {Object} extra - Additional Twilio fields (ButtonPayload, MediaUrl0, ...)
+   */
+  async simulateInbound(from, body, extra = {}) {
+    const payload = {
+      MessageSid: this.generateSid(),
+      From: this.whatsappConfig.formatPhoneNumber(from),
+      To: this.whatsappConfig.from,
+      Body: body,
+      NumMedia: "0",
+      ...extra,
+    };
+
+    return this.postWebhook("/twilio/whatsapp-webhook", payload);
+  }
+
+  /**
+   * Simulate a Twilio delivery status callback for a recorded message
+   * @param {string} messageSid - SID returned by send()
+   * @param {string} status - queued, sent, delivered, failed, undelivered...
+   * @param {Object} extra - Additional Twilio fields (ErrorCode, ErrorMessage)
+   */
+  async simulateStatus(messageSid, status, extra = {}) {
+    const messages = await this.getSentMessages();
+    const message = messages.find((entry) => entry.sid === messageSid);
+
+    const recorded = this.sent.find((entry) => entry.sid === messageSid);
+    if (recorded) {
+      recorded.status = status;
+    }
+
+    const payload = {
+      MessageSid: messageSid,
+      MessageStatus: status,
+      From: message?.from || this.whatsappConfig.from,
+      To: message?.to || "",
+      ...extra,
+    };
+
+    return this.postWebhook("/twilio/status-webhook", payload);
+  }
+
+  /**
+   * Post a form-encoded body to one of our webhooks, signed like Twilio would
+   * sign it so the webhooks' signature check passes without a bypass
+   */
+  async postWebhook(path, payload) {
+    const url = `${this.webhookBaseUrl}${path}`;
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+
+    if (this.authToken) {
+      const signedUrl = `${(process.env.BASE_URL || this.webhookBaseUrl).replace(
+        /\/$/,
+        ""
+      )}${path}`;
+      headers["X-Twilio-Signature"] = twilio.getExpectedTwilioSignature(
+        this.authToken,
+        signedUrl,
+        payload
+      );
+    }
+
+    const response = await axios.post(
+      url,
+      new URLSearchParams(payload).toString(),
+      { headers, timeout: 10000 }
+    );
+
+    return {
+      status: response.status,
+      data: response.data,
+      payload,
+    };
+  }
+}
+
+/**
+ * Create a transport by name ("twilio" or "fake")
+ */
+const createMessagingTransport = (name, dependencies) => {
+  switch (name) {
+    case "fake":
+      return new FakeTransport(dependencies);
+    case "twilio":
+      return new TwilioTransport(dependencies);
+    default:
+      throw new Error(`Unknown messaging transport: ${name}`);
+  }
+};
+
+module.exports = {
+  MessagingTransport,
+  TwilioTransport,
+  FakeTransport,
+  createMessagingTransport,
+};
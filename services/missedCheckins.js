@@ -0,0 +1,260 @@
+// Missed check-in service - notices when a monitoring check-in goes
+// unanswered and, after repeated misses, steps through an escalation ladder
+// (resend, alternate channel, family, provider). Every miss and every ladder
+// step is stored as a CheckinEscalation row for the patient
+const { getPrismaClient, getRedisConnection } = require("./index");
+const { whatsappQueue, healthCronQueue } = require("../queue");
+const deliveryFallback = require("./deliveryFallback");
+const familyEscalation = require("./familyEscalation");
+const providerNotifications = require("./providerNotifications");
+const interactiveMessages = require("./interactiveMessages");
+
+// Minutes a patient has to answer a check-in, by monitoring risk level
+const RESPONSE_WINDOW_MINUTES = {
+  emergency: 5,
+  critical: 10,
+  high: 20,
+  medium: 45,
+  low: 120,
+};
+
+const LADDER_STEPS = ["resend", "alternate_channel", "family", "provider"];
+
+// Consecutive misses before the first ladder step (each later miss climbs one step)
+const MISSED_CHECKIN_THRESHOLD =
+  parseInt(process.env.MISSED_CHECKIN_THRESHOLD) || 2;
+
+// Comma-separated ladder, e.g. "resend,family,provider"
+const MISSED_CHECKIN_LADDER = (
+  process.env.MISSED_CHECKIN_LADDER || LADDER_STEPS.join(",")
+)
+  .split(",")
+  .map((step) => step.trim())
+  .filter((step) => LADDER_STEPS.includes(step));
+
+// Consecutive-miss counter per patient, cleared when they answer
+const MISS_STATE_KEY_PREFIX = "missed-checkins:";
+const MISS_STATE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+class MissedCheckinService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.redis = getRedisConnection();
+  }
+
+  getResponseWindowMinutes(riskLevel) {
+    return RESPONSE_WINDOW_MINUTES[riskLevel] || RESPONSE_WINDOW_MINUTES.medium;
+  }
+
+  getLadder() {
+    return MISSED_CHECKIN_LADDER;
+  }
+
+  /**
+   * Start the reply timer for a check-in that was just sent
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} checkin - {riskLevel, tag, symptom, message, messageId}
+   */
+  async trackCheckin(phoneNumber, checkin) {
+    const sentAt = new Date();
+    const windowMinutes = this.getResponseWindowMinutes(checkin.riskLevel);
+
+    await healthCronQueue.add(
+      "checkin-reply-deadline",
+      {
+        phoneNumber,
+        riskLevel: checkin.riskLevel,
+        tag: checkin.tag || "symptom",
+        symptom: checkin.symptom || null,
+        message: checkin.message,
+        checkMessageId: checkin.messageId || null,
+        sentAt: sentAt.toISOString(),
+        windowMinutes,
+      },
+      {
+        delay: windowMinutes * 60 * 1000,
+        jobId: `checkin-deadline-${phoneNumber}-${sentAt.getTime()}`,
+      }
+    );
+  }
+
+  async getMissCount(phoneNumber) {
+    const count = await this.redis.get(`${MISS_STATE_KEY_PREFIX}${phoneNumber}`);
+    return parseInt(count) || 0;
+  }
+
+  /**
+   * Check whether a check-in was answered in time and escalate if not
+   * (health-cron-queue "checkin-reply-deadline" job)
+   * @returns {Object} - {status: "answered"|"missed"|"skipped", missCount, step}
+   */
+  async processDeadline(data) {
+    const { phoneNumber, riskLevel, sentAt } = data;
+
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient || !patient.monitoringEnabled) {
+      return { status: "skipped", reason: "monitoring_disabled" };
+    }
+
+    const stateKey = `${MISS_STATE_KEY_PREFIX}${phoneNumber}`;
+
+    const reply = await this.prisma.message.findFirst({
+      where: {
+        direction: "incoming",
+        from: { contains: phoneNumber },
+        createdAt: { gte: new Date(sentAt) },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (reply) {
+      const previousMisses = await this.getMissCount(phoneNumber);
+      await this.redis.del(stateKey);
+
+      // Only a reply that ends a run of misses is worth recording
+      if (previousMisses > 0) {
+        await this.record(patient, data, {
+          step: "answered",
+          status: "recorded",
+          missCount: previousMisses,
+          detail: { replyMessageId: reply.id, repliedAt: reply.createdAt },
+        });
+        console.log(
+          `✅ [Missed Check-ins] ${phoneNumber} answered after ${previousMisses} missed check-in(s)`
+        );
+      }
+      return { status: "answered", missCount: 0 };
+    }
+
+    const missCount = await this.redis.incr(stateKey);
+    await this.redis.expire(stateKey, MISS_STATE_TTL_SECONDS);
+
+    await this.record(patient, data, {
+      step: "missed",
+      status: "recorded",
+      missCount,
+      detail: { windowMinutes: data.windowMinutes },
+    });
+
+    console.warn(
+      `⏰ [Missed Check-ins] ${phoneNumber} missed a ${riskLevel} check-in (${missCount} in a row)`
+    );
+
+    const ladderIndex = missCount - MISSED_CHECKIN_THRESHOLD;
+    const step = MISSED_CHECKIN_LADDER[ladderIndex];
+    if (ladderIndex < 0 || !step) {
+      return { status: "missed", missCount, step: null };
+    }
+
+    const result = await this.runStep(step, patient, data, missCount);
+    await this.record(patient, data, {
+      step,
+      status: result.status,
+      missCount,
+      channel: result.channel || null,
+      detail: result.detail || null,
+    });
+
+    console.log(
+      `🪜 [Missed Check-ins] ${phoneNumber} ladder step ${step}: ${result.status}`
+    );
+
+    return { status: "missed", missCount, step, stepStatus: result.status };
+  }
+
+  /**
+   * Run one ladder step
+   * @returns {Object} - {status: "sent"|"skipped", channel?, detail?}
+   */
+  async runStep(step, patient, data, missCount) {
+    const { phoneNumber } = data;
+
+    switch (step) {
+      case "resend": {
+        const job = await whatsappQueue.add("send-whatsapp", {
+          to: phoneNumber,
+          ...interactiveMessages.buildHealthPoll(
+            `⏰ *We haven't heard back from you*\n\n${data.message}`,
+            { urgent: true }
+          ),
+          messageType: "checkin_resend",
+          tier: "emergency",
+        });
+        return {
+          status: "sent",
+          channel: "whatsapp",
+          detail: { jobId: job.id },
+        };
+      }
+
+      case "alternate_channel": {
+        const channel = deliveryFallback.getNextChannel(patient, "whatsapp");
+        if (!channel) {
+          return {
+            status: "skipped",
+            detail: { reason: "no_alternate_channel" },
+          };
+        }
+
+        const job = await whatsappQueue.add("send-whatsapp", {
+          to: phoneNumber,
+          message: `HeatCare: We haven't heard from you in a while. Please reply to let us know you're OK:\n1 = Fine\n5 = Need help now\n\nIn an emergency, call 911.`,
+          channel,
+          messageType: "checkin_alternate_channel",
+          tier: "emergency",
+        });
+        return { status: "sent", channel, detail: { jobId: job.id } };
+      }
+
+      case "family": {
+        const lastInbound = await this.prisma.message.findFirst({
+          where: { direction: "incoming", from: { contains: phoneNumber } },
+          orderBy: { createdAt: "desc" },
+        });
+
+        const result = await familyEscalation.escalate(phoneNumber, {
+          reason: "missed_checkins",
+          summary: `${missCount} ${data.riskLevel}-risk check-ins unanswered${
+            data.symptom ? ` while monitoring ${data.symptom}` : ""
+          }.`,
+          lastReply: lastInbound?.body || null,
+        });
+        return {
+          status: result.status,
+          detail: { reason: result.reason || null },
+        };
+      }
+
+      case "provider":
+        return providerNotifications.notifyMissedCheckins(patient, {
+          missCount,
+          riskLevel: data.riskLevel,
+          symptom: data.symptom,
+          sentAt: data.sentAt,
+        });
+
+      default:
+        return { status: "skipped", detail: { reason: "unknown_step" } };
+    }
+  }
+
+  async record(patient, data, { step, status, missCount, channel, detail }) {
+    await this.prisma.checkinEscalation.create({
+      data: {
+        patientId: patient.id,
+        step,
+        status,
+        missCount,
+        riskLevel: data.riskLevel || null,
+        channel: channel || null,
+        detail: detail || undefined,
+        checkMessageId: data.checkMessageId || null,
+        checkSentAt: data.sentAt ? new Date(data.sentAt) : null,
+      },
+    });
+  }
+}
+
+module.exports = new MissedCheckinService();
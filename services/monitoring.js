@@ -393,7 +393,7 @@ class MonitoringScheduler {
           job.data.phoneNumber === phoneNumber &&
           job.name === MONITORING_TYPES.AI_SYMPTOM
         ) {
-          await job.remove();
+          await healthCronQueue.cancelJob(job);
           console.log(
             `[AI Monitoring] Cancelled job ${job.id} for ${phoneNumber}`
           );
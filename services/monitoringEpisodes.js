@@ -0,0 +1,364 @@
+// Monitoring episode service - symptom monitoring runs as a bounded episode
+// with a start, an interval schedule, a maximum duration and de-escalation
+// rules instead of a check that reschedules itself forever. Each episode is
+// one MonitoringJob row (jobType "symptom_episode"); its checks are logged as
+// MonitoringJob rows pointing back at it
+const { getPrismaClient } = require("./index");
+const {
+  whatsappQueue,
+  scheduleHealthCheckup,
+  cancelMonitoringCheck,
+  cancelHealthCheckups,
+} = require("../queue");
+const { AI_MONITORING_PATTERNS } = require("./monitoring");
+
+const EPISODE_JOB_TYPE = "symptom_episode";
+
+// Lowest to highest
+const RISK_LEVELS = ["low", "medium", "high", "critical", "emergency"];
+
+// MedGemma escalation levels that aren't risk levels
+const LEVEL_ALIASES = {
+  urgent: "high",
+  monitor: "medium",
+  moderate: "medium",
+  none: "low",
+};
+
+// Per risk level: minutes between checks (the last interval repeats), how
+// long the episode lasts, and the level it steps down to when it runs out.
+// Critical and high use the 4 and 12 hour AI_MONITORING_PATTERNS durations
+const EPISODE_PLANS = {
+  emergency: {
+    intervals: [5, 10, 15],
+    durationMinutes: 60,
+    expiresTo: "critical",
+  },
+  critical: {
+    intervals: [10, 15, 30],
+    durationMinutes: AI_MONITORING_PATTERNS.CRITICAL.duration,
+    expiresTo: "high",
+  },
+  high: {
+    intervals: [30, 60, 120],
+    durationMinutes: AI_MONITORING_PATTERNS.HIGH.duration,
+    expiresTo: null,
+  },
+  medium: {
+    intervals: [60, 120, 240],
+    durationMinutes: AI_MONITORING_PATTERNS.MODERATE.duration,
+    expiresTo: null,
+  },
+  low: {
+    intervals: [240, 480],
+    durationMinutes: AI_MONITORING_PATTERNS.MODERATE.duration,
+    expiresTo: null,
+  },
+};
+
+// Ends that count as the episode running its course (the rest are cancellations)
+const COMPLETED_REASONS = [
+  "patient_better",
+  "de_escalated",
+  "escalated",
+  "expired",
+];
+
+class MonitoringEpisodeService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  /**
+   * Map a risk or MedGemma escalation level onto an episode level
+   */
+  normalizeLevel(level) {
+    const value = String(level || "").toLowerCase();
+    if (RISK_LEVELS.includes(value)) return value;
+    return LEVEL_ALIASES[value] || "medium";
+  }
+
+  getPlan(riskLevel) {
+    return EPISODE_PLANS[this.normalizeLevel(riskLevel)];
+  }
+
+  /**
+   * Minutes to wait before check number `checkNumber` (1-based)
+   */
+  getDelayMinutes(intervals, checkNumber) {
+    return intervals[Math.min(checkNumber, intervals.length) - 1];
+  }
+
+  /**
+   * How many checks fit into an episode
+   */
+  countChecks(intervals, durationMinutes) {
+    let elapsed = 0;
+    let checks = 0;
+    let next = this.getDelayMinutes(intervals, 1);
+    while (elapsed + next <= durationMinutes) {
+      checks += 1;
+      elapsed += next;
+      next = this.getDelayMinutes(intervals, checks + 1);
+    }
+    return checks;
+  }
+
+  async getActiveEpisode(patientId, tag = "symptom") {
+    return this.prisma.monitoringJob.findFirst({
+      where: { patientId, jobType: EPISODE_JOB_TYPE, tag, status: "scheduled" },
+      orderBy: { startedAt: "desc" },
+    });
+  }
+
+  /**
+   * Start a monitoring episode, replacing the patient's open one for the tag
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} options - {symptom, riskLevel, tag}
+   * @returns {Object|null} - MonitoringJob row, or null for an unknown patient
+   */
+  async start(phoneNumber, { symptom, riskLevel = "medium", tag = "symptom" }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    await this.close(phoneNumber, { tag, reason: "replaced" });
+
+    const level = this.normalizeLevel(riskLevel);
+    const plan = EPISODE_PLANS[level];
+    const startedAt = new Date();
+    const firstDelay = this.getDelayMinutes(plan.intervals, 1);
+
+    const episode = await this.prisma.monitoringJob.create({
+      data: {
+        patientId: patient.id,
+        jobType: EPISODE_JOB_TYPE,
+        jobId: `episode-${phoneNumber}-${tag}-${startedAt.getTime()}`,
+        riskLevel: level,
+        checkNumber: 0,
+        totalChecks: this.countChecks(plan.intervals, plan.durationMinutes),
+        tag,
+        symptom: symptom || null,
+        intervals: plan.intervals,
+        startedAt,
+        expiresAt: new Date(
+          startedAt.getTime() + plan.durationMinutes * 60 * 1000
+        ),
+        scheduledFor: new Date(startedAt.getTime() + firstDelay * 60 * 1000),
+      },
+    });
+
+    await scheduleHealthCheckup(phoneNumber, symptom, level, tag, {
+      episodeId: episode.id,
+      checkNumber: 1,
+      delayMinutes: firstDelay,
+    });
+
+    console.log(
+      `📋 [Monitoring Episode] Started ${level} episode ${episode.id} [${tag}] for ${phoneNumber}: every ${plan.intervals.join(
+        "/"
+      )} min for ${plan.durationMinutes / 60}h`
+    );
+
+    return episode;
+  }
+
+  /**
+   * Close the patient's open episodes and cancel their pending checks
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} options - {tag (null = every tag), reason}
+   * @returns {number} - Episodes closed
+   */
+  async close(phoneNumber, { tag = null, reason }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return 0;
+
+    const episodes = await this.prisma.monitoringJob.findMany({
+      where: {
+        patientId: patient.id,
+        jobType: EPISODE_JOB_TYPE,
+        status: "scheduled",
+        ...(tag ? { tag } : {}),
+      },
+    });
+
+    for (const episode of episodes) {
+      await this.closeEpisode(episode, phoneNumber, reason);
+    }
+    return episodes.length;
+  }
+
+  async closeEpisode(episode, phoneNumber, reason) {
+    await this.prisma.monitoringJob.update({
+      where: { id: episode.id },
+      data: {
+        status: COMPLETED_REASONS.includes(reason) ? "completed" : "cancelled",
+        endReason: reason,
+        completedAt: new Date(),
+      },
+    });
+    // checkNumber is the last check sent, so the next one is pending
+    await cancelMonitoringCheck(phoneNumber, {
+      tag: episode.tag || "symptom",
+      episodeId: episode.id,
+      checkNumber: episode.checkNumber + 1,
+    });
+    await cancelHealthCheckups(phoneNumber, episode.tag || "symptom");
+
+    console.log(
+      `📋 [Monitoring Episode] Closed episode ${episode.id} for ${phoneNumber} after ${episode.checkNumber} check(s): ${reason}`
+    );
+  }
+
+  /**
+   * Decide whether a "recurring-health-monitor" job should still send its check
+   * @returns {Object} - {send: true, episode} | {send: false, reason}
+   */
+  async prepareCheck({ phoneNumber, episodeId }) {
+    // Jobs from the old self-rescheduling loop have no episode - let them end
+    if (!episodeId) return { send: false, reason: "no_episode" };
+
+    const episode = await this.prisma.monitoringJob.findUnique({
+      where: { id: episodeId },
+      include: { patient: true },
+    });
+    if (!episode || episode.status !== "scheduled") {
+      return { send: false, reason: "episode_closed" };
+    }
+
+    if (!episode.patient.monitoringEnabled) {
+      await this.closeEpisode(episode, phoneNumber, "stopped");
+      return { send: false, reason: "monitoring_disabled" };
+    }
+
+    if (episode.expiresAt && Date.now() >= episode.expiresAt.getTime()) {
+      await this.expire(episode, phoneNumber);
+      return { send: false, reason: "episode_expired" };
+    }
+
+    return { send: true, episode };
+  }
+
+  /**
+   * Record a sent check and queue the next one, never past the episode's end
+   * (the check that lands on the end closes the episode instead of sending)
+   * @returns {Object} - {checkNumber, delayMinutes}
+   */
+  async scheduleNextCheck(episode, { phoneNumber, checkNumber }) {
+    const nextCheck = checkNumber + 1;
+    const minutesLeft = (episode.expiresAt.getTime() - Date.now()) / 60000;
+    const delayMinutes = Math.max(
+      0,
+      Math.min(this.getDelayMinutes(episode.intervals, nextCheck), minutesLeft)
+    );
+
+    await scheduleHealthCheckup(
+      phoneNumber,
+      episode.symptom,
+      episode.riskLevel,
+      episode.tag,
+      { episodeId: episode.id, checkNumber: nextCheck, delayMinutes }
+    );
+
+    await this.prisma.monitoringJob.update({
+      where: { id: episode.id },
+      data: {
+        checkNumber,
+        scheduledFor: new Date(Date.now() + delayMinutes * 60 * 1000),
+      },
+    });
+
+    return { checkNumber: nextCheck, delayMinutes };
+  }
+
+  /**
+   * An episode ran its full duration - step down or stop
+   */
+  async expire(episode, phoneNumber) {
+    const plan = this.getPlan(episode.riskLevel);
+    await this.closeEpisode(episode, phoneNumber, "expired");
+
+    if (plan.expiresTo) {
+      const next = await this.start(phoneNumber, {
+        symptom: episode.symptom,
+        riskLevel: plan.expiresTo,
+        tag: episode.tag,
+      });
+      const nextPlan = EPISODE_PLANS[plan.expiresTo];
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: phoneNumber,
+        message: `📋 *Monitoring Update*\n\nYour ${episode.riskLevel} check-ins are finished. I'll keep checking on you less often for the next ${
+          nextPlan.durationMinutes / 60
+        } hours.\n\nReply anytime if you feel worse - or call 911 in an emergency.`,
+        tier: "checkin",
+        messageType: "monitoring_episode",
+      });
+      return next;
+    }
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: `✅ *Monitoring Complete*\n\nI've finished checking on ${
+        episode.symptom ? `your "${episode.symptom}"` : "your symptoms"
+      }.\n\nTell me how you feel anytime and I'll start again if needed.`,
+      tier: "checkin",
+      messageType: "monitoring_episode",
+    });
+    return null;
+  }
+
+  /**
+   * "Slightly better" - continue one level lower (low stays low)
+   * @returns {Object|null} - Episode now running, or null if none was open
+   */
+  async deEscalate(phoneNumber, tag = "symptom") {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    const episode = patient && (await this.getActiveEpisode(patient.id, tag));
+    if (!episode) return null;
+
+    const index = RISK_LEVELS.indexOf(episode.riskLevel);
+    if (index <= 0) return episode;
+
+    await this.closeEpisode(episode, phoneNumber, "de_escalated");
+    return this.start(phoneNumber, {
+      symptom: episode.symptom,
+      riskLevel: RISK_LEVELS[index - 1],
+      tag,
+    });
+  }
+
+  /**
+   * "Worse" - restart one level higher, or at the assessed level if that is higher
+   * @returns {Object|null} - New episode
+   */
+  async escalate(phoneNumber, { tag = "symptom", riskLevel = null, symptom }) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    const episode = await this.getActiveEpisode(patient.id, tag);
+    const current = RISK_LEVELS.indexOf(episode?.riskLevel || "medium");
+    const target = Math.max(
+      Math.min(current + 1, RISK_LEVELS.length - 1),
+      riskLevel ? RISK_LEVELS.indexOf(this.normalizeLevel(riskLevel)) : -1
+    );
+
+    if (episode) {
+      await this.closeEpisode(episode, phoneNumber, "escalated");
+    }
+    return this.start(phoneNumber, {
+      symptom: episode?.symptom || symptom,
+      riskLevel: RISK_LEVELS[target],
+      tag,
+    });
+  }
+}
+
+module.exports = new MonitoringEpisodeService();
@@ -0,0 +1,234 @@
+// Monitoring job log - mirrors every patient health-cron job into MonitoringJob
+// as it is scheduled, completed, failed or cancelled, so care coordinators can
+// see a patient's active schedules and everything that ran for them
+const { getPrismaClient } = require("./index");
+const { PatientDatabaseService } = require("./patientDatabase");
+
+// Rows for job schedulers (one per patient or reminder) rather than a
+// single job, by the name of the jobs they produce
+const SCHEDULE_JOB_TYPES = {
+  "daily-health-checkup": "daily_checkup_schedule",
+  "medication-reminder": "medication_reminder_schedule",
+};
+
+const DEFAULT_HISTORY_DAYS = 7;
+const DEFAULT_HISTORY_LIMIT = 200;
+
+class MonitoringJobLogService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.patientDatabase = new PatientDatabaseService();
+  }
+
+  async getPatientId(phoneNumber) {
+    if (!phoneNumber) return null;
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+      select: { id: true },
+    });
+    return patient?.id || null;
+  }
+
+  /**
+   * Columns shared by every row of a BullMQ job
+   * @returns {Object|null} - null for jobs that aren't about one patient
+   */
+  async buildJobRow(job) {
+    const data = job.data || {};
+    const patientId = await this.getPatientId(data.phoneNumber);
+    if (!patientId) return null;
+
+    return {
+      patientId,
+      jobType: job.name,
+      jobId: String(job.id),
+      riskLevel: data.riskLevel || null,
+      checkNumber: data.checkNumber ?? null,
+      tag: data.tag || null,
+      symptom: typeof data.symptom === "string" ? data.symptom : null,
+      episodeId: data.episodeId || null,
+      scheduledFor: new Date((job.timestamp || Date.now()) + (job.delay || 0)),
+    };
+  }
+
+  /**
+   * A health-cron job was added
+   */
+  async recordScheduled(job) {
+    try {
+      const row = await this.buildJobRow(job);
+      if (!row) return null;
+
+      return await this.patientDatabase.createMonitoringJob({
+        ...row,
+        status: "scheduled",
+        completedAt: null,
+        payload: job.data,
+      });
+    } catch (error) {
+      console.error(
+        `❌ [Monitoring Jobs] Failed to record scheduled job ${job.id}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * A health-cron job finished - rows are created here for jobs that were
+   * never recorded as scheduled (e.g. runs produced by a job scheduler)
+   * @param {string} status - "completed" | "failed", or "scheduled" for a
+   *   failed attempt that will be retried
+   */
+  async recordFinished(job, status, result = null) {
+    try {
+      const row = await this.buildJobRow(job);
+      if (!row) return null;
+
+      return await this.patientDatabase.createMonitoringJob({
+        ...row,
+        status,
+        completedAt: status === "scheduled" ? null : new Date(),
+        attempts: job.attemptsMade || 0,
+        result: result ?? undefined,
+      });
+    } catch (error) {
+      console.error(
+        `❌ [Monitoring Jobs] Failed to record ${status} job ${job.id}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * A pending health-cron job (or job scheduler) was removed
+   */
+  async recordCancelled(jobId) {
+    await this.patientDatabase.updateMonitoringJobStatus(
+      String(jobId),
+      "cancelled",
+      new Date()
+    );
+  }
+
+  /**
+   * A scheduled job is gone from Redis and won't be re-added
+   */
+  async recordLost(jobId, reason) {
+    await this.patientDatabase.updateMonitoringJobStatus(
+      String(jobId),
+      "lost",
+      new Date(),
+      { result: { reason } }
+    );
+  }
+
+  /**
+   * A patient's job scheduler (daily check-up, medication reminder) was
+   * created or moved
+   */
+  async recordSchedule(schedulerId, { name, phoneNumber, tag, nextRunAt }) {
+    try {
+      const patientId = await this.getPatientId(phoneNumber);
+      if (!patientId) return null;
+
+      return await this.patientDatabase.createMonitoringJob({
+        patientId,
+        jobType:
+          SCHEDULE_JOB_TYPES[name] ||
+          SCHEDULE_JOB_TYPES["daily-health-checkup"],
+        jobId: schedulerId,
+        tag,
+        status: "scheduled",
+        scheduledFor: nextRunAt || new Date(),
+        completedAt: null,
+      });
+    } catch (error) {
+      console.error(
+        `❌ [Monitoring Jobs] Failed to record schedule ${schedulerId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * A patient's active schedules, job history and messages sent
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} options - {since: Date, limit}
+   * @returns {Object|null} - null for an unknown patient
+   */
+  async getPatientMonitoring(
+    phoneNumber,
+    {
+      since = new Date(Date.now() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000),
+      limit = DEFAULT_HISTORY_LIMIT,
+    } = {}
+  ) {
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!patient) return null;
+
+    const active = await this.prisma.monitoringJob.findMany({
+      where: { patientId: patient.id, status: "scheduled" },
+      orderBy: { scheduledFor: "asc" },
+    });
+
+    const history = await this.prisma.monitoringJob.findMany({
+      where: {
+        patientId: patient.id,
+        status: { not: "scheduled" },
+        updatedAt: { gte: since },
+      },
+      orderBy: { updatedAt: "desc" },
+      take: limit,
+    });
+
+    const jobCounts = await this.prisma.monitoringJob.groupBy({
+      by: ["jobType", "status"],
+      where: { patientId: patient.id, createdAt: { gte: since } },
+      _count: { _all: true },
+    });
+
+    const messageCounts = await this.prisma.message.groupBy({
+      by: ["messageType"],
+      where: {
+        direction: "outgoing",
+        to: { contains: phoneNumber },
+        createdAt: { gte: since },
+      },
+      _count: { _all: true },
+    });
+
+    return {
+      patient: {
+        id: patient.id,
+        firstName: patient.firstName,
+        phoneNumber: patient.phoneNumber,
+        monitoringEnabled: patient.monitoringEnabled,
+        timezone: patient.timezone,
+        checkinTime: patient.checkinTime,
+        quietHoursStart: patient.quietHoursStart,
+        quietHoursEnd: patient.quietHoursEnd,
+      },
+      since: since.toISOString(),
+      active,
+      history,
+      summary: {
+        jobs: jobCounts.map((row) => ({
+          jobType: row.jobType,
+          status: row.status,
+          count: row._count._all,
+        })),
+        messagesSent: messageCounts.map((row) => ({
+          messageType: row.messageType,
+          count: row._count._all,
+        })),
+      },
+    };
+  }
+}
+
+module.exports = new MonitoringJobLogService();
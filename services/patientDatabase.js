@@ -155,14 +155,16 @@ class PatientDatabaseService {
   }
 
   /**
-   * Create monitoring job record
+   * Create monitoring job record (or refresh it - BullMQ job IDs can be reused)
    * @param {Object} jobData - Job data
    * @returns {Object} - Created job
    */
   async createMonitoringJob(jobData) {
     try {
-      const job = await this.prisma.monitoringJob.create({
-        data: jobData,
+      const job = await this.prisma.monitoringJob.upsert({
+        where: { jobId: jobData.jobId },
+        create: jobData,
+        update: jobData,
       });
 
       return job;
@@ -177,12 +179,19 @@ class PatientDatabaseService {
    * @param {string} jobId - BullMQ job ID
    * @param {string} status - New status
    * @param {DateTime} completedAt - Completion time
+   * @param {Object} details - Extra columns to set, e.g. {attempts, result}
    */
-  async updateMonitoringJobStatus(jobId, status, completedAt = null) {
+  async updateMonitoringJobStatus(
+    jobId,
+    status,
+    completedAt = null,
+    details = {}
+  ) {
     try {
       await this.prisma.monitoringJob.updateMany({
         where: { jobId },
         data: {
+          ...details,
           status,
           completedAt,
           updatedAt: new Date(),
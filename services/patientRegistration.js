@@ -1,5 +1,37 @@
 // Comprehensive patient registration flow
 // Collects all required patient information step by step
+// Progress is kept in Redis so a registration survives restarts and can be
+// resumed, stepped back or restarted from WhatsApp
+const { getTimezoneForZip } = require("../utils/zipTimezone");
+const { isValidZip } = require("../utils/zipDatabase");
+const {
+  parseDialysisSchedule,
+  toDialysisColumns,
+  formatDialysisSchedule,
+} = require("../utils/dialysisSchedule");
+
+const REGISTRATION_KEY_PREFIX = "registration:";
+// Unfinished registrations are forgotten after 2 hours idle, so a patient
+// who walks away isn't stuck answering sign-up questions days later
+const REGISTRATION_TTL_SECONDS = 2 * 60 * 60;
+
+// Replies that control the flow instead of answering the current question
+const REGISTRATION_COMMANDS = {
+  back: "back",
+  previous: "back",
+  restart: "restart",
+  "start over": "restart",
+  resume: "resume",
+  continue: "resume",
+  register: "resume",
+  cancel: "cancel",
+};
+
+// Replies that aren't an answer at all - a question of the patient's own or
+// a longer message - when they also fail the step's validation
+const OFF_TOPIC_PATTERN =
+  /\?|^\s*(what|why|how|when|where|who|can|could|is|are|do|does|will|should)\b/i;
+const OFF_TOPIC_MIN_WORDS = 8;
 
 const REGISTRATION_STEPS = {
   WELCOME: "WELCOME",
@@ -11,6 +43,7 @@ const REGISTRATION_STEPS = {
   FAMILY_CONTACT_INFO: "FAMILY_CONTACT_INFO",
   HEALTHCARE_PROVIDER: "HEALTHCARE_PROVIDER",
   HEALTHCARE_PROVIDER_INFO: "HEALTHCARE_PROVIDER_INFO",
+  HEALTHCARE_PROVIDER_CONSENT: "HEALTHCARE_PROVIDER_CONSENT",
   MEDICATIONS: "MEDICATIONS",
   MEDICATIONS_LIST: "MEDICATIONS_LIST",
   CHRONIC_CONDITIONS: "CHRONIC_CONDITIONS",
@@ -40,8 +73,67 @@ const CHRONIC_CONDITIONS = [
 ];
 
 class PatientRegistrationFlow {
-  constructor() {
-    this.currentRegistrations = new Map(); // Store incomplete registrations
+  /**
+   * @param {Object} options - {redis} connection used to store registrations
+   */
+  constructor({ redis } = {}) {
+    if (!redis) {
+      throw new Error("PatientRegistrationFlow requires a Redis connection");
+    }
+    this.redis = redis;
+  }
+
+  getRegistrationKey(phoneNumber) {
+    return `${REGISTRATION_KEY_PREFIX}${phoneNumber}`;
+  }
+
+  /**
+   * Stored registration: {step, data, prompt, history, paused, startedAt,
+   * updatedAt}
+   */
+  async getRegistration(phoneNumber) {
+    const raw = await this.redis.get(this.getRegistrationKey(phoneNumber));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveRegistration(phoneNumber, regData) {
+    regData.updatedAt = new Date().toISOString();
+    await this.redis.set(
+      this.getRegistrationKey(phoneNumber),
+      JSON.stringify(regData),
+      "EX",
+      REGISTRATION_TTL_SECONDS
+    );
+  }
+
+  /**
+   * Begin (or begin again) a registration and return the first question
+   */
+  async startRegistration(phoneNumber) {
+    const message = this.getWelcomeMessage();
+
+    await this.saveRegistration(phoneNumber, {
+      step: REGISTRATION_STEPS.FIRST_NAME,
+      data: {},
+      prompt: message,
+      history: [],
+      startedAt: new Date().toISOString(),
+    });
+
+    return message;
+  }
+
+  /**
+   * Read a flow command ("back", "restart", "resume", "cancel") from a reply
+   * @returns {string|null}
+   */
+  parseCommand(input) {
+    const text = (input || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, "")
+      .trim();
+    return REGISTRATION_COMMANDS[text] || null;
   }
 
   /**
@@ -61,38 +153,132 @@ class PatientRegistrationFlow {
    * Process registration step
    * @param {string} phoneNumber - Patient's phone number
    * @param {string} input - User's input
-   * @returns {Object} - {message: string, isComplete: boolean, patientData: Object}
+   * @returns {Object} - {message: string, isComplete: boolean, patientData: Object,
+   *   step: string, command: string|null, exited: boolean} - exited when the
+   *   reply didn't fit the step and should be routed as a normal message
    */
-  processStep(phoneNumber, input) {
-    // Get or create registration data
-    let regData = this.currentRegistrations.get(phoneNumber) || {
-      step: REGISTRATION_STEPS.FIRST_NAME,
-      data: {},
-    };
+  async processStep(phoneNumber, input) {
+    const command = this.parseCommand(input);
+
+    if (command === "restart") {
+      const message = await this.startRegistration(phoneNumber);
+      return this.buildResult(message, REGISTRATION_STEPS.FIRST_NAME, command);
+    }
+
+    let regData = await this.getRegistration(phoneNumber);
+
+    if (!regData) {
+      // Nothing stored (expired or never started) - begin from the top
+      const message = await this.startRegistration(phoneNumber);
+      return this.buildResult(message, REGISTRATION_STEPS.FIRST_NAME, "start");
+    }
+
+    if (command === "cancel") {
+      await this.clearRegistration(phoneNumber);
+      return this.buildResult(
+        `Registration cancelled. Your answers have been deleted.\n\nReply "REGISTER" anytime to start again.`,
+        null,
+        command
+      );
+    }
+
+    if (command === "resume") {
+      regData.paused = false;
+      await this.saveRegistration(phoneNumber, regData);
+      return this.buildResult(
+        `📋 Let's pick up where we left off:\n\n${regData.prompt}`,
+        regData.step,
+        command
+      );
+    }
+
+    if (command === "back") {
+      const previous = regData.history.pop();
+      if (!previous) {
+        return this.buildResult(
+          `This is the first question.\n\n${regData.prompt}`,
+          regData.step,
+          command
+        );
+      }
+
+      regData = { ...regData, ...previous, history: regData.history };
+      await this.saveRegistration(phoneNumber, regData);
+      return this.buildResult(
+        `↩️ Going back:\n\n${regData.prompt}`,
+        regData.step,
+        command
+      );
+    }
 
     const response = this.handleStep(regData.step, input, regData.data);
 
-    // Update registration data
-    if (response.nextStep) {
-      regData.step = response.nextStep;
-      regData.data = { ...regData.data, ...response.updateData };
-      this.currentRegistrations.set(phoneNumber, regData);
+    // A reply that doesn't answer the question (a question of their own, a
+    // message about something else) takes the patient out of the flow so it
+    // can be routed like any other message. The answers so far are kept for
+    // REGISTER to resume. A mistyped answer just gets the correction prompt
+    if (response.retry && this.isOffTopic(input)) {
+      regData.paused = true;
+      await this.saveRegistration(phoneNumber, regData);
+      return {
+        ...this.buildResult(
+          `📋 I've paused your sign-up. Reply "REGISTER" to pick up where you left off.`,
+          regData.step,
+          "pause"
+        ),
+        exited: true,
+      };
     }
 
     // Registration complete
     if (response.isComplete) {
-      this.currentRegistrations.delete(phoneNumber);
+      await this.clearRegistration(phoneNumber);
+      return {
+        ...this.buildResult(response.message, REGISTRATION_STEPS.COMPLETED),
+        isComplete: true,
+        patientData: { ...regData.data, ...response.updateData },
+      };
     }
 
+    // Remember the answered question so "back" can return to it
+    if (response.nextStep !== regData.step) {
+      regData.history.push({
+        step: regData.step,
+        data: regData.data,
+        prompt: regData.prompt,
+      });
+    }
+
+    regData.step = response.nextStep;
+    regData.data = { ...regData.data, ...response.updateData };
+    regData.prompt = response.message;
+    await this.saveRegistration(phoneNumber, regData);
+
+    return this.buildResult(response.message, regData.step);
+  }
+
+  isOffTopic(input) {
+    const text = (input || "").trim();
+    return (
+      OFF_TOPIC_PATTERN.test(text) ||
+      text.split(/\s+/).length >= OFF_TOPIC_MIN_WORDS
+    );
+  }
+
+  buildResult(message, step, command = null) {
     return {
-      message: response.message,
-      isComplete: response.isComplete,
-      patientData: response.isComplete ? regData.data : null,
+      message,
+      isComplete: false,
+      patientData: null,
+      step,
+      command,
     };
   }
 
   /**
    * Handle individual registration step
+   * @returns {Object} - {message, nextStep, updateData, retry, isComplete} -
+   *   retry when the answer failed validation and the step is asked again
    */
   handleStep(currentStep, input, currentData) {
     const trimmedInput = (input || "").trim();
@@ -122,6 +308,9 @@ class PatientRegistrationFlow {
       case REGISTRATION_STEPS.HEALTHCARE_PROVIDER_INFO:
         return this.handleHealthcareProviderInfo(trimmedInput, currentData);
 
+      case REGISTRATION_STEPS.HEALTHCARE_PROVIDER_CONSENT:
+        return this.handleHealthcareProviderConsent(trimmedInput, currentData);
+
       case REGISTRATION_STEPS.MEDICATIONS:
         return this.handleMedications(trimmedInput, currentData);
 
@@ -165,6 +354,7 @@ class PatientRegistrationFlow {
         message: "Please tell me your first name:",
         nextStep: REGISTRATION_STEPS.FIRST_NAME,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -173,6 +363,7 @@ class PatientRegistrationFlow {
         message: "Please enter just your first name (no numbers):",
         nextStep: REGISTRATION_STEPS.FIRST_NAME,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -194,11 +385,21 @@ class PatientRegistrationFlow {
         message: `${currentData.firstName}, please enter a valid 5-digit ZIP code (like 10001):`,
         nextStep: REGISTRATION_STEPS.ZIP_CODE,
         updateData: {},
+        retry: true,
       };
     }
 
     const zipcode = zipMatch[1];
 
+    if (!isValidZip(zipcode)) {
+      return {
+        message: `${currentData.firstName}, ${zipcode} isn't a US ZIP code we recognize. Please check it and enter your 5-digit ZIP code:`,
+        nextStep: REGISTRATION_STEPS.ZIP_CODE,
+        updateData: {},
+        retry: true,
+      };
+    }
+
     return {
       message: `Thanks ${currentData.firstName}! Now, how old are you? (Just type the number)`,
       nextStep: REGISTRATION_STEPS.AGE,
@@ -214,6 +415,7 @@ class PatientRegistrationFlow {
         message: `${currentData.firstName}, please enter a valid age between 1 and 120:`,
         nextStep: REGISTRATION_STEPS.AGE,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -296,6 +498,7 @@ class PatientRegistrationFlow {
         message: `Please provide complete information:\nName, Relationship, Phone Number\n\nExample: "John Smith, Son, +19342120686"`,
         nextStep: REGISTRATION_STEPS.FAMILY_CONTACT_INFO,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -308,6 +511,7 @@ class PatientRegistrationFlow {
         message: `Please enter a valid phone number. Format:\nName, Relationship, Phone Number\n\nExample: "John Smith, Son, +19342120686"`,
         nextStep: REGISTRATION_STEPS.FAMILY_CONTACT_INFO,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -315,13 +519,15 @@ class PatientRegistrationFlow {
       name,
       relationship,
       phone: phone,
-      consentGiven: false, // Will need to get consent separately
+      // Set once the contact replies YES to the WhatsApp request sent when
+      // registration completes (familyEscalation.requestContactConsent)
+      consentGiven: false,
     };
 
     return {
       message:
         `${currentData.firstName}, I've added ${name} as your emergency contact.\n\n` +
-        `⚠️ *Important*: We'll need their consent before contacting them in emergencies.\n\n` +
+        `⚠️ *Important*: When you finish, we'll message ${name} on WhatsApp to ask them to agree. We only contact them in emergencies once they reply YES.\n\n` +
         `Would you like to add your healthcare provider's contact information?\n\n` +
         `Reply:\n` +
         `• "Yes" - Add healthcare provider\n` +
@@ -336,12 +542,7 @@ class PatientRegistrationFlow {
 
     if (lowerInput.includes("no") || lowerInput.includes("skip")) {
       return {
-        message:
-          `${currentData.firstName}, are you currently taking any medications?\n\n` +
-          `This helps us warn you if weather conditions might affect your medications.\n\n` +
-          `Reply:\n` +
-          `• "Yes" - I take medications\n` +
-          `• "No" - No medications`,
+        message: this.getMedicationsMessage(currentData.firstName),
         nextStep: REGISTRATION_STEPS.MEDICATIONS,
         updateData: { healthcareProvider: null },
       };
@@ -365,6 +566,7 @@ class PatientRegistrationFlow {
         message: `Please provide at least:\nDoctor Name, Hospital/Clinic\n\nOptional: Phone Number\n\nExample: "Dr. Smith, General Hospital, +1555111222"`,
         nextStep: REGISTRATION_STEPS.HEALTHCARE_PROVIDER_INFO,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -374,22 +576,68 @@ class PatientRegistrationFlow {
       name: doctorName,
       hospital: hospital,
       phone: phone || null,
-      consentGiven: false, // Will need consent for contact
+      // Asked next when there is a number to contact them on
+      consentGiven: false,
     };
 
+    if (!healthcareProvider.phone) {
+      return {
+        message:
+          `${currentData.firstName}, I've added ${doctorName} at ${hospital}.\n\n` +
+          this.getMedicationsMessage(currentData.firstName),
+        nextStep: REGISTRATION_STEPS.MEDICATIONS,
+        updateData: { healthcareProvider },
+      };
+    }
+
     return {
       message:
         `${currentData.firstName}, I've added ${doctorName} at ${hospital}.\n\n` +
-        `Are you currently taking any medications?\n\n` +
-        `This helps us warn you if weather conditions might affect your medications.\n\n` +
+        `May we message ${doctorName} if you're assessed at HIGH or CRITICAL risk or stop answering your check-ins? They can also ask for a daily summary.\n\n` +
         `Reply:\n` +
-        `• "Yes" - I take medications\n` +
-        `• "No" - No medications`,
-      nextStep: REGISTRATION_STEPS.MEDICATIONS,
+        `• "Yes" - Share my alerts with ${doctorName}\n` +
+        `• "No" - Keep them private`,
+      nextStep: REGISTRATION_STEPS.HEALTHCARE_PROVIDER_CONSENT,
       updateData: { healthcareProvider },
     };
   }
 
+  handleHealthcareProviderConsent(input, currentData) {
+    const lowerInput = input.toLowerCase();
+    const consentGiven = /\b(yes|share|ok|okay|agree)\b/.test(lowerInput);
+
+    if (!consentGiven && !/\b(no|private|skip)\b/.test(lowerInput)) {
+      return {
+        message: `Please reply "Yes" to share your alerts with ${currentData.healthcareProvider.name}, or "No" to keep them private:`,
+        nextStep: REGISTRATION_STEPS.HEALTHCARE_PROVIDER_CONSENT,
+        updateData: {},
+        retry: true,
+      };
+    }
+
+    return {
+      message:
+        (consentGiven
+          ? `✅ We'll keep ${currentData.healthcareProvider.name} informed.\n\n`
+          : `👍 We won't contact ${currentData.healthcareProvider.name}.\n\n`) +
+        this.getMedicationsMessage(currentData.firstName),
+      nextStep: REGISTRATION_STEPS.MEDICATIONS,
+      updateData: {
+        healthcareProvider: { ...currentData.healthcareProvider, consentGiven },
+      },
+    };
+  }
+
+  getMedicationsMessage(firstName) {
+    return (
+      `${firstName}, are you currently taking any medications?\n\n` +
+      `This helps us warn you if weather conditions might affect your medications.\n\n` +
+      `Reply:\n` +
+      `• "Yes" - I take medications\n` +
+      `• "No" - No medications`
+    );
+  }
+
   handleMedications(input, currentData) {
     const lowerInput = input.toLowerCase();
 
@@ -422,6 +670,7 @@ class PatientRegistrationFlow {
         message: `Please list your medications, or reply "none" if you don't take any:`,
         nextStep: REGISTRATION_STEPS.MEDICATIONS_LIST,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -488,7 +737,7 @@ class PatientRegistrationFlow {
       return {
         message:
           `${currentData.firstName}, I see you're on dialysis. What's your dialysis schedule?\n\n` +
-          `Example: "Monday, Wednesday, Friday at 8:00 AM"\n\n` +
+          `Example: "Mon/Wed/Fri 7am" or "TTS mornings"\n\n` +
           `This helps us coordinate health monitoring around your treatments.`,
         nextStep: REGISTRATION_STEPS.DIALYSIS_SCHEDULE,
         updateData: { chronicConditions: conditions },
@@ -524,21 +773,32 @@ class PatientRegistrationFlow {
   }
 
   handleDialysisSchedule(input, currentData) {
-    const schedule = input.trim();
+    const skipped = input.trim().toLowerCase() === "skip";
+    const schedule = skipped ? null : input.trim();
+    const parsed = schedule && parseDialysisSchedule(schedule);
 
-    if (schedule.length < 5) {
+    // Session days drive the heat advice, so ask again until we find them
+    if (!skipped && !parsed) {
       return {
-        message: `Please provide your dialysis schedule:\n\nExample: "Monday, Wednesday, Friday at 8:00 AM"`,
+        message:
+          `Sorry, I couldn't find your session days in that. Please list the days and time, for example:\n\n` +
+          `• "Mon/Wed/Fri 7am"\n` +
+          `• "TTS mornings" (Tue, Thu, Sat)\n\n` +
+          `Or reply "skip" to continue without it.`,
         nextStep: REGISTRATION_STEPS.DIALYSIS_SCHEDULE,
         updateData: {},
+        retry: true,
       };
     }
 
+    const confirmation = parsed
+      ? `✅ Dialysis: ${formatDialysisSchedule(parsed)}\n\n`
+      : "";
     const needsHospital = !currentData.healthcareProvider;
 
     if (needsHospital) {
       return {
-        message: `${currentData.firstName}, which hospital do you go to for dialysis?`,
+        message: `${confirmation}${currentData.firstName}, which hospital do you go to for dialysis?`,
         nextStep: REGISTRATION_STEPS.HOSPITAL,
         updateData: { dialysisSchedule: schedule },
       };
@@ -546,6 +806,7 @@ class PatientRegistrationFlow {
 
     return {
       message:
+        confirmation +
         `${currentData.firstName}, do you smoke?\n\n` +
         `Reply:\n` +
         `• "Yes" - I smoke\n` +
@@ -563,6 +824,7 @@ class PatientRegistrationFlow {
         message: `Please enter the hospital name:`,
         nextStep: REGISTRATION_STEPS.HOSPITAL,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -603,12 +865,12 @@ class PatientRegistrationFlow {
 
   handlePregnancy(input, currentData) {
     const lowerInput = input.toLowerCase();
-    const pregnant = lowerInput.includes("yes");
+    const isPregnant = lowerInput.includes("yes");
 
     return {
       message: this.getActivityLevelMessage(currentData.firstName),
       nextStep: REGISTRATION_STEPS.ACTIVITY_LEVEL,
-      updateData: { pregnant },
+      updateData: { isPregnant },
     };
   }
 
@@ -661,6 +923,7 @@ class PatientRegistrationFlow {
         message: `${currentData.firstName}, please reply "I AGREE" to complete registration, or "CANCEL" to stop:`,
         nextStep: REGISTRATION_STEPS.FINAL_CONSENT,
         updateData: {},
+        retry: true,
       };
     }
 
@@ -726,17 +989,61 @@ class PatientRegistrationFlow {
   }
 
   /**
-   * Check if phone number is in registration process
+   * Map collected registration answers onto Patient columns
+   * @param {Object} patientData - Completed registration data
+   * @returns {Object} - Prisma update data
+   */
+  toPatientData(patientData) {
+    const familyContact = patientData.familyContact || null;
+    const healthcareProvider = patientData.healthcareProvider || null;
+    const chronicConditions = patientData.chronicConditions || [];
+
+    return {
+      firstName: patientData.firstName,
+      zipcode: patientData.zipcode,
+      timezone: getTimezoneForZip(patientData.zipcode),
+      age: patientData.age,
+      optOutCustomMessages: Boolean(patientData.optOutCustomMessages),
+      consentGiven: Boolean(patientData.consentGiven),
+      consentDate: patientData.consentDate
+        ? new Date(patientData.consentDate)
+        : null,
+      familyContactName: familyContact?.name || null,
+      familyContactRelation: familyContact?.relationship || null,
+      familyContactPhone: familyContact?.phone || null,
+      familyContactConsent: Boolean(familyContact?.consentGiven),
+      healthcareProviderName: healthcareProvider?.name || null,
+      healthcareProviderHospital: healthcareProvider?.hospital || null,
+      healthcareProviderPhone: healthcareProvider?.phone || null,
+      healthcareProviderConsent: Boolean(healthcareProvider?.consentGiven),
+      medications: patientData.medications || [],
+      preExistingConditions: chronicConditions,
+      chronicConditions,
+      hospital: patientData.hospital || healthcareProvider?.hospital || null,
+      ...toDialysisColumns(patientData.dialysisSchedule),
+      smoker: Boolean(patientData.smoker),
+      isPregnant: Boolean(patientData.isPregnant),
+      activityLevel: patientData.activityLevel || "moderate",
+      riskLevel: patientData.riskLevel || "medium",
+      monitoringEnabled: patientData.monitoringEnabled !== false,
+      preferredLanguage: patientData.preferredLanguage || "en",
+      registrationComplete: Boolean(patientData.registrationComplete),
+    };
+  }
+
+  /**
+   * Check if phone number is in registration process (and not paused)
    */
-  isInRegistration(phoneNumber) {
-    return this.currentRegistrations.has(phoneNumber);
+  async isInRegistration(phoneNumber) {
+    const regData = await this.getRegistration(phoneNumber);
+    return Boolean(regData && !regData.paused);
   }
 
   /**
    * Clear registration data (for testing or restart)
    */
-  clearRegistration(phoneNumber) {
-    this.currentRegistrations.delete(phoneNumber);
+  async clearRegistration(phoneNumber) {
+    await this.redis.del(this.getRegistrationKey(phoneNumber));
   }
 }
 
@@ -0,0 +1,158 @@
+// Poll session service - remembers which question a patient was last asked,
+// so a numeric reply is read against that poll's own answer menu
+// ("3" is "same" on the symptom poll but "I need help" on a heat check-in)
+const { getRedisConnection } = require("./index");
+
+const SESSION_KEY_PREFIX = "poll-session:";
+
+// Answer menus, keyed by poll type. Each number maps to one of the responses
+// handlePollResponse understands, with the wording the patient saw
+const POLL_TYPES = {
+  // Symptom follow-ups (recurring monitor, AI symptom checks, legacy checkups)
+  health_symptom: {
+    ttlMinutes: 120,
+    options: {
+      1: { response: "much_better", label: "Much better" },
+      2: { response: "slightly_better", label: "Slightly better" },
+      3: { response: "same_symptoms", label: "Same" },
+      4: { response: "worse_condition", label: "Getting worse" },
+      5: { response: "emergency_help", label: "Need help now" },
+    },
+  },
+  // Daily check-in 5-point scale
+  daily_checkup: {
+    ttlMinutes: 12 * 60,
+    options: {
+      1: { response: "much_better", label: "Excellent" },
+      2: { response: "much_better", label: "Good - feeling normal" },
+      3: { response: "same_symptoms", label: "Fair - a bit tired" },
+      4: { response: "worse_condition", label: "Poor - not feeling well" },
+      5: { response: "emergency_help", label: "Urgent - need medical attention" },
+    },
+  },
+  // Heat and routine weather check-ins where 3 means "not feeling well"
+  weather_checkin: {
+    ttlMinutes: 4 * 60,
+    options: {
+      1: { response: "much_better", label: "Fine - staying safe" },
+      2: { response: "same_symptoms", label: "A little warm/cold but OK" },
+      3: { response: "worse_condition", label: "Not feeling well" },
+    },
+  },
+  // Urgent heat check-ins where 3 means "I need help"
+  weather_checkin_urgent: {
+    ttlMinutes: 4 * 60,
+    options: {
+      1: { response: "much_better", label: "Safe - cool/warm indoors" },
+      2: { response: "same_symptoms", label: "Uncomfortable but OK" },
+      3: { response: "emergency_help", label: "I need help" },
+    },
+  },
+  // Cold check-ins - shivering or numbness is getting worse, confusion,
+  // drowsiness or a home without heat is an emergency
+  hypothermia_checkin: {
+    ttlMinutes: 4 * 60,
+    options: {
+      1: { response: "much_better", label: "Warm - heat is on" },
+      2: { response: "same_symptoms", label: "Chilly but OK" },
+      3: { response: "worse_condition", label: "Shivering or numb" },
+      4: {
+        response: "emergency_help",
+        label: "Confused, very sleepy or no heat",
+      },
+    },
+  },
+};
+
+class PollSessionService {
+  constructor() {
+    this.redis = getRedisConnection();
+  }
+
+  getSessionKey(phoneNumber) {
+    return `${SESSION_KEY_PREFIX}${phoneNumber}`;
+  }
+
+  /**
+   * Record the poll a patient was just sent (replaces any open poll)
+   * @param {string} phoneNumber - Patient phone number
+   * @param {string} pollType - Key of POLL_TYPES
+   * @param {Object} context - Extra details stored with the session (messageType...)
+   * @returns {Object|null} - The session, or null for an unknown poll type
+   */
+  async open(phoneNumber, pollType, context = {}) {
+    const definition = POLL_TYPES[pollType];
+    if (!definition) {
+      console.warn(`[Poll Session] Unknown poll type: ${pollType}`);
+      return null;
+    }
+
+    const sentAt = new Date();
+    const session = {
+      pollType,
+      options: definition.options,
+      sentAt: sentAt.toISOString(),
+      expiresAt: new Date(
+        sentAt.getTime() + definition.ttlMinutes * 60 * 1000
+      ).toISOString(),
+      ...context,
+    };
+
+    await this.redis.set(
+      this.getSessionKey(phoneNumber),
+      JSON.stringify(session),
+      "EX",
+      definition.ttlMinutes * 60
+    );
+
+    console.log(
+      `📊 [Poll Session] Opened ${pollType} poll for ${phoneNumber} until ${session.expiresAt}`
+    );
+    return session;
+  }
+
+  /**
+   * Get the patient's open poll, or null if none / expired
+   */
+  async get(phoneNumber) {
+    const raw = await this.redis.get(this.getSessionKey(phoneNumber));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async close(phoneNumber) {
+    await this.redis.del(this.getSessionKey(phoneNumber));
+  }
+
+  /**
+   * Read a reply against the patient's open poll
+   * @param {string} phoneNumber - Patient phone number
+   * @param {string} text - Normalized reply text
+   * @returns {Object|null} - {session, option, pollResponse} for a menu answer,
+   *   {session, invalidOption: true} for a number that isn't on the menu,
+   *   or null when there is no open poll or the reply isn't a number
+   */
+  async interpret(phoneNumber, text) {
+    const session = await this.get(phoneNumber);
+    if (!session) return null;
+
+    if (!/^\d{1,2}$/.test(text)) return null;
+
+    const option = session.options[text];
+    if (!option) {
+      return { session, invalidOption: true };
+    }
+
+    return { session, option, pollResponse: option.response };
+  }
+
+  /**
+   * Short menu reminder for an open poll ("1 = Excellent, 2 = ...")
+   */
+  formatOptions(session) {
+    return Object.entries(session.options)
+      .map(([number, option]) => `${number} = ${option.label}`)
+      .join("\n");
+  }
+}
+
+module.exports = new PollSessionService();
@@ -0,0 +1,348 @@
+// Provider notification service - tells a patient's consented healthcare
+// provider when the patient is flagged HIGH or CRITICAL or stops answering
+// check-ins, and sends opted-in providers a daily digest of their patients
+// built from HealthAnalysis, Message and CheckinEscalation history
+const { getPrismaClient, getRedisConnection } = require("./index");
+const { whatsappQueue } = require("../queue");
+const familyEscalation = require("./familyEscalation");
+
+// Risk levels a provider hears about right away, lowest first
+const NOTIFY_RISK_LEVELS = ["high", "critical", "emergency"];
+
+// Last level a provider was told about per patient - only an escalation
+// re-notifies within this window
+const NOTICE_KEY_PREFIX = "provider-notice:";
+const NOTICE_TTL_SECONDS = 6 * 60 * 60;
+
+const DIGEST_WINDOW_HOURS = 24;
+const DIGEST_MAX_SYMPTOM_CHARS = 60;
+
+class ProviderNotificationService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.redis = getRedisConnection();
+  }
+
+  /**
+   * The patient's provider, or null when none is stored or consented
+   */
+  getConsentedProvider(patient) {
+    if (!patient?.healthcareProviderConsent) return null;
+
+    const phone = familyEscalation.normalizePhone(
+      patient.healthcareProviderPhone
+    );
+    if (!phone) return null;
+
+    return {
+      name: patient.healthcareProviderName || "Doctor",
+      hospital: patient.healthcareProviderHospital || null,
+      phone,
+    };
+  }
+
+  /**
+   * Tell a provider that a patient agreed to share alerts with them, and how
+   * to turn on the daily digest
+   * @returns {boolean} - false when the patient hasn't consented
+   */
+  async introduceToProvider(patient) {
+    const provider = this.getConsentedProvider(patient);
+    if (!provider) return false;
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: provider.phone,
+      message:
+        `🏥 *HeatCare*\n\n` +
+        `${provider.name}, your patient ${patient.firstName} (${patient.phoneNumber}) has agreed to share their heat-health alerts with you. We'll message you if they are assessed at HIGH or CRITICAL risk or stop answering their check-ins.\n\n` +
+        `Reply DIGEST ON for a daily summary of your HeatCare patients.`,
+      tier: "checkin",
+      messageType: "provider_introduction",
+    });
+
+    console.log(
+      `🏥 [Provider] Introduced ${patient.phoneNumber} to ${provider.phone}`
+    );
+    return true;
+  }
+
+  /**
+   * Notify the provider that their patient was flagged HIGH or CRITICAL
+   * @param {string} phoneNumber - Patient phone number
+   * @param {Object} flag - {riskLevel, symptomText, summary}
+   * @returns {Object} - {status: "sent"|"skipped", reason?}
+   */
+  async notifyRiskFlag(
+    phoneNumber,
+    { riskLevel, symptomText = null, summary = null }
+  ) {
+    const level = String(riskLevel || "").toLowerCase();
+    const rank = NOTIFY_RISK_LEVELS.indexOf(level);
+    if (rank === -1) return { status: "skipped", reason: "below_threshold" };
+
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    const provider = this.getConsentedProvider(patient);
+    if (!provider) {
+      return { status: "skipped", reason: "no_consented_provider" };
+    }
+
+    const noticeKey = `${NOTICE_KEY_PREFIX}${phoneNumber}`;
+    const lastLevel = await this.redis.get(noticeKey);
+    if (lastLevel && NOTIFY_RISK_LEVELS.indexOf(lastLevel) >= rank) {
+      console.log(
+        `🏥 [Provider] ${provider.phone} already told about ${phoneNumber} at ${lastLevel}, skipping ${level}`
+      );
+      return { status: "skipped", reason: "recently_notified" };
+    }
+
+    let message =
+      `🏥 *HeatCare: ${level.toUpperCase()} Risk Alert*\n\n` +
+      `${provider.name}, your patient ${patient.firstName} (${patient.phoneNumber}, age ${patient.age}) was just assessed at *${level.toUpperCase()}* risk.`;
+
+    if (symptomText) {
+      message += `\n\n💬 Patient reported: "${symptomText}"`;
+    }
+    if (summary) {
+      message += `\n\n📋 ${summary}`;
+    }
+    message += `\n\nReply DIGEST ON for a daily summary of your HeatCare patients.`;
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: provider.phone,
+      message,
+      tier: level === "high" ? "alert" : "emergency",
+      messageType: "provider_risk_alert",
+    });
+    await this.redis.set(noticeKey, level, "EX", NOTICE_TTL_SECONDS);
+
+    console.log(
+      `🏥 [Provider] Notified ${provider.phone} that ${phoneNumber} is ${level}`
+    );
+    return { status: "sent" };
+  }
+
+  /**
+   * Notify the provider that their patient stopped answering check-ins
+   * (the "provider" step of the missed check-in ladder)
+   * @param {Object} patient - Patient record
+   * @param {Object} details - {missCount, riskLevel, symptom, sentAt}
+   * @returns {Object} - {status: "sent"|"skipped", detail}
+   */
+  async notifyMissedCheckins(
+    patient,
+    { missCount, riskLevel, symptom, sentAt }
+  ) {
+    const provider = this.getConsentedProvider(patient);
+    if (!provider) {
+      return {
+        status: "skipped",
+        detail: { reason: "no_consented_provider" },
+      };
+    }
+
+    const job = await whatsappQueue.add("send-whatsapp", {
+      to: provider.phone,
+      message:
+        `🏥 *HeatCare: Patient Not Responding*\n\n` +
+        `${patient.firstName} (${patient.phoneNumber}, age ${patient.age}) has not answered ${missCount} ${riskLevel}-risk health check-ins` +
+        `${symptom ? ` while being monitored for ${symptom}` : ""}.\n\n` +
+        `Last check-in sent: ${new Date(sentAt).toLocaleString()}\n\n` +
+        `Please follow up with the patient.`,
+      messageType: "provider_escalation",
+      tier: "emergency",
+    });
+
+    return {
+      status: "sent",
+      detail: { jobId: job.id, recipient: provider.phone },
+    };
+  }
+
+  /**
+   * Parse "digest on" / "digest off" from a provider
+   * @returns {boolean|null} - true / false, or null if not a digest command
+   */
+  parseDigestCommand(text) {
+    const match = String(text || "")
+      .trim()
+      .toLowerCase()
+      .match(/^digest\s+(on|off|yes|no|stop|start)$/);
+    if (!match) return null;
+    return ["on", "yes", "start"].includes(match[1]);
+  }
+
+  /**
+   * Consented patients whose provider uses this phone number
+   */
+  async getProviderPatients(providerPhone) {
+    const patients = await this.prisma.patient.findMany({
+      where: {
+        healthcareProviderConsent: true,
+        healthcareProviderPhone: { not: null },
+      },
+    });
+
+    return patients.filter(
+      (patient) =>
+        familyEscalation.normalizePhone(patient.healthcareProviderPhone) ===
+        providerPhone
+    );
+  }
+
+  /**
+   * Turn the daily digest on or off for every patient of a provider
+   * @returns {number} - Number of patients updated (0 = not a known provider)
+   */
+  async setDigest(providerPhone, enabled) {
+    const patients = await this.getProviderPatients(providerPhone);
+    if (patients.length === 0) return 0;
+
+    await this.prisma.patient.updateMany({
+      where: { id: { in: patients.map((patient) => patient.id) } },
+      data: { healthcareProviderDigest: enabled },
+    });
+
+    await whatsappQueue.add("send-whatsapp", {
+      to: providerPhone,
+      message: enabled
+        ? `✅ Daily digest turned on for ${patients.length} HeatCare patient(s). You'll get one summary each morning.\n\nReply DIGEST OFF to stop.`
+        : `⏸️ Daily digest turned off. You'll still get immediate HIGH/CRITICAL alerts.\n\nReply DIGEST ON to turn it back on.`,
+      tier: "checkin",
+      messageType: "provider_digest_settings",
+    });
+
+    console.log(
+      `🏥 [Provider] Digest ${enabled ? "enabled" : "disabled"} by ${providerPhone} for ${patients.length} patient(s)`
+    );
+    return patients.length;
+  }
+
+  /**
+   * Send every opted-in provider a summary of the last day
+   * (health-cron-queue "provider-daily-digest" job)
+   * @returns {Object} - {providers, patients}
+   */
+  async sendDailyDigests(now = new Date()) {
+    const since = new Date(
+      now.getTime() - DIGEST_WINDOW_HOURS * 60 * 60 * 1000
+    );
+
+    const patients = await this.prisma.patient.findMany({
+      where: {
+        healthcareProviderConsent: true,
+        healthcareProviderDigest: true,
+        healthcareProviderPhone: { not: null },
+      },
+      orderBy: { firstName: "asc" },
+    });
+
+    // One digest per provider, however their number was typed
+    const byProvider = new Map();
+    for (const patient of patients) {
+      const provider = this.getConsentedProvider(patient);
+      if (!provider) continue;
+
+      if (!byProvider.has(provider.phone)) {
+        byProvider.set(provider.phone, { provider, patients: [] });
+      }
+      byProvider.get(provider.phone).patients.push(patient);
+    }
+
+    for (const entry of byProvider.values()) {
+      const { provider, patients: providerPatients } = entry;
+      const sections = [];
+      for (const patient of providerPatients) {
+        sections.push(
+          this.formatPatientSummary(
+            patient,
+            await this.getPatientActivity(patient, since)
+          )
+        );
+      }
+
+      await whatsappQueue.add("send-whatsapp", {
+        to: provider.phone,
+        message:
+          `🏥 *HeatCare Daily Digest*\n${provider.name}${
+            provider.hospital ? `, ${provider.hospital}` : ""
+          } - last ${DIGEST_WINDOW_HOURS} hours\n\n` +
+          sections.join("\n\n") +
+          `\n\nReply DIGEST OFF to stop these summaries.`,
+        tier: "bulk",
+        messageType: "provider_digest",
+      });
+    }
+
+    console.log(
+      `🏥 [Provider] Sent daily digest to ${byProvider.size} provider(s) covering ${patients.length} patient(s)`
+    );
+    return { providers: byProvider.size, patients: patients.length };
+  }
+
+  /**
+   * A patient's risk changes, symptom reports and unanswered check-ins
+   */
+  async getPatientActivity(patient, since) {
+    const analyses = await this.prisma.healthAnalysis.findMany({
+      where: { patientId: patient.id, createdAt: { gte: since } },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const reports = await this.prisma.message.findMany({
+      where: {
+        direction: "incoming",
+        from: { contains: patient.phoneNumber },
+        createdAt: { gte: since },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const missedCheckins = await this.prisma.checkinEscalation.count({
+      where: {
+        patientId: patient.id,
+        step: "missed",
+        createdAt: { gte: since },
+      },
+    });
+
+    // Collapse repeats so "HIGH, HIGH, LOW" reads as HIGH → LOW
+    const riskPath = analyses
+      .map((analysis) => String(analysis.riskLevel).toUpperCase())
+      .filter((level, index, levels) => level !== levels[index - 1]);
+
+    return { riskPath, reports, missedCheckins };
+  }
+
+  formatPatientSummary(patient, { riskPath, reports, missedCheckins }) {
+    const lines = [
+      `*${patient.firstName}* (${patient.phoneNumber}, age ${patient.age})`,
+    ];
+
+    if (riskPath.length > 0) {
+      lines.push(`• Risk: ${riskPath.join(" → ")}`);
+    }
+
+    if (reports.length > 0) {
+      const latest = reports[reports.length - 1].body || "";
+      const preview =
+        latest.length > DIGEST_MAX_SYMPTOM_CHARS
+          ? `${latest.slice(0, DIGEST_MAX_SYMPTOM_CHARS)}…`
+          : latest;
+      lines.push(`• Reports: ${reports.length} (latest: "${preview}")`);
+    }
+
+    if (missedCheckins > 0) {
+      lines.push(`• Unanswered check-ins: ${missedCheckins}`);
+    }
+
+    if (lines.length === 1) {
+      lines.push("• No reports or risk changes");
+    }
+
+    return lines.join("\n");
+  }
+}
+
+module.exports = new ProviderNotificationService();
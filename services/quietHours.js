@@ -0,0 +1,226 @@
+// Quiet hours service - holds non-urgent messages while a patient is asleep
+// The window is stored on Patient as local "HH:MM" times in the patient's
+// timezone and may cross midnight
+const { getPrismaClient, getRedisConnection } = require("./index");
+const { DEFAULT_TIMEZONE } = require("../queue");
+const { getTimezoneForZip } = require("../utils/zipTimezone");
+
+// Message tiers that always go out immediately
+const URGENT_TIERS = ["emergency"];
+
+// A patient who messaged us this recently is awake - replies are not held
+const RECENT_ACTIVITY_MINUTES = 30;
+
+// Latest deferred job per collapse key, so repeated checks don't pile up overnight
+const DEFERRED_KEY_PREFIX = "quiet-hours:deferred:";
+const DEFERRED_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+const DAY_MINUTES = 24 * 60;
+
+class QuietHoursService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.redis = getRedisConnection();
+  }
+
+  /**
+   * Parse a time like "10pm", "7:30am", "22:00" or "7" into "HH:MM"
+   * @returns {string|null}
+   */
+  parseTime(text) {
+    const match = String(text)
+      .trim()
+      .toLowerCase()
+      .replace(/\./g, "")
+      .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || "0");
+    const meridiem = match[3];
+
+    if (minutes > 59) return null;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      if (meridiem.startsWith("p") && hours !== 12) hours += 12;
+      if (meridiem.startsWith("a") && hours === 12) hours = 0;
+    } else if (hours > 23) {
+      return null;
+    }
+
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(
+      2,
+      "0"
+    )}`;
+  }
+
+  /**
+   * Parse a WhatsApp quiet-hours command
+   * "quiet 10pm-7am" | "quiet hours 22:00 to 07:00" | "quiet off" | "quiet"
+   * @returns {Object|null} - {action: "set", start, end} | {action: "off"} |
+   *   {action: "show"} | {action: "invalid"}, or null if not a quiet command
+   */
+  parseCommand(messageText) {
+    const text = messageText.trim().toLowerCase();
+    const match = text.match(/^quiet(?:\s+hours)?(?:\s+(.*))?$/);
+    if (!match) return null;
+
+    const args = (match[1] || "").trim();
+    if (!args) return { action: "show" };
+    if (["off", "none", "disable", "stop"].includes(args)) {
+      return { action: "off" };
+    }
+
+    const range = args.match(/^(.+?)\s*(?:-|–|to|until)\s*(.+)$/);
+    if (!range) return { action: "invalid" };
+
+    const start = this.parseTime(range[1]);
+    const end = this.parseTime(range[2]);
+    if (!start || !end || start === end) return { action: "invalid" };
+
+    return { action: "set", start, end };
+  }
+
+  /**
+   * Format "HH:MM" as "10:00 PM"
+   */
+  formatTime(time) {
+    const [hours, minutes] = time.split(":").map((part) => parseInt(part));
+    const meridiem = hours >= 12 ? "PM" : "AM";
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${String(minutes).padStart(2, "0")} ${meridiem}`;
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(":").map((part) => parseInt(part));
+    return hours * 60 + minutes;
+  }
+
+  hasWindow(patient) {
+    return Boolean(
+      patient?.quietHoursStart &&
+        patient?.quietHoursEnd &&
+        patient.quietHoursStart !== patient.quietHoursEnd
+    );
+  }
+
+  getTimezone(patient) {
+    return (
+      patient?.timezone ||
+      getTimezoneForZip(patient?.zipcode) ||
+      DEFAULT_TIMEZONE
+    );
+  }
+
+  /**
+   * Minutes past midnight on the wall clock in a timezone
+   */
+  getLocalMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hour: "numeric",
+      minute: "numeric",
+      hourCycle: "h23",
+    }).formatToParts(date);
+    const value = (type) =>
+      parseInt(parts.find((part) => part.type === type).value);
+    return value("hour") * 60 + value("minute");
+  }
+
+  /**
+   * Check whether a time falls inside the patient's quiet window
+   * (in the patient's timezone)
+   */
+  isQuietTime(patient, date = new Date()) {
+    if (!this.hasWindow(patient)) return false;
+
+    const start = this.toMinutes(patient.quietHoursStart);
+    const end = this.toMinutes(patient.quietHoursEnd);
+    const now = this.getLocalMinutes(date, this.getTimezone(patient));
+
+    // Windows like 22:00-07:00 cross midnight
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Next moment the patient's quiet window ends
+   * @returns {Date}
+   */
+  getWindowEnd(patient, date = new Date()) {
+    const timezone = this.getTimezone(patient);
+    const end = this.toMinutes(patient.quietHoursEnd);
+    const now = this.getLocalMinutes(date, timezone);
+
+    const minutesLeft = (end - now + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+    const windowEnd = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    windowEnd.setSeconds(0, 0);
+
+    // A DST change overnight moves the wall clock an hour - shift back onto
+    // the local end time
+    let drift = this.getLocalMinutes(windowEnd, timezone) - end;
+    if (drift > DAY_MINUTES / 2) drift -= DAY_MINUTES;
+    if (drift < -DAY_MINUTES / 2) drift += DAY_MINUTES;
+    return new Date(windowEnd.getTime() - drift * 60 * 1000);
+  }
+
+  /**
+   * Decide whether an outbound message has to wait for the quiet window to end
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} tier - Message tier; emergency-tier messages are never held
+   * @returns {Date|null} - When to send, or null to send now
+   */
+  async getDeferUntil(phoneNumber, tier, date = new Date()) {
+    if (URGENT_TIERS.includes(tier)) return null;
+
+    const patient = await this.prisma.patient.findUnique({
+      where: { phoneNumber },
+    });
+    if (!this.isQuietTime(patient, date)) return null;
+
+    // Replies to a patient who is texting us right now are not held
+    const recentInbound = await this.prisma.message.findFirst({
+      where: {
+        direction: "incoming",
+        from: { contains: phoneNumber },
+        createdAt: {
+          gte: new Date(date.getTime() - RECENT_ACTIVITY_MINUTES * 60 * 1000),
+        },
+      },
+    });
+    if (recentInbound) return null;
+
+    return this.getWindowEnd(patient, date);
+  }
+
+  /**
+   * Remember the newest deferred job for a collapse key
+   */
+  async registerDeferral(collapseKey, jobId) {
+    if (!collapseKey) return;
+    await this.redis.set(
+      `${DEFERRED_KEY_PREFIX}${collapseKey}`,
+      jobId,
+      "EX",
+      DEFERRED_KEY_TTL_SECONDS
+    );
+  }
+
+  /**
+   * Whether a newer message with the same collapse key was deferred after
+   * this one (e.g. an hourly check queued again while the patient slept)
+   */
+  async isSuperseded(collapseKey, jobId) {
+    if (!collapseKey) return false;
+
+    const key = `${DEFERRED_KEY_PREFIX}${collapseKey}`;
+    const latestJobId = await this.redis.get(key);
+    if (!latestJobId) return false;
+    if (latestJobId === jobId) {
+      await this.redis.del(key);
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new QuietHoursService();
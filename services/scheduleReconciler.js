@@ -0,0 +1,432 @@
+// Schedule reconciler - rebuilds patient schedules in BullMQ from the database
+// after Redis loses data (flush, failover, migration). Compares
+// Patient.monitoringEnabled, medication reminders, open monitoring episodes
+// and MonitoringJob rows with the live health-cron jobs, recreates what is missing, removes orphans
+// and reports the diff. Runs on worker startup and from
+// POST /reconcile-schedules
+const { getPrismaClient } = require("./index");
+const {
+  healthCronQueue,
+  scheduleDailyCheckup,
+  scheduleHealthCheckup,
+  DAILY_CHECKUP_SCHEDULER_PREFIX,
+  getDailyCheckupSchedulerId,
+  getDailyCheckupRepeat,
+  scheduleMedicationReminder,
+  MEDICATION_REMINDER_SCHEDULER_PREFIX,
+  getMedicationReminderSchedulerId,
+} = require("../queue");
+const monitoringEpisodes = require("./monitoringEpisodes");
+const monitoringJobLog = require("./monitoringJobs");
+
+// Jobs that haven't run yet (or are running right now)
+const PENDING_STATES = [
+  "active",
+  "waiting",
+  "delayed",
+  "prioritized",
+  "paused",
+];
+
+// A lost job this overdue is reported instead of re-added - the moment passed
+const RECREATE_GRACE_MINUTES = 60;
+
+// MonitoringJob rows that stand for more than one BullMQ job
+const SCHEDULE_JOB_TYPES = [
+  "daily_checkup_schedule",
+  "medication_reminder_schedule",
+  "symptom_episode",
+];
+
+class ScheduleReconcilerService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  /**
+   * Compare the database with BullMQ and repair the difference
+   * @param {Object} options - {dryRun: only report what would change}
+   * @returns {Object} - Report of what was missing, recreated and removed
+   */
+  async reconcile({ dryRun = false } = {}) {
+    const report = {
+      dryRun,
+      startedAt: new Date().toISOString(),
+      dailyCheckups: { expected: 0, recreated: [], updated: [], removed: [] },
+      medicationReminders: { expected: 0, recreated: [], removed: [] },
+      episodes: { open: 0, rearmed: [], closed: [] },
+      jobs: { recreated: [], synced: [], lost: [] },
+      orphans: { removed: [] },
+    };
+
+    const pendingJobs = (await healthCronQueue.getJobs(PENDING_STATES)).filter(
+      Boolean
+    );
+
+    await this.reconcileDailyCheckups(report, dryRun);
+    await this.reconcileMedicationReminders(report, dryRun);
+    await this.reconcileEpisodes(report, pendingJobs, dryRun);
+    await this.reconcileJobRows(report, dryRun);
+    await this.removeOrphans(report, pendingJobs, dryRun);
+
+    report.finishedAt = new Date().toISOString();
+    report.changes =
+      report.dailyCheckups.recreated.length +
+      report.dailyCheckups.updated.length +
+      report.dailyCheckups.removed.length +
+      report.medicationReminders.recreated.length +
+      report.medicationReminders.removed.length +
+      report.episodes.rearmed.length +
+      report.episodes.closed.length +
+      report.jobs.recreated.length +
+      report.jobs.synced.length +
+      report.jobs.lost.length +
+      report.orphans.removed.length;
+
+    console.log(
+      `🔁 [Reconcile]${dryRun ? " (dry run)" : ""} daily: +${
+        report.dailyCheckups.recreated.length
+      } ~${report.dailyCheckups.updated.length} -${
+        report.dailyCheckups.removed.length
+      } | medication: +${report.medicationReminders.recreated.length} -${
+        report.medicationReminders.removed.length
+      } | episodes: rearmed ${report.episodes.rearmed.length}, closed ${
+        report.episodes.closed.length
+      } | jobs: recreated ${report.jobs.recreated.length}, synced ${
+        report.jobs.synced.length
+      }, lost ${report.jobs.lost.length} | orphans removed ${
+        report.orphans.removed.length
+      }`
+    );
+
+    return report;
+  }
+
+  /**
+   * Whether a patient should have a daily check-up scheduler: the latest
+   * recorded schedule decides ('stop daily' cancels it); patients with no
+   * record yet get one when they are registered and haven't opted out
+   */
+  expectsDailyCheckup(patient, scheduleRow) {
+    if (!patient.monitoringEnabled) return false;
+    if (scheduleRow) return scheduleRow.status === "scheduled";
+    return !patient.optOutCustomMessages && patient.zipcode !== "00000";
+  }
+
+  async reconcileDailyCheckups(report, dryRun) {
+    const patients = await this.prisma.patient.findMany();
+    const scheduleRows = await this.prisma.monitoringJob.findMany({
+      where: { jobType: "daily_checkup_schedule" },
+    });
+    const rowsById = new Map(scheduleRows.map((row) => [row.jobId, row]));
+
+    const schedulers = await healthCronQueue.getJobSchedulers(0, -1);
+    const liveById = new Map(
+      schedulers
+        .filter((scheduler) =>
+          scheduler.key.startsWith(DAILY_CHECKUP_SCHEDULER_PREFIX)
+        )
+        .map((scheduler) => [scheduler.key, scheduler])
+    );
+
+    const expectedIds = new Set();
+    for (const patient of patients) {
+      const schedulerId = getDailyCheckupSchedulerId(patient.phoneNumber);
+      if (!this.expectsDailyCheckup(patient, rowsById.get(schedulerId))) {
+        continue;
+      }
+      expectedIds.add(schedulerId);
+
+      const live = liveById.get(schedulerId);
+      const { pattern, tz } = getDailyCheckupRepeat(patient);
+      const options = {
+        timezone: patient.timezone,
+        checkinTime: patient.checkinTime,
+      };
+
+      if (!live) {
+        report.dailyCheckups.recreated.push({
+          phoneNumber: patient.phoneNumber,
+          pattern,
+          tz,
+        });
+        if (!dryRun) await scheduleDailyCheckup(patient.phoneNumber, options);
+      } else if (live.pattern !== pattern || live.tz !== tz) {
+        report.dailyCheckups.updated.push({
+          phoneNumber: patient.phoneNumber,
+          from: { pattern: live.pattern, tz: live.tz },
+          to: { pattern, tz },
+        });
+        if (!dryRun) await scheduleDailyCheckup(patient.phoneNumber, options);
+      }
+    }
+    report.dailyCheckups.expected = expectedIds.size;
+
+    const patientsByScheduler = new Map(
+      patients.map((patient) => [
+        getDailyCheckupSchedulerId(patient.phoneNumber),
+        patient,
+      ])
+    );
+    for (const schedulerId of liveById.keys()) {
+      if (expectedIds.has(schedulerId)) continue;
+
+      const patient = patientsByScheduler.get(schedulerId);
+      report.dailyCheckups.removed.push({
+        schedulerId,
+        reason: !patient
+          ? "unknown_patient"
+          : !patient.monitoringEnabled
+          ? "monitoring_disabled"
+          : "daily_checkups_off",
+      });
+      if (!dryRun) await healthCronQueue.removeJobScheduler(schedulerId);
+    }
+  }
+
+  /**
+   * Every enabled reminder of a monitored patient needs its scheduler, at the
+   * reminder's time in the patient's timezone
+   */
+  async reconcileMedicationReminders(report, dryRun) {
+    const reminders = await this.prisma.medicationReminder.findMany({
+      where: { enabled: true, patient: { monitoringEnabled: true } },
+      include: { patient: true },
+    });
+
+    const schedulers = await healthCronQueue.getJobSchedulers(0, -1);
+    const liveById = new Map(
+      schedulers
+        .filter((scheduler) =>
+          scheduler.key.startsWith(MEDICATION_REMINDER_SCHEDULER_PREFIX)
+        )
+        .map((scheduler) => [scheduler.key, scheduler])
+    );
+
+    const expectedIds = new Set();
+    for (const reminder of reminders) {
+      const { phoneNumber, timezone } = reminder.patient;
+      const schedulerId = getMedicationReminderSchedulerId(
+        phoneNumber,
+        reminder.id
+      );
+      expectedIds.add(schedulerId);
+
+      const live = liveById.get(schedulerId);
+      const { pattern, tz } = getDailyCheckupRepeat({
+        timezone,
+        checkinTime: reminder.time,
+      });
+      if (live && live.pattern === pattern && live.tz === tz) continue;
+
+      report.medicationReminders.recreated.push({
+        phoneNumber,
+        reminderId: reminder.id,
+        medication: reminder.medication,
+        pattern,
+        tz,
+      });
+      if (!dryRun) {
+        await scheduleMedicationReminder(phoneNumber, reminder, { timezone });
+      }
+    }
+    report.medicationReminders.expected = expectedIds.size;
+
+    for (const schedulerId of liveById.keys()) {
+      if (expectedIds.has(schedulerId)) continue;
+
+      report.medicationReminders.removed.push({ schedulerId });
+      if (!dryRun) await healthCronQueue.removeJobScheduler(schedulerId);
+    }
+  }
+
+  /**
+   * Every open episode needs exactly one pending check
+   */
+  async reconcileEpisodes(report, pendingJobs, dryRun) {
+    const episodes = await this.prisma.monitoringJob.findMany({
+      where: { jobType: "symptom_episode", status: "scheduled" },
+      include: { patient: true },
+    });
+    report.episodes.open = episodes.length;
+
+    for (const episode of episodes) {
+      const hasPendingCheck = pendingJobs.some(
+        (job) =>
+          job.name === "recurring-health-monitor" &&
+          job.data.episodeId === episode.id
+      );
+      if (hasPendingCheck) continue;
+
+      const phoneNumber = episode.patient.phoneNumber;
+
+      if (!episode.patient.monitoringEnabled) {
+        report.episodes.closed.push({
+          episodeId: episode.id,
+          phoneNumber,
+          reason: "monitoring_disabled",
+        });
+        if (!dryRun) {
+          await monitoringEpisodes.closeEpisode(
+            episode,
+            phoneNumber,
+            "stopped"
+          );
+        }
+        continue;
+      }
+
+      // Pick up where it stopped - an episode past its end gets an immediate
+      // check, which closes it (or steps it down) as usual
+      const minutesUntilDue = Math.max(
+        0,
+        (episode.scheduledFor.getTime() - Date.now()) / 60000
+      );
+      const minutesLeft = Math.max(
+        0,
+        (episode.expiresAt.getTime() - Date.now()) / 60000
+      );
+      const delayMinutes = Math.min(minutesUntilDue, minutesLeft);
+      const checkNumber = (episode.checkNumber || 0) + 1;
+
+      report.episodes.rearmed.push({
+        episodeId: episode.id,
+        phoneNumber,
+        riskLevel: episode.riskLevel,
+        checkNumber,
+        delayMinutes: Math.round(delayMinutes),
+      });
+      if (!dryRun) {
+        await scheduleHealthCheckup(
+          phoneNumber,
+          episode.symptom,
+          episode.riskLevel,
+          episode.tag,
+          { episodeId: episode.id, checkNumber, delayMinutes }
+        );
+      }
+    }
+  }
+
+  /**
+   * Scheduled MonitoringJob rows whose BullMQ job is missing or already done
+   */
+  async reconcileJobRows(report, dryRun) {
+    const rows = await this.prisma.monitoringJob.findMany({
+      where: { status: "scheduled", jobType: { notIn: SCHEDULE_JOB_TYPES } },
+      orderBy: { scheduledFor: "asc" },
+    });
+
+    for (const row of rows) {
+      const job = await healthCronQueue.getJob(row.jobId);
+
+      if (job) {
+        // Finished while nobody was listening for the event
+        const state = await job.getState();
+        if (state === "completed" || state === "failed") {
+          report.jobs.synced.push({ jobId: row.jobId, status: state });
+          if (!dryRun) {
+            await monitoringJobLog.recordFinished(
+              job,
+              state,
+              state === "completed"
+                ? job.returnvalue
+                : { error: job.failedReason }
+            );
+          }
+        }
+        continue;
+      }
+
+      // Checks of episodes and daily runs are rebuilt from their schedule
+      const rebuiltElsewhere =
+        row.jobType === "recurring-health-monitor" ||
+        row.jobId.startsWith("repeat:");
+      const overdueMinutes = (Date.now() - row.scheduledFor.getTime()) / 60000;
+
+      if (
+        !rebuiltElsewhere &&
+        row.payload &&
+        overdueMinutes <= RECREATE_GRACE_MINUTES
+      ) {
+        report.jobs.recreated.push({
+          jobId: row.jobId,
+          jobType: row.jobType,
+          scheduledFor: row.scheduledFor,
+        });
+        if (!dryRun) {
+          await healthCronQueue.add(row.jobType, row.payload, {
+            jobId: row.jobId,
+            delay: Math.max(0, -overdueMinutes * 60000),
+          });
+        }
+        continue;
+      }
+
+      const reason = rebuiltElsewhere
+        ? "replaced_by_schedule"
+        : row.payload
+        ? "too_late_to_resend"
+        : "no_payload";
+      report.jobs.lost.push({ jobId: row.jobId, jobType: row.jobType, reason });
+      if (!dryRun) await monitoringJobLog.recordLost(row.jobId, reason);
+    }
+  }
+
+  /**
+   * Patient jobs nothing in the database asks for any more
+   */
+  async removeOrphans(report, pendingJobs, dryRun) {
+    const patientJobs = pendingJobs.filter(
+      (job) => job.data?.phoneNumber && !job.repeatJobKey
+    );
+    if (patientJobs.length === 0) return;
+
+    const phoneNumbers = [
+      ...new Set(patientJobs.map((job) => job.data.phoneNumber)),
+    ];
+    const patients = await this.prisma.patient.findMany({
+      where: { phoneNumber: { in: phoneNumbers } },
+    });
+    const patientsByPhone = new Map(
+      patients.map((patient) => [patient.phoneNumber, patient])
+    );
+
+    const openEpisodeIds = new Set(
+      (
+        await this.prisma.monitoringJob.findMany({
+          where: { jobType: "symptom_episode", status: "scheduled" },
+          select: { id: true },
+        })
+      ).map((episode) => episode.id)
+    );
+
+    for (const job of patientJobs) {
+      if (await job.isActive()) continue;
+
+      const patient = patientsByPhone.get(job.data.phoneNumber);
+      let reason = null;
+      if (!patient) {
+        reason = "unknown_patient";
+      } else if (!patient.monitoringEnabled) {
+        reason = "monitoring_disabled";
+      } else if (
+        job.name === "recurring-health-monitor" &&
+        !openEpisodeIds.has(job.data.episodeId)
+      ) {
+        reason = job.data.episodeId ? "episode_closed" : "no_episode";
+      }
+      if (!reason) continue;
+
+      report.orphans.removed.push({
+        jobId: job.id,
+        jobType: job.name,
+        phoneNumber: job.data.phoneNumber,
+        reason,
+      });
+      if (!dryRun) await healthCronQueue.cancelJob(job);
+    }
+  }
+}
+
+module.exports = new ScheduleReconcilerService();
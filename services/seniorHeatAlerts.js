@@ -1,6 +1,8 @@
 // Senior Heat Alert System - Focused on senior citizen safety during heat waves
 const weatherService = require('./weatherService');
 const { scheduleWeatherAlertCheckin } = require('../queue');
+const { getTimezoneForZip } = require('../utils/zipTimezone');
+const { getDialysisSchedule, isDialysisDay } = require('../utils/dialysisSchedule');
 
 class SeniorHeatAlerts {
   constructor() {
@@ -16,6 +18,37 @@ class SeniorHeatAlerts {
       warning: 60, // Every hour during heat warnings
       normal: 240  // Every 4 hours normal monitoring
     };
+
+    // Dialysis patients live on a fluid limit - "drink water every 15 mins"
+    // can overload them, so hydration advice stays inside the limit
+    this.DIALYSIS_HYDRATION_TIP = 'Stay in your fluid limit - ice chips, not extra water';
+  }
+
+  /**
+   * Dialysis schedule and whether today is a session day (patient's timezone)
+   * @returns {Object|null} - {schedule, sessionDay}, or null if not on dialysis
+   */
+  getDialysisContext(seniorData, date = new Date()) {
+    const schedule = getDialysisSchedule(seniorData);
+    if (!schedule) return null;
+
+    const timezone = seniorData.timezone || getTimezoneForZip(seniorData.zipcode);
+    return { schedule, sessionDay: isDialysisDay(schedule, date, timezone) };
+  }
+
+  /**
+   * Session-day plan for hot weather: getting to and from the clinic cool,
+   * and hydration that respects the fluid limit
+   */
+  getDialysisSessionPlan(extreme) {
+    let plan = `🩺 DIALYSIS DAY HEAT PLAN:\n`;
+    plan += `• Cool the car first; wait for rides indoors\n`;
+    plan += `• Bring a cold pack & wet cloth for the trip\n`;
+    plan += `• ${this.DIALYSIS_HYDRATION_TIP}\n`;
+    plan += extreme
+      ? `• Call 911 if dizzy/confused`
+      : `• Tell clinic staff if dizzy or cramping`;
+    return plan;
   }
 
   /**
@@ -28,6 +61,7 @@ class SeniorHeatAlerts {
       
       // Assess senior's heat vulnerability
       const riskLevel = this.assessSeniorHeatRisk(heatWaveData, seniorData);
+      const dialysis = this.getDialysisContext(seniorData);
       
       let message = `Hi ${firstName}! `;
       let urgency = 'routine';
@@ -36,11 +70,17 @@ class SeniorHeatAlerts {
       if (heatWaveData.maxFeelsLike >= this.SENIOR_EXTREME_THRESHOLD) {
         // EXTREME HEAT - Immediate action needed
         message += `🚨 EXTREME HEAT EMERGENCY: ${heatWaveData.maxFeelsLike}°F in ZIP ${zipcode}!\n\n`;
-        message += `💡 IMMEDIATE ACTIONS:\n`;
-        message += `• Stay indoors with AC/fan\n`;
-        message += `• Drink water every 15 mins\n`;
-        message += `• Call 911 if dizzy/confused\n`;
-        message += `• Have emergency contact ready`;
+        if (dialysis?.sessionDay) {
+          message += this.getDialysisSessionPlan(true);
+        } else {
+          message += `💡 IMMEDIATE ACTIONS:\n`;
+          message += `• Stay indoors with AC/fan\n`;
+          message += dialysis
+            ? `• ${this.DIALYSIS_HYDRATION_TIP}\n`
+            : `• Drink water every 15 mins\n`;
+          message += `• Call 911 if dizzy/confused\n`;
+          message += `• Have emergency contact ready`;
+        }
         
         urgency = 'emergency';
         checkInMinutes = this.SENIOR_CHECKIN_INTERVALS.extreme;
@@ -48,11 +88,17 @@ class SeniorHeatAlerts {
       } else if (heatWaveData.maxFeelsLike >= this.SENIOR_HEAT_THRESHOLD) {
         // HEAT WAVE - Enhanced precautions
         message += `⚠️ HEAT WAVE ALERT: ${heatWaveData.maxFeelsLike}°F feels like in ZIP ${zipcode}.\n\n`;
-        message += `🛡️ SENIOR SAFETY PLAN:\n`;
-        message += `• Stay cool indoors 11am-6pm\n`;
-        message += `• Drink water hourly\n`;
-        message += `• Check on neighbors\n`;
-        message += `• Wear light colors if outside`;
+        if (dialysis?.sessionDay) {
+          message += this.getDialysisSessionPlan(false);
+        } else {
+          message += `🛡️ SENIOR SAFETY PLAN:\n`;
+          message += `• Stay cool indoors 11am-6pm\n`;
+          message += dialysis
+            ? `• ${this.DIALYSIS_HYDRATION_TIP}\n`
+            : `• Drink water hourly\n`;
+          message += `• Check on neighbors\n`;
+          message += `• Wear light colors if outside`;
+        }
         
         urgency = 'high';
         checkInMinutes = this.SENIOR_CHECKIN_INTERVALS.high;
@@ -61,7 +107,9 @@ class SeniorHeatAlerts {
         // NORMAL CONDITIONS - Routine check
         message += `🌤️ Weather check for ZIP ${zipcode}: ${heatWaveData.maxFeelsLike}°F expected today.\n\n`;
         message += `☀️ DAILY REMINDERS:\n`;
-        message += `• Stay hydrated\n`;
+        message += dialysis
+          ? `• Stay within your fluid limit\n`
+          : `• Stay hydrated\n`;
         message += `• Take breaks in shade\n`;
         message += `• Have a great day!`;
         
@@ -80,6 +128,7 @@ class SeniorHeatAlerts {
         riskLevel,
         checkInMinutes,
         heatWaveData,
+        dialysisSessionDay: Boolean(dialysis?.sessionDay),
         seniorSpecific: true
       };
       
@@ -129,6 +178,16 @@ class SeniorHeatAlerts {
     return this.formatForSMS(message);
   }
 
+  /**
+   * Poll type matching generateSeniorHealthCheckin's answer menu
+   * (on the urgent check-in, 3 means "I need help")
+   */
+  getSeniorCheckinPollType(heatWaveData) {
+    return heatWaveData.maxFeelsLike >= this.SENIOR_EXTREME_THRESHOLD
+      ? 'weather_checkin_urgent'
+      : 'weather_checkin';
+  }
+
   /**
    * Assess senior's specific heat vulnerability
    */
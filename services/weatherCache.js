@@ -0,0 +1,176 @@
+// Weather cache - geocodes, NWS grid points, observations, forecasts and
+// alerts shared in Redis by the server, the worker and every monitor, so a
+// ZIP is geocoded and fetched once per TTL instead of once per process.
+// Concurrent identical requests wait for the one already in flight, and
+// hits/misses are counted per data type
+const { getRedisConnection } = require("./index");
+
+const CACHE_KEY_PREFIX = "weather-cache:";
+const LOCK_KEY_PREFIX = "weather-cache-lock:";
+const STATS_KEY = "weather-cache:stats";
+
+// Seconds each type of data stays fresh
+const CACHE_TTLS = {
+  geocode: 30 * 24 * 60 * 60, // ZIPs don't move, and Nominatim bans heavy use
+  point: 7 * 24 * 60 * 60, // NWS grid and station metadata
+  observation: 10 * 60,
+  forecast: 60 * 60,
+  alerts: 5 * 60,
+};
+
+// How long other processes wait for an in-flight fetch before fetching
+// themselves
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const LOCK_POLL_MS = 100;
+
+class WeatherCacheService {
+  constructor() {
+    this.redis = getRedisConnection();
+    this.pending = new Map(); // Fetches in flight in this process
+  }
+
+  getCacheKey(type, key) {
+    return `${CACHE_KEY_PREFIX}${type}:${key}`;
+  }
+
+  /**
+   * Cached value, or the fetcher's result stored for the type's TTL
+   * @param {string} type - Key of CACHE_TTLS
+   * @param {string} key - e.g. "nws:85001"
+   * @param {Function} fetcher - Async function producing the value
+   */
+  async wrap(type, key, fetcher) {
+    if (!CACHE_TTLS[type]) {
+      throw new Error(`Unknown weather cache type: ${type}`);
+    }
+
+    const cacheKey = this.getCacheKey(type, key);
+    if (!this.pending.has(cacheKey)) {
+      const request = this.load(type, cacheKey, fetcher).finally(() =>
+        this.pending.delete(cacheKey)
+      );
+      this.pending.set(cacheKey, request);
+    } else {
+      this.count(type, "collapsed");
+    }
+    return this.pending.get(cacheKey);
+  }
+
+  /**
+   * Read through Redis, letting one process fetch while the others wait
+   */
+  async load(type, cacheKey, fetcher) {
+    let cached;
+    try {
+      cached = await this.redis.get(cacheKey);
+    } catch (error) {
+      // Weather still works without the cache, just without sharing
+      console.warn(
+        `⚠️ [Weather Cache] Redis unavailable: ${error.message}`
+      );
+      return fetcher();
+    }
+
+    if (cached !== null) {
+      this.count(type, "hits");
+      return JSON.parse(cached);
+    }
+
+    const lockKey = `${LOCK_KEY_PREFIX}${cacheKey}`;
+    const locked = await this.redis
+      .set(lockKey, process.pid, "PX", LOCK_TIMEOUT_MS, "NX")
+      .catch(() => "OK");
+
+    if (locked !== "OK") {
+      const value = await this.waitForValue(cacheKey);
+      if (value !== null) {
+        this.count(type, "collapsed");
+        return JSON.parse(value);
+      }
+    }
+
+    this.count(type, "misses");
+    try {
+      const value = await fetcher();
+      await this.redis
+        .set(cacheKey, JSON.stringify(value), "EX", CACHE_TTLS[type])
+        .catch((error) =>
+          console.warn(
+            `⚠️ [Weather Cache] Failed to store ${cacheKey}:`,
+            error.message
+          )
+        );
+      return value;
+    } finally {
+      if (locked === "OK") {
+        await this.redis.del(lockKey).catch(() => null);
+      }
+    }
+  }
+
+  /**
+   * Wait for another process to store a value
+   * @returns {string|null} - Raw value, or null if it never arrived
+   */
+  async waitForValue(cacheKey) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+      const value = await this.redis.get(cacheKey);
+      if (value !== null) return value;
+    }
+    return null;
+  }
+
+  count(type, outcome) {
+    this.redis.hincrby(STATS_KEY, `${type}:${outcome}`, 1).catch(() => null);
+  }
+
+  /**
+   * Hit/miss counts per data type across all processes. Collapsed requests
+   * waited for a fetch already in flight
+   * @returns {Object} - {types: {geocode: {hits, misses, collapsed, hitRate,
+   *   ttlSeconds}, ...}, total: {hits, misses, collapsed, hitRate}}
+   */
+  async getStats() {
+    const counts = await this.redis.hgetall(STATS_KEY);
+    const read = (type, outcome) =>
+      parseInt(counts[`${type}:${outcome}`] || "0");
+
+    const summarize = (hits, misses, collapsed) => {
+      const requests = hits + misses + collapsed;
+      return {
+        hits,
+        misses,
+        collapsed,
+        hitRate: requests
+          ? Math.round(((hits + collapsed) / requests) * 1000) / 1000
+          : null,
+      };
+    };
+
+    const types = {};
+    const total = { hits: 0, misses: 0, collapsed: 0 };
+    for (const [type, ttlSeconds] of Object.entries(CACHE_TTLS)) {
+      const hits = read(type, "hits");
+      const misses = read(type, "misses");
+      const collapsed = read(type, "collapsed");
+
+      types[type] = { ...summarize(hits, misses, collapsed), ttlSeconds };
+      total.hits += hits;
+      total.misses += misses;
+      total.collapsed += collapsed;
+    }
+
+    return {
+      types,
+      total: summarize(total.hits, total.misses, total.collapsed),
+    };
+  }
+
+  async resetStats() {
+    await this.redis.del(STATS_KEY);
+  }
+}
+
+module.exports = new WeatherCacheService();
@@ -0,0 +1,549 @@
+// Weather providers - where WeatherService gets coordinates, current
+// conditions, forecasts and alerts for a ZIP code. Ships with the National
+// Weather Service, OpenWeather One Call 3.0 and a fixture provider that
+// replays recorded JSON scenarios for offline, reproducible runs
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { calculateWindChill } = require("../utils/coldWeather");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "weather");
+const DEFAULT_FIXTURE_ALERT_HOURS = 24;
+
+/**
+ * Base provider - every provider returns the same shapes:
+ *
+ * - location: {zipCode, lat, lon, city, state}
+ * - current: {temperature, feelsLike, humidity, description, condition,
+ *   windSpeed, uvIndex, timestamp} in °F and mph
+ * - forecast: one entry per day, {date, temperature, high, low, feelsLike,
+ *   feelsLikeHigh, feelsLikeLow, humidity, condition, description, uvIndex,
+ *   windSpeed, pop} - feelsLikeLow is the day's coldest wind chill
+ * - alerts: {event, description, severity, urgency, areas, start, end}
+ *
+ * Providers that call an API read through the shared weather cache
+ * (services/weatherCache.js) when one is given
+ */
+class WeatherProvider {
+  constructor({ cache = null } = {}) {
+    this.name = "base";
+    this.cache = cache;
+  }
+
+  /**
+   * Cached result of a provider call
+   * @param {string} type - Cache type (geocode, point, observation, forecast,
+   *   alerts), which sets the TTL
+   * @param {string} key - Identifies the request within the type
+   */
+  cached(type, key, fetcher) {
+    if (!this.cache) return fetcher();
+    return this.cache.wrap(type, `${this.name}:${key}`, fetcher);
+  }
+
+  /**
+   * Resolve a ZIP code to a location
+   * @returns {Object} - {zipCode, lat, lon, city, state}
+   */
+  async getCoordinates() {
+    throw new Error(
+      `${this.name} provider does not implement getCoordinates()`
+    );
+  }
+
+  /**
+   * Latest observed conditions at a location
+   */
+  async getCurrentConditions() {
+    throw new Error(
+      `${this.name} provider does not implement getCurrentConditions()`
+    );
+  }
+
+  /**
+   * Daily forecast at a location, today first
+   * @param {Object} location - From getCoordinates
+   * @param {number} days - Number of days
+   */
+  async getForecast() {
+    throw new Error(`${this.name} provider does not implement getForecast()`);
+  }
+
+  /**
+   * Active official alerts at a location
+   */
+  async getAlerts() {
+    throw new Error(`${this.name} provider does not implement getAlerts()`);
+  }
+}
+
+/**
+ * National Weather Service provider - free, no API key. NWS has no geocoder,
+ * so ZIP codes are resolved with OpenStreetMap Nominatim
+ */
+class NWSWeatherProvider extends WeatherProvider {
+  constructor({
+    baseUrl = "https://api.weather.gov",
+    geocodingUrl = "https://nominatim.openstreetmap.org/search",
+    cache = null,
+  } = {}) {
+    super({ cache });
+    this.name = "nws";
+    this.baseUrl = baseUrl;
+    this.geocodingUrl = geocodingUrl;
+  }
+
+  async getCoordinates(zipCode) {
+    return this.cached("geocode", zipCode, () => this.geocode(zipCode));
+  }
+
+  /**
+   * Look a ZIP code up with Nominatim
+   */
+  async geocode(zipCode) {
+    const response = await axios.get(this.geocodingUrl, {
+      params: {
+        q: `${zipCode}, United States`,
+        format: "json",
+        limit: 1,
+        countrycodes: "us",
+      },
+      timeout: 5000,
+      headers: {
+        "User-Agent": "StormLogicWeatherApp/1.0", // Required by Nominatim
+      },
+    });
+
+    const result = response.data?.[0];
+    if (!result) {
+      throw new Error(`No coordinates found for ZIP code ${zipCode}`);
+    }
+
+    return {
+      zipCode,
+      lat: parseFloat(result.lat),
+      lon: parseFloat(result.lon),
+      city: result.display_name.split(",")[0],
+      state: "US",
+    };
+  }
+
+  /**
+   * NWS grid point for a location (forecast and station URLs)
+   */
+  async getPoint({ lat, lon }) {
+    const key = `${lat},${lon}`;
+    return this.cached("point", key, async () => {
+      const response = await axios.get(`${this.baseUrl}/points/${key}`, {
+        timeout: 10000,
+      });
+      const { forecast, observationStations } = response.data.properties;
+      return { forecast, observationStations };
+    });
+  }
+
+  async getCurrentConditions(location) {
+    return this.cached("observation", `${location.lat},${location.lon}`, () =>
+      this.fetchCurrentConditions(location)
+    );
+  }
+
+  async fetchCurrentConditions(location) {
+    const point = await this.getPoint(location);
+
+    // Stations can be offline - missing observations aren't fatal
+    const observation = await axios
+      .get(point.observationStations, { timeout: 10000 })
+      .then((stations) =>
+        axios.get(`${stations.data.features[0].id}/observations/latest`, {
+          timeout: 10000,
+        })
+      )
+      .catch(() => null);
+    const current = observation?.data.properties || {};
+
+    return {
+      temperature: celsiusToFahrenheit(current.temperature?.value),
+      feelsLike: celsiusToFahrenheit(
+        current.heatIndex?.value ?? current.windChill?.value
+      ),
+      humidity: current.relativeHumidity?.value ?? null,
+      description: current.textDescription || "Unknown",
+      condition: current.textDescription || "Unknown",
+      windSpeed: kmhToMph(current.windSpeed?.value),
+      uvIndex: null, // Not part of NWS observations
+      timestamp: current.timestamp || new Date().toISOString(),
+    };
+  }
+
+  async getForecast(location, days = 7) {
+    return this.cached(
+      "forecast",
+      `${location.lat},${location.lon}:${days}`,
+      () => this.fetchForecast(location, days)
+    );
+  }
+
+  async fetchForecast(location, days) {
+    const point = await this.getPoint(location);
+    const response = await axios.get(point.forecast, { timeout: 10000 });
+    const periods = response.data.properties.periods || [];
+
+    // NWS gives day/night periods - after dark the first one is "Tonight"
+    const firstDay = periods.findIndex((period) => period.isDaytime !== false);
+    const forecast = [];
+
+    for (let i = Math.max(firstDay, 0); i < periods.length; i += 2) {
+      const dayPeriod = periods[i];
+      const nightPeriod = periods[i + 1];
+
+      const high = dayPeriod.temperature ?? 75;
+      const low = nightPeriod?.temperature ?? 65;
+      const windSpeed = parseWindSpeed(dayPeriod.windSpeed);
+      const nightWindSpeed = nightPeriod
+        ? parseWindSpeed(nightPeriod.windSpeed)
+        : windSpeed;
+
+      forecast.push({
+        date: new Date(dayPeriod.startTime).toDateString(),
+        temperature: high,
+        high,
+        low,
+        feelsLike: high,
+        feelsLikeHigh: high,
+        feelsLikeLow: calculateWindChill(low, nightWindSpeed),
+        humidity: dayPeriod.relativeHumidity?.value ?? 60,
+        condition: dayPeriod.shortForecast || "Clear",
+        description: dayPeriod.detailedForecast || "Clear skies",
+        uvIndex: 5,
+        windSpeed,
+        pop: (dayPeriod.probabilityOfPrecipitation?.value ?? 0) / 100,
+      });
+    }
+
+    return forecast.slice(0, days);
+  }
+
+  async getAlerts({ lat, lon }) {
+    return this.cached("alerts", `${lat},${lon}`, async () => {
+      const response = await axios.get(`${this.baseUrl}/alerts/active`, {
+        params: { point: `${lat},${lon}` },
+        timeout: 10000,
+      });
+      return (response.data.features || []).map(toNWSAlert);
+    });
+  }
+}
+
+/**
+ * Provider-neutral alert from an NWS alert feature
+ */
+const toNWSAlert = (alert) => ({
+  event: alert.properties.event,
+  description: alert.properties.description,
+  severity: alert.properties.severity,
+  urgency: alert.properties.urgency,
+  areas: alert.properties.areaDesc,
+  start: alert.properties.onset,
+  end: alert.properties.ends,
+});
+
+/**
+ * OpenWeather provider - One Call API 3.0, needs OPENWEATHER_API_KEY.
+ * Current conditions, forecast and alerts come from one One Call response,
+ * so cache misses for the same location share a single request
+ */
+class OpenWeatherProvider extends WeatherProvider {
+  constructor({
+    apiKey,
+    geocodingUrl = "https://api.openweathermap.org/geo/1.0/zip",
+    oneCallUrl = "https://api.openweathermap.org/data/3.0/onecall",
+    cache = null,
+  } = {}) {
+    super({ cache });
+    if (!apiKey) {
+      throw new Error("OpenWeather provider requires OPENWEATHER_API_KEY");
+    }
+    this.name = "openweather";
+    this.apiKey = apiKey;
+    this.geocodingUrl = geocodingUrl;
+    this.oneCallUrl = oneCallUrl;
+    this.pending = new Map(); // In-flight One Call requests per lat,lon
+  }
+
+  async getCoordinates(zipCode) {
+    return this.cached("geocode", zipCode, async () => {
+      const response = await axios.get(this.geocodingUrl, {
+        params: { zip: `${zipCode},US`, appid: this.apiKey },
+        timeout: 5000,
+      });
+
+      return {
+        zipCode,
+        lat: response.data.lat,
+        lon: response.data.lon,
+        city: response.data.name,
+        state: "US",
+      };
+    });
+  }
+
+  /**
+   * One Call response for a location, shared by concurrent callers
+   */
+  getOneCall({ lat, lon }) {
+    const key = `${lat},${lon}`;
+    if (!this.pending.has(key)) {
+      const request = axios
+        .get(this.oneCallUrl, {
+          params: {
+            lat,
+            lon,
+            appid: this.apiKey,
+            units: "imperial", // Fahrenheit and mph
+            exclude: "minutely,hourly",
+          },
+          timeout: 10000,
+        })
+        .then((response) => response.data)
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  async getCurrentConditions(location) {
+    return this.cached("observation", `${location.lat},${location.lon}`, () =>
+      this.fetchCurrentConditions(location)
+    );
+  }
+
+  async fetchCurrentConditions(location) {
+    const { current } = await this.getOneCall(location);
+
+    return {
+      temperature: current.temp,
+      feelsLike: current.feels_like,
+      humidity: current.humidity,
+      description: current.weather?.[0]?.description || "Unknown",
+      condition: current.weather?.[0]?.main || "Unknown",
+      windSpeed: current.wind_speed,
+      uvIndex: current.uvi,
+      timestamp: new Date(current.dt * 1000).toISOString(),
+    };
+  }
+
+  async getForecast(location, days = 7) {
+    return this.cached(
+      "forecast",
+      `${location.lat},${location.lon}:${days}`,
+      () => this.fetchForecast(location, days)
+    );
+  }
+
+  async fetchForecast(location, days) {
+    const { daily = [] } = await this.getOneCall(location);
+
+    return daily.slice(0, days).map((day) => ({
+      date: new Date(day.dt * 1000).toDateString(),
+      temperature: day.temp.day,
+      high: day.temp.max,
+      low: day.temp.min,
+      feelsLike: day.feels_like.day,
+      feelsLikeHigh: Math.max(
+        day.feels_like.day,
+        day.feels_like.eve,
+        day.feels_like.morn
+      ),
+      feelsLikeLow: Math.min(day.feels_like.night, day.feels_like.morn),
+      humidity: day.humidity,
+      condition: day.weather?.[0]?.main || "Clear",
+      description: day.weather?.[0]?.description || "Clear skies",
+      uvIndex: day.uvi,
+      windSpeed: day.wind_speed,
+      pop: day.pop || 0,
+    }));
+  }
+
+  async getAlerts(location) {
+    return this.cached("alerts", `${location.lat},${location.lon}`, () =>
+      this.fetchAlerts(location)
+    );
+  }
+
+  async fetchAlerts(location) {
+    const { alerts = [] } = await this.getOneCall(location);
+
+    // OpenWeather relays NWS alerts without severity or urgency
+    return alerts.map((alert) => ({
+      event: alert.event,
+      description: alert.description,
+      severity: null,
+      urgency: null,
+      areas: alert.sender_name,
+      start: new Date(alert.start * 1000).toISOString(),
+      end: new Date(alert.end * 1000).toISOString(),
+    }));
+  }
+}
+
+/**
+ * Fixture provider - replays a recorded scenario per ZIP code from
+ * <fixtureDir>/<zip>.json (or default.json), so heat-wave logic can run
+ * offline with the same weather every time.
+ *
+ * Forecast days carry no dates: the first entry is today, the next one
+ * tomorrow, and alerts without start/end run from now for 24 hours
+ */
+class FixtureWeatherProvider extends WeatherProvider {
+  constructor({ fixtureDir = DEFAULT_FIXTURE_DIR, fixtures = {} } = {}) {
+    super();
+    this.name = "fixture";
+    this.fixtureDir = fixtureDir;
+    this.fixtures = new Map(Object.entries(fixtures)); // Loaded or set by ZIP
+  }
+
+  /**
+   * Replace the scenario for a ZIP code (or "default")
+   */
+  setFixture(zipCode, fixture) {
+    this.fixtures.set(String(zipCode), fixture);
+  }
+
+  /**
+   * Recorded scenario for a ZIP code
+   */
+  getFixture(zipCode) {
+    const key = String(zipCode);
+    if (!this.fixtures.has(key)) {
+      const file = [key, "default"]
+        .map((name) => path.join(this.fixtureDir, `${name}.json`))
+        .find((candidate) => fs.existsSync(candidate));
+      if (!file) {
+        throw new Error(`No weather fixture for ZIP code ${zipCode}`);
+      }
+      this.fixtures.set(key, JSON.parse(fs.readFileSync(file, "utf8")));
+    }
+    return this.fixtures.get(key);
+  }
+
+  async getCoordinates(zipCode) {
+    const { coordinates = {} } = this.getFixture(zipCode);
+    return {
+      zipCode,
+      lat: coordinates.lat ?? null,
+      lon: coordinates.lon ?? null,
+      city: coordinates.city || "Unknown",
+      state: coordinates.state || "US",
+    };
+  }
+
+  async getCurrentConditions({ zipCode }) {
+    const { current = {} } = this.getFixture(zipCode);
+    return {
+      ...current,
+      feelsLike: current.feelsLike ?? current.temperature,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async getForecast({ zipCode }, days = 7) {
+    const { forecast = [] } = this.getFixture(zipCode);
+
+    return forecast.slice(0, days).map((day, index) => {
+      const date = new Date();
+      date.setDate(date.getDate() + index);
+
+      return {
+        ...day,
+        date: date.toDateString(),
+        temperature: day.temperature ?? day.high,
+        feelsLike: day.feelsLike ?? day.feelsLikeHigh ?? day.high,
+        feelsLikeHigh: day.feelsLikeHigh ?? day.high,
+        feelsLikeLow:
+          day.feelsLikeLow ?? calculateWindChill(day.low, day.windSpeed),
+        pop: day.pop ?? 0,
+      };
+    });
+  }
+
+  async getAlerts({ zipCode }) {
+    const { alerts = [] } = this.getFixture(zipCode);
+    const now = Date.now();
+
+    return alerts.map((alert) => ({
+      ...alert,
+      start: alert.start || new Date(now).toISOString(),
+      end:
+        alert.end ||
+        new Date(
+          now + DEFAULT_FIXTURE_ALERT_HOURS * 60 * 60 * 1000
+        ).toISOString(),
+    }));
+  }
+}
+
+/**
+ * Fixture body for a WeatherService.getWeather() snapshot - drops the dates
+ * and timestamps the fixture provider fills in on replay
+ */
+const toWeatherFixture = (snapshot) => ({
+  description: `Recorded from ${snapshot.source} on ${new Date().toISOString()}`,
+  coordinates: {
+    lat: snapshot.coordinates.lat,
+    lon: snapshot.coordinates.lon,
+    city: snapshot.city,
+    state: snapshot.state,
+  },
+  current: { ...snapshot.current, timestamp: undefined },
+  forecast: snapshot.forecast.map(({ date, ...day }) => day),
+  alerts: snapshot.alerts.map(({ start, end, ...alert }) => alert),
+});
+
+/**
+ * Utility functions for unit conversions
+ */
+function celsiusToFahrenheit(celsius) {
+  if (celsius === null || celsius === undefined) return null;
+  return (celsius * 9) / 5 + 32;
+}
+
+// NWS observations report wind in km/h
+function kmhToMph(kmh) {
+  if (kmh === null || kmh === undefined) return null;
+  return kmh * 0.621371;
+}
+
+/**
+ * Parse wind speed from NWS text format (e.g., "5 to 10 mph")
+ */
+function parseWindSpeed(windText) {
+  if (!windText) return 5;
+  const match = windText.match(/(\d+)/);
+  return match ? parseInt(match[1]) : 5;
+}
+
+/**
+ * Create a provider by name ("nws", "openweather" or "fixture")
+ */
+const createWeatherProvider = (name, options = {}) => {
+  switch (name) {
+    case "nws":
+      return new NWSWeatherProvider(options);
+    case "openweather":
+      return new OpenWeatherProvider(options);
+    case "fixture":
+      return new FixtureWeatherProvider(options);
+    default:
+      throw new Error(`Unknown weather provider: ${name}`);
+  }
+};
+
+module.exports = {
+  WeatherProvider,
+  NWSWeatherProvider,
+  OpenWeatherProvider,
+  FixtureWeatherProvider,
+  toWeatherFixture,
+  createWeatherProvider,
+};
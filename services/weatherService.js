@@ -1,342 +1,176 @@
 // Weather Service for real-time weather data and heatwave detection
-const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const { getWeatherProvider } = require("./index");
+const { toWeatherFixture } = require("./weatherProviders");
+const { lookupZip } = require("../utils/zipDatabase");
+const {
+  calculateWindChill,
+  getColdLevel,
+  isColdAlert,
+  getColdAlertLevel,
+  assessColdRiskFactors,
+} = require("../utils/coldWeather");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "weather");
+
+// Alert levels from least to most severe
+const ALERT_LEVELS = ["none", "watch", "warning", "emergency"];
+
+// Forecast days (today and tomorrow) whose overnight wind chill counts
+// toward a cold alert
+const COLD_FORECAST_DAYS = 2;
 
 class WeatherService {
   constructor() {
-    // National Weather Service API - free, no API key required
-    this.nwsBaseUrl = "https://api.weather.gov";
-    this.geocodingUrl = "https://nominatim.openstreetmap.org/search"; // Free geocoding
-
-    this.cache = new Map(); // Simple in-memory cache
-    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+    // Weather comes from the provider chosen by WEATHER_PROVIDER (nws,
+    // openweather or fixture) unless one is set with setProvider(). API
+    // providers cache in Redis, shared across processes
+    // (services/weatherCache.js)
+    this.provider = null;
   }
 
   /**
-   * Convert ZIP code to coordinates using free OpenStreetMap Nominatim
+   * Weather provider in use
    */
-  async getCoordinates(zipCode) {
-    const cacheKey = `coords_${zipCode}`;
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
-
-    try {
-      // Use free OpenStreetMap Nominatim for geocoding
-      const response = await axios.get(this.geocodingUrl, {
-        params: {
-          q: `${zipCode}, United States`,
-          format: "json",
-          limit: 1,
-          countrycodes: "us",
-        },
-        timeout: 5000,
-        headers: {
-          "User-Agent": "StormLogicWeatherApp/1.0", // Required by Nominatim
-        },
-      });
-
-      if (response.data && response.data.length > 0) {
-        const result = response.data[0];
-        const coords = {
-          lat: parseFloat(result.lat),
-          lon: parseFloat(result.lon),
-          city: result.display_name.split(",")[0],
-          state: "US",
-        };
-
-        this.setCache(cacheKey, coords);
-        return coords;
-      } else {
-        throw new Error("No coordinates found for ZIP code");
-      }
-    } catch (error) {
-      console.error(`❌ Geocoding error for ${zipCode}:`, error.message);
-      // Return approximate coordinates for major ZIP patterns
-      return this.getMockCoordinates(zipCode);
-    }
+  getProvider() {
+    return this.provider || getWeatherProvider();
   }
 
   /**
-   * Get weather data from National Weather Service API
+   * Use another provider, e.g. a FixtureWeatherProvider with a scenario
    */
-  async getNWSWeather(zipCode) {
-    const cacheKey = `nws_${zipCode}`;
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
-
-    try {
-      // Get coordinates first
-      const coords = await this.getCoordinates(zipCode);
-
-      // Get NWS grid points for this location
-      const gridResponse = await axios.get(
-        `${this.nwsBaseUrl}/points/${coords.lat},${coords.lon}`,
-        { timeout: 10000 }
-      );
-
-      const gridData = gridResponse.data.properties;
-
-      // Get current conditions and forecast
-      const [observationsResponse, forecastResponse, alertsResponse] =
-        await Promise.all([
-          axios
-            .get(gridData.observationStations)
-            .then((stations) =>
-              axios.get(`${stations.data.features[0].id}/observations/latest`)
-            )
-            .catch(() => null),
-          axios.get(gridData.forecast),
-          axios.get(
-            `${this.nwsBaseUrl}/alerts/active?point=${coords.lat},${coords.lon}`
-          ),
-        ]);
-
-      const current = observationsResponse?.data.properties || {};
-      const forecast = forecastResponse.data.properties.periods || [];
-      const alerts = alertsResponse.data.features || [];
-
-      const weatherData = {
-        zipCode: zipCode,
-        coordinates: coords,
-        current: {
-          temperature:
-            this.celsiusToFahrenheit(current.temperature?.value) || null,
-          feelsLike:
-            this.celsiusToFahrenheit(
-              current.heatIndex?.value || current.windChill?.value
-            ) || null,
-          humidity: current.relativeHumidity?.value || null,
-          description: current.textDescription || "Unknown",
-          condition: current.textDescription || "Unknown",
-          windSpeed: this.mpsToMph(current.windSpeed?.value) || 0,
-          timestamp: current.timestamp || new Date().toISOString(),
-        },
-        forecast: forecast.slice(0, 14), // 7 days, day/night periods
-        alerts: alerts.map((alert) => ({
-          event: alert.properties.event,
-          description: alert.properties.description,
-          severity: alert.properties.severity,
-          urgency: alert.properties.urgency,
-          areas: alert.properties.areaDesc,
-          start: alert.properties.onset,
-          end: alert.properties.ends,
-        })),
-        city: coords.city,
-        state: coords.state,
-        source: "nws",
-      };
-
-      this.setCache(cacheKey, weatherData);
-      return weatherData;
-    } catch (error) {
-      console.error(`❌ NWS API error for ${zipCode}:`, error.message);
-      console.log(`   Using realistic mock data for ${zipCode}...`);
-      return this.getMockNWSData(zipCode);
-    }
+  setProvider(provider) {
+    this.provider = provider;
   }
 
   /**
-   * Get comprehensive weather data using One Call API 3.0
+   * Convert ZIP code to coordinates - from the offline ZIP database, with the
+   * provider's geocoder (Nominatim for NWS) only for ZIPs it doesn't have
    */
-  async getOneCallWeather(zipCode) {
-    const cacheKey = `onecall_${zipCode}`;
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
-
-    // Check if API key is available
-    if (!this.apiKey) {
-      console.warn(
-        `⚠️ No OpenWeather API key configured, using realistic mock data for ${zipCode}`
-      );
-      console.warn(`   Get a free API key at: https://openweathermap.org/api`);
-      return this.getMockOneCallData(zipCode);
+  async getCoordinates(zipCode) {
+    const entry = lookupZip(zipCode);
+    if (entry?.lat != null && entry?.lon != null) {
+      return entry;
     }
 
-    try {
-      // First get coordinates
-      const coords = await this.getCoordinates(zipCode);
-
-      // Then call One Call API
-      const response = await axios.get(this.oneCallUrl, {
-        params: {
-          lat: coords.lat,
-          lon: coords.lon,
-          appid: this.apiKey,
-          units: "imperial", // Fahrenheit
-          exclude: "minutely", // Exclude minutely forecast to reduce response size
-        },
-        timeout: 10000,
-      });
-
-      const data = response.data;
-      this.setCache(cacheKey, data);
-      return data;
-    } catch (error) {
-      console.error(`❌ One Call API error for ${zipCode}:`, error.message);
-      return this.getMockOneCallData(zipCode);
+    if (process.env.ZIP_GEOCODING_FALLBACK === "false") {
+      throw new Error(`ZIP code ${zipCode} is not in the ZIP database`);
     }
-  }
 
-  /**
-   * Get current weather for a ZIP code (using free NWS API)
-   */
-  async getCurrentWeather(zipCode) {
     try {
-      const nwsData = await this.getNWSWeather(zipCode);
-      const current = nwsData.current;
-
-      return {
-        zipCode: zipCode,
-        temperature: Math.round(current.temperature || 75),
-        feelsLike: Math.round(current.feelsLike || current.temperature || 75),
-        humidity: Math.round(current.humidity || 60),
-        description: current.description,
-        condition: current.condition,
-        windSpeed: Math.round(current.windSpeed || 5),
-        uvIndex: 5, // NWS doesn't provide UV index in observations
-        timestamp: current.timestamp,
-        city: nwsData.city,
-        state: nwsData.state,
-        alerts: nwsData.alerts || [],
-        source: "nws",
-      };
+      return await this.getProvider().getCoordinates(zipCode);
     } catch (error) {
-      console.error(`❌ Weather API error for ${zipCode}:`, error.message);
-      return this.getMockWeatherByZip(zipCode);
+      console.error(`❌ Geocoding error for ${zipCode}:`, error.message);
+      throw error;
     }
   }
 
   /**
-   * Utility functions for unit conversions
+   * Current conditions, daily forecast and official alerts for a ZIP code
+   * @returns {Object} - {zipCode, coordinates, current, forecast, alerts,
+   *   city, state, source}
    */
-  celsiusToFahrenheit(celsius) {
-    if (celsius === null || celsius === undefined) return null;
-    return (celsius * 9) / 5 + 32;
-  }
+  async getWeather(zipCode) {
+    const provider = this.getProvider();
+    const coords = await this.getCoordinates(zipCode);
 
-  mpsToMph(mps) {
-    if (mps === null || mps === undefined) return null;
-    return mps * 2.237;
-  }
-
-  /**
-   * Get weather forecast for next 5 days (using free NWS API)
-   */
-  async getWeatherForecast(zipCode, days = 5) {
     try {
-      const nwsData = await this.getNWSWeather(zipCode);
-
-      // Process NWS forecast data
-      const forecast = [];
-      const periods = nwsData.forecast.slice(0, days * 2); // NWS gives day/night periods
-
-      for (let i = 0; i < periods.length; i += 2) {
-        const dayPeriod = periods[i];
-        const nightPeriod = periods[i + 1];
-
-        forecast.push({
-          date: new Date(dayPeriod.startTime).toDateString(),
-          temperature: dayPeriod.temperature || 75,
-          high: dayPeriod.temperature || 75,
-          low: nightPeriod ? nightPeriod.temperature || 65 : 65,
-          feelsLike: dayPeriod.temperature || 75,
-          feelsLikeHigh: dayPeriod.temperature || 75,
-          humidity: 60, // NWS doesn't provide humidity in forecast
-          condition: dayPeriod.shortForecast || "Clear",
-          description: dayPeriod.detailedForecast || "Clear skies",
-          uvIndex: 5,
-          windSpeed: this.parseWindSpeed(dayPeriod.windSpeed) || 5,
-          pop: this.parsePrecipitation(dayPeriod.detailedForecast) || 0,
-        });
-      }
+      const [current, forecast, alerts] = await Promise.all([
+        provider.getCurrentConditions(coords),
+        provider.getForecast(coords, 7),
+        provider.getAlerts(coords),
+      ]);
 
       return {
         zipCode: zipCode,
-        city: nwsData.city,
-        state: nwsData.state,
-        forecast: forecast,
-        timestamp: new Date().toISOString(),
-        source: "nws",
+        coordinates: coords,
+        current,
+        forecast,
+        alerts,
+        city: coords.city,
+        state: coords.state,
+        source: provider.name,
       };
     } catch (error) {
-      console.error(`❌ Forecast API error for ${zipCode}:`, error.message);
-      return this.getMockForecast(zipCode, days);
+      console.error(
+        `❌ Weather provider (${provider.name}) error for ${zipCode}:`,
+        error.message
+      );
+      throw error;
     }
   }
 
   /**
-   * Parse wind speed from NWS text format (e.g., "5 to 10 mph")
+   * Get current weather for a ZIP code
    */
-  parseWindSpeed(windText) {
-    if (!windText) return 5;
-    const match = windText.match(/(\d+)/);
-    return match ? parseInt(match[1]) : 5;
-  }
+  async getCurrentWeather(zipCode) {
+    const weather = await this.getWeather(zipCode);
+    const current = weather.current;
+    // ?? rather than || - 0°F is a real temperature
+    const temperature = current.temperature ?? 75;
+    const windSpeed = current.windSpeed ?? 5;
 
-  /**
-   * Parse precipitation probability from detailed forecast text
-   */
-  parsePrecipitation(detailedText) {
-    if (!detailedText) return 0;
-    const match = detailedText.match(/(\d+)%.*chance/i);
-    return match ? parseInt(match[1]) / 100 : 0;
+    return {
+      zipCode: zipCode,
+      temperature: Math.round(temperature),
+      feelsLike: Math.round(current.feelsLike ?? temperature),
+      windChill: calculateWindChill(temperature, windSpeed),
+      humidity: Math.round(current.humidity || 60),
+      description: current.description,
+      condition: current.condition,
+      windSpeed: Math.round(windSpeed),
+      uvIndex: Math.round(current.uvIndex ?? 5),
+      timestamp: current.timestamp,
+      city: weather.city,
+      state: weather.state,
+      alerts: weather.alerts || [],
+      source: weather.source,
+    };
   }
 
   /**
-   * Process raw forecast data into structured format
+   * Get daily weather forecast for the next few days
    */
-  processForecastData(data, zipCode) {
-    const dailyForecasts = {};
-
-    data.list.forEach((item) => {
-      const date = new Date(item.dt * 1000).toDateString();
-
-      if (!dailyForecasts[date]) {
-        dailyForecasts[date] = {
-          date: date,
-          high: item.main.temp_max,
-          low: item.main.temp_min,
-          feelsLikeHigh: item.main.feels_like,
-          humidity: item.main.humidity,
-          condition: item.weather[0].main,
-          description: item.weather[0].description,
-          temps: [item.main.temp],
-        };
-      } else {
-        // Update with max/min values
-        dailyForecasts[date].high = Math.max(
-          dailyForecasts[date].high,
-          item.main.temp_max
-        );
-        dailyForecasts[date].low = Math.min(
-          dailyForecasts[date].low,
-          item.main.temp_min
-        );
-        dailyForecasts[date].feelsLikeHigh = Math.max(
-          dailyForecasts[date].feelsLikeHigh,
-          item.main.feels_like
-        );
-        dailyForecasts[date].temps.push(item.main.temp);
-      }
-    });
+  async getWeatherForecast(zipCode, days = 5) {
+    const weather = await this.getWeather(zipCode);
 
     return {
       zipCode: zipCode,
-      city: data.city.name,
-      state: data.city.country,
-      forecast: Object.values(dailyForecasts).slice(0, 5),
+      city: weather.city,
+      state: weather.state,
+      forecast: weather.forecast.slice(0, days),
       timestamp: new Date().toISOString(),
+      source: weather.source,
     };
   }
 
   /**
-   * Detect heatwave conditions (using free NWS API with official alerts)
+   * Save the current weather for a ZIP code as a fixture the fixture
+   * provider can replay
+   * @returns {string} - Path of the written file
+   */
+  async recordFixture(zipCode, fixtureDir = DEFAULT_FIXTURE_DIR) {
+    const weather = await this.getWeather(zipCode);
+    const file = path.join(fixtureDir, `${zipCode}.json`);
+
+    fs.mkdirSync(fixtureDir, { recursive: true });
+    fs.writeFileSync(
+      file,
+      `${JSON.stringify(toWeatherFixture(weather), null, 2)}\n`
+    );
+    return file;
+  }
+
+  /**
+   * Detect heatwave conditions (forecast plus official alerts)
    */
   async detectHeatwave(zipCode) {
     try {
-      const nwsData = await this.getNWSWeather(zipCode);
-      const current = nwsData.current;
+      const weather = await this.getWeather(zipCode);
+      const current = weather.current;
       const forecast = await this.getWeatherForecast(zipCode);
-      const alerts = nwsData.alerts || [];
+      const alerts = weather.alerts || [];
 
       const heatwaveThresholds = {
         temperature: 95, // °F
@@ -360,14 +194,11 @@ class WeatherService {
         alerts: alerts,
       };
 
-      // Check for official NWS heat alerts first
+      // Check for official NWS heat alerts first (Excessive Heat Warning,
+      // Extreme Heat Warning, Heat Advisory) - not winter or cold warnings
       const heatAlerts = alerts.filter(
         (alert) =>
-          alert.event &&
-          (alert.event.toLowerCase().includes("heat") ||
-            alert.event.toLowerCase().includes("excessive") ||
-            alert.event.toLowerCase().includes("extreme") ||
-            alert.event.toLowerCase().includes("warning"))
+          alert.event && alert.event.toLowerCase().includes("heat")
       );
 
       if (heatAlerts.length > 0) {
@@ -457,6 +288,119 @@ class WeatherService {
     }
   }
 
+  /**
+   * Detect dangerous cold (wind chill now and overnight, plus official
+   * winter storm, freeze and cold alerts)
+   */
+  async detectColdwave(zipCode) {
+    try {
+      const weather = await this.getWeather(zipCode);
+      const current = weather.current;
+      const coldAlerts = (weather.alerts || []).filter(isColdAlert);
+
+      const currentTemp = current.temperature ?? 75;
+      const currentWindChill = calculateWindChill(
+        currentTemp,
+        current.windSpeed ?? 5
+      );
+
+      const analysis = {
+        zipCode: zipCode,
+        currentTemp: Math.round(currentTemp),
+        currentWindChill,
+        lowestWindChill: currentWindChill,
+        coldwaveDetected: false,
+        coldDays: 0,
+        warningLevel: "none", // none, watch, warning, emergency
+        alertEvent: null,
+        recommendations: [],
+        alerts: coldAlerts,
+      };
+
+      // Official NWS alerts first - the most severe one sets the level
+      for (const alert of coldAlerts) {
+        const level = getColdAlertLevel(alert);
+        if (
+          ALERT_LEVELS.indexOf(level) >
+          ALERT_LEVELS.indexOf(analysis.warningLevel)
+        ) {
+          analysis.warningLevel = level;
+          analysis.alertEvent = alert.event;
+        }
+      }
+      if (analysis.alertEvent) {
+        analysis.recommendations = [
+          `Official ${analysis.alertEvent} in effect`,
+          "Follow local emergency guidance",
+        ];
+      }
+
+      // Overnight wind chills - consecutive cold days from today, and the
+      // coldest of today and tomorrow
+      const forecast = weather.forecast || [];
+      for (const day of forecast) {
+        if (getColdLevel(day.feelsLikeLow ?? day.low) === "none") break;
+        analysis.coldDays++;
+      }
+      for (const day of forecast.slice(0, COLD_FORECAST_DAYS)) {
+        const windChill = day.feelsLikeLow ?? day.low;
+        if (windChill != null) {
+          analysis.lowestWindChill = Math.min(
+            analysis.lowestWindChill,
+            Math.round(windChill)
+          );
+        }
+      }
+
+      // Wind chill can raise the level set by official alerts
+      const windChillLevel = getColdLevel(analysis.lowestWindChill);
+      if (
+        ALERT_LEVELS.indexOf(windChillLevel) >
+        ALERT_LEVELS.indexOf(analysis.warningLevel)
+      ) {
+        analysis.warningLevel = windChillLevel;
+
+        if (windChillLevel === "emergency") {
+          analysis.recommendations = [
+            "Dangerous cold - frostbite in minutes",
+            "Stay indoors with heat",
+            "Check on elderly/vulnerable",
+            "Go to a warming center if your heat fails",
+          ];
+        } else if (windChillLevel === "warning") {
+          analysis.recommendations = [
+            "Severe cold",
+            "Limit time outside and cover skin",
+            "Keep your home at 68°F or warmer",
+            "Use warming centers if needed",
+          ];
+        } else {
+          analysis.recommendations = [
+            "Freezing temperatures",
+            "Dress in layers",
+            "Keep the heat on overnight",
+            "Watch for shivering or confusion",
+          ];
+        }
+      }
+
+      analysis.coldwaveDetected = analysis.warningLevel !== "none";
+      return analysis;
+    } catch (error) {
+      console.error(
+        `❌ Cold wave detection error for ${zipCode}:`,
+        error.message
+      );
+      return {
+        zipCode: zipCode,
+        error: error.message,
+        coldwaveDetected: false,
+        warningLevel: "none",
+        recommendations: [],
+      };
+    }
+  }
+
   /**
    * Get weather for multiple ZIP codes (for cron job)
    */
@@ -470,15 +414,17 @@ class WeatherService {
 
       const batchPromises = batch.map(async (zipCode) => {
         try {
-          const [weather, heatwave] = await Promise.all([
+          const [weather, heatwave, coldwave] = await Promise.all([
             this.getCurrentWeather(zipCode),
             this.detectHeatwave(zipCode),
+            this.detectColdwave(zipCode),
           ]);
 
           return {
             zipCode,
             weather,
             heatwave,
+            coldwave,
             success: true,
           };
         } catch (error) {
@@ -502,25 +448,6 @@ class WeatherService {
     return results;
   }
 
-  /**
-   * Cache management
-   */
-  getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      return cached.data;
-    }
-    this.cache.delete(key);
-    return null;
-  }
-
-  setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now(),
-    });
-  }
-
   /**
    * Utilities
    */
@@ -528,269 +455,6 @@ class WeatherService {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
-  extractStateFromResponse(data) {
-    // This would need to be enhanced based on the actual API response
-    return data.sys?.country || "US";
-  }
-
-  getMockForecast(zipCode, days = 5) {
-    const today = new Date();
-    const forecast = [];
-    const weather = this.getMockWeatherByZip(zipCode);
-
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
-
-      // Vary temperatures based on the base weather for this ZIP
-      const tempVariation = i * 2 + Math.random() * 10 - 5;
-      const baseTemp = weather.temperature + tempVariation;
-
-      forecast.push({
-        date: date.toDateString(),
-        temperature: Math.round(baseTemp),
-        high: Math.round(baseTemp + 5),
-        low: Math.round(baseTemp - 10),
-        feelsLike: Math.round(baseTemp + 3),
-        feelsLikeHigh: Math.round(baseTemp + 8),
-        humidity: weather.humidity + Math.random() * 20 - 10,
-        condition: weather.condition,
-        description: weather.description,
-        uvIndex: Math.round(3 + Math.random() * 8),
-        windSpeed: Math.round(weather.windSpeed + Math.random() * 5),
-        pop: Math.random() * 0.3, // 0-30% chance of precipitation
-      });
-    }
-
-    return {
-      zipCode,
-      city: weather.city,
-      state: weather.state,
-      forecast,
-      timestamp: new Date().toISOString(),
-      mock: true,
-    };
-  }
-
-  /**
-   * Generate mock coordinates for common ZIP code patterns
-   */
-  getMockCoordinates(zipCode) {
-    const zipNum = parseInt(zipCode) || 0;
-
-    // Approximate coordinates for different regions
-    if (zipCode.startsWith("85") || zipCode.startsWith("86")) {
-      // Arizona
-      return { lat: 33.4484, lon: -112.074, city: "Phoenix", state: "US" };
-    } else if (zipCode.startsWith("902") || zipCode.startsWith("901")) {
-      // California
-      return { lat: 34.0522, lon: -118.2437, city: "Los Angeles", state: "US" };
-    } else if (zipCode.startsWith("100") || zipCode.startsWith("101")) {
-      // New York
-      return { lat: 40.7128, lon: -74.006, city: "New York", state: "US" };
-    } else if (zipCode.startsWith("331") || zipCode.startsWith("332")) {
-      // Florida
-      return { lat: 25.7617, lon: -80.1918, city: "Miami", state: "US" };
-    } else {
-      // Default to Kansas (center of US)
-      return {
-        lat: 39.0119,
-        lon: -98.4842,
-        city: "Geographic Center",
-        state: "US",
-      };
-    }
-  }
-
-  /**
-   * Generate mock One Call API data
-   */
-  getMockOneCallData(zipCode) {
-    const coords = this.getMockCoordinates(zipCode);
-    const weather = this.getMockWeatherByZip(zipCode);
-    const forecast = this.getMockForecast(zipCode, 8);
-
-    // Convert forecast to One Call API format
-    const daily = forecast.forecast.map((day, index) => {
-      const dt = Math.floor(new Date(day.date).getTime() / 1000);
-      return {
-        dt: dt,
-        temp: {
-          day: day.temperature,
-          min: day.low,
-          max: day.high,
-          night: day.low + 5,
-          eve: day.temperature - 2,
-          morn: day.low + 3,
-        },
-        feels_like: {
-          day: day.feelsLike,
-          night: day.feelsLike - 5,
-          eve: day.feelsLike - 2,
-          morn: day.feelsLike - 3,
-        },
-        humidity: day.humidity,
-        weather: [
-          {
-            id: 800,
-            main: day.condition,
-            description: day.description,
-            icon: "01d",
-          },
-        ],
-        uvi: day.uvIndex,
-        wind_speed: day.windSpeed,
-        pop: day.pop,
-      };
-    });
-
-    return {
-      lat: coords.lat,
-      lon: coords.lon,
-      timezone: "America/Chicago",
-      timezone_offset: -18000,
-      current: {
-        dt: Math.floor(Date.now() / 1000),
-        temp: weather.temperature,
-        feels_like: weather.feelsLike,
-        humidity: weather.humidity,
-        uvi: weather.uvIndex,
-        wind_speed: weather.windSpeed,
-        weather: [
-          {
-            id: 800,
-            main: weather.condition,
-            description: weather.description,
-            icon: "01d",
-          },
-        ],
-      },
-      daily: daily,
-      alerts: [], // No mock alerts
-      mock: true,
-    };
-  }
-
-  /**
-   * Generate mock heatwave analysis
-   */
-  getMockHeatwaveAnalysis(zipCode) {
-    const weather = this.getMockWeatherByZip(zipCode);
-    const isHot = weather.temperature > 95;
-
-    return {
-      zipCode: zipCode,
-      currentHeatWarning: isHot,
-      currentTemp: weather.temperature,
-      currentFeelsLike: weather.feelsLike,
-      heatwaveDetected: isHot && weather.feelsLike > 100,
-      heatwaveDays: isHot ? 2 : 0,
-      peakTemp: weather.feelsLike,
-      warningLevel: isHot
-        ? weather.feelsLike > 110
-          ? "emergency"
-          : "warning"
-        : "none",
-      recommendations: isHot ? ["Stay hydrated", "Avoid outdoor activity"] : [],
-      alerts: [],
-      mock: true,
-    };
-  }
-
-  /**
-   * Generate mock NWS weather data
-   */
-  getMockNWSData(zipCode) {
-    const coords = this.getMockCoordinates(zipCode);
-    const weather = this.getMockWeatherByZip(zipCode);
-    const forecast = this.getMockForecast(zipCode, 8);
-
-    return {
-      zipCode: zipCode,
-      coordinates: coords,
-      current: {
-        temperature: weather.temperature,
-        feelsLike: weather.feelsLike,
-        humidity: weather.humidity,
-        description: weather.description,
-        condition: weather.condition,
-        windSpeed: weather.windSpeed,
-        timestamp: weather.timestamp,
-      },
-      forecast: forecast.forecast.map((day) => ({
-        startTime: new Date(day.date).toISOString(),
-        temperature: day.temperature,
-        shortForecast: day.condition,
-        detailedForecast: day.description,
-        windSpeed: `${day.windSpeed} mph`,
-      })),
-      alerts: [], // No mock alerts
-      city: weather.city,
-      state: weather.state,
-      source: "mock",
-    };
-  }
-
-  /**
-   * Generate realistic mock weather based on ZIP code
-   */
-  getMockWeatherByZip(zipCode) {
-    // Create realistic temperatures based on ZIP code patterns
-    const zipNum = parseInt(zipCode) || 0;
-    const regionFactor = zipNum % 100;
-
-    // Simulate different climate zones
-    let baseTemp, humidity, city;
-
-    if (zipCode.startsWith("85") || zipCode.startsWith("86")) {
-      // Arizona - Hot and dry
-      baseTemp = 95 + Math.random() * 15; // 95-110°F
-      humidity = 15 + Math.random() * 20; // 15-35%
-      city = zipCode === "85001" ? "Phoenix" : "Arizona City";
-    } else if (zipCode.startsWith("902") || zipCode.startsWith("901")) {
-      // California - Warm
-      baseTemp = 75 + Math.random() * 20; // 75-95°F
-      humidity = 50 + Math.random() * 30; // 50-80%
-      city = zipCode === "90210" ? "Beverly Hills" : "California City";
-    } else if (zipCode.startsWith("100") || zipCode.startsWith("101")) {
-      // New York - Moderate
-      baseTemp = 70 + Math.random() * 15; // 70-85°F
-      humidity = 60 + Math.random() * 25; // 60-85%
-      city = zipCode === "10001" ? "New York" : "New York City";
-    } else if (zipCode.startsWith("331") || zipCode.startsWith("332")) {
-      // Florida - Hot and humid
-      baseTemp = 80 + Math.random() * 15; // 80-95°F
-      humidity = 70 + Math.random() * 25; // 70-95%
-      city = "Florida City";
-    } else {
-      // Default moderate climate
-      baseTemp = 75 + Math.random() * 15; // 75-90°F
-      humidity = 55 + Math.random() * 25; // 55-80%
-      city = "Unknown City";
-    }
-
-    const temperature = Math.round(baseTemp);
-    const feelsLike = Math.round(
-      baseTemp + (humidity > 70 ? 5 : 0) + Math.random() * 10
-    );
-
-    return {
-      zipCode: zipCode,
-      temperature,
-      feelsLike,
-      humidity: Math.round(humidity),
-      description:
-        temperature > 90 ? "hot" : temperature > 80 ? "warm" : "pleasant",
-      condition: temperature > 95 ? "Hot" : "Clear",
-      windSpeed: Math.round(3 + Math.random() * 10),
-      uvIndex: Math.round(3 + Math.random() * 8),
-      timestamp: new Date().toISOString(),
-      city,
-      state: "US",
-      mock: true,
-    };
-  }
-
   /**
    * Generate heat wave alert message for patients (consolidated from heatcareAI)
    */
@@ -923,7 +587,101 @@ class WeatherService {
   }
 
   /**
-   * Get weather advice using NWS data (simple, rule-based approach)
+   * Cold wave detection with the same standardized output as detectHeatWave
+   */
+  async detectColdWave(zipCode) {
+    const analysis = await this.detectColdwave(zipCode);
+    const minWindChill = analysis.lowestWindChill ?? null;
+
+    return {
+      alertLevel: analysis.warningLevel,
+      currentTemp: analysis.currentTemp ?? null,
+      windChill: analysis.currentWindChill ?? null,
+      minWindChill,
+      daysAffected: analysis.coldDays || 0,
+      alertEvent: analysis.alertEvent || null,
+      city: zipCode,
+      zipcode: zipCode,
+      isColdWave: analysis.coldwaveDetected,
+      description: analysis.error
+        ? "Unable to determine cold wave status"
+        : this.getColdWaveDescription(
+            analysis.warningLevel,
+            minWindChill,
+            analysis.alertEvent
+          ),
+    };
+  }
+
+  getColdWaveDescription(alertLevel, minWindChill, alertEvent) {
+    const official = alertEvent ? ` (${alertEvent})` : "";
+    if (alertLevel === "emergency") {
+      return `Extreme cold emergency with wind chills down to ${minWindChill}°F${official}`;
+    } else if (alertLevel === "warning") {
+      return `Severe cold with wind chills down to ${minWindChill}°F${official}`;
+    } else if (alertLevel === "watch") {
+      return `Freezing conditions with wind chills down to ${minWindChill}°F${official}`;
+    }
+    return "Normal cold conditions";
+  }
+
+  /**
+   * Cold weather alert for a patient - hypothermia and frostbite advice,
+   * plus tips for their cold risk factors (utils/coldWeather.js)
+   * @returns {Object} - {message, urgency, alertLevel, riskFactors}
+   */
+  generateColdWeatherAlert(coldWaveData, patientData) {
+    const alertLevel = coldWaveData.alertLevel || "none";
+    const windChill = coldWaveData.minWindChill ?? coldWaveData.windChill;
+    const zipCode = coldWaveData.zipcode || patientData.zipcode || "unknown";
+    const official = coldWaveData.alertEvent
+      ? ` ${coldWaveData.alertEvent} in effect.`
+      : "";
+    const riskFactors = assessColdRiskFactors(patientData);
+
+    let message = `Hi ${patientData.firstName || "there"}! `;
+    let urgency = "routine";
+
+    if (alertLevel === "emergency") {
+      message += `🚨 EXTREME COLD: wind chill ${windChill}°F in ${zipCode}.${official} Stay indoors with heat - frostbite can start in minutes.`;
+      urgency = "emergency";
+    } else if (alertLevel === "warning") {
+      message += `🥶 COLD WARNING: wind chill ${windChill}°F in ${zipCode}.${official} Limit time outside, cover your skin and keep your home at 68°F or warmer.`;
+      urgency = "urgent";
+    } else {
+      message += `❄️ FREEZING WEATHER: wind chill ${windChill}°F in ${zipCode}.${official} Dress in layers and keep the heat on overnight.`;
+      urgency = riskFactors.length > 0 ? "urgent" : "routine";
+    }
+
+    const tips = [];
+    if (riskFactors.includes("Lung disease")) {
+      tips.push("Breathe through a scarf outside and keep your inhaler warm");
+    }
+    if (riskFactors.includes("Heart disease")) {
+      tips.push("Don't shovel snow - cold and effort strain the heart");
+    }
+    if (
+      riskFactors.includes("Diabetes") ||
+      riskFactors.includes("Poor circulation")
+    ) {
+      tips.push("Check your hands and feet for numbness or pale skin");
+    }
+    if (patientData.age >= 65) {
+      tips.push("Older bodies lose heat faster - wear layers indoors too");
+    }
+    if (tips.length > 0) {
+      message += `\n\n${tips.map((tip) => `• ${tip}`).join("\n")}`;
+    }
+
+    if (alertLevel !== "watch" || riskFactors.length > 0) {
+      message += `\n\n🆘 Hypothermia signs: shivering, confusion, slurred speech, drowsiness. Call 911 if you see them.`;
+    }
+
+    return { message, urgency, alertLevel, riskFactors };
+  }
+
+  /**
+   * Get weather advice (simple, rule-based approach)
    */
   async getWeatherAdvice(zipCode, patientData = {}) {
     try {
@@ -1001,25 +759,18 @@ class WeatherService {
   }
 
   /**
-   * Fallback weather advice when AI is unavailable
+   * Fallback weather advice when no weather data is available - general
+   * heat safety, since we don't know today's conditions
    */
   getFallbackWeatherAdvice(zipCode, patientData) {
-    const weather = this.getMockWeatherByZip(zipCode);
     const firstName = patientData.firstName || "there";
     const age = patientData.age || 0;
 
-    let message = `Hi ${firstName}! `;
-    let urgency = "routine";
-
-    if (weather.temperature >= 100) {
-      message += `⚠️ Extreme heat ${weather.temperature}°F! Stay indoors with AC. Drink water every 15 mins.`;
-      urgency = "emergency";
-    } else if (weather.temperature >= 90) {
-      message += `🌡️ Hot day ${weather.temperature}°F. Stay hydrated, limit outdoor time 11am-6pm.`;
-      urgency = age >= 65 ? "urgent" : "routine";
-    } else {
-      message += `Weather: ${weather.temperature}°F in ${weather.city}. Have a great day!`;
-    }
+    let message = `Hi ${firstName}! We couldn't get today's weather for ${zipCode}. `;
+    message +=
+      age >= 65
+        ? "If it's hot, stay in AC, sip water often and check in with family."
+        : "If it's hot, stay hydrated and limit outdoor time 11am-6pm.";
 
     // SMS length check
     if (message.length > 160) {
@@ -1028,24 +779,19 @@ class WeatherService {
 
     return {
       message,
-      urgency,
-      alertLevel:
-        weather.temperature >= 100
-          ? "emergency"
-          : weather.temperature >= 90
-          ? "warning"
-          : "none",
+      urgency: "routine",
+      alertLevel: "none",
       aiGenerated: false,
       weatherContext: {
-        temperature: weather.temperature,
-        feelsLike: weather.feelsLike,
+        temperature: null,
+        feelsLike: null,
         alerts: [],
       },
     };
   }
 
   /**
-   * Generate intelligent weather alert using NWS data
+   * Generate intelligent weather alert from provider data
    */
   async generateAdvancedWeatherAlert(zipCode, patientData) {
     try {
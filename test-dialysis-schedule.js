@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// Check dialysis schedule parsing against the schedules patients type in
+// registration. Exits non-zero when a schedule doesn't give the expected days
+const { parseDialysisSchedule } = require('./utils/dialysisSchedule');
+
+const cases = [
+  { text: 'Mon/Wed/Fri 7am', days: ['mon', 'wed', 'fri'], time: '07:00' },
+  { text: 'TTS mornings', days: ['tue', 'thu', 'sat'], time: null },
+  {
+    text: 'Tuesday, Thursday, Saturday at 2 PM',
+    days: ['tue', 'thu', 'sat'],
+    time: '14:00'
+  },
+  { text: 'M W F', days: ['mon', 'wed', 'fri'], time: null },
+  { text: 'TThSa 6:30am', days: ['tue', 'thu', 'sat'], time: '06:30' },
+  { text: 'MWF 1st shift', days: ['mon', 'wed', 'fri'], time: null },
+  { text: "MWF at St Mary's", days: ['mon', 'wed', 'fri'], time: null },
+  {
+    text: "Mon/Wed/Fri at Dr. Smith's",
+    days: ['mon', 'wed', 'fri'],
+    time: null
+  },
+  {
+    text: 'MWF 7am, DaVita on Main St',
+    days: ['mon', 'wed', 'fri'],
+    time: '07:00'
+  },
+  { text: 'TTS at Mt Sinai', days: ['tue', 'thu', 'sat'], time: null },
+  {
+    text: 'nightly at home',
+    days: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    time: null
+  },
+  { text: 'at the clinic', days: null, time: null }
+];
+
+console.log('🧪 Testing dialysis schedule parsing\n');
+
+let failures = 0;
+
+for (const { text, days, time } of cases) {
+  const schedule = parseDialysisSchedule(text);
+  const actual = { days: schedule?.days || null, time: schedule?.time || null };
+  const ok = JSON.stringify(actual) === JSON.stringify({ days, time });
+  if (!ok) failures++;
+
+  console.log(
+    `${ok ? '✅' : '❌'} ${JSON.stringify(text)}: ${JSON.stringify(actual)}${
+      ok ? '' : ` (expected ${JSON.stringify({ days, time })})`
+    }`
+  );
+}
+
+if (failures > 0) {
+  console.log(`\n❌ ${failures} schedule(s) parsed wrong`);
+  process.exit(1);
+}
+console.log('\n✅ All schedules parsed');
@@ -0,0 +1,129 @@
+// Cold weather - wind chill, NWS winter and freeze alerts, and the health
+// conditions that raise a patient's hypothermia risk
+
+// Wind chill (°F) at or below which a day is cold for each alert level.
+// Vulnerable patients can become hypothermic indoors below freezing, and
+// frostbite sets in within 30 minutes around -15°F
+const COLD_THRESHOLDS = {
+  watch: 32,
+  warning: 10,
+  emergency: -15,
+};
+
+// NWS alert events for winter storms, freezes and dangerous cold
+const COLD_ALERT_PATTERN =
+  /winter|blizzard|ice storm|freez|frost|wind chill|extreme cold|cold weather|snow squall|lake effect snow/i;
+
+// Condition codes and free text for cold risk factors. COPD and asthma
+// flare in cold air, cold strains the heart, diabetes dulls the feeling of
+// cold in hands and feet, and an underactive thyroid or dementia lowers the
+// body's (or the patient's) response to it
+const COLD_RISK_CONDITIONS = [
+  { label: "Lung disease", pattern: /copd|emphysema|asthma|lung/ },
+  {
+    label: "Heart disease",
+    pattern: /heart[ _](?:disease|failure)|cardiac|\bchf\b|coronary|angina/,
+  },
+  { label: "Diabetes", pattern: /diabet/ },
+  { label: "Thyroid disease", pattern: /thyroid/ },
+  { label: "Dementia", pattern: /dementia|alzheimer/ },
+  { label: "Poor circulation", pattern: /raynaud|circulation|peripheral art/ },
+];
+
+/**
+ * NWS wind chill (°F). Defined for 50°F and below with wind of 3 mph or
+ * more; otherwise the air temperature
+ */
+function calculateWindChill(temperature, windSpeed) {
+  if (temperature == null) return null;
+  if (temperature > 50 || !windSpeed || windSpeed < 3) {
+    return Math.round(temperature);
+  }
+
+  const wind = Math.pow(windSpeed, 0.16);
+  return Math.round(
+    35.74 + 0.6215 * temperature - 35.75 * wind + 0.4275 * temperature * wind
+  );
+}
+
+/**
+ * Alert level for a wind chill
+ * @returns {string} - emergency, warning, watch or none
+ */
+function getColdLevel(windChill) {
+  if (windChill == null) return "none";
+  if (windChill <= COLD_THRESHOLDS.emergency) return "emergency";
+  if (windChill <= COLD_THRESHOLDS.warning) return "warning";
+  if (windChill <= COLD_THRESHOLDS.watch) return "watch";
+  return "none";
+}
+
+function isColdAlert(alert) {
+  return Boolean(alert?.event && COLD_ALERT_PATTERN.test(alert.event));
+}
+
+/**
+ * Alert level for an NWS winter, freeze or cold alert: extreme or
+ * immediate ones are emergencies, warnings are warnings and watches and
+ * advisories are watches
+ * @returns {string|null} - null when it isn't a cold alert
+ */
+function getColdAlertLevel(alert) {
+  if (!isColdAlert(alert)) return null;
+
+  if (
+    alert.severity?.toLowerCase() === "extreme" ||
+    alert.urgency?.toLowerCase() === "immediate"
+  ) {
+    return "emergency";
+  }
+  return /warning/i.test(alert.event) ? "warning" : "watch";
+}
+
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [String(value)];
+  }
+}
+
+/**
+ * Cold risk factors for a patient: age, lung and heart disease and other
+ * conditions that raise hypothermia risk, low mobility and smoking
+ * @returns {string[]} - Labels, e.g. ["Age 65+", "Lung disease"]
+ */
+function assessColdRiskFactors(patient = {}) {
+  const riskFactors = [];
+
+  if (patient.age >= 65) riskFactors.push("Age 65+");
+  if (patient.age >= 80) riskFactors.push("Age 80+");
+
+  const conditions = [
+    ...toList(patient.chronicConditions),
+    ...toList(patient.preExistingConditions),
+  ].map((condition) => String(condition).toLowerCase());
+
+  for (const { label, pattern } of COLD_RISK_CONDITIONS) {
+    if (conditions.some((condition) => pattern.test(condition))) {
+      riskFactors.push(label);
+    }
+  }
+
+  if (patient.activityLevel === "low") riskFactors.push("Low mobility");
+  if (patient.smoker) riskFactors.push("Smoker");
+
+  return riskFactors;
+}
+
+module.exports = {
+  COLD_THRESHOLDS,
+  calculateWindChill,
+  getColdLevel,
+  isColdAlert,
+  getColdAlertLevel,
+  assessColdRiskFactors,
+};
@@ -0,0 +1,276 @@
+// Dialysis schedule parsing - free text ("Mon/Wed/Fri 7am", "TTS mornings")
+// to session weekdays, a start time and a shift
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const WEEKDAY_LABELS = {
+  sun: "Sun",
+  mon: "Mon",
+  tue: "Tue",
+  wed: "Wed",
+  thu: "Thu",
+  fri: "Fri",
+  sat: "Sat",
+};
+
+// Whole-word day names and abbreviations
+const DAY_WORDS = {
+  sunday: "sun",
+  sun: "sun",
+  monday: "mon",
+  mon: "mon",
+  tuesday: "tue",
+  tues: "tue",
+  tue: "tue",
+  wednesday: "wed",
+  weds: "wed",
+  wed: "wed",
+  thursday: "thu",
+  thurs: "thu",
+  thur: "thu",
+  thu: "thu",
+  friday: "fri",
+  fri: "fri",
+  saturday: "sat",
+  sat: "sat",
+};
+
+// Letters of the clinic shorthand ("MWF", "TTS", "TThSa", "M W F"), longest
+// first. A bare "T" is Tuesday the first time and Thursday after that
+const DAY_CODES = [
+  ["th", "thu"],
+  ["tu", "tue"],
+  ["sa", "sat"],
+  ["su", "sun"],
+  ["m", "mon"],
+  ["t", null],
+  ["w", "wed"],
+  ["r", "thu"],
+  ["f", "fri"],
+  ["s", "sat"],
+];
+
+// Words that read as shorthand but never are - "St Mary's", "Main St",
+// "Mt Sinai"
+const NOT_DAY_CODES = ["st", "mt"];
+
+// Words that can sit between single-letter codes ("M and W and F")
+const FILLER_WORDS = ["and", "or"];
+
+// Home and nocturnal dialysis
+const EVERY_DAY_PATTERN =
+  /\b(daily|every\s*day|everyday|nightly|every\s*night|7\s*days)\b/;
+
+const SHIFT_WORDS = {
+  morning: "morning",
+  afternoon: "afternoon",
+  evening: "evening",
+  night: "evening",
+  nightly: "evening",
+};
+
+/**
+ * Read a token as clinic shorthand ("mwf", "tths")
+ * @returns {string[]|null} - Weekdays, or null if the token isn't shorthand
+ */
+function parseDayCodes(token, days) {
+  const found = [];
+  let rest = token;
+
+  while (rest) {
+    const code = DAY_CODES.find(([letters]) => rest.startsWith(letters));
+    if (!code) return null;
+
+    let day = code[1];
+    if (!day) {
+      day = days.includes("tue") || found.includes("tue") ? "thu" : "tue";
+    }
+    found.push(day);
+    rest = rest.slice(code[0].length);
+  }
+  return found;
+}
+
+/**
+ * Find the session start time: "7am", "7:30 a.m.", "at 14:00", "noon"
+ * @returns {string|null} - "HH:MM"
+ */
+function parseSessionTime(text) {
+  if (/\bnoon\b/.test(text)) return "12:00";
+
+  const match =
+    text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)\b/) ||
+    text.match(/\bat\s+(\d{1,2}):(\d{2})\b/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || "0");
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem.startsWith("p") && hours !== 12) hours += 12;
+    if (meridiem.startsWith("a") && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+function getShiftForTime(time) {
+  const hours = parseInt(time.split(":")[0]);
+  if (hours < 12) return "morning";
+  if (hours < 17) return "afternoon";
+  return "evening";
+}
+
+/**
+ * Parse a free-text dialysis schedule
+ * @param {string} text - e.g. "Mon/Wed/Fri 7am" or "TTS mornings"
+ * @returns {Object|null} - {days: ["mon", "wed", "fri"], time: "07:00"|null,
+ *   shift: "morning"|"afternoon"|"evening"|null}, or null when no session
+ *   days could be found
+ */
+function parseDialysisSchedule(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/\./g, "");
+  if (!normalized.trim()) return null;
+
+  let days = [];
+  if (EVERY_DAY_PATTERN.test(normalized)) {
+    days = [...WEEKDAYS];
+  } else {
+    // Ordinals go first, or the "st" of "1st shift" reads as Tue/Sat, and so
+    // does the "s" of a possessive ("Dr. Smith's")
+    const tokens = normalized
+      .replace(/\b\d+(st|nd|rd|th)\b/g, " ")
+      .replace(/['’]s\b/g, "")
+      .replace(/\d{1,2}(:\d{2})?\s*(am|pm|a|p)?\b/g, " ")
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+
+    // Shorthand is a token of at least two letters ("mwf"), or single letters
+    // before any other word ("m w f") - after a clinic or street name a lone
+    // letter is an initial, not a day
+    let sawOtherWord = false;
+    for (const token of tokens) {
+      const word = token.endsWith("s") ? token.slice(0, -1) : token;
+      const named = DAY_WORDS[token] || DAY_WORDS[word];
+      const codes =
+        named || NOT_DAY_CODES.includes(token)
+          ? null
+          : parseDayCodes(token, days);
+
+      if (named) {
+        days.push(named);
+      } else if (codes && (token.length >= 2 || !sawOtherWord)) {
+        days.push(...codes);
+      } else if (!FILLER_WORDS.includes(token)) {
+        sawOtherWord = true;
+      }
+    }
+  }
+
+  days = WEEKDAYS.filter((day) => days.includes(day));
+  if (days.length === 0) return null;
+
+  const time = parseSessionTime(normalized);
+  const shiftWord = Object.keys(SHIFT_WORDS).find((word) =>
+    new RegExp(`\\b${word}s?\\b`).test(normalized)
+  );
+  const shift = time
+    ? getShiftForTime(time)
+    : shiftWord
+    ? SHIFT_WORDS[shiftWord]
+    : null;
+
+  return { days, time, shift };
+}
+
+/**
+ * Patient columns for a free-text schedule
+ * @returns {Object} - {dialysisSchedule, dialysisDays, dialysisTime,
+ *   dialysisShift}
+ */
+function toDialysisColumns(text) {
+  const schedule = parseDialysisSchedule(text);
+  return {
+    dialysisSchedule: text || null,
+    dialysisDays: schedule?.days || null,
+    dialysisTime: schedule?.time || null,
+    dialysisShift: schedule?.shift || null,
+  };
+}
+
+/**
+ * A patient's structured schedule - from the parsed columns, or parsed from
+ * the free text for patients stored before they existed
+ * @returns {Object|null} - {days, time, shift}
+ */
+function getDialysisSchedule(patient) {
+  if (Array.isArray(patient?.dialysisDays) && patient.dialysisDays.length) {
+    return {
+      days: patient.dialysisDays,
+      time: patient.dialysisTime || null,
+      shift: patient.dialysisShift || null,
+    };
+  }
+  return parseDialysisSchedule(patient?.dialysisSchedule);
+}
+
+/**
+ * Format a schedule for a message: "Mon, Wed, Fri at 7:00 AM"
+ */
+function formatDialysisSchedule({ days, time, shift }) {
+  const dayText =
+    days.length === WEEKDAYS.length
+      ? "Every day"
+      : days.map((day) => WEEKDAY_LABELS[day]).join(", ");
+
+  if (time) {
+    const [hours, minutes] = time.split(":").map((part) => parseInt(part));
+    const meridiem = hours >= 12 ? "PM" : "AM";
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${dayText} at ${displayHours}:${String(minutes).padStart(
+      2,
+      "0"
+    )} ${meridiem}`;
+  }
+  return shift ? `${dayText} (${shift}s)` : dayText;
+}
+
+/**
+ * Weekday ("mon") of a moment in the patient's timezone
+ */
+function getLocalWeekday(date, timezone) {
+  const label = new Intl.DateTimeFormat("en-US", {
+    weekday: "short",
+    timeZone: timezone || undefined,
+  }).format(date);
+  return label.slice(0, 3).toLowerCase();
+}
+
+/**
+ * Whether the patient has a dialysis session on the given day
+ * @param {Object} schedule - From getDialysisSchedule
+ * @param {Date} date - Moment to check (defaults to now)
+ * @param {string} timezone - Patient's IANA timezone
+ */
+function isDialysisDay(schedule, date = new Date(), timezone = null) {
+  if (!schedule?.days?.length) return false;
+  return schedule.days.includes(getLocalWeekday(date, timezone));
+}
+
+module.exports = {
+  parseDialysisSchedule,
+  toDialysisColumns,
+  getDialysisSchedule,
+  formatDialysisSchedule,
+  isDialysisDay,
+};
@@ -0,0 +1,167 @@
+// Heat-wave events - runs of hot days in a daily forecast, and where a date
+// falls relative to one (relative_phase in gpt_v2_visualize.py)
+
+// Feels-like °F that makes a forecast day hot, and how many hot days in a row
+// make a new event (the detectHeatwave thresholds)
+const HEAT_WAVE_FEELS_LIKE = 100;
+const HEAT_WAVE_MIN_DAYS = 2;
+
+// Days before an event that get a preparation message
+const PREP_DAYS = [3, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "YYYY-MM-DD" for a date - in a timezone when given, else in local time.
+ * Accepts forecast dates ("Mon Oct 19 2026") as well as Dates
+ */
+function toDateKey(date, timezone = null) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) return null;
+
+  if (timezone) {
+    // en-CA formats as YYYY-MM-DD
+    return value.toLocaleDateString("en-CA", { timeZone: timezone });
+  }
+
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days from one date key to another (negative when `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function addDays(dateKey, days) {
+  return new Date(Date.parse(dateKey) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Runs of consecutive hot days in a daily forecast, of any length
+ * @param {Object[]} forecast - Days with date and feelsLikeHigh
+ * @returns {Object[]} - [{startDate, endDate, days, peakFeelsLike}]
+ */
+function findHotRuns(forecast, threshold = HEAT_WAVE_FEELS_LIKE) {
+  const runs = [];
+  let run = null;
+
+  for (const day of forecast || []) {
+    const date = toDateKey(day.date);
+    const feelsLike = day.feelsLikeHigh ?? day.feelsLike ?? day.high;
+    const hot = date && feelsLike >= threshold;
+
+    if (hot && run && daysBetween(run.endDate, date) === 1) {
+      run.endDate = date;
+      run.days++;
+      run.peakFeelsLike = Math.max(run.peakFeelsLike, Math.round(feelsLike));
+    } else if (hot) {
+      run = {
+        startDate: date,
+        endDate: date,
+        days: 1,
+        peakFeelsLike: Math.round(feelsLike),
+      };
+      runs.push(run);
+    } else {
+      run = null;
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Fold today's forecast into the events already known for a ZIP. A hot run
+ * touching a known event extends it (keeping its ID and start date, even
+ * after the first days have left the forecast); other runs of at least
+ * HEAT_WAVE_MIN_DAYS start new events. A known event the forecast no longer
+ * shows ends yesterday, or is dropped if it hadn't started
+ * @param {string} zipcode
+ * @param {Object[]} forecast - Daily forecast, first entry today
+ * @param {Object[]} known - Events from the last check
+ * @param {string} today - Date key
+ * @returns {Object[]} - [{eventId, zipcode, startDate, endDate,
+ *   peakFeelsLike}], without events that ended before yesterday
+ */
+function updateHeatWaveEvents(zipcode, forecast, known = [], today) {
+  const events = known.map((event) => ({ ...event, seen: false }));
+
+  for (const run of findHotRuns(forecast)) {
+    const event = events.find(
+      (candidate) =>
+        daysBetween(candidate.endDate, run.startDate) <= 1 &&
+        daysBetween(run.endDate, candidate.startDate) <= 1
+    );
+
+    if (event) {
+      if (run.startDate < event.startDate && run.startDate >= today) {
+        event.startDate = run.startDate;
+      }
+      event.endDate = run.endDate;
+      event.peakFeelsLike = Math.max(event.peakFeelsLike, run.peakFeelsLike);
+      event.seen = true;
+    } else if (run.days >= HEAT_WAVE_MIN_DAYS) {
+      events.push({
+        eventId: `zip:${zipcode}:${run.startDate}`,
+        zipcode,
+        startDate: run.startDate,
+        endDate: run.endDate,
+        peakFeelsLike: run.peakFeelsLike,
+        seen: true,
+      });
+    }
+  }
+
+  const yesterday = addDays(today, -1);
+  return events
+    .map(({ seen, ...event }) => {
+      if (seen || event.endDate < today) return event;
+      // The heat broke early (or never came)
+      return event.startDate < today ? { ...event, endDate: yesterday } : null;
+    })
+    .filter((event) => event && event.endDate >= yesterday)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Where a date falls relative to an event
+ * @returns {Object|null} - {phase: "before", days: 3|1}, {phase: "during",
+ *   days: 0}, {phase: "after", days: 1}, or null on other days
+ */
+function getRelativePhase(dateKey, event) {
+  if (dateKey < event.startDate) {
+    const days = daysBetween(dateKey, event.startDate);
+    return PREP_DAYS.includes(days) ? { phase: "before", days } : null;
+  }
+  if (dateKey <= event.endDate) {
+    return { phase: "during", days: 0 };
+  }
+  return daysBetween(event.endDate, dateKey) === 1
+    ? { phase: "after", days: 1 }
+    : null;
+}
+
+/**
+ * Dedupe key for a phase message: before-3, before-1, during-<date>, after-1.
+ * Each day of an event gets its own "during" message
+ */
+function getPhaseKey({ phase, days }, dateKey) {
+  return phase === "during" ? `during-${dateKey}` : `${phase}-${days}`;
+}
+
+module.exports = {
+  HEAT_WAVE_FEELS_LIKE,
+  HEAT_WAVE_MIN_DAYS,
+  toDateKey,
+  daysBetween,
+  findHotRuns,
+  updateHeatWaveEvents,
+  getRelativePhase,
+  getPhaseKey,
+};
@@ -0,0 +1,184 @@
+// Heat-sensitive medication classes - a medication's drug class and the heat
+// note sent with its reminders on hot days
+
+const DRUG_CLASSES = {
+  diuretic: {
+    label: "water pill (diuretic)",
+    names: [
+      "furosemide",
+      "lasix",
+      "hydrochlorothiazide",
+      "hctz",
+      "chlorthalidone",
+      "bumetanide",
+      "bumex",
+      "torsemide",
+      "spironolactone",
+      "aldactone",
+      "metolazone",
+      "triamterene",
+      "indapamide",
+    ],
+    heatNote:
+      "Water pills make you lose fluid faster in the heat. Watch for dizziness, cramps or very dark urine, and ask your doctor how much to drink on hot days.",
+  },
+  beta_blocker: {
+    label: "beta-blocker",
+    names: [
+      "metoprolol",
+      "lopressor",
+      "toprol",
+      "atenolol",
+      "tenormin",
+      "propranolol",
+      "carvedilol",
+      "coreg",
+      "bisoprolol",
+      "nebivolol",
+      "labetalol",
+    ],
+    heatNote:
+      "Beta-blockers lower your heat tolerance - your heart can't speed up to cool you, so you can overheat without feeling it. Rest in AC and avoid exertion.",
+  },
+  ace_arb: {
+    label: "blood pressure medicine (ACE inhibitor / ARB)",
+    names: [
+      "lisinopril",
+      "enalapril",
+      "ramipril",
+      "benazepril",
+      "captopril",
+      "quinapril",
+      "losartan",
+      "valsartan",
+      "olmesartan",
+      "irbesartan",
+      "telmisartan",
+      "candesartan",
+      "entresto",
+    ],
+    heatNote:
+      "With dehydration this can drop your blood pressure and strain your kidneys. Stand up slowly and stay cool.",
+  },
+  anticholinergic: {
+    label: "anticholinergic",
+    names: [
+      "oxybutynin",
+      "ditropan",
+      "tolterodine",
+      "benztropine",
+      "diphenhydramine",
+      "benadryl",
+      "hydroxyzine",
+      "scopolamine",
+      "amitriptyline",
+    ],
+    heatNote:
+      "This medicine reduces sweating, so your body can't cool itself well. Stay in AC and use cool cloths.",
+  },
+  antipsychotic: {
+    label: "antipsychotic",
+    names: [
+      "quetiapine",
+      "seroquel",
+      "olanzapine",
+      "zyprexa",
+      "risperidone",
+      "risperdal",
+      "haloperidol",
+      "clozapine",
+      "aripiprazole",
+      "abilify",
+      "ziprasidone",
+    ],
+    heatNote:
+      "This medicine affects your body's temperature control. Stay cool and tell someone if you feel confused or very hot.",
+  },
+  lithium: {
+    label: "lithium",
+    names: ["lithium", "lithobid"],
+    heatNote:
+      "Heat and sweating can push lithium to toxic levels. Keep drinking as your doctor advised and call them if you feel shaky, sick or confused.",
+  },
+  diabetes: {
+    label: "diabetes medicine",
+    names: [
+      "insulin",
+      "lantus",
+      "humalog",
+      "novolog",
+      "levemir",
+      "tresiba",
+      "metformin",
+      "glucophage",
+      "glipizide",
+      "glyburide",
+      "glimepiride",
+    ],
+    heatNote:
+      "Heat changes blood sugar and how fast insulin works. Check your sugar more often and keep insulin and test strips out of the heat.",
+  },
+  stimulant: {
+    label: "stimulant",
+    names: [
+      "adderall",
+      "amphetamine",
+      "methylphenidate",
+      "ritalin",
+      "concerta",
+      "vyvanse",
+    ],
+    heatNote:
+      "Stimulants raise body temperature. Avoid activity in the heat and rest somewhere cool.",
+  },
+  nsaid: {
+    label: "pain reliever (NSAID)",
+    names: [
+      "ibuprofen",
+      "advil",
+      "motrin",
+      "naproxen",
+      "aleve",
+      "meloxicam",
+      "diclofenac",
+      "celecoxib",
+    ],
+    heatNote:
+      "With dehydration, NSAIDs can hurt your kidneys. Don't take extra doses on hot days.",
+  },
+};
+
+/**
+ * Heat-sensitive drug class of a medication
+ * @param {string} medication - Name as the patient typed it, e.g. "Lasix 40mg"
+ * @returns {string|null} - Class key, e.g. "diuretic"
+ */
+function classifyMedication(medication) {
+  const words = String(medication || "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+  const entry = Object.entries(DRUG_CLASSES).find(([, drugClass]) =>
+    drugClass.names.some((name) => words.includes(name))
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Hot-day note for a drug class
+ * @returns {string|null}
+ */
+function getHeatNote(drugClass) {
+  return DRUG_CLASSES[drugClass]?.heatNote || null;
+}
+
+function getDrugClassLabel(drugClass) {
+  return DRUG_CLASSES[drugClass]?.label || null;
+}
+
+module.exports = {
+  classifyMedication,
+  getHeatNote,
+  getDrugClassLabel,
+};
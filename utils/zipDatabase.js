@@ -0,0 +1,157 @@
+// Offline ZIP code database - centroid, city, state, county and timezone per
+// ZIP from data/zcta.tsv (built by scripts/build-zip-database.js)
+const fs = require("fs");
+const path = require("path");
+const { getTimezoneForZipPrefix } = require("./zipTimezone");
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, "..", "data", "zcta.tsv");
+
+const COLUMNS = [
+  "zip",
+  "lat",
+  "lon",
+  "city",
+  "state",
+  "countyFips",
+  "county",
+  "timezone",
+];
+
+let database = null; // Map of ZIP -> entry, or false when there is no file
+
+/**
+ * Load the data file once per process
+ * @returns {Map|false}
+ */
+function loadZipDatabase() {
+  if (database !== null) return database;
+
+  const file = process.env.ZIP_DATABASE_PATH || DEFAULT_DATABASE_PATH;
+  if (!fs.existsSync(file)) {
+    console.warn(
+      `⚠️ [ZIP Database] ${file} not found - ZIPs are checked by prefix only. Build it with: node scripts/build-zip-database.js <US.txt>`
+    );
+    database = false;
+    return database;
+  }
+
+  database = new Map();
+  const [, ...rows] = fs.readFileSync(file, "utf8").split("\n");
+  for (const row of rows) {
+    if (!row.trim()) continue;
+
+    const [zip, lat, lon, city, state, countyFips, county, timezone] =
+      row.split("\t");
+    database.set(zip, {
+      zipCode: zip,
+      lat: lat ? parseFloat(lat) : null,
+      lon: lon ? parseFloat(lon) : null,
+      city,
+      state,
+      countyFips: countyFips || null,
+      county: county || null,
+      timezone: timezone || null,
+    });
+  }
+
+  console.log(`📮 [ZIP Database] Loaded ${database.size} ZIP codes`);
+  return database;
+}
+
+/**
+ * 5-digit ZIP from user input ("85001", "85001-1234", " 85001 ")
+ * @returns {string|null}
+ */
+function normalizeZip(zipcode) {
+  const match = String(zipcode || "")
+    .trim()
+    .match(/^(\d{5})(?:-\d{4})?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Look up a ZIP code
+ * @returns {Object|null} - {zipCode, lat, lon, city, state, countyFips,
+ *   county, timezone}, or null when unknown or the database isn't built
+ */
+function lookupZip(zipcode) {
+  const zip = normalizeZip(zipcode);
+  const zips = loadZipDatabase();
+  if (!zip || !zips) return null;
+  return zips.get(zip) || null;
+}
+
+/**
+ * Whether a ZIP code exists - listed in the database, or in an assigned
+ * prefix when the database isn't built. Rejects placeholders like 00000
+ */
+function isValidZip(zipcode) {
+  const zip = normalizeZip(zipcode);
+  if (!zip) return false;
+
+  const zips = loadZipDatabase();
+  if (zips) return zips.has(zip);
+  return zip !== "00000" && Boolean(getTimezoneForZipPrefix(zip));
+}
+
+function isZipDatabaseAvailable() {
+  return Boolean(loadZipDatabase());
+}
+
+/**
+ * Group patients by county so monitors check the weather once per county.
+ * Patients whose ZIP isn't in the database get a group of their own ZIP
+ * @param {Object[]} patients - Rows with a zipcode
+ * @returns {Object[]} - [{key, countyFips, county, state, zipcode, patients}],
+ *   where zipcode is the group's most common ZIP, used for its weather
+ */
+function groupPatientsByCounty(patients) {
+  const groups = new Map();
+
+  for (const patient of patients) {
+    if (!patient.zipcode) continue;
+
+    const entry = lookupZip(patient.zipcode);
+    const key = entry?.countyFips
+      ? `county:${entry.countyFips}`
+      : `zip:${patient.zipcode}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        countyFips: entry?.countyFips || null,
+        county: entry?.county || null,
+        state: entry?.state || null,
+        patients: [],
+      });
+    }
+    groups.get(key).patients.push(patient);
+  }
+
+  return [...groups.values()].map((group) => {
+    const counts = {};
+    for (const patient of group.patients) {
+      counts[patient.zipcode] = (counts[patient.zipcode] || 0) + 1;
+    }
+    const [zipcode] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return { ...group, zipcode };
+  });
+}
+
+/**
+ * Label for logs: "Maricopa, AZ", or the ZIP for an unknown county
+ */
+function describeGroup(group) {
+  if (!group.county) return group.zipcode;
+  return group.state ? `${group.county}, ${group.state}` : group.county;
+}
+
+module.exports = {
+  COLUMNS,
+  normalizeZip,
+  lookupZip,
+  isValidZip,
+  isZipDatabaseAvailable,
+  groupPatientsByCounty,
+  describeGroup,
+};
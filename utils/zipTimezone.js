@@ -0,0 +1,105 @@
+// Offline ZIP code -> IANA timezone lookup
+// From the ZIP database, else by 3-digit prefix (split states broken out)
+
+// [first prefix, last prefix, timezone] - prefixes not listed (military
+// APO/FPO, unassigned) resolve to null
+const ZIP_PREFIX_TIMEZONES = [
+  [5, 5, "America/New_York"],
+  [6, 7, "America/Puerto_Rico"],
+  [8, 8, "America/St_Thomas"],
+  [9, 9, "America/Puerto_Rico"],
+  [10, 89, "America/New_York"],
+  [100, 299, "America/New_York"],
+  [300, 323, "America/New_York"],
+  [324, 325, "America/Chicago"], // Florida panhandle
+  [326, 349, "America/New_York"],
+  [350, 369, "America/Chicago"],
+  [370, 372, "America/Chicago"], // Middle Tennessee
+  [373, 374, "America/New_York"], // Chattanooga
+  [375, 375, "America/Chicago"], // Memphis
+  [376, 379, "America/New_York"], // East Tennessee
+  [380, 397, "America/Chicago"],
+  [398, 399, "America/New_York"],
+  [400, 418, "America/New_York"],
+  [420, 424, "America/Chicago"], // Western Kentucky
+  [425, 427, "America/New_York"],
+  [430, 459, "America/New_York"],
+  [460, 462, "America/Indiana/Indianapolis"],
+  [463, 464, "America/Chicago"], // Gary / northwest Indiana
+  [465, 475, "America/Indiana/Indianapolis"],
+  [476, 477, "America/Chicago"], // Evansville
+  [478, 479, "America/Indiana/Indianapolis"],
+  [480, 499, "America/Detroit"],
+  [500, 576, "America/Chicago"],
+  [577, 577, "America/Denver"], // Western South Dakota
+  [580, 585, "America/Chicago"],
+  [586, 586, "America/Denver"], // Southwestern North Dakota
+  [587, 588, "America/Chicago"],
+  [590, 599, "America/Denver"],
+  [600, 692, "America/Chicago"],
+  [693, 693, "America/Denver"], // Nebraska panhandle
+  [700, 797, "America/Chicago"],
+  [798, 799, "America/Denver"], // El Paso
+  [800, 831, "America/Denver"],
+  [832, 834, "America/Boise"],
+  [835, 835, "America/Los_Angeles"], // Lewiston, ID
+  [836, 837, "America/Boise"],
+  [838, 838, "America/Los_Angeles"], // Idaho panhandle
+  [840, 847, "America/Denver"],
+  [850, 865, "America/Phoenix"],
+  [870, 884, "America/Denver"],
+  [885, 885, "America/Denver"], // El Paso
+  [889, 898, "America/Los_Angeles"],
+  [900, 961, "America/Los_Angeles"],
+  [967, 968, "Pacific/Honolulu"],
+  [969, 969, "Pacific/Guam"],
+  [970, 978, "America/Los_Angeles"],
+  [979, 979, "America/Boise"], // Eastern Oregon
+  [980, 994, "America/Los_Angeles"],
+  [995, 999, "America/Anchorage"],
+];
+
+/**
+ * Resolve a US ZIP code to an IANA timezone
+ * @param {string} zipcode - 5-digit ZIP (ZIP+4 is accepted)
+ * @returns {string|null} - e.g. "America/Phoenix", or null if unknown
+ */
+function getTimezoneForZip(zipcode) {
+  // Required here - the ZIP database uses the prefix table below
+  const { lookupZip } = require("./zipDatabase");
+  return lookupZip(zipcode)?.timezone || getTimezoneForZipPrefix(zipcode);
+}
+
+/**
+ * Timezone of a ZIP code's 3-digit prefix
+ * @returns {string|null}
+ */
+function getTimezoneForZipPrefix(zipcode) {
+  const match = String(zipcode || "").match(/^(\d{3})\d{2}(?:-\d{4})?$/);
+  if (!match || zipcode === "00000") return null;
+
+  const prefix = parseInt(match[1]);
+  const entry = ZIP_PREFIX_TIMEZONES.find(
+    ([first, last]) => prefix >= first && prefix <= last
+  );
+  return entry ? entry[2] : null;
+}
+
+/**
+ * Check that a timezone name is one this runtime understands
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  getTimezoneForZip,
+  getTimezoneForZipPrefix,
+  isValidTimezone,
+};
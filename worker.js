@@ -1,89 +1,250 @@
-const { Worker } = require("bullmq");
+const { Worker, DelayedError } = require("bullmq");
 const {
   getPrismaClient,
-  getTwilioClient,
+  getMessagingTransport,
   getRedisConnection,
   getWhatsAppConfig,
 } = require("./services");
+const {
+  whatsappQueue,
+  healthCronQueue,
+  DEFAULT_CHECKIN_TIME,
+} = require("./queue");
 const HeatWaveMonitor = require("./jobs/heatWaveMonitor");
+const deliveryFallback = require("./services/deliveryFallback");
+const messageLedger = require("./services/messageLedger");
+const quietHours = require("./services/quietHours");
+const interactiveMessages = require("./services/interactiveMessages");
+const pollSessions = require("./services/pollSessions");
+const missedCheckins = require("./services/missedCheckins");
+const providerNotifications = require("./services/providerNotifications");
+const monitoringEpisodes = require("./services/monitoringEpisodes");
+const monitoringJobLog = require("./services/monitoringJobs");
+const scheduleReconciler = require("./services/scheduleReconciler");
+const medicationReminders = require("./services/medicationReminders");
+const { routeInboundMessage } = require("./services/inboundRouter");
 
 const connection = getRedisConnection();
 const prisma = getPrismaClient();
-const twilio = getTwilioClient();
+const transport = getMessagingTransport();
 const whatsappConfig = getWhatsAppConfig();
 
-// WhatsApp message worker
+// Global send rate across every worker process (Twilio queues or rejects
+// anything faster than the sender's messages-per-second allowance)
+const TWILIO_MESSAGES_PER_SECOND =
+  parseInt(process.env.TWILIO_MESSAGES_PER_SECOND) || 1;
+
+// Pause after Twilio answers 429 / error 20429 (Too Many Requests)
+const TWILIO_RATE_LIMIT_BACKOFF_MS = 5000;
+
+const isTwilioRateLimitError = (error) =>
+  error?.status === 429 || error?.code === 20429;
+
+// WhatsApp message worker (also sends SMS fallbacks for failed WhatsApp deliveries)
 const whatsappWorker = new Worker(
   "whatsapp-queue",
-  async (job) => {
-    const { to, message, mediaUrl } = job.data;
+  async (job, token) => {
+    const {
+      to,
+      message,
+      mediaUrl,
+      channel = "whatsapp",
+      fallbackForId = null,
+      messageType = "whatsapp",
+      tier = "checkin",
+      collapseKey = null,
+      deferredUntil = null,
+      contentTemplate = null,
+      contentVariables = null,
+      pollType = null,
+      checkin = null,
+    } = job.data;
+
+    // Hold non-emergency messages until the patient's quiet hours end
+    // (fallback resends skip this - the original attempt already cleared it)
+    const deferUntil = fallbackForId
+      ? null
+      : await quietHours.getDeferUntil(
+          whatsappConfig.extractPhoneNumber(to),
+          tier
+        );
+    if (deferUntil) {
+      console.log(
+        `🌙 [WhatsApp Worker] Quiet hours for ${to}, deferring ${tier} message until ${deferUntil.toLocaleString()}`
+      );
+      await job.updateData({
+        ...job.data,
+        deferredUntil: deferUntil.toISOString(),
+      });
+      await quietHours.registerDeferral(collapseKey, job.id);
+      await job.moveToDelayed(deferUntil.getTime(), token);
+      throw new DelayedError();
+    }
+
+    // A newer copy of this check was held overnight too - only send that one
+    if (deferredUntil && (await quietHours.isSuperseded(collapseKey, job.id))) {
+      console.log(
+        `[WhatsApp Worker] Skipping deferred message ${job.id} for ${to}: superseded by a newer ${collapseKey} message`
+      );
+      return { status: "superseded", collapseKey };
+    }
 
-    console.log(`[WhatsApp Worker] Sending message to ${to}: ${message}`);
+    console.log(
+      `[WhatsApp Worker] Sending ${channel} message to ${to}: ${message}`
+    );
 
     try {
-      // Prepare WhatsApp message options
-      const messageOptions = {
+      // Buttons and list pickers are WhatsApp-only; SMS gets the numbered text
+      const contentSid =
+        contentTemplate && channel === "whatsapp"
+          ? await interactiveMessages.resolveContentSid(contentTemplate)
+          : null;
+
+      // Send message via the configured transport (Twilio or fake)
+      const sentMessage = await transport.send({
+        to,
         body: message,
-        from: whatsappConfig.from,
-        to: whatsappConfig.formatPhoneNumber(to),
-        // Status callback URL for delivery tracking
-        statusCallback: `${
-          process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
-        }/twilio/status-webhook`,
-      };
-
-      // Add media if provided
-      if (mediaUrl) {
-        messageOptions.mediaUrl = [mediaUrl];
-      }
-
-      // Send WhatsApp message via Twilio
-      const twilioMessage = await twilio.messages.create(messageOptions);
+        channel,
+        mediaUrl,
+        contentSid,
+        contentVariables: contentSid ? contentVariables : null,
+      });
 
       console.log(
-        `[WhatsApp Worker] Message sent successfully. SID: ${twilioMessage.sid}`
+        `[WhatsApp Worker] Message sent successfully. SID: ${sentMessage.sid}`
       );
 
       // Log outgoing message to database
-      await prisma.message.create({
+      const loggedMessage = await prisma.message.create({
         data: {
-          from: whatsappConfig.from,
-          to: messageOptions.to,
+          from: sentMessage.from,
+          to: sentMessage.to,
           body: message,
           direction: "outgoing",
-          messageType: "whatsapp",
-          messageSid: twilioMessage.sid,
-          status: twilioMessage.status,
+          messageType: fallbackForId ? "delivery_fallback" : messageType,
+          channel,
+          fallbackForId,
+          messageSid: sentMessage.sid,
+          status: sentMessage.status,
         },
       });
 
+      // Status callbacks can beat this insert; apply any that were held
+      await messageLedger.applyPendingStatus(loggedMessage);
+
+      // Numeric replies are read against the poll that actually went out
+      if (pollType) {
+        await pollSessions.open(whatsappConfig.extractPhoneNumber(to), pollType, {
+          messageType,
+          messageId: loggedMessage.id,
+        });
+      }
+
+      // Monitoring check-ins start their reply timer once actually sent
+      // (not when queued - quiet hours may have held them)
+      if (checkin) {
+        await missedCheckins.trackCheckin(
+          whatsappConfig.extractPhoneNumber(to),
+          {
+            ...checkin,
+            message: contentVariables?.[1] || message,
+            messageId: loggedMessage.id,
+          }
+        );
+      }
+
       return {
         status: "sent",
-        messageSid: twilioMessage.sid,
+        channel,
+        messageSid: sentMessage.sid,
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
+      // Twilio throttled us: pause the whole queue and retry this job without
+      // spending an attempt - it keeps its priority, so emergencies still go first
+      if (isTwilioRateLimitError(error)) {
+        console.warn(
+          `⏳ [WhatsApp Worker] Twilio rate limit hit, pausing sends for ${TWILIO_RATE_LIMIT_BACKOFF_MS}ms`
+        );
+        await whatsappWorker.rateLimit(TWILIO_RATE_LIMIT_BACKOFF_MS);
+        throw Worker.RateLimitError();
+      }
+
       console.error(`[WhatsApp Worker] Error sending message:`, error);
 
       // Log failed message attempt
-      await prisma.message.create({
+      const failedMessage = await prisma.message.create({
         data: {
-          from: whatsappConfig.from,
-          to: whatsappConfig.formatPhoneNumber(to),
+          from: transport.getSender(channel) || "system",
+          to: transport.formatRecipient(to, channel),
           body: message,
           direction: "outgoing",
-          messageType: "whatsapp",
+          messageType: fallbackForId ? "delivery_fallback" : messageType,
+          channel,
+          fallbackForId,
           status: "failed",
           errorMessage: error.message,
         },
       });
 
+      // Out of retries: hand the message to the next channel instead of dropping it
+      const maxAttempts = job.opts.attempts || 1;
+      if (job.attemptsMade + 1 >= maxAttempts) {
+        await deliveryFallback.scheduleFallback(failedMessage);
+      }
+
       throw error;
     }
   },
   {
     connection,
     concurrency: 3,
+    limiter: {
+      max: TWILIO_MESSAGES_PER_SECOND,
+      duration: 1000,
+    },
+    removeOnComplete: 100,
+    removeOnFail: 50,
+  }
+);
+
+// Inbound message worker - routes patient messages the webhook already acknowledged
+const inboundWorker = new Worker(
+  "inbound-queue",
+  async (job) => {
+    const { messageId, from } = job.data;
+
+    // A replayed job must not send advice or reschedule monitoring twice
+    const processedOutcome = await messageLedger.getProcessedOutcome(messageId);
+    if (processedOutcome) {
+      console.log(
+        `[Inbound Worker] Message ${messageId} already processed, returning original outcome`
+      );
+      return { ...processedOutcome, replayed: true };
+    }
+
+    console.log(
+      `[Inbound Worker] Routing message ${messageId} from ${from} (attempt ${
+        job.attemptsMade + 1
+      })`
+    );
+
+    try {
+      const outcome = await routeInboundMessage(job.data);
+      await messageLedger.markProcessed(messageId, outcome);
+      return outcome;
+    } catch (error) {
+      const maxAttempts = job.opts.attempts || 1;
+      if (job.attemptsMade + 1 >= maxAttempts) {
+        await messageLedger.markFailed(messageId, error);
+      }
+      throw error;
+    }
+  },
+  {
+    connection,
+    // One at a time so a patient's replies are handled in the order they were sent
+    concurrency: 1,
     removeOnComplete: 100,
     removeOnFail: 50,
   }
@@ -111,6 +272,12 @@ const healthCronWorker = new Worker(
       return await processWeatherAlertCheckin(job);
     } else if (job.name === "recurring-health-monitor") {
       return await processRecurringHealthMonitor(job);
+    } else if (job.name === "checkin-reply-deadline") {
+      return await missedCheckins.processDeadline(job.data);
+    } else if (job.name === "provider-daily-digest") {
+      return await providerNotifications.sendDailyDigests();
+    } else if (job.name === "medication-reminder") {
+      return await medicationReminders.sendReminder(job.data);
     } else {
       // Legacy symptom monitoring (backwards compatibility)
       return await processLegacySymptomCheck(job);
@@ -142,25 +309,13 @@ async function processDailyHealthCheck(job) {
       `5️⃣ Urgent - need medical attention\n\n` +
       `🌡️ Today's weather alerts and health tips will follow!`;
 
-    // Send daily check message
-    await twilio.messages.create({
-      body: dailyMessage,
-      from: whatsappConfig.from,
-      to: whatsappConfig.formatPhoneNumber(phoneNumber),
-      statusCallback: `${
-        process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
-      }/twilio/status-webhook`,
-    });
-
-    // Log the message
-    await prisma.message.create({
-      data: {
-        from: whatsappConfig.from,
-        to: whatsappConfig.formatPhoneNumber(phoneNumber),
-        body: dailyMessage,
-        direction: "outgoing",
-        messageType: "daily_health_check",
-      },
+    // Queue daily check message (held during the patient's quiet hours)
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: dailyMessage,
+      messageType: "daily_health_check",
+      pollType: "daily_checkup",
+      collapseKey: `daily-health-check-${phoneNumber}`,
     });
 
     console.log(
@@ -203,54 +358,26 @@ async function processAISymptomCheck(job) {
         `🚨 *CRITICAL MONITORING - Check ${checkNumber}/${totalChecks}*\n\n` +
         `Hi ${patientName}, this is an urgent health check.\n\n` +
         `How are you feeling right now?\n\n` +
-        `⚡ Reply immediately:\n` +
-        `1️⃣ Much better\n` +
-        `2️⃣ About the same\n` +
-        `3️⃣ Getting worse\n` +
         `🚨 EMERGENCY - Call 911 if severe!`;
     } else if (riskLevel === "HIGH") {
       checkMessage =
         `⚠️ *HIGH RISK MONITORING - Check ${checkNumber}/${totalChecks}*\n\n` +
         `Hi ${patientName}, checking on your condition.\n\n` +
-        `How are your symptoms?\n\n` +
-        `Please reply:\n` +
-        `1️⃣ Much better\n` +
-        `2️⃣ Slightly better\n` +
-        `3️⃣ About the same\n` +
-        `4️⃣ Getting worse\n` +
-        `5️⃣ Need medical help`;
+        `How are your symptoms?`;
     } else {
       checkMessage =
         `💙 *Health Check - ${checkNumber}/${totalChecks}*\n\n` +
-        `Hi ${patientName}, how are you feeling?\n\n` +
-        `Please reply:\n` +
-        `1️⃣ Much better\n` +
-        `2️⃣ Better\n` +
-        `3️⃣ About the same\n` +
-        `4️⃣ A bit worse\n` +
-        `5️⃣ Much worse`;
+        `Hi ${patientName}, how are you feeling?`;
     }
 
-    // Send the check-in message
-    await twilio.messages.create({
-      body: checkMessage,
-      from: whatsappConfig.from,
-      to: whatsappConfig.formatPhoneNumber(phoneNumber),
-      statusCallback: `${
-        process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
-      }/twilio/status-webhook`,
-    });
-
-    // Log the message
-    await prisma.message.create({
-      data: {
-        from: whatsappConfig.from,
-        to: whatsappConfig.formatPhoneNumber(phoneNumber),
-        body: checkMessage,
-        direction: "outgoing",
-        messageType: "ai_symptom_check",
-        errorMessage: JSON.stringify({ riskLevel, checkNumber, totalChecks }),
-      },
+    // Send the check-in as a native poll (list picker for CRITICAL/HIGH)
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      ...interactiveMessages.buildHealthPoll(checkMessage, {
+        urgent: ["CRITICAL", "HIGH"].includes(riskLevel),
+      }),
+      messageType: "ai_symptom_check",
+      tier: riskLevel === "CRITICAL" ? "emergency" : "checkin",
     });
 
     console.log(
@@ -290,9 +417,11 @@ async function processWeatherAlertCheckin(job) {
     const seniorHeatAlerts = require("./services/seniorHeatAlerts");
     const heatcareAI = require("./services/heatcareAI");
 
-    // Generate age-appropriate check-in message
+    // Generate age-appropriate check-in message (cold waves always get the
+    // hypothermia check-in, which has its own wording for seniors)
     let checkInMessage;
-    if (patientData.age >= 65) {
+    let pollType;
+    if (patientData.age >= 65 && !heatcareAI.isColdWave(waveStatus)) {
       // Use senior-specific health check-in
       const heatWaveData = await weatherService.detectHeatWave(
         patientData.zipcode
@@ -301,6 +430,7 @@ async function processWeatherAlertCheckin(job) {
         heatWaveData,
         patientData
       );
+      pollType = seniorHeatAlerts.getSeniorCheckinPollType(heatWaveData);
       console.log(
         `👴 Senior-specific check-in for ${patientData.firstName} (age ${patientData.age})`
       );
@@ -310,12 +440,17 @@ async function processWeatherAlertCheckin(job) {
         waveStatus,
         patientData
       );
+      pollType = heatcareAI.getCheckInPollType(waveStatus);
     }
 
-    // Send check-in message
+    // Send check-in message (extreme conditions go out even during quiet hours)
     await whatsappQueue.add("send-whatsapp", {
       to: phoneNumber,
       message: checkInMessage,
+      messageType: "weather_alert_checkin",
+      pollType,
+      tier: waveStatus.urgency === "emergency" ? "emergency" : "checkin",
+      collapseKey: `weather-alert-${phoneNumber}`,
     });
 
     // Schedule next check-in if alert is still active
@@ -361,15 +496,32 @@ async function processWeatherAlertCheckin(job) {
   }
 }
 
-// Process daily routine checkup (scheduled at 9 AM every day)
+// Process daily routine checkup (runs at the patient's chosen local time)
 async function processDailyRoutineCheckup(job) {
-  const { phoneNumber, checkTime, tag } = job.data;
+  const {
+    phoneNumber,
+    checkinTime = DEFAULT_CHECKIN_TIME,
+    timezone,
+    tag,
+  } = job.data;
 
   try {
-    console.log(`[Daily Routine] Processing daily checkup for ${phoneNumber}`);
+    console.log(
+      `[Daily Routine] Processing daily checkup for ${phoneNumber} (${checkinTime} ${
+        timezone || "server time"
+      })`
+    );
+
+    const hour = parseInt(checkinTime);
+    const greeting =
+      hour < 12
+        ? "Good Morning"
+        : hour < 17
+        ? "Good Afternoon"
+        : "Good Evening";
 
     const dailyMessage =
-      `🌅 *Good Morning!* Daily Health Check\n\n` +
+      `🌅 *${greeting}!* Daily Health Check\n\n` +
       `How are you feeling today? This is your routine daily check-in.\n\n` +
       `Please reply:\n` +
       `1️⃣ Excellent - Great day ahead!\n` +
@@ -380,25 +532,13 @@ async function processDailyRoutineCheckup(job) {
       `💡 *Remember:* This is separate from any symptom monitoring you may also receive.\n` +
       `Have a wonderful day! 🌞`;
 
-    // Send the daily checkup message
-    await twilio.messages.create({
-      body: dailyMessage,
-      from: whatsappConfig.from,
-      to: whatsappConfig.formatPhoneNumber(phoneNumber),
-      statusCallback: `${
-        process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
-      }/twilio/status-webhook`,
-    });
-
-    // Log the message
-    await prisma.message.create({
-      data: {
-        from: whatsappConfig.from,
-        to: whatsappConfig.formatPhoneNumber(phoneNumber),
-        body: dailyMessage,
-        direction: "outgoing",
-        messageType: "daily_routine_checkup",
-      },
+    // Queue the daily checkup message (held during the patient's quiet hours)
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      message: dailyMessage,
+      messageType: "daily_routine_checkup",
+      pollType: "daily_checkup",
+      collapseKey: `daily-checkup-${phoneNumber}`,
     });
 
     console.log(`✅ [Daily Routine] Sent daily checkup to ${phoneNumber}`);
@@ -409,7 +549,9 @@ async function processDailyRoutineCheckup(job) {
       tag: "daily",
       recipient: phoneNumber,
       timestamp: new Date().toISOString(),
-      nextCheckup: "Tomorrow at 9:00 AM",
+      nextCheckup: `Tomorrow at ${quietHours.formatTime(checkinTime)}${
+        timezone ? ` (${timezone})` : ""
+      }`,
     };
   } catch (error) {
     console.error(
@@ -420,19 +562,27 @@ async function processDailyRoutineCheckup(job) {
   }
 }
 
-// Process recurring health monitoring (one job at a time, reschedules itself)
+// Process one check of a monitoring episode (queues the next check until the
+// episode ends)
 async function processRecurringHealthMonitor(job) {
-  const {
-    phoneNumber,
-    symptom,
-    riskLevel,
-    intervalMinutes,
-    checkNumber,
-    startTime,
-    tag,
-  } = job.data;
+  const { phoneNumber, symptom, riskLevel, intervalMinutes, checkNumber, tag } =
+    job.data;
 
   try {
+    const check = await monitoringEpisodes.prepareCheck(job.data);
+    if (!check.send) {
+      console.log(
+        `[Recurring Monitor] Skipping check #${checkNumber} for ${phoneNumber}: ${check.reason}`
+      );
+      return {
+        status: "skipped",
+        reason: check.reason,
+        type: "recurring_health_monitor",
+        tag,
+        recipient: phoneNumber,
+      };
+    }
+
     console.log(
       `[Recurring Monitor] Check #${checkNumber} for ${phoneNumber} (${riskLevel} risk, ${intervalMinutes}min interval) [${tag}]`
     );
@@ -444,70 +594,55 @@ async function processRecurringHealthMonitor(job) {
       monitoringMessage =
         `🚨 *EMERGENCY MONITORING #${checkNumber}*\n\n` +
         `Hi! Critical health check - how are you feeling RIGHT NOW?\n\n` +
-        `Reply:\n` +
-        `1️⃣ Much better\n` +
-        `2️⃣ About the same\n` +
-        `3️⃣ Getting worse\n` +
         `🚨 Call 911 if severe!`;
     } else if (riskLevel === "critical") {
       monitoringMessage =
         `🔴 *CRITICAL CHECK #${checkNumber}*\n\n` +
-        `Hi! How are your symptoms now?\n\n` +
-        `Reply:\n` +
-        `1️⃣ Much better\n` +
-        `2️⃣ Slightly better\n` +
-        `3️⃣ No change\n` +
-        `4️⃣ Getting worse\n` +
-        `5️⃣ Need help`;
+        `Hi! How are your symptoms now?`;
     } else if (riskLevel === "high") {
       monitoringMessage =
         `🟠 *HIGH RISK CHECK #${checkNumber}*\n\n` +
         `Hi! Checking on your ${symptom} symptoms.\n\n` +
-        `How do you feel?\n` +
-        `1️⃣ Better\n` +
-        `2️⃣ Same\n` +
-        `3️⃣ Worse`;
+        `How do you feel?`;
     } else if (riskLevel === "medium") {
       monitoringMessage =
         `🟡 *HEALTH CHECK #${checkNumber}*\n\n` +
-        `Hi! How are you feeling?\n\n` +
-        `Reply: 1️⃣ Better  2️⃣ Same  3️⃣ Worse`;
+        `Hi! How are you feeling?`;
     } else {
       // low
       monitoringMessage =
         `💙 *ROUTINE CHECK #${checkNumber}*\n\n` +
-        `Hi! Quick health update?\n\n` +
-        `Reply: 1️⃣ Good  2️⃣ Okay  3️⃣ Not great`;
+        `Hi! Quick health update?`;
     }
 
-    // Send the monitoring message
-    await twilio.messages.create({
-      body: monitoringMessage,
-      from: whatsappConfig.from,
-      to: whatsappConfig.formatPhoneNumber(phoneNumber),
-      statusCallback: `${
-        process.env.BASE_URL || "https://24a3ffeedf11.ngrok-free.app"
-      }/twilio/status-webhook`,
+    // Higher-risk checks get the full answer list (including "Need Help Now"),
+    // lower-risk ones three quick-reply buttons
+    const poll = interactiveMessages.buildHealthPoll(monitoringMessage, {
+      urgent: ["emergency", "critical", "high"].includes(riskLevel),
     });
 
-    // Log the message
-    await prisma.message.create({
-      data: {
-        from: whatsappConfig.from,
-        to: whatsappConfig.formatPhoneNumber(phoneNumber),
-        body: monitoringMessage,
-        direction: "outgoing",
-        messageType: "recurring_health_monitor",
-      },
+    // Queue the monitoring message - emergency and critical checks ignore quiet
+    // hours, lower-risk checks wait and collapse into one message overnight
+    await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      ...poll,
+      messageType: "recurring_health_monitor",
+      tier: ["emergency", "critical"].includes(riskLevel)
+        ? "emergency"
+        : "checkin",
+      collapseKey: `recurring-monitor-${phoneNumber}-${tag}`,
+      checkin: { riskLevel, tag, symptom },
     });
 
     console.log(
       `✅ [Recurring Monitor] Sent ${riskLevel} check #${checkNumber} to ${phoneNumber}`
     );
 
-    // Schedule the NEXT recurring check (this is how it continues)
-    const { scheduleHealthCheckup } = require("./queue");
-    await scheduleHealthCheckup(phoneNumber, symptom, riskLevel, tag);
+    // Queue the episode's next check (the last one lands on its end and closes it)
+    const next = await monitoringEpisodes.scheduleNextCheck(
+      check.episode,
+      job.data
+    );
 
     return {
       status: "sent_and_rescheduled",
@@ -515,7 +650,8 @@ async function processRecurringHealthMonitor(job) {
       tag,
       riskLevel,
       checkNumber,
-      nextCheckIn: `${intervalMinutes} minutes`,
+      episodeId: check.episode.id,
+      nextCheckIn: `${Math.round(next.delayMinutes)} minutes`,
       recipient: phoneNumber,
       timestamp: new Date().toISOString(),
     };
@@ -584,7 +720,7 @@ async function processLegacySymptomCheck(job) {
   );
 
   try {
-    // Create interactive message with buttons
+    // Create the checkup question (answers are added as a native poll below)
     const interactiveMessage = createHealthCheckupMessage(
       symptom,
       checkupNumber,
@@ -592,56 +728,21 @@ async function processLegacySymptomCheck(job) {
       intervalMinutes
     );
 
-    // Send interactive WhatsApp message with quick reply buttons
-    const messageOptions = {
-      from: whatsappConfig.from,
-      to: phoneNumber.startsWith("whatsapp:")
-        ? phoneNumber
-        : `whatsapp:${phoneNumber}`,
-      body: interactiveMessage.body,
-      // Twilio format for interactive messages
-      contentSid: null, // For freeform interactive messages
-      contentVariables: JSON.stringify({
-        type: "interactive",
-        interactive: {
-          type: "button",
-          body: {
-            text: interactiveMessage.body,
-          },
-          action: {
-            buttons: interactiveMessage.buttons,
-          },
-          footer: {
-            text: interactiveMessage.footer,
-          },
-        },
+    // Send as a native WhatsApp poll - the first two (most urgent) checks show
+    // every answer in a list picker, later ones three quick-reply buttons
+    const messageJob = await whatsappQueue.add("send-whatsapp", {
+      to: phoneNumber,
+      ...interactiveMessages.buildHealthPoll(interactiveMessage.body, {
+        urgent: checkupNumber <= 2,
       }),
-    };
-
-    // Create poll-like interactive message
-    const pollMessage = createHealthPollMessage(
-      interactiveMessage,
-      phoneNumber
-    );
-    const twilioMessage = await twilio.messages.create(pollMessage);
-
-    // Log the checkup message
-    await prisma.message.create({
-      data: {
-        from: whatsappConfig.from,
-        to: messageOptions.to,
-        body: interactiveMessage.body,
-        direction: "outgoing",
-        messageType: "whatsapp",
-        messageSid: twilioMessage.sid,
-        status: twilioMessage.status,
-      },
+      messageType: "health_checkup",
+      tier: checkupNumber === 1 ? "emergency" : "checkin",
     });
 
     return {
-      status: "sent",
+      status: "queued",
       checkupNumber,
-      messageSid: twilioMessage.sid,
+      messageJobId: messageJob.id,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
@@ -699,91 +800,10 @@ const createHealthCheckupMessage = (
   bodyText +=
     "\n\n💡 *Tip:* If you feel worse at any time, don't wait - call 911 immediately!";
 
+  // Answers are added by interactiveMessages.buildHealthPoll
   return {
     type: "interactive",
     body: bodyText,
-    buttons: [
-      {
-        type: "reply",
-        reply: {
-          id: "much_better",
-          title: "✅ Much Better",
-        },
-      },
-      {
-        type: "reply",
-        reply: {
-          id: "slightly_better",
-          title: "🟡 Slightly Better",
-        },
-      },
-      {
-        type: "reply",
-        reply: {
-          id: "same_symptoms",
-          title: "⚪ Same",
-        },
-      },
-    ],
-    footer: "Tap a button or reply 'worse' or 'emergency' for urgent help",
-  };
-};
-
-// Function to create poll-like interactive message for sandbox/development
-const createHealthPollMessage = (interactiveMessage, phoneNumber) => {
-  const pollBody = `📊 *HEALTH CHECK POLL*\n\n${interactiveMessage.body}\n\n`;
-
-  // Create a poll-like interface with emojis and easy responses
-  const pollOptions =
-    `*How are you feeling? React or reply:*\n\n` +
-    `✅ *BETTER* - Reply "better" or "1"\n` +
-    `🟡 *SLIGHTLY BETTER* - Reply "slightly" or "2"\n` +
-    `⚪ *SAME* - Reply "same" or "3"\n` +
-    `🟠 *WORSE* - Reply "worse" or "4"\n` +
-    `🚨 *EMERGENCY* - Reply "emergency" or "911"\n\n` +
-    `💡 *Just type one word to respond quickly!*`;
-
-  return {
-    from: whatsappConfig.from,
-    to: phoneNumber.startsWith("whatsapp:")
-      ? phoneNumber
-      : `whatsapp:${phoneNumber}`,
-    body: pollBody + pollOptions,
-  };
-};
-
-// Function to create emergency/worsening condition list message
-const createEmergencyListMessage = (symptom) => {
-  return {
-    type: "interactive",
-    body: `🚨 *URGENT HEALTH STATUS UPDATE*\n\nYour "${symptom}" symptoms need immediate attention.\n\nPlease select your current condition:`,
-    list: {
-      button: "Select Status",
-      sections: [
-        {
-          title: "Current Condition",
-          rows: [
-            {
-              id: "worse_condition",
-              title: "🟠 Getting Worse",
-              description:
-                "Symptoms are worsening - need more frequent monitoring",
-            },
-            {
-              id: "emergency_help",
-              title: "🚨 Emergency",
-              description: "Need immediate medical help - call 911",
-            },
-            {
-              id: "stable_worse",
-              title: "📉 Stable but Poor",
-              description: "Not improving but not getting worse",
-            },
-          ],
-        },
-      ],
-    },
-    footer: "Select the option that best describes your current state",
   };
 };
 
@@ -804,13 +824,36 @@ whatsappWorker.on("error", (err) => {
   console.error(`[WhatsApp Worker Error]:`, err);
 });
 
+// Worker event handlers for inbound messages
+inboundWorker.on("completed", (job, result) => {
+  console.log(`[Inbound Job Completed] ${job.id}:`, result);
+});
+
+inboundWorker.on("failed", (job, err) => {
+  console.error(`[Inbound Job Failed] ${job.id}: ${err.message}`);
+});
+
+inboundWorker.on("error", (err) => {
+  console.error(`[Inbound Worker Error]:`, err);
+});
+
 // Worker event handlers for Health Cron
-healthCronWorker.on("completed", (job, result) => {
+healthCronWorker.on("completed", async (job, result) => {
   console.log(`[Health Cron Completed] ${job.id}:`, result);
+  await monitoringJobLog.recordFinished(job, "completed", result);
 });
 
-healthCronWorker.on("failed", (job, err) => {
-  console.error(`[Health Cron Failed] ${job.id}: ${err.message}`);
+healthCronWorker.on("failed", async (job, err) => {
+  console.error(`[Health Cron Failed] ${job?.id}: ${err.message}`);
+  if (!job) return;
+
+  // Only the last attempt fails the job - earlier ones will be retried
+  const outOfAttempts = job.attemptsMade >= (job.opts.attempts || 1);
+  await monitoringJobLog.recordFinished(
+    job,
+    outOfAttempts ? "failed" : "scheduled",
+    { error: err.message }
+  );
 });
 
 healthCronWorker.on("error", (err) => {
@@ -820,7 +863,11 @@ healthCronWorker.on("error", (err) => {
 // Graceful shutdown
 const gracefulShutdown = async () => {
   console.log("Shutting down workers gracefully...");
-  await Promise.all([whatsappWorker.close(), healthCronWorker.close()]);
+  await Promise.all([
+    whatsappWorker.close(),
+    inboundWorker.close(),
+    healthCronWorker.close(),
+  ]);
   await prisma.$disconnect();
   console.log("All workers shut down successfully");
   process.exit(0);
@@ -829,14 +876,25 @@ const gracefulShutdown = async () => {
 process.on("SIGINT", gracefulShutdown);
 process.on("SIGTERM", gracefulShutdown);
 
-console.log("🚀 WhatsApp & Health Cron workers started successfully");
+// Rebuild schedules from the database in case Redis lost them
+if (process.env.RECONCILE_SCHEDULES_ON_STARTUP !== "false") {
+  scheduleReconciler.reconcile().catch((error) => {
+    console.error("❌ [Reconcile] Startup reconciliation failed:", error);
+  });
+}
+
+console.log("🚀 WhatsApp, Inbound & Health Cron workers started successfully");
 console.log(
   `📱 WhatsApp sandbox number: ${process.env.TWILIO_WHATSAPP_SANDBOX_NUMBER}`
 );
-console.log("👥 WhatsApp worker concurrency: 3");
+console.log(
+  `👥 WhatsApp worker concurrency: 3 (rate limit: ${TWILIO_MESSAGES_PER_SECOND}/s, emergency > checkin > alert > bulk)`
+);
+console.log("📥 Inbound worker concurrency: 1");
 console.log("🏥 Health cron worker concurrency: 2");
 
 module.exports = {
   whatsappWorker,
+  inboundWorker,
   healthCronWorker,
 };